@@ -16,10 +16,21 @@
     EUR: { symbol: '€', locale: 'de-DE', decimals: 2 },
     CAD: { symbol: 'C$', locale: 'en-CA', decimals: 2 },
     AUD: { symbol: 'A$', locale: 'en-AU', decimals: 2 },
-    JPY: { symbol: '¥', locale: 'ja-JP', decimals: 0 }
+    JPY: { symbol: '¥', locale: 'ja-JP', decimals: 0 },
+    INR: { symbol: '₹', locale: 'en-IN', decimals: 2 },
+    MXN: { symbol: 'MX$', locale: 'es-MX', decimals: 2 },
+    NZD: { symbol: 'NZ$', locale: 'en-NZ', decimals: 2 },
+    CHF: { symbol: 'CHF ', locale: 'de-CH', decimals: 2 },
+    SGD: { symbol: 'S$', locale: 'en-SG', decimals: 2 }
   };
 
   let currentCurrency = 'USD';
+  let currentLanguage = 'en';
+
+  const LANGUAGE_STORAGE_KEY = 'overtimepay.language';
+
+  // Calculation engine - see assets/js/overtime-engine.js
+  const OvertimePay = window.OvertimePay;
 
   // ============================================
   // Utility Functions
@@ -45,6 +56,82 @@
     }
   }
 
+  /**
+   * Format an hour count with at most two decimals (7.5, 8, 41.25) and
+   * the language's decimal character, so it can go back into an input
+   */
+  function formatHours(hours) {
+    return OvertimePay.formatInputNumber(Math.round((hours || 0) * 100) / 100, getLocale());
+  }
+
+  /**
+   * Format a YYYY-MM-DD date for display without timezone drift
+   */
+  function formatDate(isoDate) {
+    const parts = String(isoDate || '').split('-').map(Number);
+    if (parts.length !== 3 || parts.some(isNaN)) return isoDate || '';
+
+    return new Date(parts[0], parts[1] - 1, parts[2]).toLocaleDateString(getLocale(), {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  /**
+   * Escape text for use inside HTML built with template strings
+   */
+  function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * localStorage, or null when the browser blocks it
+   */
+  function getLocalStorage() {
+    try {
+      const storage = window.localStorage;
+      const probe = '__overtimepay__';
+      storage.setItem(probe, probe);
+      storage.removeItem(probe);
+      return storage;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Offer text as a file download
+   */
+  function downloadFile(filename, content) {
+    const type = filename.endsWith('.json') ? 'application/json' : 'text/csv';
+    const blob = new Blob([content], { type: type + ';charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Show a short status on a button, then restore its label
+   */
+  function flashButton(button, message) {
+    const originalText = button.textContent;
+    button.textContent = message;
+    setTimeout(() => {
+      button.textContent = originalText;
+    }, 2000);
+  }
+
   /**
    * Safely get element by ID
    */
@@ -58,7 +145,7 @@
   function copyToClipboard(text, button) {
     function onSuccess() {
       const originalText = button.textContent;
-      button.textContent = 'Copied!';
+      button.textContent = t('action.copied');
       button.classList.add('copied');
       setTimeout(() => {
         button.textContent = originalText;
@@ -69,7 +156,7 @@
     function onError(err) {
       console.error('Failed to copy:', err);
       const originalText = button.textContent;
-      button.textContent = 'Failed';
+      button.textContent = t('action.failed');
       setTimeout(() => {
         button.textContent = originalText;
       }, 2000);
@@ -111,6 +198,155 @@
     }
   }
 
+  // ============================================
+  // Language Functions
+  // ============================================
+
+  /**
+   * Message in the current language - see assets/js/i18n.js
+   */
+  function t(key, params) {
+    return OvertimePay.translate(currentLanguage, key, params);
+  }
+
+  function getLocale() {
+    return OvertimePay.getLanguage(currentLanguage).locale;
+  }
+
+  /**
+   * A typed number in the current language ("1.234,50" in German), or NaN
+   */
+  function parseNumber(value) {
+    return OvertimePay.parseLocaleNumber(value, getLocale());
+  }
+
+  /**
+   * An input's number as a plain string ("1234.5") for the engine and
+   * shared links. Text that isn't a number is passed through to fail there.
+   */
+  function numberValue(input) {
+    if (!input) return '';
+    const value = input.value.trim();
+    const number = parseNumber(value);
+    return value && Number.isFinite(number) ? String(number) : value;
+  }
+
+  /**
+   * Write a plain number string or number into an input in the current language
+   */
+  function setNumberValue(input, value) {
+    input.value = OvertimePay.formatInputNumber(value, getLocale());
+  }
+
+  /**
+   * A jurisdictions.js entry with its name, group and note in the current
+   * language, or null
+   */
+  function localizeJurisdiction(jurisdiction) {
+    if (!jurisdiction) return null;
+    return Object.assign({}, jurisdiction, {
+      group: t(jurisdiction.groupKey),
+      name: t(jurisdiction.key),
+      note: jurisdiction.noteKey ? t(jurisdiction.noteKey) : ''
+    });
+  }
+
+  /**
+   * A validation.js error ({key, params}) in the current language, with
+   * its bounds formatted for the locale
+   */
+  function validationMessage(error) {
+    const params = { example: OvertimePay.formatInputNumber('1234.50', getLocale()) };
+    ['min', 'max'].forEach(key => {
+      if (error.params && error.params[key] !== undefined) params[key] = Number(error.params[key]).toLocaleString(getLocale());
+    });
+    return t(error.key, params);
+  }
+
+  /**
+   * Show or clear the message for one input: the text of its error
+   * element, the error class and aria-invalid
+   */
+  function setInputError(input, errorEl, message) {
+    if (errorEl) errorEl.textContent = message || '';
+    input.classList.toggle('error', Boolean(message));
+    if (message) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+
+  /**
+   * One import error ({line, problems}, see OvertimePay.parseHoursCsv) in
+   * the current language
+   */
+  function importErrorText(error) {
+    const message = error.problems.map(problem => t(problem.key, problem.params)).join('; ');
+    return error.line ? t('import.errorLine', { line: error.line, message: message }) : message;
+  }
+
+  /**
+   * A text input typed as a number. Only these take the locale's decimal
+   * character; a type="number" input would blank "1234,5".
+   */
+  function isNumberInput(input) {
+    const mode = input.getAttribute('inputmode');
+    return input.tagName === 'INPUT' && input.type === 'text' && (mode === 'decimal' || mode === 'numeric');
+  }
+
+  /**
+   * Fill {name} slots in a message with the element's [data-i18n-slot]
+   * children, so values written into them by id survive a language change
+   */
+  function translateElement(el, key) {
+    const slots = {};
+    el.querySelectorAll('[data-i18n-slot]').forEach(slot => {
+      slots[slot.dataset.i18nSlot] = slot;
+    });
+
+    if (!Object.keys(slots).length) {
+      el.textContent = t(key);
+      return;
+    }
+
+    const parts = t(key).split(/\{(\w+)\}/);
+    el.textContent = '';
+    parts.forEach((part, index) => {
+      if (index % 2 === 1 && slots[part]) {
+        el.appendChild(slots[part]);
+      } else if (part) {
+        el.appendChild(document.createTextNode(index % 2 === 1 ? `{${part}}` : part));
+      }
+    });
+  }
+
+  /**
+   * Translate everything under [data-i18n-root]: text ([data-i18n]),
+   * placeholders, aria-labels, and number placeholders ("0.00" -> "0,00")
+   */
+  function applyLanguage(code) {
+    const language = OvertimePay.getLanguage(code);
+    currentLanguage = language.code;
+
+    document.querySelectorAll('[data-i18n-root]').forEach(root => {
+      root.lang = language.code;
+
+      root.querySelectorAll('[data-i18n]').forEach(el => translateElement(el, el.dataset.i18n));
+      root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+      });
+      root.querySelectorAll('[data-i18n-label]').forEach(el => {
+        el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+      });
+      root.querySelectorAll('input').forEach(input => {
+        if (!isNumberInput(input) || input.dataset.i18nPlaceholder || !input.placeholder) return;
+        if (input.dataset.placeholder === undefined) input.dataset.placeholder = input.placeholder;
+        input.placeholder = OvertimePay.formatInputNumber(input.dataset.placeholder, language.locale);
+      });
+    });
+  }
+
   // ============================================
   // Navigation
   // ============================================
@@ -158,27 +394,44 @@
   // ============================================
 
   function initOvertimeCalculator() {
-    // DOM Elements - support both main page and embed page IDs
-    const currencySelect = $('currency-select') || $('currency');
+    // DOM Elements - the main page and the embed page share these IDs
+    const currencySelect = $('currency-select');
     const hourlyRateInput = $('hourly-rate');
+    const payBasisSelect = $('pay-basis');
+    const payBasisHint = $('pay-basis-hint');
+    const salaryGroup = $('salary-group');
+    const weeklySalaryInput = $('weekly-salary');
+    const salaryHoursGroup = $('salary-hours-group');
+    const salaryHoursInput = $('salary-hours');
+    const jurisdictionSelect = $('jurisdiction');
+    const jurisdictionNote = $('jurisdiction-note');
     const overtimeMultiplierSelect = $('overtime-multiplier');
     const customMultiplierGroup = $('custom-multiplier-group');
     const customMultiplierInput = $('custom-multiplier');
-    const overtimeRateInput = $('overtime-rate-direct') || $('overtime-rate');
+    const overtimeRateInput = $('overtime-rate-direct');
     const overtimeHoursInput = $('overtime-hours');
     const regularHoursInput = $('regular-hours');
+    const tiersContainer = $('overtime-tiers');
+    const addTierBtn = $('add-tier');
 
-    // Buttons - support both ID formats
+    // Buttons
     const calculateBtn = $('calculate-btn');
-    const resetBtn = $('reset-calculator') || $('reset-btn');
+    const resetBtn = $('reset-calculator');
     const copyBtn = $('copy-result');
+    const shareBtn = $('share-link');
 
     // Helper elements - support both main page and embed page
     const helperToggle = $('helper-toggle');
     const helperContent = $('helper-content');
     const payTimeframeSelect = $('pay-timeframe');
-    const totalPayInput = $('total-pay-timeframe') || $('total-pay');
-    const weeklyHoursInput = $('weekly-regular-hours') || $('weekly-hours');
+    const totalPayInput = $('total-pay-timeframe');
+    const weeklyHoursInput = $('weekly-regular-hours');
+    const customPeriodsGroup = $('custom-periods-group');
+    const customPeriodsInput = $('custom-periods');
+    const workDaysInput = $('work-days');
+    const paidHolidaysInput = $('paid-holidays');
+    const ptoDaysInput = $('pto-days');
+    const helperFormula = $('helper-formula');
     const calculateHourlyBtn = $('calculate-hourly');
     const helperResult = $('helper-result');
     const calculatedHourlyDisplay = $('calculated-hourly');
@@ -193,19 +446,85 @@
     const resultHourlyRate = $('result-hourly-rate');
     const resultOtPayLine = $('result-ot-pay-line');
     const totalPayDisplay = $('total-pay');
+    const resultTiers = $('result-tiers');
+    const payBasisExplainer = $('pay-basis-explainer');
 
-    // Result elements - embed page fallbacks
+    // Result elements - embed page
     const overtimePayResult = $('overtime-pay-result');
     const overtimeRateDisplay = $('overtime-rate-display');
     const regularPayDisplay = $('regular-pay-display');
     const totalPayDisplayEmbed = $('total-pay-display');
 
-    // Error elements
-    const hourlyRateError = $('hourly-rate-error');
-    const overtimeHoursError = $('overtime-hours-error');
+    // Timesheet elements - main page only
+    const timesheet = $('timesheet');
+    const timesheetBody = $('timesheet-body');
+    const timesheetTotal = $('timesheet-total');
+    const timesheetSummary = $('timesheet-summary');
+    const weeklyThresholdInput = $('weekly-threshold');
+    const clearTimesheetBtn = $('clear-timesheet');
+
+    // Regular rate extras - main page only
+    const extraPayPanel = $('extra-pay');
+    const bonusInput = $('bonus-pay');
+    const commissionInput = $('commission-pay');
+    const differentialsContainer = $('differentials');
+    const addDifferentialBtn = $('add-differential');
+    const regularRateResults = $('regular-rate-results');
+    const resultBonusPay = $('result-bonus-pay');
+    const resultDifferentialPay = $('result-differential-pay');
+    const resultRegularRate = $('result-regular-rate');
+    const resultRateAdjustment = $('result-rate-adjustment');
+    const regularRateExplainer = $('regular-rate-explainer');
+
+    // Error elements - each validated input has a "<id>-error" message
+    const errorAnnouncer = $('calculator-errors');
 
     // Check if we have enough elements to initialize
-    if (!hourlyRateInput && !calculateBtn) return;
+    if (!hourlyRateInput && !calculateBtn) return null;
+
+    // Inputs checked against OvertimePay.INPUT_BOUNDS, by bounds key
+    const validatedInputs = {
+      hourlyRate: hourlyRateInput,
+      weeklySalary: weeklySalaryInput,
+      salaryHours: salaryHoursInput,
+      customMultiplier: customMultiplierInput,
+      overtimeRate: overtimeRateInput,
+      overtimeHours: overtimeHoursInput,
+      regularHours: regularHoursInput,
+      bonusPay: bonusInput,
+      commissionPay: commissionInput
+    };
+
+    // Latest breakdown shown in the results, and who wants to hear about it.
+    // lastErrors is null while that breakdown is priced from valid inputs,
+    // else what is in error (empty when there is no pay to price yet).
+    let lastResult = null;
+    let lastErrors = [];
+    const resultListeners = [];
+
+    // Messages shown under the inputs, by bounds key
+    let fieldErrors = {};
+
+    // What the live region reads out: the week's inputs and rows, then each panel's
+    let fieldAnnouncements = [];
+    const panelAnnouncements = {};
+
+    // Hourly rate helper inputs, by bounds key; they don't change the week
+    const helperInputs = {
+      timeframePay: totalPayInput,
+      weeklyHours: weeklyHoursInput,
+      customPeriods: customPeriodsInput,
+      workDays: workDaysInput,
+      paidHolidays: paidHolidaysInput,
+      ptoDays: ptoDaysInput
+    };
+
+    // Tier and differential rows, numbered for their error message ids
+    let nextRowId = 1;
+
+    // On /embed/ the host's link values (cur, mult, ...) are what reset returns to
+    const isEmbed = document.body.classList.contains('embed-body');
+    let embedDefaults = null;
 
     // ============================================
     // Event Listeners
@@ -216,7 +535,47 @@
       currencySelect.addEventListener('change', () => {
         currentCurrency = currencySelect.value;
         // Recalculate if we have values
-        if (hourlyRateInput && hourlyRateInput.value) {
+        if (hasPayInput()) {
+          calculate();
+        }
+      });
+    }
+
+    // Pay basis change - salaried modes derive the hourly rate
+    if (payBasisSelect) {
+      payBasisSelect.addEventListener('change', () => {
+        updatePayBasis();
+        calculate();
+      });
+
+      [weeklySalaryInput, salaryHoursInput].forEach(input => {
+        if (input) input.addEventListener('input', calculate);
+      });
+    }
+
+    // Jurisdiction change - law thresholds replace the flat multiplier
+    if (jurisdictionSelect) {
+      populateJurisdictions();
+      const defaultNoteKey = jurisdictionNote ? jurisdictionNote.dataset.i18n || 'jurisdiction.hint' : '';
+
+      jurisdictionSelect.addEventListener('change', () => {
+        const jurisdiction = getJurisdiction();
+
+        if (jurisdictionNote) {
+          jurisdictionNote.textContent = jurisdiction
+            ? [jurisdiction.law, jurisdiction.note].filter(Boolean).join(' - ')
+            : t(defaultNoteKey);
+        }
+
+        // Multipliers and thresholds come from the law while one is selected
+        [overtimeMultiplierSelect, customMultiplierInput, overtimeRateInput, weeklyThresholdInput, addTierBtn].forEach(input => {
+          if (input) input.disabled = Boolean(jurisdiction) || input.dataset.locked === 'true';
+        });
+        if (tiersContainer) tiersContainer.classList.toggle('hidden', Boolean(jurisdiction));
+
+        if (timesheet && timesheetBody) {
+          updateTimesheet();
+        } else if (hasPayInput()) {
           calculate();
         }
       });
@@ -231,12 +590,76 @@
           if (customMultiplierGroup) customMultiplierGroup.classList.add('hidden');
         }
         // Recalculate
-        if (hourlyRateInput && hourlyRateInput.value && overtimeHoursInput && overtimeHoursInput.value) {
+        if (hasPayInput() && overtimeHoursInput && overtimeHoursInput.value) {
           calculate();
         }
       });
     }
 
+    // Additional overtime tiers (e.g. 8 hrs at 1.5x, then 4 hrs at 2x)
+    if (tiersContainer && addTierBtn) {
+      addTierBtn.addEventListener('click', () => {
+        const row = addTierRow();
+        row.querySelector('[data-field="hours"]').focus();
+      });
+
+      tiersContainer.addEventListener('change', (e) => {
+        if (e.target.matches('[data-field="multiplier"]')) {
+          const row = e.target.closest('.overtime-tier');
+          row.querySelector('.tier-custom').classList.toggle('hidden', e.target.value !== 'other');
+          if (hasPayInput()) calculate();
+        }
+      });
+
+      tiersContainer.addEventListener('input', () => {
+        if (hasPayInput()) calculate();
+      });
+
+      tiersContainer.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.btn-remove-tier');
+        if (!removeBtn) return;
+        removeBtn.closest('.overtime-tier').remove();
+        renumberTiers();
+        addTierBtn.focus();
+        if (hasPayInput()) calculate();
+      });
+    }
+
+    // Bonuses, commissions and shift differentials feed the regular rate
+    if (extraPayPanel) {
+      extraPayPanel.addEventListener('toggle', () => {
+        if (hasPayInput()) calculate();
+      });
+
+      [bonusInput, commissionInput].forEach(input => {
+        if (input) {
+          input.addEventListener('input', () => {
+            if (hasPayInput()) calculate();
+          });
+        }
+      });
+    }
+
+    if (differentialsContainer && addDifferentialBtn) {
+      addDifferentialBtn.addEventListener('click', () => {
+        const row = addDifferentialRow();
+        row.querySelector('[data-field="hours"]').focus();
+      });
+
+      differentialsContainer.addEventListener('input', () => {
+        if (hasPayInput()) calculate();
+      });
+
+      differentialsContainer.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.btn-remove-row');
+        if (!removeBtn) return;
+        removeBtn.closest('.differential').remove();
+        renumberDifferentials();
+        addDifferentialBtn.focus();
+        if (hasPayInput()) calculate();
+      });
+    }
+
     // Helper toggle - for embed page style
     if (helperToggle && helperContent) {
       helperToggle.addEventListener('click', () => {
@@ -246,55 +669,57 @@
       });
     }
 
+    // Custom pay frequency needs its periods per year
+    if (payTimeframeSelect && customPeriodsGroup) {
+      payTimeframeSelect.addEventListener('change', () => {
+        customPeriodsGroup.classList.toggle('hidden', payTimeframeSelect.value !== 'custom');
+      });
+    }
+
     // Calculate hourly rate from pay period
     if (calculateHourlyBtn && totalPayInput && payTimeframeSelect) {
+      Object.keys(helperInputs).forEach(field => {
+        if (helperInputs[field]) helperInputs[field].addEventListener('input', validateHelper);
+      });
+      payTimeframeSelect.addEventListener('change', validateHelper);
+
       calculateHourlyBtn.addEventListener('click', () => {
-        const timeframe = payTimeframeSelect.value;
-        const totalPay = parseFloat(totalPayInput.value) || 0;
-        const weeklyHours = parseFloat(weeklyHoursInput ? weeklyHoursInput.value : 40) || 40;
+        const conversion = validateHelper() && OvertimePay.payToHourly({
+          pay: numberValue(totalPayInput),
+          frequency: payTimeframeSelect.value,
+          weeklyHours: weeklyHoursInput ? numberValue(weeklyHoursInput) : null,
+          periodsPerYear: customPeriodsInput ? numberValue(customPeriodsInput) : null,
+          workDays: workDaysInput ? numberValue(workDaysInput) : null,
+          paidHolidays: paidHolidaysInput ? numberValue(paidHolidaysInput) : null,
+          ptoDays: ptoDaysInput ? numberValue(ptoDaysInput) : null
+        });
 
-        if (totalPay <= 0 || weeklyHours <= 0) {
+        if (!conversion) {
           if (helperResult) {
             helperResult.classList.add('hidden');
-            helperResult.textContent = '';
+            if (!calculatedHourlyDisplay) helperResult.textContent = '';
           }
           return;
         }
 
-        // Calculate weeks in timeframe
-        let weeksInTimeframe;
-        switch (timeframe) {
-          case 'week':
-            weeksInTimeframe = 1;
-            break;
-          case '2weeks':
-            weeksInTimeframe = 2;
-            break;
-          case 'month':
-            weeksInTimeframe = 4; // Standard 160 hours/month (4 weeks × 40 hours)
-            break;
-          case 'annual':
-            weeksInTimeframe = 52;
-            break;
-          default:
-            weeksInTimeframe = 1;
-        }
-
-        const hourlyRate = totalPay / (weeksInTimeframe * weeklyHours);
+        const hourlyRate = conversion.hourlyRate;
+        const formula = OvertimePay.describeConversion(conversion, amount => formatCurrency(amount));
 
         if (helperResult) {
           helperResult.classList.remove('hidden');
           // Support both main page and embed page result display
           if (calculatedHourlyDisplay) {
             calculatedHourlyDisplay.textContent = formatCurrency(hourlyRate);
+            if (helperFormula) helperFormula.textContent = formula;
           } else {
-            helperResult.innerHTML = `Your hourly rate: <strong>${formatCurrency(hourlyRate)}</strong> <button class="btn btn-sm btn-primary" id="use-rate-btn">Use This Rate</button>`;
+            helperResult.innerHTML = `${t('helper.result')} <strong>${formatCurrency(hourlyRate)}</strong> <button class="btn btn-sm btn-primary" id="use-rate-btn">${t('helper.useRate')}</button><small class="helper-formula"></small>`;
+            helperResult.querySelector('.helper-formula').textContent = formula;
             // Attach event listener to dynamically created button
             const useRateBtn = $('use-rate-btn');
             if (useRateBtn) {
               useRateBtn.addEventListener('click', () => {
                 if (hourlyRateInput) {
-                  hourlyRateInput.value = hourlyRate.toFixed(2);
+                  setNumberValue(hourlyRateInput, hourlyRate.toFixed(2));
                   calculate();
                 }
               });
@@ -311,7 +736,7 @@
       useCalculatedRateBtn.addEventListener('click', () => {
         const rate = parseFloat(helperResult.dataset.calculatedRate);
         if (rate && hourlyRateInput) {
-          hourlyRateInput.value = rate.toFixed(2);
+          setNumberValue(hourlyRateInput, rate.toFixed(2));
           // Collapse helper if available
           if (helperToggle) {
             helperToggle.setAttribute('aria-expanded', 'false');
@@ -334,51 +759,52 @@
       resetBtn.addEventListener('click', reset);
     }
 
-    // Copy button
+    // Copy button - only a week that passed validation is copied
     if (copyBtn) {
       copyBtn.addEventListener('click', () => {
-        const hourlyRate = parseFloat(hourlyRateInput.value) || 0;
-        const overtimeHours = parseFloat(overtimeHoursInput.value) || 0;
-        const regularHours = parseFloat(regularHoursInput ? regularHoursInput.value : 40) || 40;
-
-        const multiplier = getMultiplier();
-        let overtimeRate = overtimeRateInput ? parseFloat(overtimeRateInput.value) : 0;
-        if (!overtimeRate || overtimeRate <= 0) {
-          overtimeRate = hourlyRate * multiplier;
+        const result = calculate();
+        if (!result) {
+          flashButton(copyBtn, t('action.checkInputs'));
+          return;
         }
+        copyToClipboard(buildSummaryText(result), copyBtn);
+      });
+    }
 
-        const overtimePay = overtimeRate * overtimeHours;
-        const regularPay = hourlyRate * regularHours;
-        const totalPay = overtimePay + regularPay;
+    // Timesheet - derive regular and overtime hours from daily shifts
+    if (timesheet && timesheetBody) {
+      buildTimesheet();
 
-        let text = '💰 Overtime Pay Calculation\n';
-        text += '─────────────────\n';
-        text += `Hourly Rate: ${formatCurrency(hourlyRate)}\n`;
-        text += `Overtime Multiplier: ${multiplier}x\n`;
-        text += `Overtime Rate: ${formatCurrency(overtimeRate)}/hr\n`;
-        text += `Overtime Hours: ${overtimeHours}\n`;
-        text += `Regular Hours: ${regularHours}\n`;
-        text += '─────────────────\n';
-        text += `Overtime Pay: ${formatCurrency(overtimePay)}\n`;
-        text += `Regular Pay: ${formatCurrency(regularPay)}\n`;
-        text += `Total Pay: ${formatCurrency(totalPay)}\n`;
-        text += '\n📱 Calculate your overtime at calculateovertimepay.com';
+      timesheetBody.addEventListener('input', updateTimesheet);
+      if (weeklyThresholdInput) weeklyThresholdInput.addEventListener('input', updateTimesheet);
+      timesheet.addEventListener('toggle', updateTimesheet);
+
+      if (clearTimesheetBtn) {
+        clearTimesheetBtn.addEventListener('click', () => {
+          clearTimesheet();
+          updateTimesheet();
+        });
+      }
+    }
+
+    // Helper values don't change the result, but belong in shared links
+    [payTimeframeSelect, totalPayInput, weeklyHoursInput, customPeriodsInput, workDaysInput, paidHolidaysInput, ptoDaysInput].forEach(input => {
+      if (input) input.addEventListener('change', syncUrl);
+    });
 
-        copyToClipboard(text, copyBtn);
+    // Share button - the URL always mirrors the current inputs
+    if (shareBtn) {
+      shareBtn.addEventListener('click', () => {
+        syncUrl();
+        copyToClipboard(window.location.href, shareBtn);
       });
     }
 
-    // Auto-calculate on input change for real-time updates
+    // Auto-calculate on input change for real-time updates. Without pay
+    // the results stay at zero, but the inputs are still checked.
     const inputsToWatch = [hourlyRateInput, overtimeHoursInput, regularHoursInput, overtimeRateInput, customMultiplierInput];
     inputsToWatch.forEach(input => {
-      if (input) {
-        input.addEventListener('input', () => {
-          // Only auto-calculate if we have minimum required values
-          if (hourlyRateInput && hourlyRateInput.value) {
-            calculate();
-          }
-        });
-      }
+      if (input) input.addEventListener('input', calculate);
     });
 
     // ============================================
@@ -387,175 +813,3798 @@
 
     function getMultiplier() {
       if (overtimeMultiplierSelect && overtimeMultiplierSelect.value === 'other') {
-        return parseFloat(customMultiplierInput ? customMultiplierInput.value : 1.5) || 1.5;
+        return OvertimePay.resolveMultiplier(customMultiplierInput ? numberValue(customMultiplierInput) : null);
       }
-      return parseFloat(overtimeMultiplierSelect ? overtimeMultiplierSelect.value : 1.5) || 1.5;
+      return OvertimePay.resolveMultiplier(overtimeMultiplierSelect ? overtimeMultiplierSelect.value : null);
     }
 
-    function calculate() {
-      // Clear errors
-      if (hourlyRateError) hourlyRateError.textContent = '';
-      if (overtimeHoursError) overtimeHoursError.textContent = '';
-      if (hourlyRateInput) hourlyRateInput.classList.remove('error');
-      if (overtimeHoursInput) overtimeHoursInput.classList.remove('error');
+    /**
+     * Whether there is enough pay information to calculate: an hourly rate,
+     * or a weekly salary on the salaried bases
+     */
+    function hasPayInput() {
+      if (getPayBasis() !== 'hourly') return Boolean(weeklySalaryInput && weeklySalaryInput.value);
+      return Boolean(hourlyRateInput && hourlyRateInput.value);
+    }
 
-      const hourlyRate = parseFloat(hourlyRateInput ? hourlyRateInput.value : 0) || 0;
-      const overtimeHours = parseFloat(overtimeHoursInput ? overtimeHoursInput.value : 0) || 0;
-      const regularHours = parseFloat(regularHoursInput ? regularHoursInput.value : 40) || 40;
+    function getPayBasis() {
+      return payBasisSelect ? payBasisSelect.value : 'hourly';
+    }
 
-      // Validation
-      let hasError = false;
+    /**
+     * Show the salary inputs for the selected basis. While salaried, the
+     * hourly rate field only displays the rate derived from the salary.
+     */
+    function updatePayBasis() {
+      const payBasis = getPayBasis();
+      const salaried = payBasis !== 'hourly';
 
-      if (hourlyRateInput && hourlyRateInput.value && hourlyRate < 0) {
-        if (hourlyRateError) hourlyRateError.textContent = 'Please enter a positive rate';
-        hourlyRateInput.classList.add('error');
-        hasError = true;
-      }
+      if (salaryGroup) salaryGroup.classList.toggle('hidden', !salaried);
+      if (salaryHoursGroup) salaryHoursGroup.classList.toggle('hidden', payBasis !== 'salary');
+      if (hourlyRateInput) hourlyRateInput.readOnly = salaried;
 
-      if (overtimeHoursInput && overtimeHoursInput.value && overtimeHours < 0) {
-        if (overtimeHoursError) overtimeHoursError.textContent = 'Please enter positive hours';
-        overtimeHoursInput.classList.add('error');
-        hasError = true;
+      if (payBasisHint) {
+        if (payBasis === 'salary') {
+          payBasisHint.textContent = t('payBasis.hintSalary');
+        } else if (payBasis === 'fluctuating') {
+          payBasisHint.textContent = t('payBasis.hintFluctuating');
+        } else {
+          payBasisHint.textContent = t('payBasis.hint');
+        }
       }
+    }
 
-      if (hasError || hourlyRate <= 0) {
-        updateResults(0, 0, 0, 0, 0, 0, 0);
-        return;
-      }
+    function getJurisdiction() {
+      return jurisdictionSelect && jurisdictionSelect.value ? localizeJurisdiction(OvertimePay.getJurisdiction(jurisdictionSelect.value)) : null;
+    }
 
-      // Get multiplier
-      const multiplier = getMultiplier();
+    /**
+     * Read the form into the engine's input shape. Timesheet hours and the
+     * selected jurisdiction's rules take precedence over the hour inputs.
+     */
+    function readInputs() {
+      const inputs = {
+        currency: currentCurrency,
+        hourlyRate: parseNumber(hourlyRateInput ? hourlyRateInput.value : 0) || 0,
+        overtimeHours: parseNumber(overtimeHoursInput ? overtimeHoursInput.value : 0) || 0,
+        regularHours: OvertimePay.toNumber(numberValue(regularHoursInput), OvertimePay.DEFAULT_REGULAR_HOURS),
+        multiplier: getMultiplier(),
+        overtimeRateOverride: overtimeRateInput ? numberValue(overtimeRateInput) : null,
+        payBasis: getPayBasis(),
+        weeklySalary: parseNumber(weeklySalaryInput ? weeklySalaryInput.value : 0) || 0,
+        salaryHours: OvertimePay.toNumber(numberValue(salaryHoursInput), OvertimePay.DEFAULT_REGULAR_HOURS)
+      };
 
-      // Calculate overtime rate (use direct input if provided, otherwise calculate)
-      let overtimeRate = overtimeRateInput ? parseFloat(overtimeRateInput.value) : 0;
-      if (!overtimeRate || overtimeRate <= 0) {
-        overtimeRate = hourlyRate * multiplier;
+      const week = getTimesheetWeek();
+      if (week) {
+        inputs.regularHours = week.regularHours;
+        inputs.overtimeHours = week.overtimeHours;
       }
 
-      // Calculate pays
-      const overtimePay = overtimeRate * overtimeHours;
-      const regularPay = hourlyRate * regularHours;
-      const totalPay = overtimePay + regularPay;
+      const extraTiers = readExtraTiers();
+      if (extraTiers.length) {
+        inputs.tiers = [{
+          label: t('tier.title', { number: 1 }),
+          hours: inputs.overtimeHours,
+          multiplier: inputs.multiplier,
+          rate: inputs.overtimeRateOverride
+        }].concat(extraTiers);
+      }
 
-      // Update display
-      updateResults(hourlyRate, overtimeRate, overtimeHours, regularHours, overtimePay, regularPay, totalPay);
-    }
+      const extraPay = readExtraPay();
+      if (extraPay) inputs.extraPay = extraPay;
 
-    function updateResults(hourlyRate, overtimeRate, overtimeHours, regularHours, overtimePay, regularPay, totalPay) {
-      // Main page results
-      if (overtimeTotal) overtimeTotal.textContent = formatCurrency(overtimePay);
-      if (resultOtHours) resultOtHours.textContent = overtimeHours;
-      if (resultOtRate) resultOtRate.textContent = formatCurrency(overtimeRate) + '/hr';
-      if (regularPayTotal) regularPayTotal.textContent = formatCurrency(regularPay);
-      if (resultRegularHours) resultRegularHours.textContent = regularHours;
-      if (resultHourlyRate) resultHourlyRate.textContent = formatCurrency(hourlyRate) + '/hr';
-      if (resultOtPayLine) resultOtPayLine.textContent = formatCurrency(overtimePay);
-      if (totalPayDisplay) totalPayDisplay.textContent = formatCurrency(totalPay);
+      const jurisdiction = getJurisdiction();
+      if (jurisdiction) {
+        const split = OvertimePay.applyJurisdiction(jurisdiction, week
+          ? { days: week.days }
+          : { totalHours: inputs.regularHours + inputs.overtimeHours });
 
-      // Embed page results
-      if (overtimePayResult) overtimePayResult.textContent = formatCurrency(overtimePay);
-      if (overtimeRateDisplay) overtimeRateDisplay.textContent = formatCurrency(overtimeRate) + '/hr';
-      if (regularPayDisplay) regularPayDisplay.textContent = formatCurrency(regularPay);
-      if (totalPayDisplayEmbed) totalPayDisplayEmbed.textContent = formatCurrency(totalPay);
+        inputs.regularHours = split.regularHours;
+        inputs.overtimeHours = split.overtimeHours;
+        inputs.tiers = split.tiers.map(tier => Object.assign({}, tier, {
+          label: t(tier.labelKey, tier.params.over !== undefined ? { over: formatHours(tier.params.over) } : {})
+        }));
+        inputs.jurisdiction = jurisdiction;
+      }
+
+      return inputs;
     }
 
-    function reset() {
-      // Reset all inputs
-      if (hourlyRateInput) hourlyRateInput.value = '';
-      if (overtimeHoursInput) overtimeHoursInput.value = '';
-      if (regularHoursInput) regularHoursInput.value = '';
-      if (overtimeRateInput) overtimeRateInput.value = '';
-      if (overtimeMultiplierSelect) overtimeMultiplierSelect.value = '1.5';
-      if (customMultiplierInput) customMultiplierInput.value = '';
-      if (customMultiplierGroup) customMultiplierGroup.classList.add('hidden');
+    /**
+     * The inputs in play as plain number strings, keyed like
+     * OvertimePay.INPUT_BOUNDS. Inputs the law or the timesheet overrides
+     * aren't checked.
+     */
+    function readValidatedValues() {
+      const payBasis = getPayBasis();
+      const jurisdiction = getJurisdiction();
+      const fields = [];
 
-      // Reset helper
-      if (totalPayInput) totalPayInput.value = '';
-      if (payTimeframeSelect) payTimeframeSelect.value = 'week';
-      if (weeklyHoursInput) weeklyHoursInput.value = weeklyHoursInput.placeholder || '40';
-      if (helperResult) {
-        helperResult.classList.add('hidden');
-        helperResult.textContent = '';
+      if (payBasis === 'hourly') {
+        fields.push('hourlyRate');
+      } else {
+        fields.push('weeklySalary');
+        if (payBasis === 'salary') fields.push('salaryHours');
       }
-      if (helperContent) helperContent.classList.add('hidden');
-      if (helperToggle) helperToggle.setAttribute('aria-expanded', 'false');
-
-      // Reset results
-      updateResults(0, 0, 0, 40, 0, 0, 0);
+      if (!jurisdiction) {
+        if (overtimeMultiplierSelect && overtimeMultiplierSelect.value === 'other') fields.push('customMultiplier');
+        fields.push('overtimeRate');
+      }
+      if (!getTimesheetWeek()) fields.push('overtimeHours', 'regularHours');
+      const extraPayOpen = Boolean(extraPayPanel && extraPayPanel.open);
+      if (extraPayOpen) fields.push('bonusPay', 'commissionPay');
 
-      // Clear errors
-      if (hourlyRateError) hourlyRateError.textContent = '';
-      if (overtimeHoursError) overtimeHoursError.textContent = '';
-      if (hourlyRateInput) hourlyRateInput.classList.remove('error');
-      if (overtimeHoursInput) overtimeHoursInput.classList.remove('error');
+      const values = {};
+      fields.forEach(field => {
+        if (validatedInputs[field]) values[field] = numberValue(validatedInputs[field]);
+      });
+      if (!jurisdiction) values.tiers = readExtraTiers();
+      if (extraPayOpen) values.differentials = readDifferentials();
+      return values;
     }
 
-    // Initialize with default values
-    updateResults(0, 0, 0, 40, 0, 0, 0);
-  }
+    /**
+     * Show a message under each input that has one, clear the rest, and
+     * announce them all through the live region
+     *
+     * @param {Object<string, string>} messages - By bounds key
+     * @param {string[]} [rowAnnouncements] - From showRowErrors, read out after the fields
+     */
+    function showFieldErrors(messages, rowAnnouncements) {
+      fieldErrors = messages;
 
-  // ============================================
-  // Country Accordion
-  // ============================================
+      Object.keys(validatedInputs).forEach(field => {
+        const input = validatedInputs[field];
+        if (!input) return;
 
-  function initCountryAccordion() {
-    const accordions = document.querySelectorAll('.country-accordion');
+        setInputError(input, $(input.id + '-error'), messages[field]);
+      });
 
-    accordions.forEach(accordion => {
-      const summary = accordion.querySelector('summary');
-      if (!summary) return;
+      fieldAnnouncements = announceFields(validatedInputs, messages).concat(rowAnnouncements || []);
+      announceErrors();
+    }
 
-      summary.addEventListener('click', (e) => {
-        // Let the native details behavior handle open/close
-        // We could add animations here if needed
+    /**
+     * Show a panel's messages under its inputs, clear the rest, and
+     * announce them after the week's own
+     *
+     * @param {string} panel - Name the panel's messages are kept under
+     * @param {Object<string, Element>} inputs - By bounds key
+     * @param {Object<string, string>} messages - By bounds key
+     */
+    function showPanelErrors(panel, inputs, messages) {
+      Object.keys(inputs).forEach(field => {
+        const input = inputs[field];
+        if (input) setInputError(input, $(input.id + '-error'), messages[field]);
       });
-    });
-  }
-
-  // ============================================
-  // Embed Modal
-  // ============================================
 
-  function initEmbedModal() {
-    const embedBtn = $('embed-btn');
-    const modal = $('embed-modal');
-    const modalClose = modal ? modal.querySelector('.modal-close') : null;
-    const modalBackdrop = modal ? modal.querySelector('.modal-backdrop') : null;
-    const copyEmbedBtn = $('copy-embed');
-    const embedCode = $('embed-code');
+      panelAnnouncements[panel] = announceFields(inputs, messages);
+      announceErrors();
+    }
 
-    if (!embedBtn || !modal) return;
+    function announceFields(inputs, messages) {
+      return Object.keys(messages).map(field => {
+        const label = inputs[field] && document.querySelector(`label[for="${inputs[field].id}"]`);
+        return t('error.announce', { field: label ? label.textContent.trim() : field, message: messages[field] });
+      });
+    }
 
-    let previouslyFocused = null;
+    function announceErrors() {
+      if (!errorAnnouncer) return;
 
-    function openModal() {
-      previouslyFocused = document.activeElement;
-      modal.hidden = false;
-      document.body.style.overflow = 'hidden';
+      const announcement = Object.keys(panelAnnouncements)
+        .reduce((all, panel) => all.concat(panelAnnouncements[panel]), fieldAnnouncements)
+        .join('. ');
 
-      setTimeout(() => modalClose && modalClose.focus(), 50);
-      modal.addEventListener('keydown', trapFocus);
+      // Only a change is read out, so typing into a field in error stays quiet
+      if (errorAnnouncer.textContent !== announcement) errorAnnouncer.textContent = announcement;
     }
 
-    function closeModal() {
-      modal.hidden = true;
-      document.body.style.overflow = '';
-      modal.removeEventListener('keydown', trapFocus);
+    /**
+     * Check the hourly rate helper's inputs; the periods per year only
+     * while a custom frequency is picked
+     */
+    function validateHelper() {
+      const values = {};
+      Object.keys(helperInputs).forEach(field => {
+        const input = helperInputs[field];
+        if (input && !(field === 'customPeriods' && payTimeframeSelect && payTimeframeSelect.value !== 'custom')) {
+          values[field] = numberValue(input);
+        }
+      });
 
-      if (previouslyFocused) {
-        previouslyFocused.focus();
-      }
+      const validation = OvertimePay.validateCalculatorInputs(values, { currency: currentCurrency });
+      const messages = {};
+      Object.keys(validation.errors).forEach(field => {
+        messages[field] = validationMessage(validation.errors[field]);
+      });
+      showPanelErrors('helper', helperInputs, messages);
+      return validation.valid;
     }
 
-    function trapFocus(e) {
-      if (e.key === 'Escape') {
-        closeModal();
-        return;
-      }
+    /**
+     * Show each row's messages on its error line and mark the inputs in
+     * error; clear the rest
+     *
+     * @param {Element|null} container
+     * @param {Array<Object|null>} [errors] - Per row, by row field (see OvertimePay.validateCalculatorInputs)
+     * @param {Object<string, string>} inputs - The data-field of each row field's input
+     * @returns {string[]} what to announce for the rows in error
+     */
+    function showRowErrors(container, errors, inputs) {
+      if (!container) return [];
 
-      if (e.key !== 'Tab') return;
+      return Array.from(container.querySelectorAll('.overtime-tier')).map((row, index) => {
+        const rowErrors = (errors && errors[index]) || {};
+        const message = Object.keys(inputs).map(field => {
+          const input = row.querySelector(`[data-field="${inputs[field]}"]`);
+          const fieldMessage = rowErrors[field] ? validationMessage(rowErrors[field]) : '';
+          setInputError(input, null, fieldMessage);
+          return fieldMessage && t('error.announce', { field: input.closest('label').firstElementChild.textContent, message: fieldMessage });
+        }).filter(Boolean).join('. ');
 
-      const focusableElements = modal.querySelectorAll(
+        row.querySelector('.error-msg').textContent = message;
+        return message && t('error.announce', { field: row.querySelector('.overtime-tier-title').textContent, message: message });
+      }).filter(Boolean);
+    }
+
+    /**
+     * Whether the open timesheet has a day in error (see OvertimePay.shiftError)
+     */
+    function hasTimesheetErrors() {
+      if (!timesheet || !timesheetBody || !timesheet.open) return false;
+      return OvertimePay.summarizeWeek(readTimesheet()).errors.some(Boolean);
+    }
+
+    /**
+     * Validate the form and show its result. Returns the result, or null
+     * while an input or timesheet day is invalid or there is no pay to price.
+     */
+    function calculate() {
+      const week = getTimesheetWeek();
+      const validation = OvertimePay.validateCalculatorInputs(readValidatedValues(), {
+        currency: currentCurrency,
+        timesheetHours: week ? week.totalHours : undefined
+      });
+      const messages = {};
+      Object.keys(validation.errors).forEach(field => {
+        messages[field] = validationMessage(validation.errors[field]);
+      });
+      showFieldErrors(messages, [].concat(
+        showRowErrors(tiersContainer, validation.rowErrors.tiers, { hours: 'hours', multiplier: 'customMultiplier', rate: 'rate' }),
+        showRowErrors(differentialsContainer, validation.rowErrors.differentials, { hours: 'hours', rate: 'rate' })
+      ));
+
+      const inputs = readInputs();
+      const hasPay = inputs.payBasis === 'hourly' ? inputs.hourlyRate > 0 : inputs.weeklySalary > 0;
+
+      if (!validation.valid || hasTimesheetErrors() || !hasPay) {
+        lastErrors = fieldAnnouncements;
+        updateResults(OvertimePay.computeOvertime({ regularHours: 0 }));
+        syncUrl();
+        return null;
+      }
+
+      const result = OvertimePay.computeOvertime(inputs);
+      if (hourlyRateInput && result.payBasis !== 'hourly') setNumberValue(hourlyRateInput, result.hourlyRate.toFixed(2));
+
+      lastErrors = null;
+      updateResults(result);
+      syncUrl();
+      return result;
+    }
+
+    function updateResults(result) {
+      lastResult = result;
+
+      // Main page results
+      if (overtimeTotal) overtimeTotal.textContent = formatCurrency(result.overtimePay);
+      if (resultOtHours) resultOtHours.textContent = formatHours(result.overtimeHours);
+      if (resultOtRate) resultOtRate.textContent = t('results.perHour', { amount: formatCurrency(result.overtimeRate) });
+      if (regularPayTotal) regularPayTotal.textContent = formatCurrency(result.regularPay);
+      if (resultRegularHours) resultRegularHours.textContent = formatHours(result.regularHours);
+      if (resultHourlyRate) resultHourlyRate.textContent = t('results.perHour', { amount: formatCurrency(result.hourlyRate) });
+      if (resultOtPayLine) resultOtPayLine.textContent = formatCurrency(result.overtimePay);
+      if (totalPayDisplay) totalPayDisplay.textContent = formatCurrency(result.totalPay);
+      renderTiers(result);
+      renderPayBasis(result);
+      renderRegularRate(result);
+
+      // Embed page results
+      if (overtimePayResult) overtimePayResult.textContent = formatCurrency(result.overtimePay);
+      if (overtimeRateDisplay) overtimeRateDisplay.textContent = t('results.perHour', { amount: formatCurrency(result.overtimeRate) });
+      if (regularPayDisplay) regularPayDisplay.textContent = formatCurrency(result.regularPay);
+      if (totalPayDisplayEmbed) totalPayDisplayEmbed.textContent = formatCurrency(result.totalPay);
+
+      resultListeners.forEach(listener => listener(result));
+    }
+
+    /**
+     * Itemize overtime tiers when there is more than one band or a law behind it
+     */
+    function renderTiers(result) {
+      if (!resultTiers) return;
+
+      const itemized = hasItemizedTiers(result);
+      resultTiers.classList.toggle('hidden', !itemized);
+      resultTiers.innerHTML = '';
+      if (!itemized) return;
+
+      result.tiers.forEach(tier => {
+        const item = document.createElement('li');
+        item.className = 'result-tier';
+        item.innerHTML = `
+          <span class="result-tier-label"></span>
+          <span class="result-tier-value">${formatCurrency(tier.pay)}</span>
+          <small class="result-tier-source"></small>
+        `;
+        item.querySelector('.result-tier-label').textContent = t('results.tier', {
+          label: tier.label,
+          hours: formatHours(tier.hours),
+          rate: formatCurrency(tier.rate),
+          multiplier: tier.multiplier
+        });
+        item.querySelector('.result-tier-source').textContent = tier.source || '';
+        resultTiers.appendChild(item);
+      });
+    }
+
+    /**
+     * Explain where a salaried hourly rate comes from, and why a fluctuating
+     * workweek rate moves with the hours worked
+     */
+    function renderPayBasis(result) {
+      if (!payBasisExplainer) return;
+
+      const show = result.payBasis !== 'hourly' && result.weeklySalary > 0;
+      payBasisExplainer.classList.toggle('hidden', !show);
+      if (!show) return;
+
+      payBasisExplainer.textContent = t(result.payBasis === 'salary' ? 'payBasis.explainSalary' : 'payBasis.explainFluctuating', {
+        salary: formatCurrency(result.weeklySalary),
+        hours: formatHours(result.payBasis === 'salary' ? result.salaryHours : result.totalHours),
+        rate: formatCurrency(result.hourlyRate),
+        multiplier: result.multiplier
+      });
+    }
+
+    /**
+     * Show how bonuses, commissions and differentials change the regular rate
+     */
+    function renderRegularRate(result) {
+      if (!regularRateResults) return;
+
+      const extraPay = result.extraPay;
+      regularRateResults.classList.toggle('hidden', !extraPay || extraPay.total <= 0);
+      if (!extraPay || extraPay.total <= 0) return;
+
+      if (resultBonusPay) resultBonusPay.textContent = formatCurrency(extraPay.bonus + extraPay.commission);
+      if (resultDifferentialPay) resultDifferentialPay.textContent = formatCurrency(extraPay.differential);
+      if (resultRegularRate) resultRegularRate.textContent = t('results.perHour', { amount: formatCurrency(result.regularRate) });
+      if (resultRateAdjustment) resultRateAdjustment.textContent = formatCurrency(result.regularRateAdjustment);
+
+      if (regularRateExplainer) {
+        const straightTimePay = result.hourlyRate * result.totalHours + extraPay.total;
+        regularRateExplainer.textContent = result.overtimeHours > 0
+          ? t('extraPay.explain', {
+            pay: formatCurrency(straightTimePay),
+            hours: formatHours(result.totalHours),
+            regularRate: formatCurrency(result.regularRate),
+            hourlyRate: formatCurrency(result.hourlyRate),
+            adjustment: formatCurrency(result.regularRateAdjustment)
+          })
+          : t('extraPay.explainNoOvertime');
+      }
+    }
+
+    function hasItemizedTiers(result) {
+      return result.tiers.length > 1 || Boolean(result.tiers[0].source);
+    }
+
+    /**
+     * Plain-text summary used by the copy button
+     */
+    function buildSummaryText(result) {
+      let text = t('summary.title') + '\n';
+      text += '─────────────────\n';
+      if (result.payBasis === 'salary') {
+        text += t('summary.salaryFixed', { salary: formatCurrency(result.weeklySalary), hours: formatHours(result.salaryHours) }) + '\n';
+      } else if (result.payBasis === 'fluctuating') {
+        text += t('summary.salaryFluctuating', { salary: formatCurrency(result.weeklySalary) }) + '\n';
+      }
+      text += t('summary.hourlyRate', { rate: formatCurrency(result.hourlyRate) }) + '\n';
+      if (result.tiers.length > 1) {
+        text += t('summary.averageOvertimeRate', { rate: formatCurrency(result.overtimeRate) }) + '\n';
+      } else {
+        text += t('summary.multiplier', { multiplier: result.multiplier }) + '\n';
+        text += t('summary.overtimeRate', { rate: formatCurrency(result.overtimeRate) }) + '\n';
+      }
+      text += t('summary.overtimeHours', { hours: formatHours(result.overtimeHours) }) + '\n';
+      text += t('summary.regularHours', { hours: formatHours(result.regularHours) }) + '\n';
+      if (hasItemizedTiers(result)) {
+        text += '─────────────────\n';
+        result.tiers.forEach(tier => {
+          text += t('summary.tier', { label: tier.label, hours: formatHours(tier.hours), rate: formatCurrency(tier.rate), pay: formatCurrency(tier.pay) });
+          text += tier.source ? ` (${tier.source})\n` : '\n';
+        });
+      }
+      if (result.extraPay.total > 0) {
+        text += '─────────────────\n';
+        text += t('summary.bonus', { amount: formatCurrency(result.extraPay.bonus + result.extraPay.commission) }) + '\n';
+        text += t('summary.differential', { amount: formatCurrency(result.extraPay.differential) }) + '\n';
+        text += t('summary.regularRate', { rate: formatCurrency(result.regularRate) }) + '\n';
+        text += t('summary.adjustment', { amount: formatCurrency(result.regularRateAdjustment) }) + '\n';
+      }
+      text += '─────────────────\n';
+      text += t('summary.overtimePay', { amount: formatCurrency(result.overtimePay) }) + '\n';
+      text += t('summary.regularPay', { amount: formatCurrency(result.regularPay) }) + '\n';
+      text += t('summary.totalPay', { amount: formatCurrency(result.totalPay) }) + '\n';
+      text += '\n' + t('summary.footer');
+      return text;
+    }
+
+    // ============================================
+    // Timesheet Functions
+    // ============================================
+
+    function buildTimesheet() {
+      OvertimePay.WEEKDAYS.forEach((day, index) => {
+        const row = document.createElement('tr');
+        row.dataset.day = index;
+        row.innerHTML = `
+          <th scope="row"></th>
+          <td><input type="time" class="expense-input" data-field="start"></td>
+          <td>
+            <input type="time" class="expense-input" data-field="end" aria-describedby="timesheet-error-${index}">
+            <span class="error-msg" id="timesheet-error-${index}"></span>
+          </td>
+          <td><input type="text" class="expense-input" data-field="breakMinutes" placeholder="0" inputmode="numeric" aria-describedby="timesheet-error-${index}"></td>
+          <td class="total-col" data-field="hours">0</td>
+        `;
+        timesheetBody.appendChild(row);
+      });
+      labelTimesheet();
+    }
+
+    /**
+     * Weekday names and field labels in the current language. Rows run
+     * Monday to Sunday; 2024-01-01 was a Monday.
+     */
+    function labelTimesheet() {
+      timesheetBody.querySelectorAll('tr').forEach((row, index) => {
+        const day = new Date(2024, 0, 1 + index).toLocaleDateString(getLocale(), { weekday: 'long' });
+        row.querySelector('th').textContent = day;
+        row.querySelector('[data-field="start"]').setAttribute('aria-label', t('timesheet.startLabel', { day: day }));
+        row.querySelector('[data-field="end"]').setAttribute('aria-label', t('timesheet.endLabel', { day: day }));
+        row.querySelector('[data-field="breakMinutes"]').setAttribute('aria-label', t('timesheet.breakLabel', { day: day }));
+      });
+    }
+
+    function readTimesheet() {
+      return Array.from(timesheetBody.querySelectorAll('tr')).map(row => ({
+        start: row.querySelector('[data-field="start"]').value,
+        end: row.querySelector('[data-field="end"]').value,
+        breakMinutes: numberValue(row.querySelector('[data-field="breakMinutes"]'))
+      }));
+    }
+
+    function clearTimesheet() {
+      if (!timesheetBody) return;
+      timesheetBody.querySelectorAll('input').forEach(input => {
+        input.value = '';
+      });
+      if (weeklyThresholdInput) setNumberValue(weeklyThresholdInput, OvertimePay.DEFAULT_WEEKLY_THRESHOLD);
+    }
+
+    /**
+     * The timesheet week while the timesheet is open and has hours, else null
+     */
+    function getTimesheetWeek() {
+      if (!timesheet || !timesheetBody || !timesheet.open) return null;
+
+      const week = OvertimePay.summarizeWeek(readTimesheet(), weeklyThresholdInput ? numberValue(weeklyThresholdInput) : null);
+      return week.totalHours > 0 ? week : null;
+    }
+
+    /**
+     * Refresh the timesheet totals and, while it is active, drive the
+     * regular/overtime hour inputs from it
+     */
+    function updateTimesheet() {
+      const week = OvertimePay.summarizeWeek(readTimesheet(), weeklyThresholdInput ? numberValue(weeklyThresholdInput) : null);
+
+      timesheetBody.querySelectorAll('tr').forEach((row, index) => {
+        const error = week.errors[index];
+        // Break errors are marked on the break, the rest on the end time
+        const errorField = error === 'timesheet.errorSameTime' ? 'end' : 'breakMinutes';
+
+        row.querySelector('[data-field="hours"]').textContent = formatHours(week.days[index]);
+        row.querySelector('.error-msg').textContent = error ? t(error) : '';
+        ['end', 'breakMinutes'].forEach(field => {
+          setInputError(row.querySelector(`[data-field="${field}"]`), null, error && field === errorField ? t(error) : '');
+        });
+      });
+      if (timesheetTotal) timesheetTotal.textContent = formatHours(week.totalHours);
+
+      const active = Boolean(getTimesheetWeek());
+
+      [overtimeHoursInput, regularHoursInput].forEach(input => {
+        if (input) input.readOnly = active;
+      });
+
+      if (!active) {
+        if (timesheetSummary) timesheetSummary.textContent = '';
+        if (hasPayInput()) calculate();
+        return;
+      }
+
+      const inputs = readInputs();
+      const rules = inputs.jurisdiction
+        ? t('timesheet.rulesJurisdiction', { name: inputs.jurisdiction.name })
+        : t('timesheet.rulesWeekly', { hours: formatHours(week.weeklyThreshold) });
+
+      if (timesheetSummary) {
+        timesheetSummary.textContent = t('timesheet.summary', {
+          total: formatHours(week.totalHours),
+          regular: formatHours(inputs.regularHours),
+          overtime: formatHours(inputs.overtimeHours),
+          rules: rules
+        });
+      }
+      if (overtimeHoursInput) overtimeHoursInput.value = formatHours(inputs.overtimeHours);
+      if (regularHoursInput) regularHoursInput.value = formatHours(inputs.regularHours);
+
+      if (hasPayInput()) {
+        calculate();
+      }
+    }
+
+    // ============================================
+    // Overtime Tier Functions
+    // ============================================
+
+    /**
+     * Append a tier row. Tier 1 is always the main overtime hours,
+     * multiplier and direct rate inputs above.
+     */
+    function addTierRow(values) {
+      values = values || {};
+      const errorId = `tier-${nextRowId++}-error`;
+      const row = document.createElement('div');
+      row.className = 'overtime-tier';
+      row.innerHTML = `
+        <div class="overtime-tier-header">
+          <span class="overtime-tier-title"></span>
+          <button type="button" class="btn-remove-row btn-remove-tier">&times;</button>
+        </div>
+        <div class="overtime-tier-fields">
+          <label><span data-i18n="tier.hours">${t('tier.hours')}</span>
+            <input type="text" data-field="hours" placeholder="0" inputmode="decimal" aria-describedby="${errorId}">
+          </label>
+          <label><span data-i18n="tier.multiplier">${t('tier.multiplier')}</span>
+            <select data-field="multiplier">
+              <option value="1.5">1.5x</option>
+              <option value="1.75">1.75x</option>
+              <option value="2" selected>2x</option>
+              <option value="2.5">2.5x</option>
+              <option value="3">3x</option>
+              <option value="other" data-i18n="tier.other">${t('tier.other')}</option>
+            </select>
+          </label>
+          <label class="tier-custom hidden"><span data-i18n="tier.custom">${t('tier.custom')}</span>
+            <input type="text" data-field="customMultiplier" placeholder="2" inputmode="decimal" aria-describedby="${errorId}">
+          </label>
+          <label><span data-i18n="tier.rate">${t('tier.rate')}</span>
+            <input type="text" data-field="rate" placeholder="${t('tier.auto')}" inputmode="decimal" data-i18n-placeholder="tier.auto" aria-describedby="${errorId}">
+          </label>
+        </div>
+        <span class="error-msg" id="${errorId}"></span>
+      `;
+
+      if (values.hours !== undefined) setNumberValue(row.querySelector('[data-field="hours"]'), values.hours);
+      if (values.rate) setNumberValue(row.querySelector('[data-field="rate"]'), values.rate);
+      if (values.multiplier !== undefined) {
+        const select = row.querySelector('[data-field="multiplier"]');
+        const preset = Array.from(select.options).some(option => option.value === String(values.multiplier));
+        select.value = preset ? String(values.multiplier) : 'other';
+        if (!preset) {
+          setNumberValue(row.querySelector('[data-field="customMultiplier"]'), values.multiplier);
+          row.querySelector('.tier-custom').classList.remove('hidden');
+        }
+      }
+
+      tiersContainer.appendChild(row);
+      renumberTiers();
+      return row;
+    }
+
+    function renumberTiers() {
+      tiersContainer.querySelectorAll('.overtime-tier').forEach((row, index) => {
+        const title = t('tier.title', { number: index + 2 });
+        row.querySelector('.overtime-tier-title').textContent = title;
+        row.querySelector('.btn-remove-tier').setAttribute('aria-label', t('row.remove', { title: title }));
+      });
+    }
+
+    /**
+     * The tier rows as plain number strings. A blank custom multiplier is
+     * left for the engine's default; anything else is checked as typed.
+     */
+    function readExtraTiers() {
+      if (!tiersContainer) return [];
+
+      return Array.from(tiersContainer.querySelectorAll('.overtime-tier')).map((row, index) => {
+        const select = row.querySelector('[data-field="multiplier"]');
+
+        return {
+          label: t('tier.title', { number: index + 2 }),
+          hours: numberValue(row.querySelector('[data-field="hours"]')),
+          multiplier: select.value === 'other' ? numberValue(row.querySelector('[data-field="customMultiplier"]')) : select.value,
+          rate: numberValue(row.querySelector('[data-field="rate"]'))
+        };
+      });
+    }
+
+    // ============================================
+    // Regular Rate Functions
+    // ============================================
+
+    function addDifferentialRow(values) {
+      values = values || {};
+      const errorId = `differential-${nextRowId++}-error`;
+      const row = document.createElement('div');
+      row.className = 'overtime-tier differential';
+      row.innerHTML = `
+        <div class="overtime-tier-header">
+          <span class="overtime-tier-title"></span>
+          <button type="button" class="btn-remove-row">&times;</button>
+        </div>
+        <div class="overtime-tier-fields">
+          <label><span data-i18n="tier.hours">${t('tier.hours')}</span>
+            <input type="text" data-field="hours" placeholder="0" inputmode="decimal" aria-describedby="${errorId}">
+          </label>
+          <label><span data-i18n="extraPay.differentialRate">${t('extraPay.differentialRate')}</span>
+            <input type="text" data-field="rate" placeholder="${OvertimePay.formatInputNumber('0.00', getLocale())}" data-placeholder="0.00" inputmode="decimal" aria-describedby="${errorId}">
+          </label>
+        </div>
+        <span class="error-msg" id="${errorId}"></span>
+      `;
+
+      if (values.hours !== undefined) setNumberValue(row.querySelector('[data-field="hours"]'), values.hours);
+      if (values.rate !== undefined) setNumberValue(row.querySelector('[data-field="rate"]'), values.rate);
+
+      differentialsContainer.appendChild(row);
+      renumberDifferentials();
+      return row;
+    }
+
+    function renumberDifferentials() {
+      differentialsContainer.querySelectorAll('.differential').forEach((row, index) => {
+        const title = t('extraPay.differential', { number: index + 1 });
+        row.querySelector('.overtime-tier-title').textContent = title;
+        row.querySelector('.btn-remove-row').setAttribute('aria-label', t('row.remove', { title: title }));
+      });
+    }
+
+    function readDifferentials() {
+      if (!differentialsContainer) return [];
+
+      return Array.from(differentialsContainer.querySelectorAll('.differential')).map((row, index) => ({
+        label: t('extraPay.differential', { number: index + 1 }),
+        hours: numberValue(row.querySelector('[data-field="hours"]')),
+        rate: numberValue(row.querySelector('[data-field="rate"]'))
+      }));
+    }
+
+    /**
+     * Bonuses, commissions and differentials, while the panel is open
+     */
+    function readExtraPay() {
+      if (!extraPayPanel || !extraPayPanel.open) return null;
+
+      return {
+        bonus: numberValue(bonusInput),
+        commission: numberValue(commissionInput),
+        differentials: readDifferentials()
+      };
+    }
+
+    // ============================================
+    // Jurisdiction Functions
+    // ============================================
+
+    function populateJurisdictions() {
+      const groups = {};
+
+      OvertimePay.JURISDICTIONS.forEach(jurisdiction => {
+        if (!groups[jurisdiction.groupKey]) {
+          groups[jurisdiction.groupKey] = document.createElement('optgroup');
+          groups[jurisdiction.groupKey].dataset.key = jurisdiction.groupKey;
+          jurisdictionSelect.appendChild(groups[jurisdiction.groupKey]);
+        }
+
+        const option = document.createElement('option');
+        option.value = jurisdiction.id;
+        option.dataset.key = jurisdiction.key;
+        groups[jurisdiction.groupKey].appendChild(option);
+      });
+      labelJurisdictions();
+    }
+
+    // Group and jurisdiction names, redone after a language change
+    function labelJurisdictions() {
+      jurisdictionSelect.querySelectorAll('optgroup[data-key]').forEach(group => {
+        group.label = t(group.dataset.key);
+      });
+      jurisdictionSelect.querySelectorAll('option[data-key]').forEach(option => {
+        option.textContent = t(option.dataset.key);
+      });
+    }
+
+    // ============================================
+    // State Functions
+    // ============================================
+
+    /**
+     * Snapshot of the form values, in the shape url-state.js serializes.
+     * Numbers are plain strings ("1234.5") whatever the language.
+     */
+    function getState() {
+      const timesheetOpen = Boolean(timesheet && timesheetBody && timesheet.open);
+      const multiplier = overtimeMultiplierSelect ? overtimeMultiplierSelect.value : '';
+      const extraPayOpen = Boolean(extraPayPanel && extraPayPanel.open);
+      const payBasis = getPayBasis();
+
+      return {
+        currency: currencySelect ? currencySelect.value : '',
+        payBasis: payBasis === 'hourly' ? '' : payBasis,
+        weeklySalary: payBasis !== 'hourly' && weeklySalaryInput ? numberValue(weeklySalaryInput) : '',
+        salaryHours: payBasis === 'salary' && salaryHoursInput ? numberValue(salaryHoursInput) : '',
+        hourlyRate: hourlyRateInput && payBasis === 'hourly' ? numberValue(hourlyRateInput) : '',
+        multiplier: multiplier,
+        customMultiplier: multiplier === 'other' && customMultiplierInput ? numberValue(customMultiplierInput) : '',
+        overtimeRate: overtimeRateInput ? numberValue(overtimeRateInput) : '',
+        overtimeHours: overtimeHoursInput && !timesheetOpen ? numberValue(overtimeHoursInput) : '',
+        regularHours: regularHoursInput && !timesheetOpen ? numberValue(regularHoursInput) : '',
+        jurisdiction: jurisdictionSelect ? jurisdictionSelect.value : '',
+        tiers: readExtraTiers().map(tier => ({
+          hours: tier.hours || '0',
+          multiplier: tier.multiplier || String(OvertimePay.resolveMultiplier(null)),
+          rate: tier.rate
+        })),
+        timeframe: payTimeframeSelect && totalPayInput && totalPayInput.value ? payTimeframeSelect.value : '',
+        timeframePay: totalPayInput ? numberValue(totalPayInput) : '',
+        weeklyHours: weeklyHoursInput && totalPayInput && totalPayInput.value ? numberValue(weeklyHoursInput) : '',
+        customPeriods: customPeriodsInput && totalPayInput && totalPayInput.value && payTimeframeSelect.value === 'custom' ? numberValue(customPeriodsInput) : '',
+        workDays: workDaysInput && totalPayInput && totalPayInput.value ? numberValue(workDaysInput) : '',
+        paidHolidays: paidHolidaysInput && totalPayInput && totalPayInput.value ? numberValue(paidHolidaysInput) : '',
+        ptoDays: ptoDaysInput && totalPayInput && totalPayInput.value ? numberValue(ptoDaysInput) : '',
+        bonusPay: extraPayOpen && bonusInput ? numberValue(bonusInput) : '',
+        commissionPay: extraPayOpen && commissionInput ? numberValue(commissionInput) : '',
+        differentials: extraPayOpen ? readDifferentials().map(item => ({ hours: item.hours || '0', rate: item.rate || '0' })) : [],
+        timesheet: timesheetOpen ? readTimesheet() : null,
+        weeklyThreshold: timesheetOpen && weeklyThresholdInput ? numberValue(weeklyThresholdInput) : ''
+      };
+    }
+
+    /**
+     * Load a (partial) state into the form. Keys that are missing are left alone.
+     */
+    function applyState(state) {
+      function setValue(input, value) {
+        if (input && value !== undefined && value !== null) setNumberValue(input, value);
+      }
+
+      if (currencySelect && state.currency) {
+        currencySelect.value = state.currency;
+        currentCurrency = state.currency;
+      }
+      setValue(hourlyRateInput, state.hourlyRate);
+      setValue(weeklySalaryInput, state.weeklySalary);
+      setValue(salaryHoursInput, state.salaryHours);
+      if (payBasisSelect && state.payBasis) {
+        payBasisSelect.value = state.payBasis;
+        updatePayBasis();
+      }
+      setValue(customMultiplierInput, state.customMultiplier);
+      setValue(overtimeRateInput, state.overtimeRate);
+      setValue(overtimeHoursInput, state.overtimeHours);
+      setValue(regularHoursInput, state.regularHours);
+      setValue(totalPayInput, state.timeframePay);
+      setValue(weeklyHoursInput, state.weeklyHours);
+      setValue(customPeriodsInput, state.customPeriods);
+      setValue(workDaysInput, state.workDays);
+      setValue(paidHolidaysInput, state.paidHolidays);
+      setValue(ptoDaysInput, state.ptoDays);
+      if (payTimeframeSelect && state.timeframe) {
+        payTimeframeSelect.value = state.timeframe;
+        if (customPeriodsGroup) customPeriodsGroup.classList.toggle('hidden', state.timeframe !== 'custom');
+      }
+
+      if (overtimeMultiplierSelect && state.multiplier) {
+        overtimeMultiplierSelect.value = state.multiplier;
+        if (customMultiplierGroup) customMultiplierGroup.classList.toggle('hidden', state.multiplier !== 'other');
+      }
+
+      if (tiersContainer && state.tiers) {
+        tiersContainer.innerHTML = '';
+        state.tiers.forEach(tier => addTierRow(tier));
+      }
+
+      if (extraPayPanel && (state.bonusPay || state.commissionPay || (state.differentials && state.differentials.length))) {
+        setValue(bonusInput, state.bonusPay);
+        setValue(commissionInput, state.commissionPay);
+        if (differentialsContainer && state.differentials) {
+          differentialsContainer.innerHTML = '';
+          state.differentials.forEach(item => addDifferentialRow(item));
+        }
+        extraPayPanel.open = true;
+      }
+
+      if (timesheet && timesheetBody && state.timesheet) {
+        timesheetBody.querySelectorAll('tr').forEach((row, index) => {
+          const day = state.timesheet[index] || {};
+          row.querySelector('[data-field="start"]').value = day.start || '';
+          row.querySelector('[data-field="end"]').value = day.end || '';
+          setNumberValue(row.querySelector('[data-field="breakMinutes"]'), day.breakMinutes || '');
+        });
+        setValue(weeklyThresholdInput, state.weeklyThreshold);
+        timesheet.open = true;
+      }
+
+      // The change handler re-runs the timesheet and the calculation
+      if (jurisdictionSelect && state.jurisdiction !== undefined) {
+        jurisdictionSelect.value = state.jurisdiction;
+      }
+      if (jurisdictionSelect) {
+        jurisdictionSelect.dispatchEvent(new Event('change'));
+      } else {
+        calculate();
+      }
+    }
+
+    /**
+     * Mirror the form into the address bar so the page can be bookmarked
+     */
+    function syncUrl() {
+      if (!OvertimePay.serializeState || !window.history || !window.history.replaceState) return;
+
+      const query = OvertimePay.serializeState(getState(), window.location.search);
+      const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+
+      try {
+        window.history.replaceState(null, '', url);
+      } catch (e) {
+        // Some browsers block replaceState on file:// pages
+      }
+    }
+
+    /**
+     * Restore a shared link, reporting rejected parameters under the
+     * hourly rate or overtime hours field
+     */
+    function restoreFromUrl() {
+      if (!OvertimePay.parseState) return;
+
+      const optionValues = select => select ? Array.from(select.options).map(option => option.value) : null;
+      const parsed = OvertimePay.parseState(window.location.search, {
+        currency: optionValues(currencySelect),
+        multiplier: optionValues(overtimeMultiplierSelect),
+        timeframe: optionValues(payTimeframeSelect),
+        payBasis: optionValues(payBasisSelect),
+        jurisdiction: optionValues(jurisdictionSelect)
+      });
+
+      if (!parsed.found) return;
+
+      if (isEmbed) embedDefaults = parsed.state;
+      applyState(parsed.state);
+      calculate();
+
+      if (!parsed.errors.length) return;
+
+      // A bad value is reported under its own input when that input is shown
+      const messages = Object.assign({}, fieldErrors);
+      parsed.errors.forEach(error => {
+        const input = validatedInputs[error.key];
+        const field = input && !input.closest('.hidden') ? error.key : error.group;
+        const message = t(error.messageKey, { label: t(error.params.label) });
+        messages[field] = messages[field] ? messages[field] + '. ' + message : message;
+      });
+      showFieldErrors(messages);
+    }
+
+    /**
+     * Clear the form. Fields the embed's host page locked keep their values,
+     * and on /embed/ the host's link values are put back afterwards.
+     */
+    function reset() {
+      const unlocked = input => Boolean(input) && input.dataset.locked !== 'true';
+
+      // Reset all inputs
+      if (unlocked(hourlyRateInput)) hourlyRateInput.value = '';
+      if (payBasisSelect) {
+        payBasisSelect.value = 'hourly';
+        payBasisSelect.dispatchEvent(new Event('change'));
+      }
+      if (weeklySalaryInput) weeklySalaryInput.value = '';
+      if (salaryHoursInput) salaryHoursInput.value = '';
+      if (overtimeHoursInput) overtimeHoursInput.value = '';
+      if (unlocked(regularHoursInput)) regularHoursInput.value = '';
+      if (unlocked(overtimeRateInput)) overtimeRateInput.value = '';
+      if (unlocked(jurisdictionSelect)) {
+        jurisdictionSelect.value = '';
+        jurisdictionSelect.dispatchEvent(new Event('change'));
+      }
+      if (unlocked(overtimeMultiplierSelect)) {
+        overtimeMultiplierSelect.value = '1.5';
+        if (customMultiplierInput) customMultiplierInput.value = '';
+        if (customMultiplierGroup) customMultiplierGroup.classList.add('hidden');
+      }
+
+      // Reset helper
+      if (totalPayInput) totalPayInput.value = '';
+      if (payTimeframeSelect) payTimeframeSelect.value = 'week';
+      if (weeklyHoursInput) weeklyHoursInput.value = weeklyHoursInput.placeholder || '40';
+      [customPeriodsInput, workDaysInput, paidHolidaysInput, ptoDaysInput].forEach(input => {
+        if (input) input.value = '';
+      });
+      if (customPeriodsGroup) customPeriodsGroup.classList.add('hidden');
+      if (helperResult) {
+        helperResult.classList.add('hidden');
+        helperResult.textContent = '';
+      }
+      if (helperContent) helperContent.classList.add('hidden');
+      if (helperToggle) helperToggle.setAttribute('aria-expanded', 'false');
+
+      // Reset regular rate extras
+      if (extraPayPanel) {
+        if (bonusInput) bonusInput.value = '';
+        if (commissionInput) commissionInput.value = '';
+        if (differentialsContainer) differentialsContainer.innerHTML = '';
+        extraPayPanel.open = false;
+      }
+
+      // Reset timesheet
+      if (timesheet) {
+        clearTimesheet();
+        timesheet.open = false;
+        updateTimesheet();
+      }
+
+      showFieldErrors({});
+
+      // Reset results; applyState recalculates
+      if (embedDefaults) {
+        applyState(embedDefaults);
+      } else {
+        lastErrors = [];
+        updateResults(OvertimePay.computeOvertime({}));
+      }
+
+      syncUrl();
+    }
+
+    /**
+     * Re-render the text built in script after a language change
+     */
+    function refresh() {
+      if (tiersContainer) renumberTiers();
+      if (differentialsContainer) renumberDifferentials();
+      if (timesheet && timesheetBody) labelTimesheet();
+      updatePayBasis();
+      if (calculateHourlyBtn && totalPayInput && payTimeframeSelect) validateHelper();
+
+      // The jurisdiction handler rewrites its note and recalculates
+      if (jurisdictionSelect) {
+        labelJurisdictions();
+        jurisdictionSelect.dispatchEvent(new Event('change'));
+      } else if (hasPayInput()) {
+        calculate();
+      }
+
+      // Without pay nothing recalculates, but the result listeners still relabel
+      if (!hasPayInput()) updateResults(lastResult);
+    }
+
+    // Initialize with default values, then restore any shared link
+    updateResults(OvertimePay.computeOvertime({}));
+    restoreFromUrl();
+
+    // Public surface for the other page features (history, export, ...)
+    return {
+      getState: getState,
+      applyState: applyState,
+      getResult: () => lastResult,
+      getErrors: () => lastErrors,
+      getCurrency: () => currentCurrency,
+      onResult: listener => resultListeners.push(listener),
+      showPanelErrors: showPanelErrors,
+      refresh: refresh
+    };
+  }
+
+  // ============================================
+  // Pay History
+  // ============================================
+
+  function initPayHistory(calculator) {
+    const saveBtn = $('save-week');
+    const panel = $('pay-history');
+    const weekInput = $('history-week');
+    const periodSelect = $('history-period');
+    const totalsEl = $('history-totals');
+    const emptyHint = $('history-empty');
+    const tableWrapper = $('history-table-wrapper');
+    const historyBody = $('history-body');
+    const cancelEditBtn = $('history-cancel-edit');
+    const storageError = $('history-error');
+
+    if (!calculator || !saveBtn || !panel || !historyBody) return null;
+
+    const store = OvertimePay.createHistoryStore(getLocalStorage());
+    const changeListeners = [];
+    let editingId = null;
+    let renderedLanguage = null;
+
+    if (weekInput && !weekInput.value) {
+      weekInput.value = OvertimePay.startOfWeek(new Date());
+    }
+
+    // ============================================
+    // Event Listeners
+    // ============================================
+
+    saveBtn.addEventListener('click', () => {
+      const result = calculator.getResult();
+      if (!result || result.hourlyRate <= 0) {
+        flashButton(saveBtn, t('action.enterRate'));
+        return;
+      }
+
+      const entry = {
+        weekOf: (weekInput && weekInput.value) || OvertimePay.startOfWeek(new Date()),
+        currency: calculator.getCurrency(),
+        hourlyRate: result.hourlyRate,
+        multiplier: result.multiplier,
+        overtimeRate: result.overtimeRate,
+        regularHours: result.regularHours,
+        overtimeHours: result.overtimeHours,
+        regularPay: result.regularPay,
+        overtimePay: result.overtimePay,
+        totalPay: result.totalPay,
+        state: calculator.getState()
+      };
+
+      const saved = editingId && store.get(editingId) ? store.update(editingId, entry) : store.save(entry);
+      if (!saved) {
+        showStorageError();
+        flashButton(saveBtn, t('history.notSaved'));
+        return;
+      }
+
+      stopEditing();
+      flashButton(saveBtn, t('history.saved'));
+    });
+
+    if (periodSelect) periodSelect.addEventListener('change', render);
+    if (cancelEditBtn) cancelEditBtn.addEventListener('click', stopEditing);
+
+    historyBody.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      const id = button.closest('tr').dataset.id;
+      const entry = store.get(id);
+      if (!entry) return;
+
+      if (button.dataset.action === 'edit') {
+        editingId = id;
+        if (weekInput) weekInput.value = entry.weekOf;
+        calculator.applyState(entry.state || {});
+        if (cancelEditBtn) cancelEditBtn.classList.remove('hidden');
+        render();
+
+        const calculatorSection = $('calculator');
+        if (calculatorSection) calculatorSection.scrollIntoView({ behavior: 'smooth' });
+      }
+
+      if (button.dataset.action === 'delete') {
+        if (!window.confirm(t('history.confirmDelete', { date: formatDate(entry.weekOf) }))) return;
+        if (!store.remove(id)) {
+          showStorageError();
+          return;
+        }
+        if (editingId === id) stopEditing();
+        render();
+      }
+    });
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Say why a week wasn't stored; cleared by the next render
+     */
+    function showStorageError() {
+      if (storageError) storageError.textContent = t('history.storageFull');
+    }
+
+    function stopEditing() {
+      editingId = null;
+      if (cancelEditBtn) cancelEditBtn.classList.add('hidden');
+      render();
+    }
+
+    function render() {
+      const entries = store.list();
+      const currency = calculator.getCurrency();
+
+      renderedLanguage = currentLanguage;
+      saveBtn.textContent = editingId ? t('history.update') : t('action.save');
+      if (emptyHint) emptyHint.classList.toggle('hidden', entries.length > 0);
+      if (tableWrapper) tableWrapper.classList.toggle('hidden', entries.length === 0);
+      if (storageError) storageError.textContent = '';
+
+      historyBody.innerHTML = '';
+      entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.dataset.id = entry.id;
+        if (entry.id === editingId) row.classList.add('editing');
+        row.innerHTML = `
+          <td>${escapeHtml(formatDate(entry.weekOf))}</td>
+          <td>${formatHours(entry.regularHours)} / ${formatHours(entry.overtimeHours)}</td>
+          <td>${escapeHtml(formatCurrency(entry.overtimePay, entry.currency))}</td>
+          <td>${escapeHtml(formatCurrency(entry.totalPay, entry.currency))}</td>
+          <td class="history-actions">
+            <button type="button" class="btn-copy" data-action="edit">${t('history.edit')}</button>
+            <button type="button" class="btn-copy" data-action="delete">${t('history.delete')}</button>
+          </td>
+        `;
+        historyBody.appendChild(row);
+      });
+
+      changeListeners.forEach(listener => listener(entries));
+
+      if (!totalsEl) return;
+
+      const period = periodSelect ? periodSelect.value : 'month';
+      const summary = OvertimePay.summarizeHistory(entries, { period: period, currency: currency });
+      const periodLabel = period === 'quarter' ? t('history.quarter') : t('history.month');
+
+      totalsEl.innerHTML = '';
+      if (!entries.length) return;
+
+      [[periodLabel, summary.periodToDate], [t('history.year'), summary.yearToDate]].forEach(([label, totals]) => {
+        const card = document.createElement('div');
+        card.className = 'history-total';
+        card.innerHTML = `
+          <span class="history-total-label">${t('history.totalLabel', { period: label, currency: currency })}</span>
+          <span class="history-total-value">${formatCurrency(totals.totalPay, currency)}</span>
+          <span class="history-total-meta">${t('history.totalMeta', {
+            overtimePay: formatCurrency(totals.overtimePay, currency),
+            hours: formatHours(totals.overtimeHours),
+            weeks: t(totals.weeks === 1 ? 'history.weeksOne' : 'history.weeksOther', { count: totals.weeks })
+          })}</span>
+        `;
+        totalsEl.appendChild(card);
+      });
+    }
+
+    render();
+
+    // Totals are per currency, so follow the currency selector
+    const currencySelect = $('currency-select');
+    if (currencySelect) currencySelect.addEventListener('change', render);
+
+    // The calculator refreshes its results after a language change
+    calculator.onResult(() => {
+      if (currentLanguage !== renderedLanguage) render();
+    });
+
+    return {
+      store: store,
+      render: render,
+      showStorageError: showStorageError,
+      onChange: listener => changeListeners.push(listener)
+    };
+  }
+
+  // ============================================
+  // Import & Export
+  // ============================================
+
+  function initImportExport(calculator, history) {
+    const panel = $('data-transfer');
+    const importFile = $('import-file');
+    const importErrors = $('import-errors');
+    const importErrorList = $('import-error-list');
+    const importResults = $('import-results');
+    const importBody = $('import-body');
+    const importTotals = $('import-totals');
+    const importDownloadBtn = $('import-download');
+    const importSaveBtn = $('import-save');
+
+    if (!calculator || !panel) return;
+
+    let parsed = null;
+    let batch = null;
+    let renderedLanguage = null;
+
+    // Export buttons
+    panel.querySelectorAll('[data-export]').forEach(button => {
+      button.addEventListener('click', () => {
+        const format = button.dataset.format;
+        const stamp = OvertimePay.toIsoDate(new Date());
+
+        if (button.dataset.export === 'current') {
+          const result = calculator.getResult();
+          if (!result || result.hourlyRate <= 0) {
+            flashButton(button, t('action.enterRate'));
+            return;
+          }
+
+          const record = Object.assign({ weekOf: OvertimePay.startOfWeek(new Date()) }, result);
+          downloadFile(`overtime-pay-${stamp}.${format}`, format === 'csv'
+            ? OvertimePay.breakdownsToCsv([record])
+            : OvertimePay.breakdownsToJson([record], { tiers: result.tiers }));
+          return;
+        }
+
+        const entries = history ? history.store.list() : [];
+        if (!entries.length) {
+          flashButton(button, t('import.noSavedWeeks'));
+          return;
+        }
+
+        downloadFile(`overtime-history-${stamp}.${format}`, format === 'csv'
+          ? OvertimePay.breakdownsToCsv(entries)
+          : OvertimePay.breakdownsToJson(entries, { schemaVersion: OvertimePay.HISTORY_SCHEMA_VERSION }));
+      });
+    });
+
+    // CSV import
+    if (importFile) {
+      importFile.addEventListener('change', () => {
+        const file = importFile.files && importFile.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => showImport(OvertimePay.parseHoursCsv(reader.result));
+        reader.onerror = () => showImport({ rows: [], errors: [{ line: 0, problems: [{ key: 'import.errorRead', params: {} }] }] });
+        reader.readAsText(file);
+      });
+    }
+
+    if (importDownloadBtn) {
+      importDownloadBtn.addEventListener('click', () => {
+        if (!batch) return;
+        downloadFile(`overtime-import-${OvertimePay.toIsoDate(new Date())}.csv`, OvertimePay.breakdownsToCsv(batch.results));
+      });
+    }
+
+    if (importSaveBtn) {
+      importSaveBtn.addEventListener('click', () => {
+        if (!batch || !history) return;
+
+        // Stop at the first week the browser refuses to store
+        const stored = batch.results.every(result => history.store.save({
+          weekOf: result.weekOf,
+          currency: result.currency,
+          hourlyRate: result.hourlyRate,
+          multiplier: result.multiplier,
+          overtimeRate: result.overtimeRate,
+          regularHours: result.regularHours,
+          overtimeHours: result.overtimeHours,
+          regularPay: result.regularPay,
+          overtimePay: result.overtimePay,
+          totalPay: result.totalPay,
+          state: {
+            currency: result.currency,
+            hourlyRate: String(result.hourlyRate),
+            regularHours: String(result.regularHours),
+            overtimeHours: String(result.overtimeHours)
+          }
+        }));
+
+        history.render();
+        if (!stored) {
+          history.showStorageError();
+          flashButton(importSaveBtn, t('history.notSaved'));
+          return;
+        }
+        const count = batch.results.length;
+        flashButton(importSaveBtn, t(count === 1 ? 'import.addedOne' : 'import.addedOther', { count: count }));
+      });
+    }
+
+    // The calculator refreshes its results after a language change
+    calculator.onResult(() => {
+      if (parsed && currentLanguage !== renderedLanguage) renderImport();
+    });
+
+    function showImport(file) {
+      const current = calculator.getResult();
+      parsed = file;
+      batch = OvertimePay.calculateBatch(parsed.rows, {
+        multiplier: current ? current.multiplier : null,
+        currency: calculator.getCurrency()
+      });
+      renderImport();
+    }
+
+    function renderImport() {
+      renderedLanguage = currentLanguage;
+
+      // Line-by-line errors
+      if (importErrors && importErrorList) {
+        importErrorList.innerHTML = '';
+        parsed.errors.forEach(error => {
+          const item = document.createElement('li');
+          item.textContent = importErrorText(error);
+          importErrorList.appendChild(item);
+        });
+        importErrors.classList.toggle('hidden', parsed.errors.length === 0);
+      }
+
+      if (!importResults || !importBody) return;
+
+      importResults.classList.toggle('hidden', batch.results.length === 0);
+      importBody.innerHTML = '';
+      batch.results.forEach(result => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+          <td>${result.line}</td>
+          <td>${formatDate(result.weekOf)}</td>
+          <td>${formatHours(result.regularHours)}</td>
+          <td>${formatHours(result.overtimeHours)}</td>
+          <td>${t('results.perHour', { amount: formatCurrency(result.hourlyRate) })}</td>
+          <td>${formatCurrency(result.overtimePay)}</td>
+          <td>${formatCurrency(result.totalPay)}</td>
+        `;
+        importBody.appendChild(row);
+      });
+
+      if (importTotals) {
+        importTotals.innerHTML = `
+          <tr>
+            <td colspan="2">${t(batch.results.length === 1 ? 'import.totalOne' : 'import.totalOther', { count: batch.results.length })}</td>
+            <td>${formatHours(batch.totals.regularHours)}</td>
+            <td>${formatHours(batch.totals.overtimeHours)}</td>
+            <td></td>
+            <td>${formatCurrency(batch.totals.overtimePay)}</td>
+            <td>${formatCurrency(batch.totals.totalPay)}</td>
+          </tr>
+        `;
+      }
+    }
+  }
+
+  // ============================================
+  // Pay Report
+  // ============================================
+
+  function initPayReport(calculator) {
+    const openBtn = $('generate-report');
+    const panel = $('pay-report');
+    const documentEl = $('pay-report-document');
+    const employeeInput = $('report-employee');
+    const startInput = $('report-period-start');
+    const endInput = $('report-period-end');
+    const periodError = $('report-period-error');
+    const printBtn = $('print-report');
+    const closeBtn = $('close-report');
+
+    if (!calculator || !openBtn || !panel || !documentEl) return;
+
+    const period = OvertimePay.defaultReportPeriod(new Date());
+    if (startInput && !startInput.value) startInput.value = period.start;
+    if (endInput && !endInput.value) endInput.value = period.end;
+
+    openBtn.addEventListener('click', () => {
+      const result = calculator.getResult();
+      if (!result || result.hourlyRate <= 0) {
+        flashButton(openBtn, t('action.enterRate'));
+        return;
+      }
+
+      panel.classList.remove('hidden');
+      render();
+      panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      if (employeeInput) employeeInput.focus({ preventScroll: true });
+    });
+
+    [employeeInput, startInput, endInput].forEach(input => {
+      if (input) input.addEventListener('input', render);
+    });
+
+    calculator.onResult(() => {
+      if (!panel.classList.contains('hidden')) render();
+    });
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        panel.classList.add('hidden');
+        openBtn.focus();
+      });
+    }
+
+    // Print only the report; the print stylesheet hides the rest of the page
+    if (printBtn) {
+      printBtn.addEventListener('click', () => {
+        const report = render();
+        if (!report) return;
+
+        const title = document.title;
+        document.title = [t('report.documentTitle'), report.employeeName, report.periodStart].filter(Boolean).join(' - ');
+        document.body.classList.add('printing-report');
+
+        window.addEventListener('afterprint', () => {
+          document.body.classList.remove('printing-report');
+          document.title = title;
+        }, { once: true });
+
+        window.print();
+      });
+    }
+
+    /**
+     * Rebuild the report from the current result. Returns the report, or
+     * null while the pay period is invalid.
+     */
+    function render() {
+      const result = calculator.getResult();
+      const start = startInput ? startInput.value : period.start;
+      const end = endInput ? endInput.value : period.end;
+      const errors = OvertimePay.validateReportPeriod(start, end);
+
+      if (periodError) periodError.textContent = errors.map(key => t(key)).join('. ');
+      [startInput, endInput].forEach(input => {
+        if (input) input.classList.toggle('error', errors.length > 0);
+      });
+      if (printBtn) printBtn.disabled = errors.length > 0;
+      if (errors.length || !result) return null;
+
+      const state = calculator.getState();
+      const week = state.timesheet ? OvertimePay.summarizeWeek(state.timesheet, state.weeklyThreshold) : null;
+
+      const report = OvertimePay.buildPayReport(result, {
+        employeeName: employeeInput ? employeeInput.value : '',
+        periodStart: start,
+        periodEnd: end,
+        dailyHours: week && week.totalHours > 0 ? week.days : null,
+        jurisdiction: localizeJurisdiction(state.jurisdiction ? OvertimePay.getJurisdiction(state.jurisdiction) : null)
+      });
+
+      documentEl.innerHTML = buildReportHtml(report);
+      return report;
+    }
+
+    function money(amount) {
+      return escapeHtml(formatCurrency(amount, calculator.getCurrency()));
+    }
+
+    function moneyPerHour(amount) {
+      return escapeHtml(t('results.perHour', { amount: formatCurrency(amount, calculator.getCurrency()) }));
+    }
+
+    function buildReportHtml(report) {
+      const details = [
+        [t('report.employee'), report.employeeName || t('report.notGiven')],
+        [t('report.payPeriod'), t('report.periodRange', { start: formatDate(report.periodStart), end: formatDate(report.periodEnd) })],
+        [t('report.calculatedOn'), formatDate(report.calculatedOn)],
+        [t('report.currency'), report.currency]
+      ];
+
+      const rates = [];
+      if (report.payBasis === 'salary') rates.push([t('report.payBasis'), escapeHtml(t('report.fixedSalary'))], [t('report.weeklySalary'), money(report.weeklySalary)]);
+      if (report.payBasis === 'fluctuating') rates.push([t('report.payBasis'), escapeHtml(t('report.fluctuating'))], [t('report.weeklySalary'), money(report.weeklySalary)]);
+      rates.push([t('report.hourlyRate'), moneyPerHour(report.hourlyRate)]);
+      if (report.extraPay > 0) rates.push([t('report.regularRate'), moneyPerHour(report.regularRate)]);
+      if (report.tiers.length === 1) rates.push([t('report.multiplier'), `${escapeHtml(report.multiplier)}x`]);
+      rates.push([report.tiers.length > 1 ? t('report.averageOvertimeRate') : t('report.overtimeRate'), moneyPerHour(report.overtimeRate)]);
+
+      let hours;
+      if (report.days.length) {
+        hours = `
+          <table class="summary-table">
+            <thead><tr><th scope="col">${t('report.day')}</th><th scope="col">${t('report.date')}</th><th scope="col">${t('report.hours')}</th></tr></thead>
+            <tbody>
+              ${report.days.map(day => `
+                <tr>
+                  <td>${escapeHtml(new Date(2024, 0, 1 + day.weekday).toLocaleDateString(getLocale(), { weekday: 'long' }))}</td>
+                  <td>${day.date ? escapeHtml(formatDate(day.date)) : ''}</td>
+                  <td>${formatHours(day.hours)}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot><tr><td colspan="2">${t('report.total')}</td><td>${formatHours(report.regularHours + report.overtimeHours)}</td></tr></tfoot>
+          </table>`;
+      } else {
+        hours = `<p class="field-hint">${t('report.weeklyTotals')}</p>`;
+      }
+
+      // A lone tier without a law behind it is plain overtime; named tiers keep their labels
+      const breakdown = report.tiers.map(tier => `
+        <tr>
+          <td>${escapeHtml(report.tiers.length > 1 || tier.source ? tier.label : t('report.overtime'))}${tier.source ? `<br><small>${escapeHtml(tier.source)}</small>` : ''}</td>
+          <td>${formatHours(tier.hours)}</td>
+          <td>${moneyPerHour(tier.rate)}</td>
+          <td>${money(tier.pay)}</td>
+        </tr>`).join('');
+
+      const totals = [[t('report.regularPay'), report.regularPay, formatHours(report.regularHours)]];
+      if (report.extraPay > 0) totals.push([t('report.extraPay'), report.extraPay, '']);
+      if (report.regularRateAdjustment > 0) totals.push([t('report.adjustment'), report.regularRateAdjustment, '']);
+      totals.push([t('report.overtimePay'), report.overtimePay, formatHours(report.overtimeHours)]);
+
+      const rules = report.jurisdictionNote ||
+        (report.tiers.length > 1 ? t('report.rulesTiers') : t('report.rulesFlat', { multiplier: report.multiplier }));
+
+      return `
+        <header class="pay-report-header">
+          <h4>${t('report.documentTitle')}</h4>
+          <span>CalculateOvertimePay.com</span>
+        </header>
+        <dl class="pay-report-details">
+          ${details.map(item => `<div><dt>${item[0]}</dt><dd>${escapeHtml(item[1])}</dd></div>`).join('')}
+        </dl>
+        <h5>${t('report.hoursWorked')}</h5>
+        <div class="pay-report-hours">
+          <dl class="pay-report-details">
+            <div><dt>${t('report.regularHours')}</dt><dd>${formatHours(report.regularHours)}</dd></div>
+            <div><dt>${t('report.overtimeHours')}</dt><dd>${formatHours(report.overtimeHours)}</dd></div>
+          </dl>
+          ${hours}
+        </div>
+        <h5>${t('report.rate')}</h5>
+        <dl class="pay-report-details">
+          ${rates.map(item => `<div><dt>${item[0]}</dt><dd>${item[1]}</dd></div>`).join('')}
+        </dl>
+        <h5>${t('report.breakdown')}</h5>
+        <table class="summary-table">
+          <thead><tr><th scope="col">${t('report.overtime')}</th><th scope="col">${t('report.hours')}</th><th scope="col">${t('report.rate')}</th><th scope="col">${t('report.pay')}</th></tr></thead>
+          <tbody>${breakdown}</tbody>
+          <tfoot>
+            ${totals.map(item => `<tr><td>${item[0]}</td><td>${item[2]}</td><td></td><td>${money(item[1])}</td></tr>`).join('')}
+            <tr class="pay-report-total"><td colspan="3">${t('report.totalPay')}</td><td>${money(report.totalPay)}</td></tr>
+          </tfoot>
+        </table>
+        <h5>${t('report.rules')}</h5>
+        <p>${escapeHtml(rules)}</p>
+        <p class="pay-report-disclaimer">${t('report.disclaimer')}</p>
+      `;
+    }
+  }
+
+  // ============================================
+  // Back Pay Claim
+  // ============================================
+
+  function initBackPay(calculator) {
+    const panel = $('back-pay');
+    const body = $('back-pay-body');
+    const lookbackSelect = $('back-pay-lookback');
+    const yearsGroup = $('back-pay-years-group');
+    const yearsInput = $('back-pay-years');
+    const asOfInput = $('back-pay-as-of');
+    const liquidatedInput = $('back-pay-liquidated');
+    const addBtn = $('back-pay-add');
+    const addCurrentBtn = $('back-pay-add-current');
+    const clearBtn = $('back-pay-clear');
+    const importFile = $('back-pay-file');
+    const importErrors = $('back-pay-errors');
+    const importErrorList = $('back-pay-error-list');
+    const totalsEl = $('back-pay-totals');
+    const downloadBtn = $('back-pay-download');
+
+    if (!calculator || !panel || !body) return;
+
+    let claim = null;
+    let importProblems = [];
+
+    if (lookbackSelect) {
+      OvertimePay.LOOKBACK_WINDOWS.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        lookbackSelect.appendChild(option);
+      });
+      lookbackSelect.value = OvertimePay.DEFAULT_LOOKBACK;
+    }
+
+    if (asOfInput && !asOfInput.value) asOfInput.value = OvertimePay.toIsoDate(new Date());
+
+    // ============================================
+    // Event Listeners
+    // ============================================
+
+    if (lookbackSelect) {
+      lookbackSelect.addEventListener('change', () => {
+        if (yearsGroup) yearsGroup.classList.toggle('hidden', lookbackSelect.value !== 'custom');
+        render();
+      });
+    }
+
+    [yearsInput, asOfInput].forEach(input => {
+      if (input) input.addEventListener('input', render);
+    });
+    if (liquidatedInput) liquidatedInput.addEventListener('change', render);
+
+    body.addEventListener('input', render);
+    body.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.btn-remove-row');
+      if (!removeBtn) return;
+      removeBtn.closest('tr').remove();
+      render();
+    });
+
+    if (addBtn) {
+      addBtn.addEventListener('click', () => {
+        const row = addRow({ weekOf: nextWeekOf() });
+        row.querySelector('[data-field="regularHours"]').focus();
+      });
+    }
+
+    // Seed a week from the calculator; the amount paid is still up to the user
+    if (addCurrentBtn) {
+      addCurrentBtn.addEventListener('click', () => {
+        const result = calculator.getResult();
+        if (!result || result.hourlyRate <= 0) {
+          flashButton(addCurrentBtn, t('action.enterRate'));
+          return;
+        }
+
+        const row = addRow({
+          weekOf: nextWeekOf(),
+          regularHours: result.regularHours,
+          overtimeHours: result.overtimeHours,
+          hourlyRate: Math.round(result.hourlyRate * 100) / 100
+        });
+        row.querySelector('[data-field="paid"]').focus();
+        render();
+      });
+    }
+
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        body.innerHTML = '';
+        importProblems = [];
+        render();
+      });
+    }
+
+    if (importFile) {
+      importFile.addEventListener('change', () => {
+        const file = importFile.files && importFile.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => showImport(OvertimePay.parseBackPayCsv(reader.result));
+        reader.onerror = () => showImport({ rows: [], errors: [{ line: 0, problems: [{ key: 'import.errorRead', params: {} }] }] });
+        reader.readAsText(file);
+      });
+    }
+
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => {
+        if (!claim || !claim.weeks.length) {
+          flashButton(downloadBtn, t('backPay.noWeeks'));
+          return;
+        }
+        downloadFile(`back-pay-claim-${OvertimePay.toIsoDate(new Date())}.csv`, OvertimePay.backPayToCsv(claim));
+      });
+    }
+
+    // Shared multiplier and currency come from the calculator
+    calculator.onResult(render);
+
+    // ============================================
+    // Rows
+    // ============================================
+
+    function addRow(values) {
+      values = values || {};
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td><input type="date" class="expense-input" data-field="weekOf" data-i18n-label="backPay.rowWeek"></td>
+        <td><input type="text" class="expense-input" data-field="regularHours" placeholder="40" inputmode="decimal" data-i18n-label="backPay.rowRegular"></td>
+        <td><input type="text" class="expense-input" data-field="overtimeHours" placeholder="0" inputmode="decimal" data-i18n-label="backPay.rowOvertime"></td>
+        <td><input type="text" class="expense-input" data-field="hourlyRate" placeholder="${OvertimePay.formatInputNumber('0.00', getLocale())}" data-placeholder="0.00" inputmode="decimal" data-i18n-label="backPay.rowRate"></td>
+        <td><input type="text" class="expense-input" data-field="paid" placeholder="${OvertimePay.formatInputNumber('0.00', getLocale())}" data-placeholder="0.00" inputmode="decimal" data-i18n-label="backPay.rowPaid"></td>
+        <td class="back-pay-owed">–</td>
+        <td class="back-pay-shortfall">–</td>
+        <td><button type="button" class="btn-remove-row" data-i18n-label="backPay.removeWeek">&times;</button></td>
+      `;
+      row.querySelectorAll('[data-i18n-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nLabel)));
+
+      if (values.weekOf) row.querySelector('[data-field="weekOf"]').value = values.weekOf;
+      ['regularHours', 'overtimeHours', 'hourlyRate', 'paid'].forEach(field => {
+        if (values[field] !== undefined && values[field] !== '') setNumberValue(row.querySelector(`[data-field="${field}"]`), values[field]);
+      });
+
+      body.appendChild(row);
+      return row;
+    }
+
+    /**
+     * The week after the latest one entered, or this week for the first row
+     */
+    function nextWeekOf() {
+      const dates = Array.from(body.querySelectorAll('[data-field="weekOf"]')).map(input => input.value).filter(Boolean).sort();
+      if (!dates.length) return OvertimePay.startOfWeek(new Date());
+
+      const parts = dates[dates.length - 1].split('-').map(Number);
+      return OvertimePay.toIsoDate(new Date(parts[0], parts[1] - 1, parts[2] + 7));
+    }
+
+    /**
+     * Complete rows as weeks for calculateBackPay. line is the row index, so
+     * results can be written back after sorting by date.
+     */
+    function readWeeks() {
+      const weeks = [];
+
+      body.querySelectorAll('tr').forEach((row, index) => {
+        const value = field => parseNumber(row.querySelector(`[data-field="${field}"]`).value);
+        const week = {
+          line: index,
+          weekOf: row.querySelector('[data-field="weekOf"]').value,
+          regularHours: row.querySelector('[data-field="regularHours"]').value.trim() ? value('regularHours') : OvertimePay.DEFAULT_REGULAR_HOURS,
+          overtimeHours: row.querySelector('[data-field="overtimeHours"]').value.trim() ? value('overtimeHours') : 0,
+          hourlyRate: value('hourlyRate'),
+          paid: row.querySelector('[data-field="paid"]').value.trim() ? value('paid') : 0
+        };
+
+        const valid = week.hourlyRate > 0 && [week.regularHours, week.overtimeHours, week.paid].every(number => number >= 0);
+        row.classList.toggle('is-incomplete', !valid);
+        if (valid) weeks.push(week);
+      });
+
+      return weeks;
+    }
+
+    function getLookbackYears() {
+      const entry = OvertimePay.getLookbackWindow(lookbackSelect ? lookbackSelect.value : OvertimePay.DEFAULT_LOOKBACK);
+      if (entry && entry.id === 'custom') {
+        const years = yearsInput ? parseNumber(yearsInput.value) : NaN;
+        return years > 0 ? years : null;
+      }
+      return entry ? entry.years : null;
+    }
+
+    // ============================================
+    // Render
+    // ============================================
+
+    function render() {
+      const result = calculator.getResult();
+      const currency = calculator.getCurrency();
+      const rows = body.querySelectorAll('tr');
+
+      if (lookbackSelect) {
+        Array.from(lookbackSelect.options).forEach(option => {
+          option.textContent = t(OvertimePay.getLookbackWindow(option.value).key);
+        });
+      }
+
+      if (importErrors && importErrorList) {
+        importErrorList.innerHTML = '';
+        importProblems.forEach(error => {
+          const item = document.createElement('li');
+          item.textContent = importErrorText(error);
+          importErrorList.appendChild(item);
+        });
+        importErrors.classList.toggle('hidden', importProblems.length === 0);
+      }
+
+      claim = OvertimePay.calculateBackPay(readWeeks(), {
+        multiplier: result ? result.multiplier : null,
+        currency: currency,
+        lookbackYears: getLookbackYears(),
+        asOf: (asOfInput && asOfInput.value) || new Date(),
+        liquidatedDamages: Boolean(liquidatedInput && liquidatedInput.checked)
+      });
+
+      rows.forEach(row => {
+        row.classList.remove('is-excluded');
+        row.removeAttribute('title');
+        row.querySelector('.back-pay-owed').textContent = '–';
+        row.querySelector('.back-pay-shortfall').textContent = '–';
+      });
+
+      claim.weeks.forEach(week => {
+        const row = rows[week.line];
+        row.querySelector('.back-pay-owed').textContent = formatCurrency(week.owed, currency);
+        row.querySelector('.back-pay-shortfall').textContent = formatCurrency(week.shortfall, currency);
+        row.classList.toggle('is-excluded', !week.included);
+        if (!week.included) row.title = t('backPay.excludedTitle', { date: formatDate(claim.cutoff) });
+      });
+
+      if (!totalsEl) return;
+      totalsEl.innerHTML = '';
+      if (!claim.weeks.length) return;
+
+      const excluded = claim.weeks.length - claim.weeksIncluded;
+      const unpaidMeta = [t(claim.weeksIncluded === 1 ? 'backPay.weeksShortOne' : 'backPay.weeksShortOther', { short: claim.weeksShort, count: claim.weeksIncluded })];
+      if (claim.cutoff) unpaidMeta.push(t('backPay.since', { date: formatDate(claim.cutoff) }));
+      if (excluded) unpaidMeta.push(t(excluded === 1 ? 'backPay.excludedOne' : 'backPay.excludedOther', { count: excluded }));
+
+      const cards = [
+        [t('backPay.unpaidWages'), claim.unpaidWages, unpaidMeta.join(' · ')],
+        [t('backPay.totalClaim'), claim.totalClaim, liquidatedInput && liquidatedInput.checked
+          ? t('backPay.includesDamages', { amount: formatCurrency(claim.liquidatedDamages, currency) })
+          : t('backPay.wagesOnly')]
+      ];
+
+      cards.forEach(([label, amount, meta]) => {
+        const card = document.createElement('div');
+        card.className = 'history-total';
+        card.innerHTML = `
+          <span class="history-total-label">${t('backPay.cardLabel', { label: label, currency: currency })}</span>
+          <span class="history-total-value">${formatCurrency(amount, currency)}</span>
+          <span class="history-total-meta">${meta}</span>
+        `;
+        totalsEl.appendChild(card);
+      });
+    }
+
+    function showImport(parsed) {
+      parsed.rows.forEach(row => addRow(row));
+      importProblems = parsed.errors;
+      render();
+    }
+  }
+
+  // ============================================
+  // Shift Premiums
+  // ============================================
+
+  function initShiftPremiums(calculator) {
+    const panel = $('shift-premiums');
+    const body = $('premium-body');
+    const presetSelect = $('premium-preset');
+    const calendarSelect = $('premium-calendar');
+    const rateInput = $('premium-rate');
+    const holidayInput = $('premium-holiday');
+    const saturdayInput = $('premium-saturday');
+    const sundayInput = $('premium-sunday');
+    const nightInput = $('premium-night');
+    const nightStartInput = $('premium-night-start');
+    const nightEndInput = $('premium-night-end');
+    const noteEl = $('premium-note');
+    const addBtn = $('premium-add');
+    const clearBtn = $('premium-clear');
+    const warningsEl = $('premium-warnings');
+    const totalsEl = $('premium-totals');
+    const applyBtn = $('premium-apply');
+
+    if (!calculator || !panel || !body) return;
+
+    // Message keys of the premium kinds in OvertimePay.PREMIUM_LABELS
+    const PREMIUM_KEYS = {
+      holiday: 'premiums.kindHoliday',
+      saturday: 'premiums.kindSaturday',
+      sunday: 'premiums.kindSunday',
+      night: 'premiums.kindNight'
+    };
+    let summary = null;
+    let notePreset = null;
+    let renderedLanguage = null;
+
+    if (calendarSelect) {
+      OvertimePay.HOLIDAY_CALENDARS.forEach(calendar => {
+        const option = document.createElement('option');
+        option.value = calendar.id;
+        calendarSelect.appendChild(option);
+      });
+    }
+
+    if (presetSelect) {
+      OvertimePay.PREMIUM_PRESETS.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        presetSelect.appendChild(option);
+      });
+      presetSelect.value = OvertimePay.DEFAULT_PREMIUM_PRESET;
+    }
+
+    // ============================================
+    // Event Listeners
+    // ============================================
+
+    if (presetSelect) {
+      presetSelect.addEventListener('change', () => {
+        applyPreset(OvertimePay.getPremiumPreset(presetSelect.value));
+        render();
+      });
+    }
+
+    [rateInput, holidayInput, saturdayInput, sundayInput, nightInput, nightStartInput, nightEndInput].forEach(input => {
+      if (input) input.addEventListener('input', render);
+    });
+    if (calendarSelect) calendarSelect.addEventListener('change', render);
+
+    body.addEventListener('input', render);
+    body.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.btn-remove-row');
+      if (!removeBtn) return;
+      removeBtn.closest('tr').remove();
+      render();
+    });
+
+    if (addBtn) {
+      addBtn.addEventListener('click', () => {
+        const last = body.querySelector('tr:last-child');
+        const row = addRow(last ? {
+          date: nextDate(last.querySelector('[data-field="date"]').value),
+          start: last.querySelector('[data-field="start"]').value,
+          end: last.querySelector('[data-field="end"]').value,
+          breakMinutes: numberValue(last.querySelector('[data-field="breakMinutes"]'))
+        } : { date: OvertimePay.toIsoDate(new Date()), start: '09:00', end: '17:00' });
+        row.querySelector('[data-field="date"]').focus();
+        render();
+      });
+    }
+
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        body.innerHTML = '';
+        render();
+      });
+    }
+
+    // Premiums join any differentials already in the calculator
+    if (applyBtn) {
+      applyBtn.addEventListener('click', () => {
+        if (!summary || !summary.premiums.length) {
+          flashButton(applyBtn, t('premiums.noPremiums'));
+          return;
+        }
+
+        const differentials = (calculator.getState().differentials || []).concat(summary.premiums.map(premium => ({
+          hours: premium.hours,
+          rate: Math.round(premium.rate * 10000) / 10000
+        })));
+        calculator.applyState({ differentials: differentials });
+        flashButton(applyBtn, t('premiums.added'));
+      });
+    }
+
+    // The rate falls back to the calculator's, and amounts follow its
+    // currency. The calculator refreshes its results after a language change.
+    calculator.onResult(render);
+
+    // ============================================
+    // Settings
+    // ============================================
+
+    function applyPreset(preset) {
+      if (!preset) return;
+
+      if (calendarSelect) calendarSelect.value = preset.calendar || '';
+      [[holidayInput, preset.holiday], [saturdayInput, preset.saturday], [sundayInput, preset.sunday], [nightInput, preset.night]].forEach(([input, value]) => {
+        if (input) input.value = value ? OvertimePay.formatInputNumber(value, getLocale()) : '';
+      });
+      if (nightStartInput) nightStartInput.value = preset.nightStart;
+      if (nightEndInput) nightEndInput.value = preset.nightEnd;
+      notePreset = preset;
+      showNote();
+    }
+
+    function showNote() {
+      if (noteEl && notePreset) noteEl.textContent = t('premiums.note', { law: t(notePreset.lawKey), note: t(notePreset.noteKey) });
+    }
+
+    function calendarName(calendar) {
+      return calendar.key ? t(calendar.key) : calendar.name;
+    }
+
+    // Option text and the preset note, redone after a language change
+    function translatePanel() {
+      renderedLanguage = currentLanguage;
+
+      if (presetSelect) {
+        Array.from(presetSelect.options).forEach(option => {
+          option.textContent = t(OvertimePay.getPremiumPreset(option.value).nameKey);
+        });
+      }
+      if (calendarSelect) {
+        Array.from(calendarSelect.options).forEach(option => {
+          if (option.value) option.textContent = calendarName(OvertimePay.getHolidayCalendar(option.value));
+        });
+      }
+      showNote();
+    }
+
+    /**
+     * Short weekday name in the page language (0 = Sunday)
+     */
+    function weekdayName(weekday) {
+      // 2 January 2000 was a Sunday
+      return new Date(2000, 0, 2 + weekday).toLocaleDateString(getLocale(), { weekday: 'short' });
+    }
+
+    function premiumText(premium) {
+      return t('premiums.premiumHours', { label: t(PREMIUM_KEYS[premium.kind]), percent: premium.percent, hours: formatHours(premium.hours) });
+    }
+
+    function hourlyRate() {
+      const result = calculator.getResult();
+      const typed = rateInput && rateInput.value.trim() ? parseNumber(rateInput.value) : NaN;
+      return Number.isFinite(typed) ? typed : (result ? result.hourlyRate : 0);
+    }
+
+    function percentValue(input) {
+      const value = input && input.value.trim() ? parseNumber(input.value) : 0;
+      return value > 0 ? value : 0;
+    }
+
+    // ============================================
+    // Rows
+    // ============================================
+
+    function addRow(values) {
+      values = values || {};
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td><input type="date" class="expense-input" data-field="date" data-i18n-label="premiums.rowDate"></td>
+        <td><input type="time" class="expense-input" data-field="start" data-i18n-label="premiums.rowStart"></td>
+        <td><input type="time" class="expense-input" data-field="end" data-i18n-label="premiums.rowEnd"></td>
+        <td><input type="text" class="expense-input" data-field="breakMinutes" placeholder="0" inputmode="numeric" data-i18n-label="premiums.rowBreak"></td>
+        <td class="premium-day">–</td>
+        <td class="premium-hours">–</td>
+        <td class="premium-pay">–</td>
+        <td class="premium-total">–</td>
+        <td><button type="button" class="btn-remove-row" data-i18n-label="premiums.removeShift">&times;</button></td>
+      `;
+      row.querySelectorAll('[data-i18n-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nLabel)));
+
+      row.querySelector('[data-field="date"]').value = values.date || '';
+      row.querySelector('[data-field="start"]').value = values.start || '';
+      row.querySelector('[data-field="end"]').value = values.end || '';
+      if (values.breakMinutes) setNumberValue(row.querySelector('[data-field="breakMinutes"]'), values.breakMinutes);
+
+      body.appendChild(row);
+      return row;
+    }
+
+    function nextDate(isoDate) {
+      const parts = String(isoDate || '').split('-').map(Number);
+      if (parts.length !== 3 || parts.some(isNaN)) return OvertimePay.toIsoDate(new Date());
+      return OvertimePay.toIsoDate(new Date(parts[0], parts[1] - 1, parts[2] + 1));
+    }
+
+    function readShifts() {
+      return Array.from(body.querySelectorAll('tr')).map(row => ({
+        date: row.querySelector('[data-field="date"]').value,
+        start: row.querySelector('[data-field="start"]').value,
+        end: row.querySelector('[data-field="end"]').value,
+        breakMinutes: numberValue(row.querySelector('[data-field="breakMinutes"]'))
+      }));
+    }
+
+    // ============================================
+    // Render
+    // ============================================
+
+    function render() {
+      const result = calculator.getResult();
+      const currency = calculator.getCurrency();
+      const rate = hourlyRate();
+      const calendarId = calendarSelect ? calendarSelect.value : '';
+
+      if (currentLanguage !== renderedLanguage) translatePanel();
+
+      if (rateInput && result) {
+        const text = String(Math.round((result.hourlyRate || 0) * 100) / 100);
+        rateInput.dataset.placeholder = text;
+        rateInput.placeholder = OvertimePay.formatInputNumber(text, getLocale());
+      }
+
+      summary = OvertimePay.calculateShiftPremiums(readShifts(), {
+        hourlyRate: rate,
+        calendar: calendarId,
+        holiday: percentValue(holidayInput),
+        saturday: percentValue(saturdayInput),
+        sunday: percentValue(sundayInput),
+        night: percentValue(nightInput),
+        nightStart: nightStartInput ? nightStartInput.value : '',
+        nightEnd: nightEndInput ? nightEndInput.value : ''
+      });
+
+      body.querySelectorAll('tr').forEach((row, index) => {
+        const shift = summary.shifts[index];
+        const cells = ['.premium-day', '.premium-hours', '.premium-pay', '.premium-total'].map(selector => row.querySelector(selector));
+
+        row.classList.toggle('is-incomplete', Boolean(shift.error));
+        row.removeAttribute('title');
+        if (shift.error) {
+          cells.forEach(cell => { cell.textContent = '–'; });
+          row.title = t(shift.error);
+          return;
+        }
+
+        cells[0].textContent = shift.days.map(day => weekdayName(day.weekday) + (day.holiday ? ` · ${day.holiday}` : '')).join(' → ');
+        cells[1].textContent = shift.nightHours > 0
+          ? t('premiums.hoursWithNight', { hours: formatHours(shift.hours), night: formatHours(shift.nightHours) })
+          : formatHours(shift.hours);
+        cells[2].textContent = formatCurrency(shift.premiumPay, currency);
+        cells[2].title = shift.premiums.map(premiumText).join('\n');
+        cells[3].textContent = formatCurrency(shift.totalPay, currency);
+      });
+
+      renderWarnings(rate, calendarId);
+      renderTotals(currency);
+    }
+
+    function renderWarnings(rate, calendarId) {
+      if (!warningsEl) return;
+
+      const warnings = [];
+      if (!(rate > 0) && body.children.length) warnings.push(t('premiums.warningRate'));
+      if (summary.missingHolidayYears.length) {
+        const calendar = OvertimePay.getHolidayCalendar(calendarId);
+        warnings.push(t('premiums.warningCalendar', { calendar: calendarName(calendar), years: summary.missingHolidayYears.join(', ') }));
+      }
+
+      warningsEl.innerHTML = '';
+      warnings.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        warningsEl.appendChild(item);
+      });
+      warningsEl.classList.toggle('hidden', warnings.length === 0);
+    }
+
+    function renderTotals(currency) {
+      if (!totalsEl) return;
+      totalsEl.innerHTML = '';
+      if (!summary.shifts.some(shift => !shift.error)) return;
+
+      const breakdown = summary.premiums.length
+        ? summary.premiums.map(premium => t('premiums.premiumPay', { premium: premiumText(premium), amount: formatCurrency(premium.pay, currency) })).join(' · ')
+        : t('premiums.noPremiumHours');
+
+      [
+        [t('premiums.totalPay', { currency: currency }), summary.totalPay, t('premiums.totalMeta', {
+          hours: formatHours(summary.hours),
+          base: formatCurrency(summary.basePay, currency),
+          premiums: formatCurrency(summary.premiumPay, currency)
+        })],
+        [t('premiums.premiumTotal', { currency: currency }), summary.premiumPay, breakdown]
+      ].forEach(([label, amount, meta]) => {
+        const card = document.createElement('div');
+        card.className = 'history-total';
+        card.innerHTML = `
+          <span class="history-total-label">${escapeHtml(label)}</span>
+          <span class="history-total-value">${formatCurrency(amount, currency)}</span>
+          <span class="history-total-meta"></span>
+        `;
+        card.querySelector('.history-total-meta').textContent = meta;
+        totalsEl.appendChild(card);
+      });
+    }
+
+    if (presetSelect) applyPreset(OvertimePay.getPremiumPreset(presetSelect.value));
+    render();
+  }
+
+  // ============================================
+  // Crew Roster
+  // ============================================
+
+  function initCrewRoster(calculator) {
+    const panel = $('crew-roster');
+    const body = $('crew-body');
+    const foot = $('crew-foot');
+    const addBtn = $('crew-add');
+    const addCurrentBtn = $('crew-add-current');
+    const clearBtn = $('crew-clear');
+    const downloadBtn = $('crew-download');
+    const employerToggle = $('crew-employer-view');
+    const burdenFieldset = $('crew-burden');
+    const burdenList = $('crew-burden-list');
+    const addBurdenBtn = $('crew-burden-add');
+    const totalsEl = $('crew-totals');
+
+    if (!calculator || !panel || !body) return;
+
+    // labelKey is an i18n message key
+    const FIELDS = [
+      { key: 'name', labelKey: 'crew.rowName', text: true },
+      { key: 'hourlyRate', labelKey: 'crew.rowRate', placeholder: '0.00' },
+      { key: 'multiplier', labelKey: 'crew.rowMultiplier' },
+      { key: 'regularHours', labelKey: 'crew.rowRegular', placeholder: String(OvertimePay.DEFAULT_REGULAR_HOURS) },
+      { key: 'overtimeHours', labelKey: 'crew.rowOvertime', placeholder: '0' }
+    ];
+
+    let crew = null;
+    let nextRowId = 1;
+    let renderedLanguage = null;
+
+    OvertimePay.DEFAULT_PAYROLL_BURDEN.forEach(item => addBurdenRow(item));
+
+    // ============================================
+    // Event Listeners
+    // ============================================
+
+    body.addEventListener('input', render);
+    body.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.btn-remove-row');
+      if (!removeBtn) return;
+      removeBtn.closest('tr').remove();
+      render();
+    });
+
+    if (addBtn) {
+      addBtn.addEventListener('click', () => {
+        const row = addRow();
+        row.querySelector('[data-field="name"]').focus();
+        render();
+      });
+    }
+
+    if (addCurrentBtn) {
+      addCurrentBtn.addEventListener('click', () => {
+        const result = calculator.getResult();
+        if (!result || result.hourlyRate <= 0) {
+          flashButton(addCurrentBtn, t('action.enterRate'));
+          return;
+        }
+
+        const row = addRow({
+          hourlyRate: Math.round(result.hourlyRate * 100) / 100,
+          multiplier: result.multiplier,
+          regularHours: result.regularHours,
+          overtimeHours: result.overtimeHours
+        });
+        row.querySelector('[data-field="name"]').focus();
+        render();
+      });
+    }
+
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        body.innerHTML = '';
+        render();
+      });
+    }
+
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => {
+        if (!crew || !crew.totals.employees) {
+          flashButton(downloadBtn, t('crew.noEmployees'));
+          return;
+        }
+        downloadFile(`crew-overtime-${OvertimePay.toIsoDate(new Date())}.csv`, OvertimePay.crewToCsv(crew));
+      });
+    }
+
+    if (employerToggle) employerToggle.addEventListener('change', render);
+
+    if (burdenList) {
+      burdenList.addEventListener('input', render);
+      burdenList.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.btn-remove-row');
+        if (!removeBtn) return;
+        removeBtn.closest('.crew-burden-row').remove();
+        render();
+      });
+    }
+
+    if (addBurdenBtn) {
+      addBurdenBtn.addEventListener('click', () => {
+        addBurdenRow().querySelector('[data-field="label"]').focus();
+        render();
+      });
+    }
+
+    // Blank multipliers follow the calculator, and amounts its currency. The
+    // calculator refreshes its results after a language change.
+    calculator.onResult(render);
+
+    // ============================================
+    // Rows
+    // ============================================
+
+    function addRow(values) {
+      values = values || {};
+      const id = nextRowId++;
+      const row = document.createElement('tr');
+
+      FIELDS.forEach(field => {
+        const cell = document.createElement('td');
+        const errorId = `crew-${id}-${field.key}-error`;
+        cell.innerHTML = `
+          <input type="text" class="expense-input" data-field="${field.key}"${field.text ? '' : ' inputmode="decimal"'} data-i18n-label="${field.labelKey}" aria-describedby="${errorId}">
+          <span class="error-msg" id="${errorId}"></span>
+        `;
+
+        const input = cell.querySelector('input');
+        if (field.placeholder) {
+          input.dataset.placeholder = field.placeholder;
+          input.placeholder = OvertimePay.formatInputNumber(field.placeholder, getLocale());
+        }
+        if (values[field.key] !== undefined && values[field.key] !== '') {
+          if (field.text) {
+            input.value = values[field.key];
+          } else {
+            setNumberValue(input, values[field.key]);
+          }
+        }
+        row.appendChild(cell);
+      });
+
+      row.insertAdjacentHTML('beforeend', `
+        <td class="crew-amount" data-output="overtimePay">–</td>
+        <td class="crew-amount" data-output="totalPay">–</td>
+        <td class="crew-amount crew-employer-col" data-output="employerCost">–</td>
+        <td><button type="button" class="btn-remove-row" data-i18n-label="crew.removeEmployee">&times;</button></td>
+      `);
+      row.querySelectorAll('[data-i18n-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nLabel)));
+
+      body.appendChild(row);
+      return row;
+    }
+
+    function addBurdenRow(values) {
+      values = values || {};
+      const row = document.createElement('div');
+      row.className = 'crew-burden-row';
+      row.innerHTML = `
+        <input type="text" class="expense-input" data-field="label" data-i18n-placeholder="crew.cost" data-i18n-label="crew.costName">
+        <input type="text" class="expense-input" data-field="percent" placeholder="0" inputmode="decimal" data-i18n-label="crew.costPercent">
+        <span aria-hidden="true">%</span>
+        <button type="button" class="btn-remove-row" data-i18n-label="crew.removeCost">&times;</button>
+      `;
+      row.querySelector('[data-field="label"]').placeholder = t('crew.cost');
+      row.querySelectorAll('[data-i18n-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nLabel)));
+
+      // A default label follows the language until it is edited
+      const labelInput = row.querySelector('[data-field="label"]');
+      labelInput.value = values.key ? t(values.key) : (values.label || '');
+      if (values.key) {
+        labelInput.dataset.defaultKey = values.key;
+        labelInput.dataset.defaultText = labelInput.value;
+      }
+      if (values.percent) setNumberValue(row.querySelector('[data-field="percent"]'), values.percent);
+
+      burdenList.appendChild(row);
+      return row;
+    }
+
+    function readMembers() {
+      return Array.from(body.querySelectorAll('tr')).map(row => {
+        const member = {};
+        FIELDS.forEach(field => {
+          const input = row.querySelector(`[data-field="${field.key}"]`);
+          member[field.key] = field.text ? input.value : numberValue(input);
+        });
+        return member;
+      });
+    }
+
+    function readBurden() {
+      if (!burdenList) return [];
+
+      return Array.from(burdenList.querySelectorAll('.crew-burden-row')).map(row => ({
+        label: row.querySelector('[data-field="label"]').value.trim() || t('crew.cost'),
+        percent: Math.max(0, parseNumber(row.querySelector('[data-field="percent"]').value) || 0)
+      }));
+    }
+
+    // ============================================
+    // Render
+    // ============================================
+
+    // Default cost labels that haven't been edited, redone after a language change
+    function translateBurden() {
+      renderedLanguage = currentLanguage;
+      if (!burdenList) return;
+
+      burdenList.querySelectorAll('[data-default-key]').forEach(input => {
+        if (input.value !== input.dataset.defaultText) return;
+        input.value = t(input.dataset.defaultKey);
+        input.dataset.defaultText = input.value;
+      });
+    }
+
+    function render() {
+      const result = calculator.getResult();
+      const currency = calculator.getCurrency();
+      const employerView = Boolean(employerToggle && employerToggle.checked);
+
+      if (currentLanguage !== renderedLanguage) translateBurden();
+      const defaultMultiplier = result ? result.multiplier : OvertimePay.DEFAULT_MULTIPLIER;
+
+      if (burdenFieldset) burdenFieldset.classList.toggle('hidden', !employerView);
+      panel.querySelectorAll('.crew-employer-col').forEach(cell => cell.classList.toggle('hidden', !employerView));
+
+      crew = OvertimePay.calculateCrew(readMembers(), {
+        multiplier: defaultMultiplier,
+        currency: currency,
+        burden: employerView ? readBurden() : []
+      });
+
+      body.querySelectorAll('tr').forEach((row, index) => {
+        const member = crew.members[index];
+
+        FIELDS.forEach(field => {
+          const input = row.querySelector(`[data-field="${field.key}"]`);
+          const message = member.errors[field.key] ? validationMessage(member.errors[field.key]) : '';
+          input.classList.toggle('error', Boolean(message));
+          input.setAttribute('aria-invalid', message ? 'true' : 'false');
+          input.parentNode.querySelector('.error-msg').textContent = message;
+        });
+
+        // Blank multipliers show the one they fall back to
+        const multiplierInput = row.querySelector('[data-field="multiplier"]');
+        multiplierInput.dataset.placeholder = String(defaultMultiplier);
+        multiplierInput.placeholder = OvertimePay.formatInputNumber(defaultMultiplier, getLocale());
+
+        row.querySelector('[data-output="overtimePay"]').textContent = member.result ? formatCurrency(member.result.overtimePay, currency) : '–';
+        row.querySelector('[data-output="totalPay"]').textContent = member.result ? formatCurrency(member.result.totalPay, currency) : '–';
+        row.querySelector('[data-output="employerCost"]').textContent = member.result ? formatCurrency(member.employerCost, currency) : '–';
+      });
+
+      renderFooter(currency, employerView);
+      renderTotals(currency, employerView);
+    }
+
+    function renderFooter(currency, employerView) {
+      if (!foot) return;
+      foot.innerHTML = '';
+      if (!body.children.length) return;
+
+      const totals = crew.totals;
+      foot.innerHTML = `
+        <tr>
+          <th scope="row">${escapeHtml(t('crew.footTotal', { count: totals.employees }))}</th>
+          <td></td>
+          <td></td>
+          <td>${formatHours(totals.regularHours)}</td>
+          <td>${formatHours(totals.overtimeHours)}</td>
+          <td>${formatCurrency(totals.overtimePay, currency)}</td>
+          <td>${formatCurrency(totals.totalPay, currency)}</td>
+          <td class="crew-employer-col${employerView ? '' : ' hidden'}">${formatCurrency(totals.employerCost, currency)}</td>
+          <td></td>
+        </tr>
+      `;
+    }
+
+    function renderTotals(currency, employerView) {
+      if (!totalsEl) return;
+      totalsEl.innerHTML = '';
+
+      const totals = crew.totals;
+      if (!totals.employees && !totals.invalid) return;
+
+      const overtimeMeta = [
+        t('crew.overtimeHours', { hours: formatHours(totals.overtimeHours) }),
+        t(totals.employees === 1 ? 'crew.withOvertimeOne' : 'crew.withOvertimeOther', { count: totals.withOvertime, employees: totals.employees })
+      ];
+      if (totals.invalid) overtimeMeta.push(t(totals.invalid === 1 ? 'crew.skippedOne' : 'crew.skippedOther', { count: totals.invalid }));
+
+      const cards = [
+        [t('crew.overtimeCost', { currency: currency }), totals.overtimePay, overtimeMeta.join(' · ')],
+        [t('crew.grossPay', { currency: currency }), totals.totalPay, t('crew.grossPayMeta', {
+          regular: formatCurrency(totals.regularPay, currency),
+          overtime: formatCurrency(totals.overtimePay, currency)
+        })]
+      ];
+
+      if (employerView) {
+        const items = crew.burden.filter(item => item.percent > 0).map(item => `${item.label} ${formatCurrency(item.amount, currency)}`);
+        const burden = t(items.length ? 'crew.burdenItems' : 'crew.burden', {
+          amount: formatCurrency(totals.burden, currency),
+          percent: OvertimePay.formatInputNumber(Math.round(crew.burdenPercent * 100) / 100, getLocale()),
+          items: items.join(', ')
+        });
+        cards.push([t('crew.employerCost', { currency: currency }), totals.employerCost,
+          burden + ' · ' + t('crew.overtimeWithBurden', { amount: formatCurrency(totals.overtimeEmployerCost, currency) })]);
+      }
+
+      cards.forEach(([label, amount, meta]) => {
+        const card = document.createElement('div');
+        card.className = 'history-total';
+        card.innerHTML = `
+          <span class="history-total-label">${escapeHtml(label)}</span>
+          <span class="history-total-value">${formatCurrency(amount, currency)}</span>
+          <span class="history-total-meta"></span>
+        `;
+        card.querySelector('.history-total-meta').textContent = meta;
+        totalsEl.appendChild(card);
+      });
+    }
+
+    // Start with one empty row to type into; blank rows aren't counted
+    addRow();
+    render();
+  }
+
+  // ============================================
+  // Deductions (Gross to Net)
+  // ============================================
+
+  function initDeductions(calculator) {
+    const panel = $('deductions');
+    const taxMethodSelect = $('tax-method');
+    const taxMethodNote = $('tax-method-note');
+    const taxRateGroup = $('tax-rate-group');
+    const taxRateInput = $('tax-rate');
+    const pretaxInput = $('pretax-percent');
+    const postTaxInput = $('posttax-deductions');
+    const netResults = $('net-results');
+    const netRegular = $('net-regular');
+    const netOvertime = $('net-overtime');
+    const netOtWithholding = $('net-ot-withholding');
+    const netTotal = $('net-total');
+    const netUnapplied = $('net-unapplied');
+
+    if (!calculator || !panel || !taxMethodSelect) return null;
+
+    const changeListeners = [];
+
+    // Deduction inputs, by validation.js bounds key
+    const deductionInputs = {
+      taxRate: taxRateInput,
+      pretaxPercent: pretaxInput,
+      postTaxDeductions: postTaxInput
+    };
+
+    OvertimePay.WITHHOLDING_TABLES.forEach(table => {
+      const option = document.createElement('option');
+      option.value = table.id;
+      option.textContent = table.name;
+      taxMethodSelect.appendChild(option);
+    });
+
+    function update() {
+      const result = calculator.getResult();
+      const active = panel.open && result && result.totalPay > 0;
+      const table = OvertimePay.getWithholdingTable(taxMethodSelect.value);
+
+      // Bracket tables replace the flat rate; supplemental still needs it for regular pay
+      if (taxRateGroup) taxRateGroup.classList.toggle('hidden', Boolean(table) && table.type === 'brackets');
+      if (taxMethodNote) {
+        taxMethodNote.textContent = table
+          ? `${table.source}.${table.type === 'supplemental' ? ' ' + t('deductions.supplementalNote') : ''}`
+          : '';
+      }
+
+      const valid = validate();
+      if (netResults) netResults.classList.toggle('hidden', !active || !valid);
+      if (!active || !valid) return;
+
+      const net = OvertimePay.estimateNetPay(Object.assign({
+        regularPay: result.totalPay - result.overtimePay,
+        overtimePay: result.overtimePay
+      }, getSettings()));
+
+      if (netRegular) netRegular.textContent = formatCurrency(net.netRegular);
+      if (netOvertime) netOvertime.textContent = formatCurrency(net.netOvertime);
+      if (netOtWithholding) {
+        netOtWithholding.textContent = `${formatCurrency(net.pretax.overtime + net.tax.overtime)} (${(net.overtimeWithholdingRate * 100).toFixed(1)}%)`;
+      }
+      if (netTotal) netTotal.textContent = formatCurrency(net.netTotal);
+      if (netUnapplied) {
+        netUnapplied.textContent = net.postTax.unapplied > 0
+          ? t('deductions.postTaxUnapplied', { amount: formatCurrency(net.postTax.unapplied) })
+          : '';
+        netUnapplied.classList.toggle('hidden', !(net.postTax.unapplied > 0));
+      }
+    }
+
+    /**
+     * Check the deduction inputs in play and show their messages with the
+     * calculator's
+     */
+    function validate() {
+      const values = {};
+      Object.keys(deductionInputs).forEach(field => {
+        const input = deductionInputs[field];
+        if (input && !input.closest('.hidden')) values[field] = numberValue(input);
+      });
+
+      const validation = OvertimePay.validateCalculatorInputs(values, { currency: calculator.getCurrency() });
+      const messages = {};
+      Object.keys(validation.errors).forEach(field => {
+        messages[field] = validationMessage(validation.errors[field]);
+      });
+      calculator.showPanelErrors('deductions', deductionInputs, messages);
+      return validation.valid;
+    }
+
+    /**
+     * The withholding settings as estimateNetPay() input, without the pay
+     */
+    function getSettings() {
+      return {
+        method: taxMethodSelect.value,
+        flatRate: taxRateInput ? numberValue(taxRateInput) : 0,
+        pretaxPercent: pretaxInput ? numberValue(pretaxInput) : 0,
+        postTaxFixed: postTaxInput ? numberValue(postTaxInput) : 0
+      };
+    }
+
+    function handleChange() {
+      update();
+      changeListeners.forEach(listener => listener(getSettings()));
+    }
+
+    [taxMethodSelect, taxRateInput, pretaxInput, postTaxInput].forEach(input => {
+      if (input) {
+        input.addEventListener('input', handleChange);
+        input.addEventListener('change', handleChange);
+      }
+    });
+    panel.addEventListener('toggle', update);
+    calculator.onResult(update);
+    update();
+
+    return {
+      getSettings: getSettings,
+      onChange: listener => changeListeners.push(listener)
+    };
+  }
+
+  // ============================================
+  // Paycheck Goal
+  // ============================================
+
+  function initGoalSeek(calculator, deductions) {
+    const panel = $('paycheck-goal');
+    const targetInput = $('goal-target');
+    const basisSelect = $('goal-basis');
+    const basisHint = $('goal-basis-hint');
+    const rateInput = $('goal-rate');
+    const multiplierInput = $('goal-multiplier');
+    const regularHoursInput = $('goal-regular-hours');
+    const overtimeHoursInput = $('goal-overtime-hours');
+    const answersEl = $('goal-answers');
+    const warningsEl = $('goal-warnings');
+
+    if (!calculator || !panel || !targetInput || !answersEl) return;
+
+    // Goal inputs by validation.js bounds key
+    const goalInputs = {
+      targetPay: targetInput,
+      hourlyRate: rateInput,
+      customMultiplier: multiplierInput,
+      regularHours: regularHoursInput,
+      overtimeHours: overtimeHoursInput
+    };
+
+    // Take-home targets need the withholding settings
+    if (basisSelect && !deductions) basisSelect.querySelector('option[value="net"]').disabled = true;
+
+    Object.keys(goalInputs).forEach(field => {
+      if (goalInputs[field]) goalInputs[field].addEventListener('input', render);
+    });
+    if (basisSelect) basisSelect.addEventListener('change', render);
+    if (deductions) deductions.onChange(render);
+    calculator.onResult(render);
+
+    /**
+     * A goal input's number, or the calculator's value when it's blank
+     */
+    function readValue(input, fallback) {
+      const number = input && input.value.trim() ? parseNumber(input.value) : NaN;
+      return Number.isFinite(number) ? number : fallback;
+    }
+
+    // Blank fields show the calculator value they fall back to
+    function showFallback(input, value) {
+      if (!input) return;
+      const text = String(Math.round((value || 0) * 100) / 100);
+      input.dataset.placeholder = text;
+      input.placeholder = OvertimePay.formatInputNumber(text, getLocale());
+    }
+
+    /**
+     * Check the typed goal inputs against the calculator's bounds. Blank
+     * hours count as the calculator's, so the week can't pass 168 hours.
+     */
+    function validate(fallbacks) {
+      const values = {};
+      Object.keys(goalInputs).forEach(field => {
+        if (goalInputs[field]) values[field] = numberValue(goalInputs[field]);
+      });
+      if (!values.regularHours) values.regularHours = String(fallbacks.regularHours);
+      if (!values.overtimeHours) values.overtimeHours = String(fallbacks.overtimeHours);
+
+      const validation = OvertimePay.validateCalculatorInputs(values, { currency: calculator.getCurrency() });
+      const messages = {};
+      Object.keys(validation.errors).forEach(field => {
+        messages[field] = validationMessage(validation.errors[field]);
+      });
+
+      Object.keys(goalInputs).forEach(field => {
+        const input = goalInputs[field];
+        if (input) setInputError(input, $(input.id + '-error'), messages[field]);
+      });
+      return validation.valid;
+    }
+
+    function render() {
+      const result = calculator.getResult();
+      const net = basisSelect && basisSelect.value === 'net' && deductions ? deductions.getSettings() : null;
+      const pay = amount => t(net ? 'goal.payNet' : 'goal.payGross', { amount: formatCurrency(amount) });
+      const perHour = amount => t('results.perHour', { amount: formatCurrency(amount) });
+
+      if (basisHint) basisHint.textContent = net ? t('goal.netHint') : '';
+
+      if (result) {
+        showFallback(rateInput, result.hourlyRate);
+        showFallback(multiplierInput, result.multiplier);
+        showFallback(regularHoursInput, result.regularHours);
+        showFallback(overtimeHoursInput, result.overtimeHours);
+      }
+
+      answersEl.innerHTML = '';
+      if (warningsEl) {
+        warningsEl.innerHTML = '';
+        warningsEl.classList.add('hidden');
+      }
+
+      const hourlyRate = readValue(rateInput, result ? result.hourlyRate : 0);
+      const multiplier = readValue(multiplierInput, result ? result.multiplier : OvertimePay.DEFAULT_MULTIPLIER);
+      const regularHours = readValue(regularHoursInput, result ? result.regularHours : OvertimePay.DEFAULT_REGULAR_HOURS);
+      const overtimeHours = readValue(overtimeHoursInput, result ? result.overtimeHours : 0);
+      const currency = calculator.getCurrency();
+
+      const valid = validate({
+        regularHours: result ? result.regularHours : OvertimePay.DEFAULT_REGULAR_HOURS,
+        overtimeHours: result ? result.overtimeHours : 0
+      });
+      if (!valid || !targetInput.value.trim()) return;
+
+      const targetPay = parseNumber(targetInput.value);
+
+      // A direct overtime rate from the calculator still applies to its own hourly rate
+      const overtimeRateOverride = !(rateInput && rateInput.value.trim()) && result && result.overtimeRateSource === 'override'
+        ? result.overtimeRate
+        : null;
+
+      const cards = [];
+      const warnings = [];
+
+      if (hourlyRate > 0) {
+        const hours = OvertimePay.solveOvertimeHours({
+          targetPay: targetPay,
+          hourlyRate: hourlyRate,
+          multiplier: multiplier,
+          regularHours: regularHours,
+          overtimeRateOverride: overtimeRateOverride,
+          currency: currency,
+          net: net
+        });
+
+        if (!hours.reachable) {
+          cards.push([t('goal.hoursNeeded'), t('goal.notReachable'), t('goal.hoursUnreachable', { max: OvertimePay.HOURS_PER_WEEK, rate: perHour(hourlyRate) })]);
+        } else if (hours.alreadyMet) {
+          cards.push([t('goal.hoursNeeded'), t('goal.hours', { hours: formatHours(0) }), t('goal.alreadyMet', { hours: formatHours(regularHours), pay: pay(hours.pay) })]);
+        } else {
+          cards.push([t('goal.hoursNeeded'), t('goal.hours', { hours: formatHours(hours.overtimeHours) }),
+            t('goal.hoursAnswer', { hours: formatHours(hours.totalHours), rate: perHour(hourlyRate), pay: pay(hours.pay) })]);
+          warnings.push([t('goal.hoursGoal'), hours]);
+        }
+      } else {
+        cards.push([t('goal.hoursNeeded'), '–', t('goal.needRate')]);
+      }
+
+      const rate = OvertimePay.solveHourlyRate({
+        targetPay: targetPay,
+        regularHours: regularHours,
+        overtimeHours: overtimeHours,
+        multiplier: multiplier,
+        currency: currency,
+        net: net
+      });
+
+      if (rate.reachable) {
+        cards.push([t('goal.rateNeeded'), perHour(rate.hourlyRate), t('goal.rateAnswer', {
+          regular: formatHours(regularHours),
+          overtime: formatHours(overtimeHours),
+          multiplier: OvertimePay.formatInputNumber(multiplier, getLocale()),
+          pay: pay(rate.pay)
+        })]);
+        warnings.push([t('goal.fixedSchedule'), rate]);
+      } else {
+        cards.push([t('goal.rateNeeded'), t('goal.notReachable'), rate.totalHours > 0 && rate.totalHours <= OvertimePay.HOURS_PER_WEEK
+          ? t('goal.deductionsTooHigh')
+          : t('goal.scheduleRange', { max: OvertimePay.HOURS_PER_WEEK })]);
+      }
+
+      cards.forEach(([label, value, meta]) => {
+        const card = document.createElement('div');
+        card.className = 'history-total';
+        card.innerHTML = `
+          <span class="history-total-label"></span>
+          <span class="history-total-value"></span>
+          <span class="history-total-meta"></span>
+        `;
+        card.querySelector('.history-total-label').textContent = label;
+        card.querySelector('.history-total-value').textContent = value;
+        card.querySelector('.history-total-meta').textContent = meta;
+        answersEl.appendChild(card);
+      });
+
+      // Realistic weekly limits
+      if (!warningsEl) return;
+      warnings.forEach(([label, solution]) => {
+        if (!solution.limits.length) return;
+        const item = document.createElement('li');
+        item.textContent = [t('goal.warning', { label: label, hours: formatHours(solution.totalHours) })]
+          .concat(solution.limits.map(limit => (limit.key ? t(limit.key) : limit.message)))
+          .join(' ');
+        warningsEl.appendChild(item);
+      });
+      warningsEl.classList.toggle('hidden', warningsEl.children.length === 0);
+    }
+
+    render();
+  }
+
+  // ============================================
+  // Scenario Comparison
+  // ============================================
+
+  function initScenarios(calculator) {
+    const panel = $('scenarios');
+    const addBtn = $('scenario-add');
+    const clearBtn = $('scenario-clear');
+    const emptyHint = $('scenario-empty');
+    const tableWrapper = $('scenario-table-wrapper');
+    const head = $('scenario-head');
+    const body = $('scenario-body');
+
+    if (!calculator || !panel || !addBtn || !head || !body) return;
+
+    const scenarios = [];
+    let baselineIndex = 0;
+    let nextNumber = 1;
+    let renderedLanguage = null;
+
+    // labelKey is an i18n message key
+    const RESULT_ROWS = [
+      { key: 'overtimePay', labelKey: 'scenario.overtimePay' },
+      { key: 'regularPay', labelKey: 'scenario.regularPay' },
+      { key: 'totalPay', labelKey: 'scenario.totalPay' },
+      { key: 'effectiveRate', labelKey: 'scenario.effectiveRate', perHour: true },
+      { key: 'overtimePay', labelKey: 'scenario.deltaOvertimePay', delta: true },
+      { key: 'totalPay', labelKey: 'scenario.deltaTotalPay', delta: true },
+      { key: 'effectiveRate', labelKey: 'scenario.deltaEffectiveRate', delta: true, perHour: true }
+    ];
+
+    // ============================================
+    // Event Listeners
+    // ============================================
+
+    addBtn.addEventListener('click', () => {
+      const result = calculator.getResult();
+      if (!result || result.hourlyRate <= 0) {
+        flashButton(addBtn, t('action.enterRate'));
+        return;
+      }
+      if (scenarios.length >= OvertimePay.MAX_SCENARIOS) return;
+
+      scenarios.push(OvertimePay.scenarioFromResult(result, t('scenario.defaultName', { number: nextNumber++ })));
+      render();
+      const inputs = head.querySelectorAll('[data-field="name"]');
+      inputs[inputs.length - 1].select();
+    });
+
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        scenarios.length = 0;
+        baselineIndex = 0;
+        nextNumber = 1;
+        render();
+      });
+    }
+
+    panel.addEventListener('input', (e) => {
+      const input = e.target.closest('[data-scenario][data-field]');
+      if (!input) return;
+
+      const scenario = scenarios[Number(input.dataset.scenario)];
+      scenario[input.dataset.field] = input.dataset.field === 'name' ? input.value : numberValue(input);
+      updateResults();
+    });
+
+    panel.addEventListener('change', (e) => {
+      if (e.target.name !== 'scenario-baseline') return;
+      baselineIndex = Number(e.target.value);
+      updateResults();
+    });
+
+    head.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.btn-remove-row');
+      if (!removeBtn) return;
+
+      const index = Number(removeBtn.dataset.scenario);
+      scenarios.splice(index, 1);
+      if (baselineIndex === index) {
+        baselineIndex = 0;
+      } else if (baselineIndex > index) {
+        baselineIndex--;
+      }
+      render();
+    });
+
+    // Amounts follow the calculator's currency. The calculator refreshes
+    // its results after a language change.
+    calculator.onResult(() => {
+      if (currentLanguage !== renderedLanguage) {
+        render();
+      } else if (scenarios.length) {
+        updateResults();
+      }
+    });
+
+    // ============================================
+    // Render
+    // ============================================
+
+    /**
+     * Rebuild the table's columns. Typing only calls updateResults, so the
+     * focused input is never replaced.
+     */
+    function render() {
+      const count = scenarios.length;
+      renderedLanguage = currentLanguage;
+
+      if (emptyHint) emptyHint.classList.toggle('hidden', count > 0);
+      if (tableWrapper) tableWrapper.classList.toggle('hidden', count === 0);
+      addBtn.disabled = count >= OvertimePay.MAX_SCENARIOS;
+
+      head.innerHTML = '';
+      body.innerHTML = '';
+      if (!count) return;
+
+      const headRow = document.createElement('tr');
+      headRow.innerHTML = `<th scope="col"><span class="sr-only">${escapeHtml(t('scenario.field'))}</span></th>`;
+      scenarios.forEach((scenario, index) => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.innerHTML = `
+          <div class="scenario-header">
+            <input type="text" class="expense-input" data-scenario="${index}" data-field="name" aria-label="${escapeHtml(t('scenario.nameLabel', { number: index + 1 }))}">
+            <button type="button" class="btn-remove-row" data-scenario="${index}" aria-label="${escapeHtml(t('scenario.remove', { number: index + 1 }))}">&times;</button>
+          </div>
+          <label class="scenario-baseline">
+            <input type="radio" name="scenario-baseline" value="${index}"${index === baselineIndex ? ' checked' : ''}>
+            ${escapeHtml(t('scenario.baseline'))}
+          </label>
+        `;
+        cell.querySelector('[data-field="name"]').value = scenario.name;
+        headRow.appendChild(cell);
+      });
+      head.appendChild(headRow);
+
+      OvertimePay.SCENARIO_FIELDS.forEach(field => {
+        const row = document.createElement('tr');
+        const label = t(field.labelKey);
+        row.innerHTML = `<th scope="row">${escapeHtml(label)}</th>`;
+        scenarios.forEach((scenario, index) => {
+          const cell = document.createElement('td');
+          cell.innerHTML = `<input type="text" class="expense-input" data-scenario="${index}" data-field="${field.key}" inputmode="decimal" aria-label="${escapeHtml(t('scenario.fieldLabel', { field: label, number: index + 1 }))}">`;
+          const input = cell.querySelector('input');
+          if (scenario[field.key] !== '' && scenario[field.key] !== null && scenario[field.key] !== undefined) {
+            setNumberValue(input, scenario[field.key]);
+          }
+          row.appendChild(cell);
+        });
+        body.appendChild(row);
+      });
+
+      RESULT_ROWS.forEach((item, rowIndex) => {
+        const row = document.createElement('tr');
+        row.className = item.delta ? 'scenario-result scenario-delta' : 'scenario-result';
+        row.dataset.row = rowIndex;
+        row.innerHTML = `<th scope="row">${escapeHtml(t(item.labelKey))}</th>` + scenarios.map(() => '<td></td>').join('');
+        body.appendChild(row);
+      });
+
+      updateResults();
+    }
+
+    function formatAmount(amount, item) {
+      const money = formatCurrency(amount, calculator.getCurrency());
+      const text = item.perHour ? t('results.perHour', { amount: money }) : money;
+      return item.delta && amount > 0.005 ? '+' + text : text;
+    }
+
+    function updateResults() {
+      const compared = OvertimePay.compareScenarios(scenarios, baselineIndex, calculator.getCurrency());
+
+      body.querySelectorAll('.scenario-result').forEach(row => {
+        const item = RESULT_ROWS[Number(row.dataset.row)];
+
+        compared.forEach((entry, index) => {
+          const cell = row.children[index + 1];
+          cell.className = '';
+
+          if (!entry.result) {
+            // The engine only rejects negative amounts
+            cell.textContent = '–';
+            if (item.key === 'overtimePay' && !item.delta) {
+              cell.innerHTML = `<span class="error-msg">${escapeHtml(t('scenario.errorNegative'))}</span>`;
+            }
+            return;
+          }
+
+          if (item.delta) {
+            if (!entry.delta) {
+              cell.textContent = index === baselineIndex ? t('scenario.baseline') : '–';
+              return;
+            }
+            const amount = entry.delta[item.key];
+            cell.textContent = formatAmount(amount, item);
+            if (Math.abs(amount) >= 0.005) cell.className = amount > 0 ? 'scenario-up' : 'scenario-down';
+            return;
+          }
+
+          cell.textContent = formatAmount(entry.result[item.key], item);
+        });
+      });
+    }
+
+    render();
+  }
+
+  // ============================================
+  // Earnings Projection
+  // ============================================
+
+  function initProjection(calculator, history) {
+    const panel = $('projection');
+    const basisSelect = $('projection-basis');
+    const basisHint = $('projection-basis-hint');
+    const seasonSelect = $('projection-season');
+    const factorGroup = $('projection-factor-group');
+    const factorInput = $('projection-factor');
+    const factorError = $('projection-factor-error');
+    const monthsFieldset = $('projection-months');
+    const emptyHint = $('projection-empty');
+    const resultsEl = $('projection-results');
+    const totalsEl = $('projection-totals');
+    const monthlyChart = $('projection-monthly-chart');
+    const monthlyBody = $('projection-monthly-body');
+    const monthlyFoot = $('projection-monthly-foot');
+    const cumulativeChart = $('projection-cumulative-chart');
+    const cumulativeBody = $('projection-cumulative-body');
+
+    if (!calculator || !panel || !basisSelect || !seasonSelect || !resultsEl) return;
+
+    // Drawing area in SVG units; the SVG scales to the panel width
+    const CHART = { width: 640, height: 240, top: 12, right: 12, bottom: 28, left: 64 };
+    let renderedLanguage = null;
+
+    if (!history) basisSelect.querySelector('option[value="history"]').disabled = true;
+
+    OvertimePay.SEASONALITY_PATTERNS.forEach(pattern => {
+      const option = document.createElement('option');
+      option.value = pattern.id;
+      seasonSelect.appendChild(option);
+    });
+    seasonSelect.value = OvertimePay.DEFAULT_SEASONALITY;
+
+    if (monthsFieldset) {
+      OvertimePay.MONTH_LABELS.forEach((label, month) => {
+        const item = document.createElement('label');
+        item.className = 'toggle-row';
+        item.innerHTML = `<input type="checkbox" value="${month}"> <span class="projection-month-name"></span>`;
+        monthsFieldset.appendChild(item);
+      });
+    }
+
+    // ============================================
+    // Event Listeners
+    // ============================================
+
+    basisSelect.addEventListener('change', render);
+
+    seasonSelect.addEventListener('change', () => {
+      const pattern = OvertimePay.getSeasonalityPattern(seasonSelect.value);
+      if (pattern && pattern.peakMonths && monthsFieldset) {
+        monthsFieldset.querySelectorAll('input').forEach(input => {
+          input.checked = pattern.peakMonths.indexOf(Number(input.value)) !== -1;
+        });
+      }
+      render();
+    });
+
+    // Changing a preset's months makes it a custom pattern
+    if (monthsFieldset) {
+      monthsFieldset.addEventListener('change', () => {
+        seasonSelect.value = 'custom';
+        render();
+      });
+    }
+
+    if (factorInput) factorInput.addEventListener('input', render);
+
+    panel.addEventListener('click', (e) => {
+      const toggle = e.target.closest('.chart-table-toggle');
+      if (!toggle) return;
+
+      const table = $(toggle.getAttribute('aria-controls'));
+      const expanded = toggle.getAttribute('aria-expanded') !== 'true';
+      toggle.setAttribute('aria-expanded', String(expanded));
+      toggle.textContent = t(expanded ? 'projection.hideTable' : 'projection.showTable');
+      if (table) table.classList.toggle('hidden', !expanded);
+    });
+
+    calculator.onResult(render);
+    if (history) history.onChange(render);
+
+    // ============================================
+    // Projection
+    // ============================================
+
+    /**
+     * Short month name in the page language, e.g. "Jan" or "janv."
+     */
+    function monthName(month) {
+      return new Date(2000, month, 1).toLocaleDateString(getLocale(), { month: 'short' });
+    }
+
+    // Text the panel builds once, redone after a language change
+    function translatePanel() {
+      renderedLanguage = currentLanguage;
+
+      Array.from(seasonSelect.options).forEach(option => {
+        option.textContent = t(OvertimePay.getSeasonalityPattern(option.value).key);
+      });
+      if (monthsFieldset) {
+        monthsFieldset.querySelectorAll('.projection-month-name').forEach((name, month) => {
+          name.textContent = monthName(month);
+        });
+      }
+      panel.querySelectorAll('.chart-table-toggle').forEach(toggle => {
+        toggle.textContent = t(toggle.getAttribute('aria-expanded') === 'true' ? 'projection.hideTable' : 'projection.showTable');
+      });
+    }
+
+    function peakMonths() {
+      const pattern = OvertimePay.getSeasonalityPattern(seasonSelect.value);
+      if (pattern && pattern.peakMonths) return pattern.peakMonths;
+      if (!monthsFieldset) return [];
+
+      return Array.from(monthsFieldset.querySelectorAll('input:checked')).map(input => Number(input.value));
+    }
+
+    /**
+     * The week to project, or null with the reason shown in the empty hint
+     */
+    function typicalWeek(currency) {
+      if (basisSelect.value === 'history' && history) {
+        const week = OvertimePay.averageWeek(history.store.list(), { currency: currency });
+        if (basisHint) {
+          basisHint.textContent = week
+            ? t(week.weeks === 1 ? 'projection.averageOne' : 'projection.averageOther', { count: week.weeks, currency: currency, amount: formatCurrency(week.totalPay, currency) })
+            : '';
+        }
+        if (!week && emptyHint) emptyHint.textContent = t('projection.noSavedWeeks', { currency: currency, save: t('action.save') });
+        return week;
+      }
+
+      if (basisHint) basisHint.textContent = '';
+      const result = calculator.getResult();
+      if (!result || result.totalPay <= 0) {
+        if (emptyHint) emptyHint.textContent = t('projection.empty');
+        return null;
+      }
+      return OvertimePay.weekFromResult(result);
+    }
+
+    function render() {
+      const currency = calculator.getCurrency();
+      const pattern = OvertimePay.getSeasonalityPattern(seasonSelect.value);
+      const seasonal = Boolean(pattern) && pattern.id !== 'none';
+
+      if (currentLanguage !== renderedLanguage) translatePanel();
+
+      if (factorGroup) factorGroup.classList.toggle('hidden', !seasonal);
+      if (monthsFieldset) monthsFieldset.classList.toggle('hidden', !seasonal);
+      if (factorError) factorError.textContent = '';
+      if (factorInput) factorInput.classList.remove('error');
+
+      const week = typicalWeek(currency);
+      let peakFactor = OvertimePay.DEFAULT_PEAK_FACTOR;
+
+      if (seasonal && factorInput && factorInput.value.trim()) {
+        peakFactor = parseNumber(factorInput.value);
+        if (!(peakFactor >= 0)) {
+          if (factorError) factorError.textContent = t('projection.errorFactor');
+          factorInput.classList.add('error');
+          peakFactor = null;
+        }
+      }
+
+      const ready = Boolean(week) && peakFactor !== null;
+      // An invalid peak factor shows its own error instead of the hint
+      if (emptyHint) emptyHint.classList.toggle('hidden', Boolean(week));
+      resultsEl.classList.toggle('hidden', !ready);
+      if (!ready) return;
+
+      const projection = OvertimePay.projectEarnings(week, {
+        peakMonths: seasonal ? peakMonths() : [],
+        peakFactor: peakFactor
+      });
+
+      renderTotals(projection, currency);
+      renderTables(projection, currency);
+      if (monthlyChart) monthlyChart.innerHTML = monthlyChartSvg(projection.months, currency);
+      if (cumulativeChart) cumulativeChart.innerHTML = cumulativeChartSvg(projection.months, currency);
+    }
+
+    function renderTotals(projection, currency) {
+      if (!totalsEl) return;
+
+      const annual = projection.annual;
+      const average = projection.monthlyAverage;
+
+      const share = OvertimePay.formatInputNumber((annual.overtimeShare * 100).toFixed(1), getLocale());
+
+      totalsEl.innerHTML = '';
+      [
+        [t('projection.annualTotal', { currency: currency }), formatCurrency(annual.totalPay, currency),
+          t('projection.annualTotalMeta', { regular: formatCurrency(annual.regularPay, currency), overtime: formatCurrency(annual.overtimePay, currency) })],
+        [t('projection.annualOvertime', { currency: currency }), formatCurrency(annual.overtimePay, currency),
+          t('projection.annualOvertimeMeta', { hours: formatHours(annual.overtimeHours), share: share })],
+        [t('projection.monthlyAverage', { currency: currency }), formatCurrency(average.totalPay, currency),
+          t('projection.monthlyAverageMeta', { overtime: formatCurrency(average.overtimePay, currency), hours: formatHours(average.overtimeHours) })]
+      ].forEach(([label, value, meta]) => {
+        const card = document.createElement('div');
+        card.className = 'history-total';
+        card.innerHTML = `
+          <span class="history-total-label">${escapeHtml(label)}</span>
+          <span class="history-total-value">${value}</span>
+          <span class="history-total-meta">${meta}</span>
+        `;
+        totalsEl.appendChild(card);
+      });
+    }
+
+    function renderTables(projection, currency) {
+      if (monthlyBody) {
+        monthlyBody.innerHTML = projection.months.map(month => `
+          <tr>
+            <th scope="row">${escapeHtml(monthName(month.month))}${month.peak ? ` <span class="projection-peak">${escapeHtml(t('projection.peak'))}</span>` : ''}</th>
+            <td>${formatCurrency(month.regularPay, currency)}</td>
+            <td>${formatCurrency(month.overtimePay, currency)}</td>
+            <td>${formatHours(month.overtimeHours)}</td>
+            <td>${formatCurrency(month.totalPay, currency)}</td>
+          </tr>
+        `).join('');
+      }
+
+      if (monthlyFoot) {
+        const annual = projection.annual;
+        monthlyFoot.innerHTML = `
+          <tr>
+            <th scope="row">${escapeHtml(t('projection.year'))}</th>
+            <td>${formatCurrency(annual.regularPay, currency)}</td>
+            <td>${formatCurrency(annual.overtimePay, currency)}</td>
+            <td>${formatHours(annual.overtimeHours)}</td>
+            <td>${formatCurrency(annual.totalPay, currency)}</td>
+          </tr>
+        `;
+      }
+
+      if (cumulativeBody) {
+        cumulativeBody.innerHTML = projection.months.map(month => `
+          <tr>
+            <th scope="row">${escapeHtml(monthName(month.month))}</th>
+            <td>${formatCurrency(month.cumulativeRegularPay, currency)}</td>
+            <td>${formatCurrency(month.cumulativeOvertimePay, currency)}</td>
+            <td>${formatCurrency(month.cumulativeTotalPay, currency)}</td>
+          </tr>
+        `).join('');
+      }
+    }
+
+    // ============================================
+    // Charts (SVG)
+    // ============================================
+
+    /**
+     * Short axis amounts ("$12K"), falling back to the full amount
+     */
+    function formatAxisAmount(amount, currency) {
+      const config = CURRENCIES[currency] || CURRENCIES.USD;
+      try {
+        return new Intl.NumberFormat(config.locale, {
+          style: 'currency',
+          currency: currency,
+          notation: 'compact',
+          maximumFractionDigits: 1
+        }).format(amount);
+      } catch (e) {
+        return formatCurrency(amount, currency);
+      }
+    }
+
+    /**
+     * Scale, gridlines, axis labels and month slots shared by both charts
+     */
+    function chartAxes(months, maxValue, currency) {
+      const ticks = OvertimePay.chartTicks(maxValue);
+      const top = ticks[ticks.length - 1];
+      const plotWidth = CHART.width - CHART.left - CHART.right;
+      const plotHeight = CHART.height - CHART.top - CHART.bottom;
+      const slot = plotWidth / months.length;
+
+      const y = value => CHART.top + plotHeight * (1 - value / top);
+      const x = index => CHART.left + slot * index + slot / 2;
+
+      const grid = ticks.map(value => `
+        <line class="chart-grid" x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(value)}" y2="${y(value)}"></line>
+        <text class="chart-axis" x="${CHART.left - 8}" y="${y(value)}" dy="0.32em" text-anchor="end">${escapeHtml(formatAxisAmount(value, currency))}</text>
+      `).join('');
+
+      const labels = months.map((month, index) => `
+        <text class="chart-axis${month.peak ? ' chart-axis-peak' : ''}" x="${x(index)}" y="${CHART.height - 8}" text-anchor="middle">${escapeHtml(monthName(month.month))}</text>
+      `).join('');
+
+      return { x: x, y: y, slot: slot, markup: grid + labels };
+    }
+
+    function chartSvg(captionId, description, body) {
+      return `
+        <svg class="projection-svg" viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-labelledby="${captionId}" aria-describedby="${captionId}-desc" focusable="false">
+          <desc id="${captionId}-desc">${escapeHtml(description)}</desc>
+          ${body}
+        </svg>
+        <ul class="chart-legend" aria-hidden="true">
+          <li><span class="chart-swatch chart-regular"></span>${escapeHtml(t('projection.legendRegular'))}</li>
+          <li><span class="chart-swatch chart-overtime"></span>${escapeHtml(t('projection.legendOvertime'))}</li>
+        </ul>
+      `;
+    }
+
+    // Regular pay stacked under overtime pay, one bar per month
+    function monthlyChartSvg(months, currency) {
+      const axes = chartAxes(months, Math.max.apply(null, months.map(month => month.totalPay)), currency);
+      const barWidth = axes.slot * 0.6;
+
+      const bars = months.map((month, index) => {
+        const left = axes.x(index) - barWidth / 2;
+        const regularTop = axes.y(month.regularPay);
+        const totalTop = axes.y(month.totalPay);
+        return `
+          <g>
+            <title>${escapeHtml(t('projection.barTitle', { month: monthName(month.month), regular: formatCurrency(month.regularPay, currency), overtime: formatCurrency(month.overtimePay, currency) }))}</title>
+            <rect class="chart-regular" x="${left}" y="${regularTop}" width="${barWidth}" height="${axes.y(0) - regularTop}"></rect>
+            <rect class="chart-overtime" x="${left}" y="${totalTop}" width="${barWidth}" height="${regularTop - totalTop}"></rect>
+          </g>
+        `;
+      }).join('');
+
+      const highest = months.reduce((best, month) => month.totalPay > best.totalPay ? month : best, months[0]);
+      const lowest = months.reduce((best, month) => month.totalPay < best.totalPay ? month : best, months[0]);
+      const description = highest.totalPay === lowest.totalPay
+        ? t('projection.monthlyFlat', { total: formatCurrency(highest.totalPay, currency), overtime: formatCurrency(highest.overtimePay, currency) })
+        : t('projection.monthlyRange', {
+          low: formatCurrency(lowest.totalPay, currency),
+          lowMonth: monthName(lowest.month),
+          high: formatCurrency(highest.totalPay, currency),
+          highMonth: monthName(highest.month),
+          overtime: formatCurrency(highest.overtimePay, currency)
+        });
+
+      return chartSvg('projection-monthly-caption', description, axes.markup + bars);
+    }
+
+    // Regular and overtime pay earned so far in the year, one point per month end
+    function cumulativeChartSvg(months, currency) {
+      const last = months[months.length - 1];
+      const axes = chartAxes(months, Math.max(last.cumulativeRegularPay, last.cumulativeOvertimePay), currency);
+
+      const line = (key, className) => {
+        const points = months.map((month, index) => `${axes.x(index)},${axes.y(month[key])}`).join(' ');
+        const dots = months.map((month, index) => `
+          <circle class="${className}" cx="${axes.x(index)}" cy="${axes.y(month[key])}" r="3">
+            <title>${escapeHtml(t('projection.pointTitle', { month: monthName(month.month), amount: formatCurrency(month[key], currency) }))}</title>
+          </circle>
+        `).join('');
+        return `<polyline class="chart-line ${className}" points="${points}"></polyline>${dots}`;
+      };
+
+      const description = t('projection.cumulativeDescription', {
+        month: monthName(last.month),
+        regular: formatCurrency(last.cumulativeRegularPay, currency),
+        overtime: formatCurrency(last.cumulativeOvertimePay, currency)
+      });
+
+      return chartSvg('projection-cumulative-caption', description,
+        axes.markup + line('cumulativeRegularPay', 'chart-regular') + line('cumulativeOvertimePay', 'chart-overtime'));
+    }
+
+    render();
+  }
+
+  // ============================================
+  // Currency Conversion
+  // ============================================
+
+  function initCurrencyConversion(calculator) {
+    const panel = $('currency-conversion');
+    const currencySelect = $('currency-select');
+    const convertSelect = $('convert-currency');
+    const manualRateInput = $('manual-rate');
+    const manualRateLabel = $('manual-rate-label');
+    const manualRateHint = $('manual-rate-hint');
+    const convertedTotal = $('converted-total');
+    const convertedCurrency = $('converted-currency');
+    const convertedTotalPay = $('converted-total-pay');
+    const convertedRateNote = $('converted-rate-note');
+
+    if (!calculator || !panel || !convertSelect || !currencySelect) return;
+
+    // Same currencies as the main selector, defaulting to the second one
+    Array.from(currencySelect.options).forEach(option => convertSelect.appendChild(option.cloneNode(true)));
+    convertSelect.value = currencySelect.value === 'EUR' ? 'USD' : 'EUR';
+
+    let rateTable = null;
+
+    function update() {
+      const result = calculator.getResult();
+      const from = calculator.getCurrency();
+      const to = convertSelect.value;
+
+      if (manualRateLabel) manualRateLabel.textContent = t('conversion.manualRate', { from: from, to: to });
+      if (manualRateHint) {
+        const tableRate = rateTable ? OvertimePay.crossRate(rateTable, from, to) : null;
+        manualRateHint.textContent = tableRate
+          ? t('conversion.tableHint', { rate: OvertimePay.formatInputNumber(tableRate.toFixed(4), getLocale()), source: rateTable.source, date: formatDate(rateTable.date) })
+          : t('conversion.loading');
+      }
+
+      const active = panel.open && result && result.totalPay > 0 && from !== to;
+      const conversion = active
+        ? OvertimePay.convertAmount(result.totalPay, from, to, rateTable, manualRateInput ? numberValue(manualRateInput) : null)
+        : null;
+
+      if (convertedTotal) convertedTotal.classList.toggle('hidden', !conversion);
+      if (!conversion) return;
+
+      if (convertedCurrency) convertedCurrency.textContent = to;
+      if (convertedTotalPay) convertedTotalPay.textContent = formatCurrency(conversion.amount, to);
+      if (convertedRateNote) {
+        convertedRateNote.textContent = `1 ${from} = ${OvertimePay.formatInputNumber(conversion.rate.toFixed(4), getLocale())} ${to} · ` +
+          (conversion.manual ? t('conversion.manual') : `${conversion.source}, ${formatDate(conversion.date)}`);
+      }
+    }
+
+    OvertimePay.getRateProvider().getRates()
+      .then(table => {
+        rateTable = table;
+        update();
+      })
+      .catch(() => {
+        if (manualRateHint) manualRateHint.textContent = t('conversion.failed');
+      });
+
+    // A manual rate only makes sense for the pair it was entered for
+    [convertSelect, currencySelect].forEach(select => {
+      select.addEventListener('change', () => {
+        if (manualRateInput) manualRateInput.value = '';
+        update();
+      });
+    });
+    if (manualRateInput) manualRateInput.addEventListener('input', update);
+    panel.addEventListener('toggle', update);
+    calculator.onResult(update);
+    update();
+  }
+
+  // ============================================
+  // Exemption Checker
+  // ============================================
+
+  function initExemptionChecker(calculator) {
+    const form = $('exemption-form');
+    const payTypeSelect = $('exempt-pay-type');
+    const payAmountInput = $('exempt-pay-amount');
+    const payAmountLabel = $('exempt-pay-amount-label');
+    const salaryBasisGroup = $('exempt-salary-basis-group');
+    const salaryGuaranteedInput = $('exempt-salary-guaranteed');
+    const annualGroup = $('exempt-annual-group');
+    const annualPayInput = $('exempt-annual-pay');
+    const weeklyHoursInput = $('exempt-weekly-hours');
+    const dutiesContainer = $('exempt-duties');
+    const verdictBox = $('exemption-verdict');
+    const verdictTitle = $('exemption-verdict-title');
+    const reasonsList = $('exemption-reasons');
+    const thresholdsNote = $('exemption-thresholds');
+    const prefillBtn = $('exemption-prefill');
+
+    if (!form || !dutiesContainer) return;
+
+    let shownAnswers = null;
+    let renderedLanguage = null;
+
+    // Duties questions come from the exemption data, grouped by test
+    OvertimePay.EXEMPTION_TESTS.forEach(test => {
+      const group = document.createElement('div');
+      group.className = 'exemption-duty-group';
+
+      const title = document.createElement('p');
+      title.className = 'exemption-duty-title';
+      title.dataset.test = test.id;
+      group.appendChild(title);
+
+      test.questions.forEach(question => {
+        const label = document.createElement('label');
+        label.className = 'toggle-row';
+        label.innerHTML = '<input type="checkbox"> <span></span>';
+        label.querySelector('input').dataset.duty = question.id;
+        label.querySelector('span').dataset.i18n = question.key;
+        group.appendChild(label);
+      });
+
+      dutiesContainer.appendChild(group);
+    });
+
+    // Duty titles, the amount label and any verdict, redone after a language change
+    function translateChecker() {
+      renderedLanguage = currentLanguage;
+
+      dutiesContainer.querySelectorAll('.exemption-duty-title').forEach(title => {
+        const test = OvertimePay.EXEMPTION_TESTS.find(item => item.id === title.dataset.test);
+        title.textContent = t('exemption.dutyGroup', { name: t(test.nameKey), law: test.law });
+      });
+      dutiesContainer.querySelectorAll('[data-i18n]').forEach(span => {
+        span.textContent = t(span.dataset.i18n);
+      });
+      updatePayType();
+      if (shownAnswers) showVerdict(shownAnswers);
+    }
+
+    /**
+     * A reason's message, with its dollar amounts formatted
+     */
+    function reasonText(reason) {
+      const params = {};
+      Object.keys(reason.params).forEach(key => {
+        const value = reason.params[key];
+        params[key] = typeof value === 'number' ? formatCurrency(value, 'USD') : value;
+      });
+      return t(reason.key, params);
+    }
+
+    function updatePayType() {
+      const salaried = payTypeSelect.value === 'salary';
+      if (payAmountLabel) payAmountLabel.textContent = t(salaried ? 'exemption.weeklySalary' : 'exemption.hourlyRate');
+      if (salaryBasisGroup) salaryBasisGroup.classList.toggle('hidden', !salaried);
+      if (annualGroup) annualGroup.classList.toggle('hidden', !salaried);
+    }
+
+    // Amounts as plain number strings, so shown answers survive a language change
+    function readAnswers() {
+      const amount = numberValue(payAmountInput);
+      const duties = {};
+      dutiesContainer.querySelectorAll('input[data-duty]').forEach(input => {
+        duties[input.dataset.duty] = input.checked;
+      });
+
+      return {
+        payType: payTypeSelect.value,
+        weeklySalary: payTypeSelect.value === 'salary' ? amount : '',
+        hourlyRate: payTypeSelect.value === 'hourly' ? amount : '',
+        salaryGuaranteed: Boolean(salaryGuaranteedInput && salaryGuaranteedInput.checked),
+        annualCompensation: numberValue(annualPayInput),
+        duties: duties
+      };
+    }
+
+    function showVerdict(answers) {
+      const evaluation = OvertimePay.evaluateExemption(answers);
+      const exempt = evaluation.verdict === 'exempt';
+      const names = evaluation.exemptions.map(id => {
+        const test = OvertimePay.EXEMPTION_TESTS.find(item => item.id === id);
+        return t(test ? test.nameKey : 'exemption.testHighlyCompensated');
+      });
+
+      shownAnswers = answers;
+      verdictTitle.textContent = exempt
+        ? t(names.length > 1 ? 'exemption.verdictExemptOther' : 'exemption.verdictExemptOne', { names: names.join(', ') })
+        : t('exemption.verdictNonExempt');
+
+      reasonsList.innerHTML = '';
+      evaluation.reasons.forEach(reason => {
+        const item = document.createElement('li');
+        item.className = reason.passed ? 'passed' : '';
+        item.innerHTML = '<span class="sr-only"></span><strong></strong> ';
+        item.querySelector('.sr-only').textContent = t(reason.passed ? 'exemption.met' : 'exemption.notMet') + ' ';
+        item.querySelector('strong').textContent = t('exemption.reasonTest', { test: t(reason.testKey) });
+        item.appendChild(document.createTextNode(reasonText(reason)));
+        reasonsList.appendChild(item);
+      });
+
+      const thresholds = evaluation.thresholds;
+      const vacated = OvertimePay.getVacatedThresholds()
+        .map(entry => t('exemption.vacatedLevel', { amount: `$${entry.salaryLevel.toLocaleString('en-US')}`, date: formatDate(entry.effective) }));
+      const notes = [t('exemption.thresholds', { date: formatDate(thresholds.effective), source: thresholds.source })];
+      if (vacated.length) notes.push(t('exemption.vacated', { levels: new Intl.ListFormat(getLocale(), { type: 'conjunction' }).format(vacated) }));
+      notes.push(t('exemption.disclaimer'));
+      thresholdsNote.textContent = notes.join(' ');
+
+      if (prefillBtn) prefillBtn.classList.toggle('hidden', exempt || !calculator);
+      verdictBox.classList.remove('hidden');
+    }
+
+    /**
+     * Carry the pay and typical hours into the calculator. Salaried
+     * non-exempt pay becomes a fixed salary for a 40-hour schedule.
+     */
+    function prefillCalculator(answers) {
+      const hours = parseNumber(weeklyHoursInput ? weeklyHoursInput.value : '');
+      const state = answers.payType === 'salary'
+        ? { payBasis: 'salary', weeklySalary: answers.weeklySalary, salaryHours: '40' }
+        : { payBasis: 'hourly', hourlyRate: answers.hourlyRate };
+
+      if (hours >= 0) {
+        state.regularHours = String(Math.min(hours, OvertimePay.DEFAULT_REGULAR_HOURS));
+        state.overtimeHours = String(Math.max(0, hours - OvertimePay.DEFAULT_REGULAR_HOURS));
+      }
+
+      calculator.applyState(state);
+
+      const calculatorSection = $('calculator');
+      if (calculatorSection) calculatorSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    payTypeSelect.addEventListener('change', updatePayType);
+    translateChecker();
+
+    // The calculator refreshes its results after a language change
+    if (calculator) {
+      calculator.onResult(() => {
+        if (currentLanguage !== renderedLanguage) translateChecker();
+      });
+    }
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      showVerdict(readAnswers());
+    });
+
+    if (prefillBtn && calculator) {
+      prefillBtn.addEventListener('click', () => prefillCalculator(readAnswers()));
+    }
+  }
+
+  // ============================================
+  // Country Accordion
+  // ============================================
+
+  function initCountryAccordion() {
+    const accordions = document.querySelectorAll('.country-accordion');
+
+    accordions.forEach(accordion => {
+      const summary = accordion.querySelector('summary');
+      if (!summary) return;
+
+      summary.addEventListener('click', (e) => {
+        // Let the native details behavior handle open/close
+        // We could add animations here if needed
+      });
+    });
+  }
+
+  // ============================================
+  // Embed Modal
+  // ============================================
+
+  function initEmbedModal() {
+    const embedBtn = $('embed-btn');
+    const modal = $('embed-modal');
+    const modalClose = modal ? modal.querySelector('.modal-close') : null;
+    const modalBackdrop = modal ? modal.querySelector('.modal-backdrop') : null;
+    const copyEmbedBtn = $('copy-embed');
+    const embedCode = $('embed-code');
+    const configForm = $('embed-config');
+    const currencySelect = $('embed-currency');
+    const multiplierSelect = $('embed-multiplier');
+    const languageSelect = $('embed-language');
+    const compactInput = $('embed-compact');
+    const lockFields = $('embed-lock-fields');
+
+    if (!embedBtn || !modal) return;
+
+    // Configurator - the snippet only carries choices that differ from the defaults
+    if (configForm && embedCode && OvertimePay.buildEmbedSnippet) {
+      const mainCurrency = $('currency-select');
+      if (currencySelect && mainCurrency) {
+        Array.from(mainCurrency.options).forEach(option => currencySelect.appendChild(option.cloneNode(true)));
+        currencySelect.value = 'USD';
+      }
+
+      if (languageSelect) {
+        OvertimePay.LANGUAGES.forEach(language => {
+          const option = document.createElement('option');
+          option.value = language.code;
+          option.textContent = language.name;
+          languageSelect.appendChild(option);
+        });
+        languageSelect.value = OvertimePay.DEFAULT_LANGUAGE;
+      }
+
+      if (lockFields) {
+        OvertimePay.EMBED_LOCKABLE_FIELDS.forEach(field => {
+          const label = document.createElement('label');
+          label.className = 'toggle-row';
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.value = field.key;
+          const text = document.createElement('span');
+          text.dataset.i18n = field.labelKey;
+          text.textContent = t(field.labelKey);
+          label.appendChild(checkbox);
+          label.appendChild(document.createTextNode(' '));
+          label.appendChild(text);
+          lockFields.appendChild(label);
+        });
+      }
+
+      const updateSnippet = () => {
+        const colors = {};
+        configForm.querySelectorAll('input[type="color"]').forEach(input => {
+          if (input.value.toLowerCase() !== input.defaultValue.toLowerCase()) colors[input.dataset.param] = input.value;
+        });
+
+        embedCode.value = OvertimePay.buildEmbedSnippet({
+          currency: currencySelect && currencySelect.value !== 'USD' ? currencySelect.value : '',
+          multiplier: multiplierSelect && multiplierSelect.value !== '1.5' ? multiplierSelect.value : '',
+          language: languageSelect && languageSelect.value !== OvertimePay.DEFAULT_LANGUAGE ? languageSelect.value : '',
+          lock: lockFields ? Array.from(lockFields.querySelectorAll('input:checked')).map(input => input.value) : [],
+          colors: colors,
+          compact: Boolean(compactInput && compactInput.checked)
+        });
+      };
+
+      configForm.addEventListener('input', updateSnippet);
+      configForm.addEventListener('change', updateSnippet);
+      configForm.addEventListener('submit', e => e.preventDefault());
+      updateSnippet();
+    }
+
+    let previouslyFocused = null;
+
+    function openModal() {
+      previouslyFocused = document.activeElement;
+      modal.hidden = false;
+      document.body.style.overflow = 'hidden';
+
+      setTimeout(() => modalClose && modalClose.focus(), 50);
+      modal.addEventListener('keydown', trapFocus);
+    }
+
+    function closeModal() {
+      modal.hidden = true;
+      document.body.style.overflow = '';
+      modal.removeEventListener('keydown', trapFocus);
+
+      if (previouslyFocused) {
+        previouslyFocused.focus();
+      }
+    }
+
+    function trapFocus(e) {
+      if (e.key === 'Escape') {
+        closeModal();
+        return;
+      }
+
+      if (e.key !== 'Tab') return;
+
+      const focusableElements = modal.querySelectorAll(
         'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
       );
       const firstElement = focusableElements[0];
@@ -581,6 +4630,130 @@
     }
   }
 
+  // ============================================
+  // Embed Widget
+  // ============================================
+
+  /**
+   * Apply the host page's options on /embed/ and report size and results
+   * back to it with postMessage
+   */
+  function initEmbedBridge(calculator) {
+    if (!calculator || !document.body.classList.contains('embed-body') || !OvertimePay.parseEmbedOptions) return;
+
+    const options = OvertimePay.parseEmbedOptions(window.location.search);
+
+    Object.keys(options.theme).forEach(property => {
+      document.documentElement.style.setProperty(property, options.theme[property]);
+    });
+
+    if (options.compact) document.body.classList.add('embed-compact');
+
+    OvertimePay.EMBED_LOCKABLE_FIELDS
+      .filter(field => options.lock.indexOf(field.key) !== -1)
+      .forEach(field => {
+        field.ids.forEach(id => {
+          const input = $(id);
+          if (!input) return;
+          input.disabled = true;
+          input.dataset.locked = 'true';
+        });
+      });
+
+    if (window.parent === window) return;
+
+    const post = message => {
+      window.parent.postMessage(Object.assign({ id: options.id }, message), '*');
+    };
+
+    let lastHeight = 0;
+    const postHeight = () => {
+      const height = document.documentElement.scrollHeight;
+      if (height === lastHeight) return;
+      lastHeight = height;
+      post({ type: OvertimePay.EMBED_MESSAGES.resize, height: height });
+    };
+
+    if (typeof ResizeObserver === 'function') {
+      new ResizeObserver(postHeight).observe(document.body);
+    } else {
+      window.addEventListener('resize', postHeight);
+      document.addEventListener('input', () => setTimeout(postHeight, 0));
+      document.addEventListener('toggle', postHeight, true);
+    }
+    postHeight();
+
+    // A placeholder result for inputs in error is not a calculation
+    const postResult = result => {
+      const errors = calculator.getErrors();
+      post(errors
+        ? { type: OvertimePay.EMBED_MESSAGES.calculated, valid: false, errors: errors }
+        : { type: OvertimePay.EMBED_MESSAGES.calculated, valid: true, breakdown: result });
+    };
+
+    calculator.onResult(postResult);
+
+    // Values from the embed link were calculated before this listener
+    postResult(calculator.getResult());
+  }
+
+  // ============================================
+  // Language Switcher
+  // ============================================
+
+  /**
+   * Pick the language from ?lang=, the last choice saved in this browser,
+   * or the browser's own preferences
+   */
+  function initLanguage() {
+    const storage = getLocalStorage();
+    const params = new URLSearchParams(window.location.search);
+    const preferences = [params.get('lang'), storage ? storage.getItem(LANGUAGE_STORAGE_KEY) : null]
+      .concat(navigator.languages || [navigator.language]);
+
+    applyLanguage(OvertimePay.resolveLanguage(preferences));
+  }
+
+  function initLanguageSwitcher(calculator) {
+    const languageSelect = $('language-select');
+
+    if (!languageSelect) return;
+
+    OvertimePay.LANGUAGES.forEach(language => {
+      const option = document.createElement('option');
+      option.value = language.code;
+      option.lang = language.code;
+      option.textContent = language.name;
+      languageSelect.appendChild(option);
+    });
+    languageSelect.value = currentLanguage;
+
+    languageSelect.addEventListener('change', () => {
+      // Numbers already typed are re-written with the new decimal character
+      const inputs = Array.from(document.querySelectorAll('[data-i18n-root] input')).filter(isNumberInput);
+      const values = inputs.map(numberValue);
+
+      applyLanguage(languageSelect.value);
+      inputs.forEach((input, index) => setNumberValue(input, values[index]));
+
+      const storage = getLocalStorage();
+      if (storage) storage.setItem(LANGUAGE_STORAGE_KEY, currentLanguage);
+
+      // ?lang= wins over the saved choice, so keep it in step
+      const params = new URLSearchParams(window.location.search);
+      if (params.has('lang') && window.history && window.history.replaceState) {
+        params.set('lang', currentLanguage);
+        try {
+          window.history.replaceState(null, '', window.location.pathname + '?' + params.toString() + window.location.hash);
+        } catch (e) {
+          // Some browsers block replaceState on file:// pages
+        }
+      }
+
+      if (calculator) calculator.refresh();
+    });
+  }
+
   // ============================================
   // Return to Calculator Button
   // ============================================
@@ -617,16 +4790,100 @@
     updateVisibility();
   }
 
+  // ============================================
+  // Offline Support (Service Worker)
+  // ============================================
+
+  // Must match sw.js
+  const SKIP_WAITING_MESSAGE = 'overtime:skip-waiting';
+
+  /**
+   * Register sw.js next to the manifest, and offer a reload when a new
+   * version has installed behind the open page
+   */
+  function initServiceWorker() {
+    const manifestLink = document.querySelector('link[rel="manifest"]');
+    const toast = $('update-toast');
+    const reloadBtn = $('update-reload');
+    const dismissBtn = $('update-dismiss');
+
+    if (!manifestLink || !('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    let waitingWorker = null;
+    let reloading = false;
+
+    function promptUpdate(worker) {
+      waitingWorker = worker;
+      if (toast) toast.hidden = false;
+    }
+
+    if (reloadBtn) {
+      reloadBtn.addEventListener('click', () => {
+        if (!waitingWorker) return;
+        reloading = true;
+        waitingWorker.postMessage({ type: SKIP_WAITING_MESSAGE });
+      });
+    }
+
+    if (dismissBtn) {
+      dismissBtn.addEventListener('click', () => {
+        if (toast) toast.hidden = true;
+      });
+    }
+
+    // The new worker took over after "Reload"; the first install never reloads
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!reloading) return;
+      reloading = false;
+      window.location.reload();
+    });
+
+    navigator.serviceWorker.register(new URL('sw.js', manifestLink.href).href).then(registration => {
+      if (registration.waiting && navigator.serviceWorker.controller) promptUpdate(registration.waiting);
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) promptUpdate(worker);
+        });
+      });
+
+      // Long-lived tabs (e.g. an installed app left open) check when they come back
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') registration.update().catch(() => {});
+      });
+    }).catch(() => {
+      // Offline support is optional; the calculator works without it
+    });
+  }
+
   // ============================================
   // Initialize
   // ============================================
 
   function init() {
+    initLanguage();
     initNavigation();
-    initOvertimeCalculator();
+    const calculator = initOvertimeCalculator();
+    const history = initPayHistory(calculator);
+    initImportExport(calculator, history);
+    initPayReport(calculator);
+    initBackPay(calculator);
+    initShiftPremiums(calculator);
+    initCrewRoster(calculator);
+    const deductions = initDeductions(calculator);
+    initGoalSeek(calculator, deductions);
+    initScenarios(calculator);
+    initProjection(calculator, history);
+    initExemptionChecker(calculator);
+    initCurrencyConversion(calculator);
+    initEmbedBridge(calculator);
+    initLanguageSwitcher(calculator);
     initCountryAccordion();
     initEmbedModal();
     initReturnButton();
+    initServiceWorker();
   }
 
   // Run on DOM ready
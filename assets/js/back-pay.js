@@ -0,0 +1,192 @@
+/**
+ * Overtime Pay Calculator - Back Pay
+ * Wages owed across past weeks: shortfall per week, look-back window and
+ * liquidated damages
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory(root.OvertimePay || (typeof require === 'function'
+    ? Object.assign({}, require('./overtime-engine.js'), require('./pay-history.js'), require('./import-export.js'))
+    : {}));
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function(deps) {
+  'use strict';
+
+  /*
+   * How far back a claim can reach. FLSA claims must be filed within 2 years
+   * of each unpaid paycheck, or 3 years when the violation was willful
+   * (29 U.S.C. § 255). 'custom' takes its years from the form; years: null
+   * otherwise counts every week entered. key is the label's i18n message key.
+   */
+  const LOOKBACK_WINDOWS = [
+    { id: 'flsa', label: '2 years (FLSA standard)', key: 'backPay.lookbackFlsa', years: 2 },
+    { id: 'flsa-willful', label: '3 years (FLSA willful violation)', key: 'backPay.lookbackWillful', years: 3 },
+    { id: 'custom', label: 'Custom (e.g. a state limit)', key: 'backPay.lookbackCustom', years: null },
+    { id: 'none', label: 'No limit', key: 'backPay.lookbackNone', years: null }
+  ];
+
+  const DEFAULT_LOOKBACK = 'flsa';
+
+  const IMPORT_COLUMNS = ['week of', 'regular hours', 'overtime hours', 'rate', 'paid'];
+
+  const CLAIM_COLUMNS = [
+    { key: 'weekOf', header: 'week_of' },
+    { key: 'regularHours', header: 'regular_hours' },
+    { key: 'overtimeHours', header: 'overtime_hours' },
+    { key: 'hourlyRate', header: 'hourly_rate' },
+    { key: 'owed', header: 'owed' },
+    { key: 'paid', header: 'paid' },
+    { key: 'shortfall', header: 'shortfall' },
+    { key: 'included', header: 'in_lookback_window' }
+  ];
+
+  function round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  function getLookbackWindow(id) {
+    return LOOKBACK_WINDOWS.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Earliest week (YYYY-MM-DD) a claim dated asOf can reach back to, or
+   * null when there is no limit
+   */
+  function lookbackCutoff(asOf, years) {
+    if (years === null || years === undefined || !(years >= 0)) return null;
+
+    const date = asOf instanceof Date ? asOf : new Date(String(asOf) + 'T00:00:00');
+    return deps.toIsoDate(new Date(date.getFullYear(), date.getMonth() - Math.round(years * 12), date.getDate()));
+  }
+
+  // ============================================
+  // Import
+  // ============================================
+
+  /**
+   * Parse "week of, regular hours, overtime hours, rate, paid" rows, where
+   * paid is the gross wages actually received that week. A header row is
+   * skipped when its first cell isn't a date. Bad rows are reported as in
+   * parseHoursCsv.
+   *
+   * @returns {{rows: Array<{line: number, weekOf: string, regularHours: number, overtimeHours: number, hourlyRate: number, paid: number}>, errors: Array<{line: number, problems: Array<{key: string, params: Object}>}>}}
+   */
+  function parseBackPayCsv(text) {
+    const rows = [];
+    const errors = [];
+
+    deps.parseCsv(text).forEach((cells, index) => {
+      if (cells.every(cell => cell.trim() === '')) return;
+      if (index === 0 && !deps.parseDate(cells[0])) return;
+
+      const line = cells.line;
+
+      if (cells.length < IMPORT_COLUMNS.length) {
+        errors.push({ line: line, problems: [{ key: 'backPay.errorColumns', params: { expected: IMPORT_COLUMNS.length, found: cells.length } }] });
+        return;
+      }
+
+      const weekOf = deps.parseDate(cells[0]);
+      const regularHours = deps.parseAmount(cells[1]);
+      const overtimeHours = deps.parseAmount(cells[2]);
+      const hourlyRate = deps.parseAmount(cells[3]);
+      const paid = deps.parseAmount(cells[4]);
+      const problems = [];
+
+      if (!weekOf) problems.push({ key: 'import.errorDate', params: { value: cells[0].trim() } });
+      problems.push(...deps.checkWeekHours(regularHours, overtimeHours, cells));
+      if (hourlyRate === null || hourlyRate <= 0) problems.push({ key: 'import.errorRate', params: { value: cells[3].trim() } });
+      if (paid === null || paid < 0) problems.push({ key: 'backPay.errorPaid', params: { value: cells[4].trim() } });
+
+      if (problems.length) {
+        errors.push({ line: line, problems: problems });
+        return;
+      }
+
+      rows.push({ line: line, weekOf: weekOf, regularHours: regularHours, overtimeHours: overtimeHours, hourlyRate: hourlyRate, paid: paid });
+    });
+
+    return { rows: rows, errors: errors };
+  }
+
+  // ============================================
+  // Claim
+  // ============================================
+
+  /**
+   * Price each week with computeOvertime and compare it with what was paid.
+   * A week paid in full (or overpaid) counts as no shortfall; it never
+   * offsets another week. Weeks before the look-back cutoff are listed but
+   * left out of the totals. Liquidated damages double the unpaid wages.
+   *
+   * @param {Array<{weekOf: string, regularHours: number, overtimeHours: number, hourlyRate: number, paid: number}>} weeks
+   * @param {Object} [settings]
+   * @param {number} [settings.multiplier]
+   * @param {string} [settings.currency]
+   * @param {number|null} [settings.lookbackYears] - null for no limit
+   * @param {string|Date} [settings.asOf] - Claim date the window counts back from (default today)
+   * @param {boolean} [settings.liquidatedDamages]
+   */
+  function calculateBackPay(weeks, settings) {
+    settings = settings || {};
+
+    const cutoff = lookbackCutoff(settings.asOf || new Date(), settings.lookbackYears);
+
+    const items = (weeks || []).map(week => {
+      const result = deps.computeOvertime({
+        hourlyRate: week.hourlyRate,
+        regularHours: week.regularHours,
+        overtimeHours: week.overtimeHours,
+        multiplier: settings.multiplier,
+        currency: settings.currency
+      });
+      const paid = deps.toNumber(week.paid, 0);
+
+      return {
+        line: week.line,
+        weekOf: week.weekOf,
+        regularHours: result.regularHours,
+        overtimeHours: result.overtimeHours,
+        hourlyRate: result.hourlyRate,
+        owed: round(result.totalPay),
+        paid: round(paid),
+        shortfall: round(Math.max(0, result.totalPay - paid)),
+        included: !cutoff || !week.weekOf || week.weekOf >= cutoff
+      };
+    }).sort((a, b) => String(a.weekOf).localeCompare(String(b.weekOf)));
+
+    const unpaidWages = round(items.reduce((sum, item) => sum + (item.included ? item.shortfall : 0), 0));
+    const liquidatedDamages = settings.liquidatedDamages ? unpaidWages : 0;
+
+    return {
+      weeks: items,
+      cutoff: cutoff,
+      weeksIncluded: items.filter(item => item.included).length,
+      weeksShort: items.filter(item => item.included && item.shortfall > 0).length,
+      unpaidWages: unpaidWages,
+      liquidatedDamages: liquidatedDamages,
+      totalClaim: round(unpaidWages + liquidatedDamages)
+    };
+  }
+
+  function backPayToCsv(claim) {
+    return deps.toCsv(claim.weeks.map(week => Object.assign({}, week, { included: week.included ? 'yes' : 'no' })), CLAIM_COLUMNS);
+  }
+
+  return {
+    LOOKBACK_WINDOWS: LOOKBACK_WINDOWS,
+    DEFAULT_LOOKBACK: DEFAULT_LOOKBACK,
+    getLookbackWindow: getLookbackWindow,
+    lookbackCutoff: lookbackCutoff,
+    parseBackPayCsv: parseBackPayCsv,
+    calculateBackPay: calculateBackPay,
+    backPayToCsv: backPayToCsv
+  };
+});
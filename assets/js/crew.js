@@ -0,0 +1,216 @@
+/**
+ * Overtime Pay Calculator - Crew Roster
+ * One week of overtime for a whole crew, with employer payroll burden
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory(root.OvertimePay || (typeof require === 'function'
+    ? Object.assign({}, require('./overtime-engine.js'), require('./import-export.js'))
+    : {}));
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function(deps) {
+  'use strict';
+
+  const HOURS_PER_WEEK = 168;
+
+  /*
+   * Employer costs on top of gross pay, as a percentage of it. The defaults
+   * are the US employer share of FICA; unemployment insurance and workers'
+   * compensation depend on the state and the job, so they start at 0.
+   * Wage-base caps (e.g. Social Security's) aren't applied. key is the
+   * label's i18n message key.
+   */
+  const DEFAULT_PAYROLL_BURDEN = [
+    { label: 'Social Security (employer share)', key: 'crew.burdenSocialSecurity', percent: 6.2 },
+    { label: 'Medicare (employer share)', key: 'crew.burdenMedicare', percent: 1.45 },
+    { label: 'Unemployment insurance (FUTA/SUTA)', key: 'crew.burdenUnemployment', percent: 0 },
+    { label: 'Workers\' compensation', key: 'crew.burdenWorkersComp', percent: 0 }
+  ];
+
+  const ROSTER_COLUMNS = [
+    { key: 'name', header: 'employee' },
+    { key: 'hourlyRate', header: 'hourly_rate' },
+    { key: 'multiplier', header: 'multiplier' },
+    { key: 'regularHours', header: 'regular_hours' },
+    { key: 'overtimeHours', header: 'overtime_hours' },
+    { key: 'regularPay', header: 'regular_pay' },
+    { key: 'overtimePay', header: 'overtime_pay' },
+    { key: 'totalPay', header: 'total_pay' },
+    { key: 'employerCost', header: 'employer_cost' }
+  ];
+
+  function round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  /**
+   * A plain number string as a number, null when blank, NaN when it isn't one
+   */
+  function readNumber(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    return typeof value === 'number' ? value : Number(String(value).trim());
+  }
+
+  // ============================================
+  // Validation
+  // ============================================
+
+  /**
+   * Check one roster row. Blank multiplier and hours take the defaults;
+   * the rate is required.
+   *
+   * @returns {{values: Object|null, errors: Object<string, {key: string, params: Object}>}}
+   *   errors keyed by field, as i18n message keys and their params
+   */
+  function validateCrewMember(member, defaults) {
+    defaults = defaults || {};
+    const errors = {};
+
+    const hourlyRate = readNumber(member.hourlyRate);
+    const multiplier = readNumber(member.multiplier);
+    const regularHours = readNumber(member.regularHours);
+    const overtimeHours = readNumber(member.overtimeHours);
+
+    if (hourlyRate === null) {
+      errors.hourlyRate = { key: 'crew.errorRate', params: {} };
+    } else if (!Number.isFinite(hourlyRate)) {
+      errors.hourlyRate = { key: 'crew.errorRateNumber', params: {} };
+    } else if (hourlyRate <= 0) {
+      errors.hourlyRate = { key: 'crew.errorRatePositive', params: {} };
+    }
+
+    if (multiplier !== null && (!Number.isFinite(multiplier) || multiplier < 1)) {
+      errors.multiplier = { key: 'crew.errorMultiplier', params: {} };
+    }
+
+    [['regularHours', regularHours], ['overtimeHours', overtimeHours]].forEach(([field, hours]) => {
+      if (hours === null) return;
+      if (!Number.isFinite(hours)) {
+        errors[field] = { key: 'crew.errorHoursNumber', params: {} };
+      } else if (hours < 0) {
+        errors[field] = { key: 'crew.errorHoursNegative', params: {} };
+      }
+    });
+
+    const values = {
+      hourlyRate: hourlyRate,
+      multiplier: multiplier === null ? deps.toNumber(defaults.multiplier, deps.DEFAULT_MULTIPLIER) : multiplier,
+      regularHours: regularHours === null ? deps.DEFAULT_REGULAR_HOURS : regularHours,
+      overtimeHours: overtimeHours === null ? 0 : overtimeHours
+    };
+
+    if (!errors.regularHours && !errors.overtimeHours && values.regularHours + values.overtimeHours > HOURS_PER_WEEK) {
+      errors.overtimeHours = { key: 'crew.errorWeekHours', params: { max: HOURS_PER_WEEK } };
+    }
+
+    return { values: Object.keys(errors).length ? null : values, errors: errors };
+  }
+
+  function isBlankMember(member) {
+    return ['name', 'hourlyRate', 'multiplier', 'regularHours', 'overtimeHours']
+      .every(field => String(member[field] === undefined || member[field] === null ? '' : member[field]).trim() === '');
+  }
+
+  // ============================================
+  // Crew
+  // ============================================
+
+  /**
+   * Price every roster row with computeOvertime, as the single-person
+   * calculator does, and total the crew
+   *
+   * @param {Array<{name: string, hourlyRate: string|number, multiplier: string|number, regularHours: string|number, overtimeHours: string|number}>} members
+   * @param {Object} [settings]
+   * @param {number} [settings.multiplier] - For rows without one (default 1.5)
+   * @param {string} [settings.currency]
+   * @param {Array<{label: string, percent: number}>} [settings.burden] - Employer costs as % of gross pay
+   * @returns {{members: Array<{index: number, name: string, blank: boolean, errors: Object, result: Object|null, employerCost: number|null}>, totals: Object, burden: Array, burdenPercent: number}}
+   */
+  function calculateCrew(members, settings) {
+    settings = settings || {};
+
+    const burden = (settings.burden || []).map(item => ({
+      label: item.label || '',
+      percent: Math.max(0, deps.toNumber(item.percent, 0))
+    }));
+    const burdenPercent = burden.reduce((sum, item) => sum + item.percent, 0);
+    const withBurden = amount => amount * (1 + burdenPercent / 100);
+
+    const rows = (members || []).map((member, index) => {
+      const row = { index: index, name: String(member.name || '').trim(), blank: isBlankMember(member), errors: {}, result: null, employerCost: null };
+      if (row.blank) return row;
+
+      const checked = validateCrewMember(member, settings);
+      row.errors = checked.errors;
+      if (!checked.values) return row;
+
+      row.result = deps.computeOvertime({
+        hourlyRate: checked.values.hourlyRate,
+        multiplier: checked.values.multiplier,
+        regularHours: checked.values.regularHours,
+        overtimeHours: checked.values.overtimeHours,
+        currency: settings.currency
+      });
+      row.employerCost = round(withBurden(row.result.totalPay));
+      return row;
+    });
+
+    const priced = rows.filter(row => row.result);
+    const sum = key => priced.reduce((total, row) => total + row.result[key], 0);
+    const totalPay = sum('totalPay');
+    const overtimePay = sum('overtimePay');
+
+    return {
+      members: rows,
+      burden: burden.map(item => Object.assign({}, item, { amount: round(totalPay * item.percent / 100) })),
+      burdenPercent: burdenPercent,
+      totals: {
+        employees: priced.length,
+        withOvertime: priced.filter(row => row.result.overtimeHours > 0).length,
+        invalid: rows.filter(row => !row.blank && !row.result).length,
+        regularHours: round(sum('regularHours')),
+        overtimeHours: round(sum('overtimeHours')),
+        regularPay: round(sum('regularPay')),
+        overtimePay: round(overtimePay),
+        totalPay: round(totalPay),
+        burden: round(totalPay * burdenPercent / 100),
+        employerCost: round(withBurden(totalPay)),
+        overtimeEmployerCost: round(withBurden(overtimePay))
+      }
+    };
+  }
+
+  /**
+   * CSV of the priced rows, with a crew total line
+   */
+  function crewToCsv(crew) {
+    const rows = crew.members.filter(row => row.result).map(row => ({
+      name: row.name,
+      hourlyRate: row.result.hourlyRate,
+      multiplier: row.result.multiplier,
+      regularHours: row.result.regularHours,
+      overtimeHours: row.result.overtimeHours,
+      regularPay: round(row.result.regularPay),
+      overtimePay: round(row.result.overtimePay),
+      totalPay: round(row.result.totalPay),
+      employerCost: row.employerCost
+    }));
+
+    rows.push(Object.assign({ name: 'Crew total', hourlyRate: '', multiplier: '' }, crew.totals));
+    return deps.toCsv(rows, ROSTER_COLUMNS);
+  }
+
+  return {
+    DEFAULT_PAYROLL_BURDEN: DEFAULT_PAYROLL_BURDEN,
+    validateCrewMember: validateCrewMember,
+    calculateCrew: calculateCrew,
+    crewToCsv: crewToCsv
+  };
+});
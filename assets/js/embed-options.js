@@ -0,0 +1,160 @@
+/**
+ * Overtime Pay Calculator - Embed Options
+ * Options for the /embed/ widget, the snippet that loads it, and its messages
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const EMBED_URL = 'https://calculateovertimepay.com/embed/';
+  const SITE_URL = 'https://calculateovertimepay.com/';
+  const DEFAULT_FRAME_ID = 'overtime-calculator';
+  const DEFAULT_HEIGHT = 600;
+
+  // Messages the widget posts to its host page
+  const EMBED_MESSAGES = {
+    resize: 'overtime:resize',
+    calculated: 'overtime:calculated'
+  };
+
+  /*
+   * Fields a host page can lock. `ids` are the embed page elements that get
+   * disabled, so visitors keep the host's defaults; labelKey is the
+   * configurator label's i18n message key.
+   */
+  const EMBED_LOCKABLE_FIELDS = [
+    { key: 'currency', labelKey: 'embed.lockCurrency', ids: ['currency-select'] },
+    { key: 'multiplier', labelKey: 'embed.lockMultiplier', ids: ['overtime-multiplier', 'custom-multiplier'] },
+    { key: 'jurisdiction', labelKey: 'embed.lockJurisdiction', ids: ['jurisdiction'] },
+    { key: 'hourlyRate', labelKey: 'embed.lockHourlyRate', ids: ['hourly-rate'] },
+    { key: 'overtimeRate', labelKey: 'embed.lockOvertimeRate', ids: ['overtime-rate-direct'] },
+    { key: 'regularHours', labelKey: 'embed.lockRegularHours', ids: ['regular-hours'] }
+  ];
+
+  // Theme query parameter -> CSS custom properties on the embed page
+  const THEME_PARAMS = {
+    primary: ['--color-primary', '--color-primary-dark', '--color-primary-light'],
+    bg: ['--embed-background'],
+    text: ['--color-text']
+  };
+
+  const HEX_COLOR = /^[0-9a-f]{3}([0-9a-f]{3})?$/i;
+  const FRAME_ID = /^[A-Za-z][\w-]{0,63}$/;
+
+  // ============================================
+  // Parse
+  // ============================================
+
+  /**
+   * Read widget options from the embed page's query string. Calculator
+   * defaults (cur, mult, rate, ...) are left to url-state.js and the
+   * language (lang) to app.js.
+   *
+   * @param {string} query - location.search
+   * @returns {{id: string, lock: string[], theme: Object<string, string>, compact: boolean}}
+   *   theme maps CSS custom properties to colors
+   */
+  function parseEmbedOptions(query) {
+    const params = new URLSearchParams(query || '');
+    const lockable = EMBED_LOCKABLE_FIELDS.map(field => field.key);
+    const theme = {};
+
+    Object.keys(THEME_PARAMS).forEach(param => {
+      const value = (params.get(param) || '').replace(/^#/, '');
+      if (!HEX_COLOR.test(value)) return;
+      THEME_PARAMS[param].forEach(property => {
+        theme[property] = '#' + value;
+      });
+    });
+
+    const id = params.get('id') || '';
+
+    return {
+      id: FRAME_ID.test(id) ? id : DEFAULT_FRAME_ID,
+      lock: (params.get('lock') || '').split(',').filter(key => lockable.indexOf(key) !== -1),
+      theme: theme,
+      compact: params.get('compact') === '1'
+    };
+  }
+
+  // ============================================
+  // Build
+  // ============================================
+
+  /**
+   * Embed URL for a set of configurator choices
+   *
+   * @param {Object} options
+   * @param {string} [options.currency]
+   * @param {string} [options.multiplier]
+   * @param {string} [options.language] - An i18n.js language code
+   * @param {string[]} [options.lock]
+   * @param {{primary: string, bg: string, text: string}} [options.colors] - Hex colors
+   * @param {boolean} [options.compact]
+   * @param {string} [options.id]
+   * @param {string} [options.baseUrl]
+   */
+  function buildEmbedUrl(options) {
+    options = options || {};
+    const params = new URLSearchParams();
+    const colors = options.colors || {};
+
+    if (options.id) params.set('id', options.id);
+    if (options.currency) params.set('cur', options.currency);
+    if (options.multiplier) params.set('mult', options.multiplier);
+    if (options.language) params.set('lang', options.language);
+    if (options.lock && options.lock.length) params.set('lock', options.lock.join(','));
+
+    Object.keys(THEME_PARAMS).forEach(param => {
+      const value = String(colors[param] || '').replace(/^#/, '');
+      if (HEX_COLOR.test(value)) params.set(param, value.toLowerCase());
+    });
+
+    if (options.compact) params.set('compact', '1');
+
+    const query = params.toString().replace(/%2C/g, ',');
+    return (options.baseUrl || EMBED_URL) + (query ? '?' + query : '');
+  }
+
+  function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  /**
+   * HTML to paste into a host page: the iframe, a listener that resizes it
+   * from the widget's messages, and the attribution link
+   */
+  function buildEmbedSnippet(options) {
+    options = Object.assign({}, options);
+    if (!FRAME_ID.test(options.id || '')) options.id = DEFAULT_FRAME_ID;
+    const url = buildEmbedUrl(options);
+    const origin = new URL(options.baseUrl || EMBED_URL).origin;
+    const accent = (options.colors && HEX_COLOR.test(String(options.colors.primary || '').replace(/^#/, '')))
+      ? '#' + String(options.colors.primary).replace(/^#/, '')
+      : '#F54900';
+
+    return [
+      `<iframe id="${escapeAttribute(options.id)}" src="${escapeAttribute(url)}" width="100%" height="${DEFAULT_HEIGHT}" style="border:0; border-radius:8px; max-width:900px;" loading="lazy" title="Overtime Pay Calculator"></iframe>`,
+      `<script>window.addEventListener('message',function(e){var d=e.data,f=document.getElementById('${options.id}');if(e.origin!=='${origin}'||!f||!d||d.id!=='${options.id}')return;if(d.type==='${EMBED_MESSAGES.resize}')f.style.height=d.height+'px';});</script>`,
+      `<a href="${SITE_URL}?utm_source=embed&amp;utm_medium=referral&amp;utm_campaign=widget" target="_blank" rel="noopener" style="display:inline-block; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif; font-size:14px; margin-top:8px; padding:10px 16px; background:${accent}; color:#fff; border-radius:6px; text-decoration:none; font-weight:600;">Overtime Pay Calculator by OvertimePayCalc</a>`
+    ].join('\n');
+  }
+
+  return {
+    EMBED_MESSAGES: EMBED_MESSAGES,
+    EMBED_LOCKABLE_FIELDS: EMBED_LOCKABLE_FIELDS,
+    parseEmbedOptions: parseEmbedOptions,
+    buildEmbedUrl: buildEmbedUrl,
+    buildEmbedSnippet: buildEmbedSnippet
+  };
+});
@@ -0,0 +1,139 @@
+/**
+ * Overtime Pay Calculator - Exchange Rates
+ * Pluggable rate providers, with bundled static rates as the offline default
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // ============================================
+  // Bundled Rates
+  // ============================================
+
+  /*
+   * Units of each currency per 1 USD. Replace the whole table (and its date)
+   * when refreshing; every cross rate is derived from it.
+   */
+  const STATIC_RATES = {
+    base: 'USD',
+    date: '2025-06-30',
+    source: 'Bundled reference rates',
+    rates: {
+      USD: 1,
+      EUR: 0.853,
+      GBP: 0.729,
+      CAD: 1.365,
+      AUD: 1.527,
+      JPY: 144.4,
+      INR: 85.75,
+      MXN: 18.83,
+      NZD: 1.646,
+      CHF: 0.797,
+      SGD: 1.275
+    }
+  };
+
+  // ============================================
+  // Providers
+  // ============================================
+
+  /*
+   * A provider is { id, name, getRates() } where getRates resolves to a
+   * table shaped like STATIC_RATES. Register another (an API, a company
+   * rate sheet, ...) with registerRateProvider.
+   */
+  const providers = [];
+
+  function createStaticRateProvider(table) {
+    table = table || STATIC_RATES;
+    return {
+      id: 'static',
+      name: table.source,
+      getRates: () => Promise.resolve(table)
+    };
+  }
+
+  /**
+   * Provider for a JSON endpoint that returns { base, date, rates }
+   */
+  function createJsonRateProvider(options) {
+    return {
+      id: options.id,
+      name: options.name,
+      getRates: () => fetch(options.url)
+        .then(response => {
+          if (!response.ok) throw new Error(`Rate request failed (${response.status})`);
+          return response.json();
+        })
+        .then(data => ({ base: data.base, date: data.date, source: options.name, rates: data.rates }))
+    };
+  }
+
+  function registerRateProvider(provider) {
+    const index = providers.findIndex(existing => existing.id === provider.id);
+    if (index === -1) {
+      providers.push(provider);
+    } else {
+      providers[index] = provider;
+    }
+  }
+
+  function getRateProvider(id) {
+    return providers.find(provider => provider.id === id) || providers[0];
+  }
+
+  registerRateProvider(createStaticRateProvider(STATIC_RATES));
+
+  // ============================================
+  // Conversion
+  // ============================================
+
+  /**
+   * Units of `to` per 1 `from`, or null when either currency is missing
+   */
+  function crossRate(table, from, to) {
+    const fromRate = table.rates[from];
+    const toRate = table.rates[to];
+    if (!fromRate || !toRate) return null;
+    return toRate / fromRate;
+  }
+
+  /**
+   * Convert an amount between currencies. A positive manualRate (units of
+   * `to` per 1 `from`) replaces the table's rate.
+   *
+   * @returns {{amount: number, rate: number, date: string|null, source: string, manual: boolean}|null}
+   */
+  function convertAmount(amount, from, to, table, manualRate) {
+    const manual = parseFloat(manualRate);
+
+    if (Number.isFinite(manual) && manual > 0) {
+      return { amount: amount * manual, rate: manual, date: null, source: 'Manual rate', manual: true };
+    }
+
+    const rate = table ? crossRate(table, from, to) : null;
+    if (rate === null) return null;
+
+    return { amount: amount * rate, rate: rate, date: table.date, source: table.source, manual: false };
+  }
+
+  return {
+    STATIC_RATES: STATIC_RATES,
+    createStaticRateProvider: createStaticRateProvider,
+    createJsonRateProvider: createJsonRateProvider,
+    registerRateProvider: registerRateProvider,
+    getRateProvider: getRateProvider,
+    crossRate: crossRate,
+    convertAmount: convertAmount
+  };
+});
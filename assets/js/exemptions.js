@@ -0,0 +1,316 @@
+/**
+ * Overtime Pay Calculator - FLSA Exemptions
+ * Dated salary thresholds and the duties tests behind the eligibility checker
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory(root.OvertimePay || (typeof require === 'function' ? require('./i18n.js') : {}));
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function(deps) {
+  'use strict';
+
+  // ============================================
+  // Threshold Data
+  // ============================================
+
+  /*
+   * One entry per rule change, oldest first. An entry applies from its
+   * effective date until a later one takes over; a vacated rule stops
+   * applying on the date it was struck down. Add a new entry rather than
+   * editing an old one, so past dates still resolve correctly.
+   *   salaryLevel    - minimum weekly salary for the standard exemptions
+   *   hceAnnual      - highly compensated employee total annual compensation
+   *   computerHourly - minimum hourly rate for computer employees paid by the hour
+   */
+  const EXEMPTION_THRESHOLDS = [
+    {
+      effective: '2020-01-01',
+      salaryLevel: 684,
+      hceAnnual: 107432,
+      computerHourly: 27.63,
+      source: '2019 final rule, 84 FR 51230'
+    },
+    {
+      effective: '2024-07-01',
+      salaryLevel: 844,
+      hceAnnual: 132964,
+      computerHourly: 27.63,
+      source: '2024 final rule, 89 FR 32842',
+      vacated: '2024-11-15',
+      vacatedBy: 'Texas v. U.S. Department of Labor (E.D. Tex.)'
+    },
+    {
+      effective: '2025-01-01',
+      salaryLevel: 1128,
+      hceAnnual: 151164,
+      computerHourly: 27.63,
+      source: '2024 final rule, 89 FR 32842',
+      vacated: '2024-11-15',
+      vacatedBy: 'Texas v. U.S. Department of Labor (E.D. Tex.)'
+    }
+  ];
+
+  /*
+   * Duties tests. `match` says whether every question or any one of them
+   * must be true; `salary` is how pay is tested:
+   *   required         - salary level and salary basis
+   *   salary-or-hourly - salary test, or an hourly rate of at least computerHourly
+   *   none             - no pay test
+   * A question with waivesSalary qualifies on its own without the pay test.
+   * nameKey, reasonKey and each question's key are i18n message keys.
+   */
+  const EXEMPTION_TESTS = [
+    {
+      id: 'executive',
+      name: 'Executive',
+      nameKey: 'exemption.testExecutive',
+      reasonKey: 'exemption.reasonExecutive',
+      law: '29 CFR 541.100',
+      salary: 'required',
+      match: 'all',
+      questions: [
+        { id: 'managesEnterprise', text: 'My primary duty is managing the business or a recognized department or subdivision of it', key: 'exemption.questionManagesEnterprise' },
+        { id: 'directsTwo', text: 'I regularly direct the work of at least two full-time employees (or the equivalent)', key: 'exemption.questionDirectsTwo' },
+        { id: 'hiringAuthority', text: 'I can hire or fire, or my recommendations on hiring, firing and promotion carry particular weight', key: 'exemption.questionHiringAuthority' }
+      ]
+    },
+    {
+      id: 'administrative',
+      name: 'Administrative',
+      nameKey: 'exemption.testAdministrative',
+      reasonKey: 'exemption.reasonAdministrative',
+      law: '29 CFR 541.200',
+      salary: 'required',
+      match: 'all',
+      questions: [
+        { id: 'officeWork', text: 'My primary duty is office or non-manual work directly related to management or general business operations', key: 'exemption.questionOfficeWork' },
+        { id: 'independentJudgment', text: 'That work includes exercising discretion and independent judgment on matters of significance', key: 'exemption.questionIndependentJudgment' }
+      ]
+    },
+    {
+      id: 'professional',
+      name: 'Professional',
+      nameKey: 'exemption.testProfessional',
+      reasonKey: 'exemption.reasonProfessional',
+      law: '29 CFR 541.300',
+      salary: 'required',
+      match: 'any',
+      questions: [
+        { id: 'learned', text: 'My work requires advanced knowledge in a field of science or learning, usually gained through a specialized degree', key: 'exemption.questionLearned' },
+        { id: 'creative', text: 'My work requires invention, imagination, originality or talent in a recognized artistic or creative field', key: 'exemption.questionCreative' },
+        { id: 'teacherLawMedicine', text: 'I am a teacher, or I hold a license and practice law or medicine', key: 'exemption.questionTeacherLawMedicine', waivesSalary: true }
+      ]
+    },
+    {
+      id: 'computer',
+      name: 'Computer Employee',
+      nameKey: 'exemption.testComputer',
+      reasonKey: 'exemption.reasonComputer',
+      law: '29 CFR 541.400',
+      salary: 'salary-or-hourly',
+      match: 'all',
+      questions: [
+        { id: 'computerDuties', text: 'I am a systems analyst, programmer or software engineer whose primary duty is designing, developing, testing or modifying computer systems or programs', key: 'exemption.questionComputerDuties' }
+      ]
+    },
+    {
+      id: 'outside-sales',
+      name: 'Outside Sales',
+      nameKey: 'exemption.testOutsideSales',
+      reasonKey: 'exemption.reasonOutsideSales',
+      law: '29 CFR 541.500',
+      salary: 'none',
+      match: 'all',
+      questions: [
+        { id: 'makesSales', text: 'My primary duty is making sales or obtaining orders or contracts', key: 'exemption.questionMakesSales' },
+        { id: 'awayFromOffice', text: 'I customarily and regularly work away from my employer\'s place of business', key: 'exemption.questionAwayFromOffice' }
+      ]
+    }
+  ];
+
+  // Duties that count as "at least one exempt duty" for the HCE test
+  const HCE_DUTY_TESTS = ['executive', 'administrative', 'professional'];
+  const HCE_LAW = '29 CFR 541.601';
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  function formatUsd(amount) {
+    return amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+  }
+
+  /**
+   * A typed amount read for the locale ("1.234,50" in de-DE), 0 when blank,
+   * negative or not a number
+   */
+  function toAmount(value, locale) {
+    const number = deps.parseLocaleNumber(value, locale || 'en-US');
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  }
+
+  /**
+   * Thresholds in force on a date (YYYY-MM-DD, defaults to today)
+   */
+  function getExemptionThresholds(date) {
+    const day = date || new Date().toISOString().slice(0, 10);
+
+    const inForce = EXEMPTION_THRESHOLDS.filter(entry =>
+      entry.effective <= day && !(entry.vacated && entry.vacated <= day));
+
+    return inForce.length ? inForce[inForce.length - 1] : EXEMPTION_THRESHOLDS[0];
+  }
+
+  /**
+   * Threshold changes that never took effect or were struck down by `date`,
+   * so the checker can explain figures people may have seen elsewhere
+   */
+  function getVacatedThresholds(date) {
+    const day = date || new Date().toISOString().slice(0, 10);
+    return EXEMPTION_THRESHOLDS.filter(entry => entry.vacated && entry.vacated <= day);
+  }
+
+  // ============================================
+  // Evaluation
+  // ============================================
+
+  /**
+   * Walk the salary level, salary basis, duties and highly compensated
+   * tests and return a verdict with the reasoning behind it.
+   *
+   * @param {Object} answers
+   * @param {string} answers.payType - 'salary' or 'hourly'
+   * @param {number|string} [answers.weeklySalary] - Numbers, or text typed in options.locale
+   * @param {boolean} [answers.salaryGuaranteed] - Not reduced for quality or quantity of work
+   * @param {number|string} [answers.hourlyRate]
+   * @param {number|string} [answers.annualCompensation]
+   * @param {Object<string, boolean>} [answers.duties] - Keyed by question id
+   * @param {Object} [options]
+   * @param {string} [options.date] - Evaluate against thresholds on this date
+   * @param {string} [options.locale] - Locale the amounts were typed in (default: plain "1234.5")
+   * @returns {{verdict: string, exemptions: string[], reasons: Array<{test: string, testKey: string, passed: boolean, text: string, key: string, params: Object}>, thresholds: Object}}
+   *   each reason's text in English, and as an i18n message key and params with amounts in US dollars
+   */
+  function evaluateExemption(answers, options) {
+    answers = answers || {};
+    options = options || {};
+
+    const thresholds = getExemptionThresholds(options.date);
+    const duties = answers.duties || {};
+    const salaried = answers.payType === 'salary';
+    const weeklySalary = salaried ? toAmount(answers.weeklySalary, options.locale) : 0;
+    const hourlyRate = salaried ? 0 : toAmount(answers.hourlyRate, options.locale);
+    const annualCompensation = toAmount(answers.annualCompensation, options.locale) || weeklySalary * 52;
+    const reasons = [];
+    const exemptions = [];
+
+    const salaryLevelMet = salaried && weeklySalary >= thresholds.salaryLevel;
+    const salaryBasisMet = salaried && Boolean(answers.salaryGuaranteed);
+    const salaryTestMet = salaryLevelMet && salaryBasisMet;
+
+    reasons.push({
+      test: 'Salary level',
+      testKey: 'exemption.reasonSalaryLevel',
+      passed: salaryLevelMet,
+      text: salaried
+        ? `A weekly salary of ${formatUsd(weeklySalary)} is ${salaryLevelMet ? 'at or above' : 'below'} the ${formatUsd(thresholds.salaryLevel)} minimum.`
+        : `Hourly pay doesn't meet the ${formatUsd(thresholds.salaryLevel)} weekly salary requirement.`,
+      key: salaried ? (salaryLevelMet ? 'exemption.salaryLevelMet' : 'exemption.salaryLevelBelow') : 'exemption.salaryLevelHourly',
+      params: { salary: weeklySalary, minimum: thresholds.salaryLevel }
+    });
+    reasons.push({
+      test: 'Salary basis',
+      testKey: 'exemption.reasonSalaryBasis',
+      passed: salaryBasisMet,
+      text: salaryBasisMet
+        ? 'Your salary is a predetermined amount that isn\'t cut for the quality or quantity of your work.'
+        : 'Your pay isn\'t a guaranteed salary, so the salary basis test isn\'t met.',
+      key: salaryBasisMet ? 'exemption.salaryBasisMet' : 'exemption.salaryBasisNotMet',
+      params: {}
+    });
+
+    EXEMPTION_TESTS.forEach(test => {
+      const answered = test.questions.map(question => Boolean(duties[question.id]));
+      const dutiesMet = test.match === 'all' ? answered.every(Boolean) : answered.some(Boolean);
+      const waived = test.questions.some(question => question.waivesSalary && duties[question.id]);
+
+      let payMet = true;
+      let payText = '';
+      let payKey = '';
+      if (test.salary === 'required' && !waived) {
+        payMet = salaryTestMet;
+        payText = payMet ? '' : ' but the salary tests aren\'t met';
+        payKey = 'exemption.dutiesSalaryNotMet';
+      } else if (test.salary === 'salary-or-hourly') {
+        const hourlyMet = hourlyRate >= thresholds.computerHourly;
+        payMet = salaryTestMet || hourlyMet;
+        payText = payMet ? '' : ` but pay is below both the salary tests and ${formatUsd(thresholds.computerHourly)}/hr`;
+        payKey = 'exemption.dutiesPayBelow';
+      }
+
+      const reason = { test: `${test.name} exemption`, testKey: test.reasonKey };
+
+      if (!dutiesMet) {
+        reasons.push(Object.assign(reason, {
+          passed: false,
+          text: `Duties don't match (${test.law}).`,
+          key: 'exemption.dutiesNotMet',
+          params: { law: test.law }
+        }));
+        return;
+      }
+
+      if (payMet) exemptions.push(test.id);
+      reasons.push(Object.assign(reason, {
+        passed: payMet,
+        text: payMet
+          ? `Duties match and the pay requirements are met (${test.law}).`
+          : `Duties match${payText} (${test.law}).`,
+        key: payMet ? 'exemption.dutiesMet' : payKey,
+        params: { law: test.law, rate: thresholds.computerHourly }
+      }));
+    });
+
+    // Highly compensated: high total pay plus at least one exempt duty
+    const hceDuty = EXEMPTION_TESTS
+      .filter(test => HCE_DUTY_TESTS.indexOf(test.id) !== -1)
+      .some(test => test.questions.some(question => !question.waivesSalary && duties[question.id]));
+    const hcePay = salaryTestMet && annualCompensation >= thresholds.hceAnnual;
+
+    if (hcePay && hceDuty) exemptions.push('highly-compensated');
+    reasons.push({
+      test: 'Highly compensated employee',
+      testKey: 'exemption.reasonHighlyCompensated',
+      passed: hcePay && hceDuty,
+      text: hcePay
+        ? (hceDuty
+          ? `Annual pay of ${formatUsd(annualCompensation)} meets the ${formatUsd(thresholds.hceAnnual)} threshold and you perform at least one exempt duty (${HCE_LAW}).`
+          : `Annual pay meets the ${formatUsd(thresholds.hceAnnual)} threshold, but none of the exempt duties apply (${HCE_LAW}).`)
+        : `Annual pay of ${formatUsd(annualCompensation)} on a salary basis is needed at ${formatUsd(thresholds.hceAnnual)} or more (${HCE_LAW}).`,
+      key: hcePay ? (hceDuty ? 'exemption.hceMet' : 'exemption.hceNoDuty') : 'exemption.hceNotMet',
+      params: { annual: annualCompensation, threshold: thresholds.hceAnnual, law: HCE_LAW }
+    });
+
+    return {
+      verdict: exemptions.length ? 'exempt' : 'non-exempt',
+      exemptions: exemptions,
+      reasons: reasons,
+      thresholds: thresholds
+    };
+  }
+
+  return {
+    EXEMPTION_THRESHOLDS: EXEMPTION_THRESHOLDS,
+    EXEMPTION_TESTS: EXEMPTION_TESTS,
+    getExemptionThresholds: getExemptionThresholds,
+    getVacatedThresholds: getVacatedThresholds,
+    evaluateExemption: evaluateExemption
+  };
+});
@@ -0,0 +1,222 @@
+/**
+ * Overtime Pay Calculator - Goal Seek
+ * Overtime hours, or hourly rate, needed to reach a target weekly pay
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory(root.OvertimePay || (typeof require === 'function'
+    ? Object.assign({}, require('./overtime-engine.js'), require('./withholding.js'))
+    : {}));
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function(deps) {
+  'use strict';
+
+  const HOURS_PER_WEEK = 168;
+  const PRECISION = 1e-6;
+
+  /*
+   * Weekly hours past which a goal stops being realistic. A goal that needs
+   * more than `hours` in a week gets the limit's message as a warning; `key`
+   * is its i18n key, and registered limits without one show `message`.
+   */
+  const WEEKLY_HOUR_LIMITS = [
+    {
+      id: 'eu-wtd',
+      hours: 48,
+      key: 'goal.limitEuWtd',
+      message: 'More than the 48-hour weekly average, including overtime, allowed by the EU Working Time Directive and the UK Working Time Regulations unless you opt out.'
+    },
+    {
+      id: 'who-ilo',
+      hours: 55,
+      key: 'goal.limitWhoIlo',
+      message: 'Working more than 55 hours a week is linked to a higher risk of stroke and heart disease (WHO/ILO, 2021).'
+    },
+    {
+      id: 'eu-rest',
+      hours: 78,
+      key: 'goal.limitEuRest',
+      message: 'More than 78 hours leaves less than the 11 hours of daily rest and one day off a week required in the EU.'
+    }
+  ];
+
+  /**
+   * Add a weekly limit, e.g. a national cap, to the warnings
+   *
+   * @param {{id: string, hours: number, message: string, key: string=}} limit
+   */
+  function registerWeeklyHourLimit(limit) {
+    const index = WEEKLY_HOUR_LIMITS.findIndex(existing => existing.id === limit.id);
+    if (index === -1) {
+      WEEKLY_HOUR_LIMITS.push(limit);
+    } else {
+      WEEKLY_HOUR_LIMITS[index] = limit;
+    }
+    WEEKLY_HOUR_LIMITS.sort((a, b) => a.hours - b.hours);
+  }
+
+  /**
+   * Limits a week of totalHours goes past, lowest first
+   */
+  function checkWeeklyHours(totalHours) {
+    return WEEKLY_HOUR_LIMITS.filter(limit => totalHours > limit.hours);
+  }
+
+  // ============================================
+  // Solve
+  // ============================================
+
+  /**
+   * Gross pay of a computeOvertime() result, or take-home pay when net holds
+   * estimateNetPay() settings (method, flatRate, pretaxPercent, postTaxFixed)
+   */
+  function measurePay(result, net) {
+    if (!net) return result.totalPay;
+
+    return deps.estimateNetPay(Object.assign({}, net, {
+      regularPay: result.totalPay - result.overtimePay,
+      overtimePay: result.overtimePay
+    })).netTotal;
+  }
+
+  /**
+   * Smallest x in [low, high] with payAt(x) >= target, for pay that rises with x
+   */
+  function bisect(payAt, target, low, high) {
+    for (let i = 0; i < 100 && high - low > PRECISION; i++) {
+      const middle = (low + high) / 2;
+      if (payAt(middle) >= target) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+    return high;
+  }
+
+  // Round up to the cent or hundredth of an hour, so the answer still reaches the target
+  function ceilHundredths(value) {
+    return Math.ceil(value * 100 - PRECISION) / 100;
+  }
+
+  /**
+   * Overtime hours needed on top of regularHours to reach targetPay.
+   * Inverts computeOvertime by bisection, so direct overtime rates and
+   * take-home targets (through estimateNetPay) are solved the same way.
+   *
+   * @param {Object} input
+   * @param {number} input.targetPay
+   * @param {number} input.hourlyRate
+   * @param {number} [input.multiplier=1.5]
+   * @param {number} [input.regularHours=40]
+   * @param {number} [input.overtimeRateOverride]
+   * @param {Object} [input.net] - estimateNetPay() settings for a take-home target
+   * @returns {{reachable: boolean, alreadyMet: boolean, overtimeHours: number|null, totalHours: number|null, result: Object|null, pay: number|null, limits: Array}}
+   */
+  function solveOvertimeHours(input) {
+    const targetPay = deps.toNumber(input.targetPay, 0);
+    const regularHours = deps.toNumber(input.regularHours, deps.DEFAULT_REGULAR_HOURS);
+
+    const compute = overtimeHours => deps.computeOvertime({
+      hourlyRate: input.hourlyRate,
+      regularHours: regularHours,
+      overtimeHours: overtimeHours,
+      multiplier: input.multiplier,
+      overtimeRateOverride: input.overtimeRateOverride,
+      currency: input.currency
+    });
+    const payAt = overtimeHours => measurePay(compute(overtimeHours), input.net);
+    const maxHours = HOURS_PER_WEEK - regularHours;
+    const unreachable = { reachable: false, alreadyMet: false, overtimeHours: null, totalHours: null, result: null, pay: null, limits: [] };
+
+    // computeOvertime rejects negative rates and hours
+    if (!(regularHours >= 0) || !(deps.toNumber(input.hourlyRate, 0) >= 0)) return unreachable;
+
+    let overtimeHours;
+    if (payAt(0) >= targetPay) {
+      overtimeHours = 0;
+    } else if (maxHours <= 0 || payAt(maxHours) < targetPay) {
+      return unreachable;
+    } else {
+      overtimeHours = Math.min(ceilHundredths(bisect(payAt, targetPay, 0, maxHours)), maxHours);
+    }
+
+    const result = compute(overtimeHours);
+    return {
+      reachable: true,
+      alreadyMet: overtimeHours === 0,
+      overtimeHours: overtimeHours,
+      totalHours: result.totalHours,
+      result: result,
+      pay: measurePay(result, input.net),
+      limits: checkWeeklyHours(result.totalHours)
+    };
+  }
+
+  /**
+   * Hourly rate needed to reach targetPay working a fixed schedule of
+   * regularHours plus overtimeHours
+   *
+   * @param {Object} input
+   * @param {number} input.targetPay
+   * @param {number} [input.regularHours=40]
+   * @param {number} [input.overtimeHours=0]
+   * @param {number} [input.multiplier=1.5]
+   * @param {Object} [input.net] - estimateNetPay() settings for a take-home target
+   * @returns {{reachable: boolean, hourlyRate: number|null, totalHours: number, result: Object|null, pay: number|null, limits: Array}}
+   */
+  function solveHourlyRate(input) {
+    const targetPay = deps.toNumber(input.targetPay, 0);
+    const regularHours = deps.toNumber(input.regularHours, deps.DEFAULT_REGULAR_HOURS);
+    const overtimeHours = deps.toNumber(input.overtimeHours, 0);
+    const totalHours = regularHours + overtimeHours;
+
+    const compute = hourlyRate => deps.computeOvertime({
+      hourlyRate: hourlyRate,
+      regularHours: regularHours,
+      overtimeHours: overtimeHours,
+      multiplier: input.multiplier,
+      currency: input.currency
+    });
+    const payAt = hourlyRate => measurePay(compute(hourlyRate), input.net);
+    const limits = checkWeeklyHours(totalHours);
+    const unreachable = { reachable: false, hourlyRate: null, totalHours: totalHours, result: null, pay: null, limits: limits };
+
+    // computeOvertime rejects negative hours
+    if (!(regularHours >= 0) || !(overtimeHours >= 0) || totalHours <= 0 || totalHours > HOURS_PER_WEEK) return unreachable;
+
+    // Grow the bracket until it reaches the target; fixed deductions can make it unreachable
+    let high = 1;
+    while (payAt(high) < targetPay && high < 1e9) high *= 2;
+
+    if (payAt(high) < targetPay) return unreachable;
+
+    const hourlyRate = targetPay > 0 ? ceilHundredths(bisect(payAt, targetPay, 0, high)) : 0;
+    const result = compute(hourlyRate);
+
+    return {
+      reachable: true,
+      hourlyRate: hourlyRate,
+      totalHours: totalHours,
+      result: result,
+      pay: measurePay(result, input.net),
+      limits: limits
+    };
+  }
+
+  return {
+    HOURS_PER_WEEK: HOURS_PER_WEEK,
+    WEEKLY_HOUR_LIMITS: WEEKLY_HOUR_LIMITS,
+    registerWeeklyHourLimit: registerWeeklyHourLimit,
+    checkWeeklyHours: checkWeeklyHours,
+    solveOvertimeHours: solveOvertimeHours,
+    solveHourlyRate: solveHourlyRate
+  };
+});
@@ -0,0 +1,277 @@
+/**
+ * Overtime Pay Calculator - Holidays
+ * Bundled public holiday calendars by country
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  /*
+   * Dated holiday lists, one calendar per country. `years` is the first and
+   * last year listed: dates outside it are unknown rather than working days,
+   * so add the next year's dates (or register a calendar) before it starts.
+   * key is the name's i18n message key.
+   */
+  const HOLIDAY_CALENDARS = [
+    {
+      id: 'US',
+      name: 'United States (federal)',
+      key: 'holidays.calendarUs',
+      source: 'U.S. Office of Personnel Management federal holidays; a Saturday holiday is observed on Friday and a Sunday holiday on Monday',
+      years: [2025, 2027],
+      holidays: [
+        { date: '2025-01-01', name: "New Year's Day" },
+        { date: '2025-01-20', name: 'Martin Luther King Jr. Day' },
+        { date: '2025-02-17', name: "Washington's Birthday" },
+        { date: '2025-05-26', name: 'Memorial Day' },
+        { date: '2025-06-19', name: 'Juneteenth National Independence Day' },
+        { date: '2025-07-04', name: 'Independence Day' },
+        { date: '2025-09-01', name: 'Labor Day' },
+        { date: '2025-10-13', name: 'Columbus Day' },
+        { date: '2025-11-11', name: 'Veterans Day' },
+        { date: '2025-11-27', name: 'Thanksgiving Day' },
+        { date: '2025-12-25', name: 'Christmas Day' },
+        { date: '2026-01-01', name: "New Year's Day" },
+        { date: '2026-01-19', name: 'Martin Luther King Jr. Day' },
+        { date: '2026-02-16', name: "Washington's Birthday" },
+        { date: '2026-05-25', name: 'Memorial Day' },
+        { date: '2026-06-19', name: 'Juneteenth National Independence Day' },
+        { date: '2026-07-03', name: 'Independence Day (observed)' },
+        { date: '2026-09-07', name: 'Labor Day' },
+        { date: '2026-10-12', name: 'Columbus Day' },
+        { date: '2026-11-11', name: 'Veterans Day' },
+        { date: '2026-11-26', name: 'Thanksgiving Day' },
+        { date: '2026-12-25', name: 'Christmas Day' },
+        { date: '2027-01-01', name: "New Year's Day" },
+        { date: '2027-01-18', name: 'Martin Luther King Jr. Day' },
+        { date: '2027-02-15', name: "Washington's Birthday" },
+        { date: '2027-05-31', name: 'Memorial Day' },
+        { date: '2027-06-18', name: 'Juneteenth National Independence Day (observed)' },
+        { date: '2027-07-05', name: 'Independence Day (observed)' },
+        { date: '2027-09-06', name: 'Labor Day' },
+        { date: '2027-10-11', name: 'Columbus Day' },
+        { date: '2027-11-11', name: 'Veterans Day' },
+        { date: '2027-11-25', name: 'Thanksgiving Day' },
+        { date: '2027-12-24', name: 'Christmas Day (observed)' },
+        { date: '2027-12-31', name: "New Year's Day (observed)" }
+      ]
+    },
+    {
+      id: 'CA',
+      name: 'Canada (federal)',
+      key: 'holidays.calendarCa',
+      source: 'General holidays under the Canada Labour Code, s. 166, on the day they fall',
+      years: [2025, 2027],
+      holidays: [
+        { date: '2025-01-01', name: "New Year's Day" },
+        { date: '2025-04-18', name: 'Good Friday' },
+        { date: '2025-05-19', name: 'Victoria Day' },
+        { date: '2025-07-01', name: 'Canada Day' },
+        { date: '2025-09-01', name: 'Labour Day' },
+        { date: '2025-09-30', name: 'National Day for Truth and Reconciliation' },
+        { date: '2025-10-13', name: 'Thanksgiving' },
+        { date: '2025-11-11', name: 'Remembrance Day' },
+        { date: '2025-12-25', name: 'Christmas Day' },
+        { date: '2025-12-26', name: 'Boxing Day' },
+        { date: '2026-01-01', name: "New Year's Day" },
+        { date: '2026-04-03', name: 'Good Friday' },
+        { date: '2026-05-18', name: 'Victoria Day' },
+        { date: '2026-07-01', name: 'Canada Day' },
+        { date: '2026-09-07', name: 'Labour Day' },
+        { date: '2026-09-30', name: 'National Day for Truth and Reconciliation' },
+        { date: '2026-10-12', name: 'Thanksgiving' },
+        { date: '2026-11-11', name: 'Remembrance Day' },
+        { date: '2026-12-25', name: 'Christmas Day' },
+        { date: '2026-12-26', name: 'Boxing Day' },
+        { date: '2027-01-01', name: "New Year's Day" },
+        { date: '2027-03-26', name: 'Good Friday' },
+        { date: '2027-05-24', name: 'Victoria Day' },
+        { date: '2027-07-01', name: 'Canada Day' },
+        { date: '2027-09-06', name: 'Labour Day' },
+        { date: '2027-09-30', name: 'National Day for Truth and Reconciliation' },
+        { date: '2027-10-11', name: 'Thanksgiving' },
+        { date: '2027-11-11', name: 'Remembrance Day' },
+        { date: '2027-12-25', name: 'Christmas Day' },
+        { date: '2027-12-26', name: 'Boxing Day' }
+      ]
+    },
+    {
+      id: 'GB',
+      name: 'United Kingdom (England and Wales)',
+      key: 'holidays.calendarGb',
+      source: 'GOV.UK bank holidays for England and Wales',
+      years: [2025, 2027],
+      holidays: [
+        { date: '2025-01-01', name: "New Year's Day" },
+        { date: '2025-04-18', name: 'Good Friday' },
+        { date: '2025-04-21', name: 'Easter Monday' },
+        { date: '2025-05-05', name: 'Early May bank holiday' },
+        { date: '2025-05-26', name: 'Spring bank holiday' },
+        { date: '2025-08-25', name: 'Summer bank holiday' },
+        { date: '2025-12-25', name: 'Christmas Day' },
+        { date: '2025-12-26', name: 'Boxing Day' },
+        { date: '2026-01-01', name: "New Year's Day" },
+        { date: '2026-04-03', name: 'Good Friday' },
+        { date: '2026-04-06', name: 'Easter Monday' },
+        { date: '2026-05-04', name: 'Early May bank holiday' },
+        { date: '2026-05-25', name: 'Spring bank holiday' },
+        { date: '2026-08-31', name: 'Summer bank holiday' },
+        { date: '2026-12-25', name: 'Christmas Day' },
+        { date: '2026-12-28', name: 'Boxing Day (substitute)' },
+        { date: '2027-01-01', name: "New Year's Day" },
+        { date: '2027-03-26', name: 'Good Friday' },
+        { date: '2027-03-29', name: 'Easter Monday' },
+        { date: '2027-05-03', name: 'Early May bank holiday' },
+        { date: '2027-05-31', name: 'Spring bank holiday' },
+        { date: '2027-08-30', name: 'Summer bank holiday' },
+        { date: '2027-12-27', name: 'Christmas Day (substitute)' },
+        { date: '2027-12-28', name: 'Boxing Day (substitute)' }
+      ]
+    },
+    {
+      id: 'AU',
+      name: 'Australia (national)',
+      key: 'holidays.calendarAu',
+      source: 'Public holidays observed in every state and territory; state holidays and some substitute days vary',
+      years: [2025, 2027],
+      holidays: [
+        { date: '2025-01-01', name: "New Year's Day" },
+        { date: '2025-01-27', name: 'Australia Day (substitute)' },
+        { date: '2025-04-18', name: 'Good Friday' },
+        { date: '2025-04-21', name: 'Easter Monday' },
+        { date: '2025-04-25', name: 'Anzac Day' },
+        { date: '2025-12-25', name: 'Christmas Day' },
+        { date: '2025-12-26', name: 'Boxing Day' },
+        { date: '2026-01-01', name: "New Year's Day" },
+        { date: '2026-01-26', name: 'Australia Day' },
+        { date: '2026-04-03', name: 'Good Friday' },
+        { date: '2026-04-06', name: 'Easter Monday' },
+        { date: '2026-04-25', name: 'Anzac Day' },
+        { date: '2026-12-25', name: 'Christmas Day' },
+        { date: '2026-12-28', name: 'Boxing Day (substitute)' },
+        { date: '2027-01-01', name: "New Year's Day" },
+        { date: '2027-01-26', name: 'Australia Day' },
+        { date: '2027-03-26', name: 'Good Friday' },
+        { date: '2027-03-29', name: 'Easter Monday' },
+        { date: '2027-04-25', name: 'Anzac Day' },
+        { date: '2027-12-27', name: 'Christmas Day (substitute)' },
+        { date: '2027-12-28', name: 'Boxing Day (substitute)' }
+      ]
+    },
+    {
+      id: 'JP',
+      name: 'Japan',
+      key: 'holidays.calendarJp',
+      source: 'National holidays under the Act on National Holidays, with substitute days',
+      years: [2025, 2027],
+      holidays: [
+        { date: '2025-01-01', name: "New Year's Day" },
+        { date: '2025-01-13', name: 'Coming of Age Day' },
+        { date: '2025-02-11', name: 'National Foundation Day' },
+        { date: '2025-02-23', name: "Emperor's Birthday" },
+        { date: '2025-02-24', name: 'Substitute Holiday' },
+        { date: '2025-03-20', name: 'Vernal Equinox Day' },
+        { date: '2025-04-29', name: 'Showa Day' },
+        { date: '2025-05-03', name: 'Constitution Memorial Day' },
+        { date: '2025-05-04', name: 'Greenery Day' },
+        { date: '2025-05-05', name: "Children's Day" },
+        { date: '2025-05-06', name: 'Substitute Holiday' },
+        { date: '2025-07-21', name: 'Marine Day' },
+        { date: '2025-08-11', name: 'Mountain Day' },
+        { date: '2025-09-15', name: 'Respect for the Aged Day' },
+        { date: '2025-09-23', name: 'Autumnal Equinox Day' },
+        { date: '2025-10-13', name: 'Sports Day' },
+        { date: '2025-11-03', name: 'Culture Day' },
+        { date: '2025-11-23', name: 'Labor Thanksgiving Day' },
+        { date: '2025-11-24', name: 'Substitute Holiday' },
+        { date: '2026-01-01', name: "New Year's Day" },
+        { date: '2026-01-12', name: 'Coming of Age Day' },
+        { date: '2026-02-11', name: 'National Foundation Day' },
+        { date: '2026-02-23', name: "Emperor's Birthday" },
+        { date: '2026-03-20', name: 'Vernal Equinox Day' },
+        { date: '2026-04-29', name: 'Showa Day' },
+        { date: '2026-05-03', name: 'Constitution Memorial Day' },
+        { date: '2026-05-04', name: 'Greenery Day' },
+        { date: '2026-05-05', name: "Children's Day" },
+        { date: '2026-05-06', name: 'Substitute Holiday' },
+        { date: '2026-07-20', name: 'Marine Day' },
+        { date: '2026-08-11', name: 'Mountain Day' },
+        { date: '2026-09-21', name: 'Respect for the Aged Day' },
+        { date: '2026-09-22', name: "Citizens' Holiday" },
+        { date: '2026-09-23', name: 'Autumnal Equinox Day' },
+        { date: '2026-10-12', name: 'Sports Day' },
+        { date: '2026-11-03', name: 'Culture Day' },
+        { date: '2026-11-23', name: 'Labor Thanksgiving Day' },
+        { date: '2027-01-01', name: "New Year's Day" },
+        { date: '2027-01-11', name: 'Coming of Age Day' },
+        { date: '2027-02-11', name: 'National Foundation Day' },
+        { date: '2027-02-23', name: "Emperor's Birthday" },
+        { date: '2027-03-21', name: 'Vernal Equinox Day' },
+        { date: '2027-03-22', name: 'Substitute Holiday' },
+        { date: '2027-04-29', name: 'Showa Day' },
+        { date: '2027-05-03', name: 'Constitution Memorial Day' },
+        { date: '2027-05-04', name: 'Greenery Day' },
+        { date: '2027-05-05', name: "Children's Day" },
+        { date: '2027-07-19', name: 'Marine Day' },
+        { date: '2027-08-11', name: 'Mountain Day' },
+        { date: '2027-09-20', name: 'Respect for the Aged Day' },
+        { date: '2027-09-23', name: 'Autumnal Equinox Day' },
+        { date: '2027-10-11', name: 'Sports Day' },
+        { date: '2027-11-03', name: 'Culture Day' },
+        { date: '2027-11-23', name: 'Labor Thanksgiving Day' }
+      ]
+    }
+  ];
+
+  function getHolidayCalendar(id) {
+    return HOLIDAY_CALENDARS.find(calendar => calendar.id === id) || null;
+  }
+
+  /**
+   * Add or replace a calendar, e.g. a state's or a later year's holidays
+   *
+   * @param {{id: string, name: string, source: string, years: Array<number>, holidays: Array<{date: string, name: string}>}} calendar
+   */
+  function registerHolidayCalendar(calendar) {
+    const index = HOLIDAY_CALENDARS.findIndex(existing => existing.id === calendar.id);
+    if (index === -1) {
+      HOLIDAY_CALENDARS.push(calendar);
+    } else {
+      HOLIDAY_CALENDARS[index] = calendar;
+    }
+  }
+
+  /**
+   * Whether a calendar lists holidays for the year of a YYYY-MM-DD date
+   */
+  function holidayDataCovers(calendar, isoDate) {
+    const year = parseInt(String(isoDate).slice(0, 4), 10);
+    return Boolean(calendar) && year >= calendar.years[0] && year <= calendar.years[1];
+  }
+
+  /**
+   * The holiday on a YYYY-MM-DD date, or null
+   */
+  function findHoliday(calendar, isoDate) {
+    if (!calendar) return null;
+    return calendar.holidays.find(holiday => holiday.date === isoDate) || null;
+  }
+
+  return {
+    HOLIDAY_CALENDARS: HOLIDAY_CALENDARS,
+    getHolidayCalendar: getHolidayCalendar,
+    registerHolidayCalendar: registerHolidayCalendar,
+    holidayDataCovers: holidayDataCovers,
+    findHoliday: findHoliday
+  };
+});
@@ -0,0 +1,3693 @@
+/**
+ * Overtime Pay Calculator - Internationalization
+ * Message catalogs and locale-aware number parsing for typed inputs
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const DEFAULT_LANGUAGE = 'en';
+
+  // `locale` drives number input and hour formatting for the language
+  const LANGUAGES = [
+    { code: 'en', name: 'English', locale: 'en-US' },
+    { code: 'es', name: 'Español', locale: 'es-ES' },
+    { code: 'fr', name: 'Français', locale: 'fr-FR' },
+    { code: 'de', name: 'Deutsch', locale: 'de-DE' },
+    { code: 'ja', name: '日本語', locale: 'ja-JP' }
+  ];
+
+  // ============================================
+  // Message Catalogs
+  // ============================================
+
+  /*
+   * Keys missing from a catalog fall back to English. {name} placeholders
+   * are filled from the params passed to translate().
+   */
+  const MESSAGES = {
+    en: {
+      'language.label': 'Language',
+      'calculator.title': 'Overtime Pay Calculator',
+      'calculator.subtitle': 'Calculate your overtime earnings quickly and accurately.',
+      'calculator.embed': 'Embed this tool',
+      'calculator.calculate': 'Calculate Overtime Pay',
+      'calculator.callout': 'Enter your hourly rate and overtime hours to see your overtime pay, regular pay, and total earnings for the week.',
+      'calculator.fullSite': 'Open Full Calculator on CalculateOvertimePay.com',
+
+      'field.currency': 'Currency',
+      'field.payBasis': 'Pay Basis',
+      'payBasis.hourly': 'Hourly',
+      'payBasis.salary': 'Fixed salary (non-exempt)',
+      'payBasis.fluctuating': 'Fluctuating workweek (half-time overtime)',
+      'payBasis.hint': 'Paid a salary but still owed overtime? Pick how your salary is defined.',
+      'payBasis.hintSalary': 'Your salary pays for a fixed schedule. The hourly rate is the salary divided by those scheduled hours.',
+      'payBasis.hintFluctuating': 'Your salary pays for every hour you work, however many. Overtime adds half your regular rate for each hour over the threshold.',
+      'payBasis.explainSalary': 'Fixed salary: {salary} ÷ {hours} scheduled hrs = {rate}/hr. The rate stays the same every week, and overtime is paid at {multiplier}x that rate.',
+      'payBasis.explainFluctuating': 'Fluctuating workweek: your {salary} salary already pays for all {hours} hrs, so this week\'s regular rate is {rate}/hr and each overtime hour adds only the premium on top. The more hours you work, the lower the rate; a shorter week raises it.',
+      'field.weeklySalary': 'Weekly Salary',
+      'field.salaryHours': 'Scheduled Hours Covered by the Salary',
+      'field.hourlyRate': 'Hourly Pay Rate',
+
+      'helper.toggle': 'Don\'t know your hourly pay? Calculate it here',
+      'helper.timeframe': 'Pay Timeframe',
+      'timeframe.day': 'Day',
+      'timeframe.week': 'Week',
+      'timeframe.2weeks': '2 Weeks',
+      'timeframe.semimonthly': 'Semi-Monthly (24 a year)',
+      'timeframe.month': 'Month',
+      'timeframe.quarter': 'Quarter',
+      'timeframe.annual': 'Annual',
+      'timeframe.custom': 'Custom',
+      'helper.customPeriods': 'Pay Periods per Year',
+      'helper.pay': 'Total Pay for Selected Timeframe',
+      'helper.weeklyHours': 'Weekly Regular Hours (optional, default 40)',
+      'helper.workDays': 'Work Days per Week (optional, default 5)',
+      'helper.paidHolidays': 'Paid Holidays per Year (optional)',
+      'helper.ptoDays': 'Paid Time Off Days per Year (optional)',
+      'helper.ptoHint': 'Paid days off aren\'t hours worked, so they raise your rate per hour worked.',
+      'helper.calculate': 'Calculate Hourly Rate',
+      'helper.result': 'Your hourly rate:',
+      'helper.useRate': 'Use This Rate',
+
+      'field.jurisdiction': 'Overtime Rules',
+      'jurisdiction.custom': 'Custom (flat multiplier)',
+      'jurisdiction.hint': 'Pick a state, province or country to apply its daily and weekly overtime thresholds.',
+      'jurisdiction.hintWeekly': 'Pick a state, province or country to apply its weekly overtime threshold.',
+      'jurisdiction.groupUs': 'United States',
+      'jurisdiction.groupCanada': 'Canada',
+      'jurisdiction.groupOther': 'Other Countries',
+      'jurisdiction.usFlsa': 'US Federal (FLSA)',
+      'jurisdiction.usCa': 'California',
+      'jurisdiction.usAk': 'Alaska',
+      'jurisdiction.usNv': 'Nevada',
+      'jurisdiction.usCo': 'Colorado',
+      'jurisdiction.caFederal': 'Canada (Federal)',
+      'jurisdiction.caAb': 'Alberta',
+      'jurisdiction.caBc': 'British Columbia',
+      'jurisdiction.caMb': 'Manitoba',
+      'jurisdiction.caNb': 'New Brunswick',
+      'jurisdiction.caNs': 'Nova Scotia',
+      'jurisdiction.caOn': 'Ontario',
+      'jurisdiction.caPe': 'Prince Edward Island',
+      'jurisdiction.caQc': 'Quebec',
+      'jurisdiction.caSk': 'Saskatchewan',
+      'jurisdiction.jp': 'Japan',
+      'jurisdiction.noteAk': 'Applies to employers with 4 or more employees.',
+      'jurisdiction.noteNv': 'Daily overtime only applies if you earn less than 1.5x the Nevada minimum wage.',
+      'jurisdiction.noteMinimumWage': 'The statutory premium is 1.5x the minimum wage, not your own rate.',
+      'jurisdiction.noteJp': 'Monthly overtime beyond 60 hours and late-night work carry higher premiums.',
+      'jurisdiction.bandDaily': 'Daily overtime, over {over} hrs/day',
+      'jurisdiction.bandWeekly': 'Weekly overtime, over {over} hrs/week',
+      'jurisdiction.bandSeventh': '7th consecutive day',
+      'jurisdiction.bandSeventhOver': '7th consecutive day, over {over} hrs',
+      'jurisdiction.bandSeventhFirst': '7th consecutive day, first {over} hrs',
+      'field.multiplier': 'Overtime Pay Multiplier',
+      'multiplier.timeAndAHalf': '1.5x (Time and a Half)',
+      'multiplier.doubleTime': '2x (Double Time)',
+      'multiplier.other': 'Other (Custom)',
+      'field.customMultiplier': 'Custom Multiplier',
+      'field.overtimeRate': 'Overtime Pay Rate Per Hour (optional)',
+      'overtimeRate.placeholder': 'Leave blank to auto-calculate',
+      'overtimeRate.hint': 'If you know your exact overtime rate, enter it here instead of using the multiplier.',
+      'field.overtimeHours': 'Overtime Hours Worked',
+      'field.regularHours': 'Regular Hours Worked (optional, default 40)',
+      'regularHours.hint': 'Enter your regular (non-overtime) hours to see your total pay.',
+
+      'tier.add': '+ Add Overtime Tier',
+      'tier.title': 'Tier {number}',
+      'tier.hours': 'Hours',
+      'tier.multiplier': 'Multiplier',
+      'tier.custom': 'Custom',
+      'tier.other': 'Other',
+      'tier.rate': 'Rate (optional)',
+      'tier.auto': 'Auto',
+      'row.remove': 'Remove {title}',
+
+      'extraPay.toggle': 'Paid a bonus, commission or shift differential this week?',
+      'extraPay.hint': 'Under the FLSA, nondiscretionary bonuses, commissions and shift differentials count toward your regular rate, which raises your overtime rate.',
+      'extraPay.bonus': 'Nondiscretionary Bonus This Week',
+      'extraPay.commission': 'Commissions This Week',
+      'extraPay.addDifferential': '+ Add Shift Differential',
+      'extraPay.differential': 'Differential {number}',
+      'extraPay.differentialRate': 'Extra per hour',
+      'extraPay.explain': 'Straight-time pay of {pay} ÷ {hours} hrs gives a regular rate of {regularRate}/hr instead of {hourlyRate}/hr, adding {adjustment} to your overtime premium.',
+      'extraPay.explainNoOvertime': 'With no overtime this week, the extra pay is added to your total but doesn\'t change any overtime premium.',
+
+      'timesheet.toggle': 'Worked different hours each day? Use the weekly timesheet',
+      'timesheet.hint': 'Enter start and end times for each day you worked. A shift that ends after midnight counts toward the day it started.',
+      'timesheet.day': 'Day',
+      'timesheet.start': 'Start',
+      'timesheet.end': 'End',
+      'timesheet.break': 'Unpaid Break (min)',
+      'timesheet.hours': 'Hours',
+      'timesheet.total': 'Total',
+      'timesheet.startLabel': '{day} start time',
+      'timesheet.endLabel': '{day} end time',
+      'timesheet.breakLabel': '{day} unpaid break in minutes',
+      'timesheet.threshold': 'Overtime After (hours per week)',
+      'timesheet.clear': 'Clear Timesheet',
+      'timesheet.summary': '{total} hrs worked: {regular} regular + {overtime} overtime ({rules}).',
+      'timesheet.rulesJurisdiction': '{name} rules',
+      'timesheet.rulesWeekly': 'over {hours} hrs/week',
+      'timesheet.errorSameTime': 'Start and end are the same time',
+      'timesheet.errorBreak': 'Enter the break in minutes, 0 or more',
+      'timesheet.errorBreakLong': 'The break is as long as the shift or longer',
+
+      'deductions.toggle': 'Estimate take-home pay after taxes and deductions',
+      'deductions.method': 'Income Tax Withholding',
+      'deductions.flat': 'Flat percentage',
+      'deductions.taxRate': 'Income Tax Rate (%)',
+      'deductions.pretax': 'Pre-Tax Deductions, e.g. 401(k) (% of gross)',
+      'deductions.posttax': 'Fixed Post-Tax Deductions (per week)',
+      'deductions.hint': 'Estimates only. Overtime isn\'t taxed at a special rate; it can raise withholding because it raises your pay for the period.',
+      'deductions.supplementalNote': 'The rate above applies to regular pay.',
+      'deductions.postTaxUnapplied': 'Post-tax deductions are more than this period\'s pay; {amount} could not be taken out.',
+
+      'conversion.toggle': 'See your results in another currency',
+      'conversion.to': 'Convert To',
+      'conversion.manualRate': 'Manual Exchange Rate: 1 {from} = ? {to} (optional)',
+      'conversion.placeholder': 'Use bundled rate',
+      'conversion.tableHint': 'Leave blank to use {rate} from {source} ({date}).',
+      'conversion.loading': 'Rates are still loading. Enter a rate to convert now.',
+      'conversion.failed': 'Rates could not be loaded. Enter a rate to convert.',
+      'conversion.manual': 'manual rate',
+
+      'results.title': 'Overtime Pay Results',
+      'results.forHours': 'For {hours} Hours of Overtime:',
+      'results.overtimePayUnit': 'overtime pay',
+      'results.overtimeRate': 'Overtime Rate:',
+      'results.normalWeek': 'If this was a normal week, you\'d earn:',
+      'results.regularPayHours': 'Regular Pay ({hours} hrs):',
+      'results.hourlyRate': 'Hourly Rate:',
+      'results.bonus': 'Bonuses & Commissions:',
+      'results.differential': 'Shift Differential Pay:',
+      'results.regularRate': 'Regular Rate (blended):',
+      'results.adjustment': 'Regular-Rate Overtime Adjustment:',
+      'results.overtimePay': 'Overtime Pay:',
+      'results.overtimePayLabel': 'Overtime Pay',
+      'results.regularPay': 'Regular Pay:',
+      'results.totalPay': 'Total Pay:',
+      'results.totalWeek': 'Total Pay This Week:',
+      'results.totalIn': 'Total in {currency}:',
+      'results.netRegular': 'Net Regular Pay:',
+      'results.netOvertime': 'Net Overtime Pay:',
+      'results.otWithholding': 'Withholding on Overtime:',
+      'results.takeHome': 'Estimated Take-Home Pay:',
+      'results.tier': '{label}: {hours} hrs × {rate}/hr ({multiplier}x)',
+      'results.perHour': '{amount}/hr',
+      'results.note': 'Overtime pay is calculated by multiplying your hourly rate by the overtime multiplier, then by the number of overtime hours worked.',
+
+      'action.copy': 'Copy',
+      'action.copyLabel': 'Copy result',
+      'action.share': 'Share Link',
+      'action.shareLabel': 'Copy a link to this calculation',
+      'action.save': 'Save This Week',
+      'action.saveLabel': 'Save this week to your history',
+      'action.report': 'Generate Report',
+      'action.reportLabel': 'Open a printable report of this calculation',
+      'action.reset': 'Reset',
+      'action.resetLabel': 'Reset calculator',
+      'action.copied': 'Copied!',
+      'action.failed': 'Failed',
+      'action.checkInputs': 'Check the inputs',
+      'action.enterRate': 'Enter a rate first',
+
+      'error.positiveRate': 'Please enter a positive rate',
+      'error.positiveHours': 'Please enter positive hours',
+      'error.notANumber': 'Enter a number, e.g. {example}',
+      'error.positiveAmount': 'Please enter a positive amount',
+      'error.aboveZero': 'Enter a number above 0',
+      'error.atMost': 'Enter {max} or less',
+      'error.range': 'Enter a number from {min} to {max}',
+      'error.weekHours': 'Regular and overtime hours add up to more than the {max} hours in a week',
+      'error.announce': '{field}: {message}',
+
+      'summary.title': '💰 Overtime Pay Calculation',
+      'summary.salaryFixed': 'Weekly Salary: {salary} for {hours} scheduled hrs',
+      'summary.salaryFluctuating': 'Weekly Salary: {salary} (fluctuating workweek)',
+      'summary.hourlyRate': 'Hourly Rate: {rate}',
+      'summary.averageOvertimeRate': 'Average Overtime Rate: {rate}/hr',
+      'summary.multiplier': 'Overtime Multiplier: {multiplier}x',
+      'summary.overtimeRate': 'Overtime Rate: {rate}/hr',
+      'summary.overtimeHours': 'Overtime Hours: {hours}',
+      'summary.regularHours': 'Regular Hours: {hours}',
+      'summary.tier': '{label}: {hours} hrs × {rate}/hr = {pay}',
+      'summary.bonus': 'Bonuses & Commissions: {amount}',
+      'summary.differential': 'Shift Differential Pay: {amount}',
+      'summary.regularRate': 'Regular Rate (blended): {rate}/hr',
+      'summary.adjustment': 'Regular-Rate Overtime Adjustment: {amount}',
+      'summary.overtimePay': 'Overtime Pay: {amount}',
+      'summary.regularPay': 'Regular Pay: {amount}',
+      'summary.totalPay': 'Total Pay: {amount}',
+      'summary.footer': '📱 Calculate your overtime at calculateovertimepay.com',
+
+      'history.notSaved': 'Not saved',
+      'history.storageFull': 'This browser\'s storage is full, so the week wasn\'t saved. Delete or export older weeks and try again.',
+      'history.title': 'Saved Weeks',
+      'history.intro': 'Your history is stored only in this browser. Nothing is sent to a server.',
+      'history.week': 'Week Starting',
+      'history.totals': 'Totals',
+      'history.month': 'Month to date',
+      'history.quarter': 'Quarter to date',
+      'history.year': 'Year to date',
+      'history.cancelEdit': 'Cancel Edit',
+      'history.empty': 'No saved weeks yet. Use "Save This Week" in the results to start your history.',
+      'history.colWeek': 'Week Of',
+      'history.colHours': 'Hours (Reg / OT)',
+      'history.colOvertimePay': 'Overtime Pay',
+      'history.colTotalPay': 'Total Pay',
+      'history.colActions': 'Actions',
+      'history.saved': 'Saved!',
+      'history.update': 'Update Saved Week',
+      'history.edit': 'Edit',
+      'history.delete': 'Delete',
+      'history.confirmDelete': 'Delete the saved week of {date}?',
+      'history.totalLabel': '{period} ({currency})',
+      'history.totalMeta': '{overtimePay} overtime pay · {hours} OT hrs · {weeks}',
+      'history.weeksOne': '1 week',
+      'history.weeksOther': '{count} weeks',
+
+      'goal.title': 'Paycheck Goal',
+      'goal.intro': 'Work backwards from the pay you want: the overtime hours you\'d need at your rate, or the rate you\'d need on a fixed schedule. Blank fields use the values in the calculator.',
+      'goal.target': 'Target Weekly Pay',
+      'goal.basis': 'Target Is',
+      'goal.gross': 'Gross pay',
+      'goal.net': 'Take-home pay',
+      'goal.rate': 'Hourly Rate',
+      'goal.multiplier': 'Overtime Multiplier',
+      'goal.regularHours': 'Regular Hours',
+      'goal.overtimeHours': 'Overtime Hours (fixed schedule)',
+      'goal.scope': 'Answers assume hourly pay and one overtime multiplier on weekly hours. The calculator\'s pay basis, state or country overtime rules, extra overtime tiers, bonuses, commissions and shift differentials are left out.',
+      'goal.netHint': 'Uses the tax and deduction settings under "Estimate take-home pay after taxes and deductions" in the calculator.',
+      'goal.payGross': '{amount} gross',
+      'goal.payNet': '{amount} take-home',
+      'goal.hoursNeeded': 'Overtime Hours Needed',
+      'goal.rateNeeded': 'Hourly Rate Needed',
+      'goal.notReachable': 'Not reachable',
+      'goal.hours': '{hours} hrs',
+      'goal.hoursUnreachable': 'Even working all {max} hours of the week falls short at {rate}',
+      'goal.alreadyMet': '{hours} regular hours already pay {pay}',
+      'goal.hoursAnswer': '{hours} hrs a week at {rate} pays {pay}',
+      'goal.needRate': 'Enter an hourly rate here or in the calculator',
+      'goal.rateAnswer': '{regular} regular + {overtime} overtime hrs at {multiplier}x pays {pay}',
+      'goal.deductionsTooHigh': 'Deductions take more than this schedule can pay',
+      'goal.scheduleRange': 'Enter between 0 and {max} hours in the schedule',
+      'goal.hoursGoal': 'Overtime hours goal',
+      'goal.fixedSchedule': 'Fixed schedule',
+      'goal.warning': '{label}: {hours} hours a week.',
+      'goal.limitEuWtd': 'More than the 48-hour weekly average, including overtime, allowed by the EU Working Time Directive and the UK Working Time Regulations unless you opt out.',
+      'goal.limitWhoIlo': 'Working more than 55 hours a week is linked to a higher risk of stroke and heart disease (WHO/ILO, 2021).',
+      'goal.limitEuRest': 'More than 78 hours leaves less than the 11 hours of daily rest and one day off a week required in the EU.',
+
+      'premiums.errorIncomplete': 'Enter a date, start time and end time',
+      'premiums.title': 'Holiday, Weekend & Night Premiums',
+      'premiums.intro': 'Enter dated shifts to price public holiday, weekend and night premiums. Holidays come from the bundled calendar for each country. Hours of an overnight shift after midnight take the next day\'s premiums. Amounts use the currency selected in the calculator.',
+      'premiums.preset': 'Country Rules',
+      'premiums.calendar': 'Holiday Calendar',
+      'premiums.noCalendar': 'No holidays',
+      'premiums.rate': 'Hourly Rate',
+      'premiums.holidayPercent': 'Public Holiday Premium (%)',
+      'premiums.saturdayPercent': 'Saturday Premium (%)',
+      'premiums.sundayPercent': 'Sunday Premium (%)',
+      'premiums.nightPercent': 'Night Premium (%)',
+      'premiums.nightStart': 'Night From',
+      'premiums.nightEnd': 'Night Until',
+      'premiums.note': '{law}. {note}',
+      'premiums.presetJp': 'Japan',
+      'premiums.presetJpLaw': 'Labor Standards Act, Article 37',
+      'premiums.presetJpNote': 'Late-night work from 22:00 to 05:00 is paid at least 25% more, on top of any holiday premium. The 35% holiday premium is owed for the statutory weekly day off; many employers also pay it on national holidays.',
+      'premiums.presetAuRetail': 'Australia (General Retail Award)',
+      'premiums.presetAuRetailLaw': 'General Retail Industry Award 2020, cl. 22',
+      'premiums.presetAuRetailNote': 'Full-time and part-time penalty rates. Monday to Friday work after 6 pm is paid 25% more; enter it as a night premium if it applies. Check your own award for other industries and casual loadings.',
+      'premiums.presetCaFederal': 'Canada (Federal)',
+      'premiums.presetCaFederalLaw': 'Canada Labour Code, s. 198',
+      'premiums.presetCaFederalNote': 'Work on a general holiday is paid at least 1.5x, in addition to the regular holiday pay.',
+      'premiums.presetUk': 'United Kingdom',
+      'premiums.presetUkLaw': 'No statutory premium',
+      'premiums.presetUkNote': 'Enhanced rates for bank holidays, Sundays or nights come from your contract. Enter them below.',
+      'premiums.presetUs': 'United States',
+      'premiums.presetUsLaw': 'No federal requirement (FLSA)',
+      'premiums.presetUsNote': 'The FLSA requires no premium for holidays, weekends or nights. Enter what your employer pays; as shift differentials they count toward the regular rate for overtime.',
+      'premiums.kindHoliday': 'Public holiday',
+      'premiums.kindSaturday': 'Saturday',
+      'premiums.kindSunday': 'Sunday',
+      'premiums.kindNight': 'Night',
+      'premiums.premiumHours': '{label} +{percent}%: {hours} hrs',
+      'premiums.premiumPay': '{premium}, {amount}',
+      'premiums.hoursWithNight': '{hours} ({night} night)',
+      'premiums.colStart': 'Start',
+      'premiums.colEnd': 'End',
+      'premiums.colBreak': 'Break (min)',
+      'premiums.colDay': 'Day',
+      'premiums.colHours': 'Hours',
+      'premiums.colPremiums': 'Premiums',
+      'premiums.colTotal': 'Total',
+      'premiums.rowDate': 'Shift date',
+      'premiums.rowStart': 'Start time',
+      'premiums.rowEnd': 'End time',
+      'premiums.rowBreak': 'Unpaid break in minutes',
+      'premiums.removeShift': 'Remove shift',
+      'premiums.add': '+ Add Shift',
+      'premiums.clear': 'Clear Shifts',
+      'premiums.apply': 'Add Premiums to Calculator',
+      'premiums.applyHint': 'Adds each premium to the calculator as a shift differential, where it counts toward the regular rate for overtime. The calculator\'s hours aren\'t changed.',
+      'premiums.noPremiums': 'No premiums to add',
+      'premiums.added': 'Added!',
+      'premiums.warningRate': 'Enter an hourly rate here or in the calculator to price the shifts.',
+      'premiums.warningCalendar': 'The {calendar} calendar has no holidays for {years}, so holiday premiums weren\'t applied to those dates.',
+      'premiums.noPremiumHours': 'No premium hours',
+      'premiums.totalPay': 'Total Pay ({currency})',
+      'premiums.totalMeta': '{hours} hrs · {base} base + {premiums} premiums',
+      'premiums.premiumTotal': 'Premium Pay ({currency})',
+
+      'import.title': 'Import & Export',
+      'import.intro': 'Download this week or your saved weeks for a spreadsheet, or import a CSV of hours to calculate many weeks at once.',
+      'import.thisWeek': 'This week',
+      'import.savedWeeks': 'Saved weeks',
+      'import.downloadCsv': 'Download CSV',
+      'import.downloadJson': 'Download JSON',
+      'import.file': 'Import CSV',
+      'import.fileHint': 'Columns: date, regular hours, overtime hours, rate. Rows use the multiplier and currency selected in the calculator.',
+      'import.errorsTitle': 'Some rows couldn\'t be imported:',
+      'import.colLine': 'Line',
+      'import.colDate': 'Date',
+      'import.colRegular': 'Regular Hrs',
+      'import.colOvertime': 'OT Hrs',
+      'import.colRate': 'Rate',
+      'import.downloadResults': 'Download Results CSV',
+      'import.save': 'Add to Saved Weeks',
+      'import.noSavedWeeks': 'No saved weeks',
+      'import.addedOne': 'Added 1 week',
+      'import.addedOther': 'Added {count} weeks',
+      'import.totalOne': 'Total (1 row)',
+      'import.totalOther': 'Total ({count} rows)',
+      'import.errorLine': 'Line {line}: {message}',
+      'import.errorRead': 'The file could not be read',
+      'import.errorColumns': 'Expected {expected} columns (date, regular hours, overtime hours, rate), found {found}',
+      'import.errorDate': 'invalid date "{value}"',
+      'import.errorRegularHours': 'invalid regular hours "{value}"',
+      'import.errorRegularWeek': 'regular hours "{value}" are more than the {max} hours in a week',
+      'import.errorOvertimeHours': 'invalid overtime hours "{value}"',
+      'import.errorOvertimeWeek': 'overtime hours "{value}" are more than the {max} hours in a week',
+      'import.errorWeekHours': 'regular and overtime hours add up to more than the {max} hours in a week',
+      'import.errorRate': 'invalid rate "{value}"',
+
+      'backPay.errorColumns': 'Expected {expected} columns (week of, regular hours, overtime hours, rate, paid), found {found}',
+      'backPay.errorPaid': 'invalid amount paid "{value}"',
+      'backPay.title': 'Back Pay Claim',
+      'backPay.intro': 'Estimate the wages you\'re owed across past weeks. Enter each week\'s hours and rate with the gross pay you actually received, or import them from a CSV. Weeks use the multiplier and currency selected in the calculator.',
+      'backPay.lookback': 'Look-Back Window',
+      'backPay.lookbackFlsa': '2 years (FLSA standard)',
+      'backPay.lookbackWillful': '3 years (FLSA willful violation)',
+      'backPay.lookbackCustom': 'Custom (e.g. a state limit)',
+      'backPay.lookbackNone': 'No limit',
+      'backPay.years': 'Years',
+      'backPay.asOf': 'Claim Date',
+      'backPay.liquidated': 'Add liquidated damages (doubles the unpaid wages)',
+      'backPay.colPaid': 'Paid',
+      'backPay.colOwed': 'Owed',
+      'backPay.colShortfall': 'Shortfall',
+      'backPay.add': '+ Add Week',
+      'backPay.addCurrent': 'Add Current Calculation',
+      'backPay.clear': 'Clear Weeks',
+      'backPay.fileHint': 'Columns: week of, regular hours, overtime hours, rate, paid. "Paid" is the gross pay received for that week.',
+      'backPay.download': 'Download Claim CSV',
+      'backPay.note': 'Each week is compared on its own: overpaying one week doesn\'t cancel a shortfall in another. Weeks before the look-back window stay in the table but aren\'t counted. This is an estimate, not legal advice.',
+      'backPay.rowWeek': 'Week of',
+      'backPay.rowRegular': 'Regular hours',
+      'backPay.rowOvertime': 'Overtime hours',
+      'backPay.rowRate': 'Hourly rate',
+      'backPay.rowPaid': 'Gross pay received',
+      'backPay.removeWeek': 'Remove week',
+      'backPay.noWeeks': 'No weeks entered',
+      'backPay.excludedTitle': 'Before the look-back window ({date})',
+      'backPay.unpaidWages': 'Unpaid Wages',
+      'backPay.totalClaim': 'Total Claim',
+      'backPay.cardLabel': '{label} ({currency})',
+      'backPay.weeksShortOne': '{short} of 1 week short',
+      'backPay.weeksShortOther': '{short} of {count} weeks short',
+      'backPay.since': 'since {date}',
+      'backPay.excludedOne': '1 week outside the window',
+      'backPay.excludedOther': '{count} weeks outside the window',
+      'backPay.includesDamages': 'Includes {amount} liquidated damages',
+      'backPay.wagesOnly': 'Unpaid wages only',
+
+      'report.title': 'Pay Report',
+      'report.intro': 'A printable record of this calculation to take to payroll or keep with a wage claim. Print it, or choose "Save as PDF" in the print dialog. Nothing is sent to a server.',
+      'report.employeeName': 'Employee Name',
+      'report.optional': 'Optional',
+      'report.periodStart': 'Pay Period Start',
+      'report.periodEnd': 'Pay Period End',
+      'report.print': 'Print or Save as PDF',
+      'report.close': 'Close',
+      'report.preview': 'Report preview',
+      'report.errorStart': 'Enter the first day of the pay period',
+      'report.errorEnd': 'Enter the last day of the pay period',
+      'report.errorOrder': 'The pay period ends before it starts',
+      'report.documentTitle': 'Overtime Pay Report',
+      'report.employee': 'Employee',
+      'report.notGiven': 'Not given',
+      'report.payPeriod': 'Pay period',
+      'report.periodRange': '{start} – {end}',
+      'report.calculatedOn': 'Calculated on',
+      'report.currency': 'Currency',
+      'report.payBasis': 'Pay basis',
+      'report.fixedSalary': 'Fixed salary',
+      'report.fluctuating': 'Fluctuating workweek',
+      'report.weeklySalary': 'Weekly salary',
+      'report.hourlyRate': 'Hourly rate',
+      'report.regularRate': 'Regular rate (with bonuses and differentials)',
+      'report.multiplier': 'Overtime multiplier',
+      'report.averageOvertimeRate': 'Average overtime rate',
+      'report.overtimeRate': 'Overtime rate',
+      'report.hoursWorked': 'Hours Worked',
+      'report.regularHours': 'Regular hours',
+      'report.overtimeHours': 'Overtime hours',
+      'report.day': 'Day',
+      'report.date': 'Date',
+      'report.hours': 'Hours',
+      'report.total': 'Total',
+      'report.weeklyTotals': 'Weekly totals entered directly. Open the weekly timesheet in the calculator to list hours by day.',
+      'report.rate': 'Rate',
+      'report.breakdown': 'Overtime Breakdown',
+      'report.overtime': 'Overtime',
+      'report.pay': 'Pay',
+      'report.regularPay': 'Regular pay',
+      'report.extraPay': 'Bonuses, commissions and differentials',
+      'report.adjustment': 'Regular rate adjustment',
+      'report.overtimePay': 'Overtime pay',
+      'report.totalPay': 'Total pay',
+      'report.rules': 'Overtime Rules',
+      'report.rulesTiers': 'No jurisdiction selected - overtime uses the custom tiers entered.',
+      'report.rulesFlat': 'No jurisdiction selected - overtime uses a flat {multiplier}x multiplier.',
+      'report.disclaimer': 'Estimate calculated in the browser from the figures entered above. It is not legal advice or an official payroll record.',
+
+      'scenario.title': 'Compare Scenarios',
+      'scenario.intro': 'Copy the current calculation into up to four columns, change any of them, and see how each differs from the baseline column. Amounts use the currency selected in the calculator.',
+      'scenario.add': '+ Add Current Calculation',
+      'scenario.clear': 'Clear Scenarios',
+      'scenario.empty': 'No scenarios yet. Calculate a week, then add it here to compare, e.g. a 1.5x offer against a 2x offer.',
+      'scenario.defaultName': 'Scenario {number}',
+      'scenario.field': 'Field',
+      'scenario.nameLabel': 'Scenario {number} name',
+      'scenario.remove': 'Remove scenario {number}',
+      'scenario.fieldLabel': '{field}, scenario {number}',
+      'scenario.baseline': 'Baseline',
+      'scenario.hourlyRate': 'Hourly rate',
+      'scenario.multiplier': 'Multiplier',
+      'scenario.overtimeRate': 'Overtime rate (optional)',
+      'scenario.regularHours': 'Regular hours',
+      'scenario.overtimeHours': 'Overtime hours',
+      'scenario.otherPay': 'Bonus and other pay',
+      'scenario.overtimePay': 'Overtime pay',
+      'scenario.regularPay': 'Regular pay',
+      'scenario.totalPay': 'Total pay',
+      'scenario.effectiveRate': 'Effective hourly rate',
+      'scenario.deltaOvertimePay': 'Δ Overtime pay',
+      'scenario.deltaTotalPay': 'Δ Total pay',
+      'scenario.deltaEffectiveRate': 'Δ Effective hourly rate',
+      'scenario.errorNegative': 'Rates and hours can\'t be negative',
+
+      'projection.title': 'Earnings Projection',
+      'projection.intro': 'Project this week, or the average of your saved weeks, over a calendar year for budgeting. A month is 52/12 weeks. Amounts use the currency selected in the calculator.',
+      'projection.basis': 'Based On',
+      'projection.basisCurrent': 'This week\'s calculation',
+      'projection.basisHistory': 'Average of saved weeks',
+      'projection.season': 'Seasonality',
+      'projection.seasonNone': 'None (every month the same)',
+      'projection.seasonHoliday': 'Holiday season (Nov–Dec)',
+      'projection.seasonSummer': 'Summer (Jun–Aug)',
+      'projection.seasonTax': 'Tax season (Feb–Apr)',
+      'projection.seasonQuarterEnd': 'Quarter ends (Mar, Jun, Sep, Dec)',
+      'projection.seasonCustom': 'Custom months',
+      'projection.factor': 'Overtime in Peak Months',
+      'projection.factorHint': 'Times a typical week\'s overtime, e.g. 2 for double',
+      'projection.errorFactor': 'Enter 0 or more',
+      'projection.peakMonths': 'Peak Months',
+      'projection.empty': 'Enter a rate in the calculator to see a projection.',
+      'projection.noSavedWeeks': 'No saved weeks in {currency} yet. Use "{save}" in the results to build your history.',
+      'projection.averageOne': 'Average of 1 saved week in {currency}: {amount} a week',
+      'projection.averageOther': 'Average of {count} saved weeks in {currency}: {amount} a week',
+      'projection.annualTotal': 'Annual Total Pay ({currency})',
+      'projection.annualTotalMeta': '{regular} regular + {overtime} overtime',
+      'projection.annualOvertime': 'Annual Overtime Pay ({currency})',
+      'projection.annualOvertimeMeta': '{hours} OT hrs · {share}% of total pay',
+      'projection.monthlyAverage': 'Monthly Average ({currency})',
+      'projection.monthlyAverageMeta': '{overtime} overtime pay · {hours} OT hrs',
+      'projection.monthlyCaption': 'Monthly pay: regular and overtime',
+      'projection.cumulativeCaption': 'Earnings to date over the year',
+      'projection.showTable': 'Show data table',
+      'projection.hideTable': 'Hide data table',
+      'projection.colMonth': 'Month',
+      'projection.colRegular': 'Regular Pay',
+      'projection.colOvertime': 'Overtime Pay',
+      'projection.colOvertimeHours': 'OT Hours',
+      'projection.colTotal': 'Total Pay',
+      'projection.colEndOf': 'End Of',
+      'projection.colRegularToDate': 'Regular Pay to Date',
+      'projection.colOvertimeToDate': 'Overtime Pay to Date',
+      'projection.colTotalToDate': 'Total to Date',
+      'projection.peak': '(peak)',
+      'projection.year': 'Year',
+      'projection.legendRegular': 'Regular pay',
+      'projection.legendOvertime': 'Overtime pay',
+      'projection.barTitle': '{month}: {regular} regular, {overtime} overtime',
+      'projection.pointTitle': 'End of {month}: {amount}',
+      'projection.monthlyFlat': 'Bar chart: {total} every month, {overtime} of it overtime.',
+      'projection.monthlyRange': 'Bar chart: monthly pay ranges from {low} in {lowMonth} to {high} in {highMonth}, when overtime is {overtime}.',
+      'projection.cumulativeDescription': 'Line chart: by the end of {month}, {regular} regular pay and {overtime} overtime pay.',
+
+      'holidays.calendarUs': 'United States (federal)',
+      'holidays.calendarCa': 'Canada (federal)',
+      'holidays.calendarGb': 'United Kingdom (England and Wales)',
+      'holidays.calendarAu': 'Australia (national)',
+      'holidays.calendarJp': 'Japan',
+
+      'crew.title': 'Crew Roster',
+      'crew.intro': 'Calculate a week for a whole crew at once, one row per employee. Each row is priced like the calculator above: a blank multiplier uses the calculator\'s, blank regular hours count as 40 and blank overtime as 0. Amounts use the currency selected in the calculator.',
+      'crew.colEmployee': 'Employee',
+      'crew.colMultiplier': 'Multiplier',
+      'crew.colOvertimePay': 'OT Pay',
+      'crew.colEmployerCost': 'Employer Cost',
+      'crew.add': '+ Add Employee',
+      'crew.clear': 'Clear Roster',
+      'crew.employerView': 'Show employer cost with payroll burden',
+      'crew.burdenTitle': 'Payroll Burden (% of gross pay)',
+      'crew.addCost': '+ Add Cost',
+      'crew.burdenHint': 'Defaults are the US employer share of Social Security and Medicare. Add your unemployment insurance, workers\' compensation and benefits rates. Wage-base caps aren\'t applied.',
+      'crew.rowName': 'Employee name',
+      'crew.rowRate': 'Hourly rate',
+      'crew.rowMultiplier': 'Overtime multiplier',
+      'crew.rowRegular': 'Regular hours',
+      'crew.rowOvertime': 'Overtime hours',
+      'crew.removeEmployee': 'Remove employee',
+      'crew.cost': 'Cost',
+      'crew.costName': 'Cost name',
+      'crew.costPercent': 'Percent of gross pay',
+      'crew.removeCost': 'Remove cost',
+      'crew.burdenSocialSecurity': 'Social Security (employer share)',
+      'crew.burdenMedicare': 'Medicare (employer share)',
+      'crew.burdenUnemployment': 'Unemployment insurance (FUTA/SUTA)',
+      'crew.burdenWorkersComp': 'Workers\' compensation',
+      'crew.noEmployees': 'No employees to export',
+      'crew.errorRate': 'Enter a rate',
+      'crew.errorMultiplier': 'Multiplier must be 1 or more',
+      'crew.errorRateNumber': 'Rate must be a number',
+      'crew.errorRatePositive': 'Rate must be above zero',
+      'crew.errorHoursNumber': 'Hours must be a number',
+      'crew.errorHoursNegative': 'Hours can\'t be negative',
+      'crew.errorWeekHours': 'More than the {max} hours in a week',
+      'crew.footTotal': 'Crew total ({count})',
+      'crew.overtimeCost': 'Crew Overtime Cost ({currency})',
+      'crew.overtimeHours': '{hours} OT hrs',
+      'crew.withOvertimeOne': '{count} of 1 employee with overtime',
+      'crew.withOvertimeOther': '{count} of {employees} employees with overtime',
+      'crew.skippedOne': '1 row with errors not counted',
+      'crew.skippedOther': '{count} rows with errors not counted',
+      'crew.grossPay': 'Crew Gross Pay ({currency})',
+      'crew.grossPayMeta': '{regular} regular + {overtime} overtime',
+      'crew.employerCost': 'Employer Cost ({currency})',
+      'crew.burden': '+{amount} payroll burden ({percent}%)',
+      'crew.burdenItems': '+{amount} payroll burden ({percent}%): {items}',
+      'crew.overtimeWithBurden': 'overtime costs {amount} with burden',
+
+      'exemption.title': 'Am I Exempt? Check Your Eligibility',
+      'exemption.intro': 'Answer a few questions about your pay and duties to walk through the FLSA exemption tests. Your answers stay in your browser.',
+      'exemption.stepPay': '1. How you\'re paid',
+      'exemption.payType': 'Pay Type',
+      'exemption.salary': 'Salary',
+      'exemption.hourly': 'Hourly',
+      'exemption.weeklySalary': 'Weekly Salary',
+      'exemption.hourlyRate': 'Hourly Rate',
+      'exemption.salaryGuaranteed': 'My salary is a fixed amount that isn\'t cut when I work fewer hours or there\'s less work',
+      'exemption.annualPay': 'Total Annual Compensation (optional)',
+      'exemption.annualPayPlaceholder': 'Weekly salary × 52',
+      'exemption.annualPayHint': 'Include bonuses and commissions. Used for the highly compensated employee test.',
+      'exemption.weeklyHours': 'Hours Worked in a Typical Week',
+      'exemption.stepDuties': '2. What your job involves',
+      'exemption.dutiesHint': 'Tick everything that describes your main duties. Your job title doesn\'t matter.',
+      'exemption.submit': 'Check My Status',
+      'exemption.prefill': 'Calculate My Overtime',
+      'exemption.dutyGroup': '{name} ({law})',
+      'exemption.testExecutive': 'Executive',
+      'exemption.testAdministrative': 'Administrative',
+      'exemption.testProfessional': 'Professional',
+      'exemption.testComputer': 'Computer Employee',
+      'exemption.testOutsideSales': 'Outside Sales',
+      'exemption.testHighlyCompensated': 'Highly Compensated',
+      'exemption.reasonTest': '{test}:',
+      'exemption.reasonSalaryLevel': 'Salary level',
+      'exemption.reasonSalaryBasis': 'Salary basis',
+      'exemption.reasonExecutive': 'Executive exemption',
+      'exemption.reasonAdministrative': 'Administrative exemption',
+      'exemption.reasonProfessional': 'Professional exemption',
+      'exemption.reasonComputer': 'Computer Employee exemption',
+      'exemption.reasonOutsideSales': 'Outside Sales exemption',
+      'exemption.reasonHighlyCompensated': 'Highly compensated employee',
+      'exemption.questionManagesEnterprise': 'My primary duty is managing the business or a recognized department or subdivision of it',
+      'exemption.questionDirectsTwo': 'I regularly direct the work of at least two full-time employees (or the equivalent)',
+      'exemption.questionHiringAuthority': 'I can hire or fire, or my recommendations on hiring, firing and promotion carry particular weight',
+      'exemption.questionOfficeWork': 'My primary duty is office or non-manual work directly related to management or general business operations',
+      'exemption.questionIndependentJudgment': 'That work includes exercising discretion and independent judgment on matters of significance',
+      'exemption.questionLearned': 'My work requires advanced knowledge in a field of science or learning, usually gained through a specialized degree',
+      'exemption.questionCreative': 'My work requires invention, imagination, originality or talent in a recognized artistic or creative field',
+      'exemption.questionTeacherLawMedicine': 'I am a teacher, or I hold a license and practice law or medicine',
+      'exemption.questionComputerDuties': 'I am a systems analyst, programmer or software engineer whose primary duty is designing, developing, testing or modifying computer systems or programs',
+      'exemption.questionMakesSales': 'My primary duty is making sales or obtaining orders or contracts',
+      'exemption.questionAwayFromOffice': 'I customarily and regularly work away from my employer\'s place of business',
+      'exemption.salaryLevelMet': 'A weekly salary of {salary} is at or above the {minimum} minimum.',
+      'exemption.salaryLevelBelow': 'A weekly salary of {salary} is below the {minimum} minimum.',
+      'exemption.salaryLevelHourly': 'Hourly pay doesn\'t meet the {minimum} weekly salary requirement.',
+      'exemption.salaryBasisMet': 'Your salary is a predetermined amount that isn\'t cut for the quality or quantity of your work.',
+      'exemption.salaryBasisNotMet': 'Your pay isn\'t a guaranteed salary, so the salary basis test isn\'t met.',
+      'exemption.dutiesNotMet': 'Duties don\'t match ({law}).',
+      'exemption.dutiesMet': 'Duties match and the pay requirements are met ({law}).',
+      'exemption.dutiesSalaryNotMet': 'Duties match but the salary tests aren\'t met ({law}).',
+      'exemption.dutiesPayBelow': 'Duties match but pay is below both the salary tests and {rate}/hr ({law}).',
+      'exemption.hceMet': 'Annual pay of {annual} meets the {threshold} threshold and you perform at least one exempt duty ({law}).',
+      'exemption.hceNoDuty': 'Annual pay meets the {threshold} threshold, but none of the exempt duties apply ({law}).',
+      'exemption.hceNotMet': 'Annual pay of {annual} on a salary basis is needed at {threshold} or more ({law}).',
+      'exemption.verdictExemptOne': 'Likely exempt ({names} exemption)',
+      'exemption.verdictExemptOther': 'Likely exempt ({names} exemptions)',
+      'exemption.verdictNonExempt': 'Likely non-exempt: you are probably owed overtime',
+      'exemption.met': 'Met:',
+      'exemption.notMet': 'Not met:',
+      'exemption.thresholds': 'Thresholds in force since {date} ({source}).',
+      'exemption.vacatedLevel': '{amount}/week from {date}',
+      'exemption.vacated': 'The increases to {levels} were vacated by a federal court and don\'t apply.',
+      'exemption.disclaimer': 'State law may set higher thresholds. This is general information, not legal advice.',
+
+      'update.available': 'A new version of the calculator is available.',
+      'update.reload': 'Reload',
+      'update.later': 'Later',
+
+      'link.invalid': 'Ignored invalid {label} in link',
+      'link.hourlyRate': 'hourly rate',
+      'link.customMultiplier': 'custom multiplier',
+      'link.overtimeRate': 'overtime rate',
+      'link.weeklySalary': 'weekly salary',
+      'link.salaryHours': 'scheduled hours',
+      'link.timeframePay': 'pay for timeframe',
+      'link.bonusPay': 'bonus',
+      'link.commissionPay': 'commissions',
+      'link.weeklyHours': 'weekly hours',
+      'link.customPeriods': 'pay periods per year',
+      'link.workDays': 'work days per week',
+      'link.paidHolidays': 'paid holidays',
+      'link.ptoDays': 'paid time off days',
+      'link.overtimeHours': 'overtime hours',
+      'link.regularHours': 'regular hours',
+      'link.weeklyThreshold': 'weekly threshold',
+      'link.currency': 'currency',
+      'link.payBasis': 'pay basis',
+      'link.multiplier': 'multiplier',
+      'link.timeframe': 'pay timeframe',
+      'link.jurisdiction': 'overtime rules',
+      'link.tiers': 'overtime tiers',
+      'link.differentials': 'shift differentials',
+      'link.timesheet': 'timesheet',
+
+      'embed.close': 'Close',
+      'embed.title': 'Embed This Calculator',
+      'embed.intro': 'Choose how the calculator looks on your site, then copy the code below into your website\'s HTML. Attribution link required.',
+      'embed.currency': 'Default Currency',
+      'embed.multiplier': 'Default Multiplier',
+      'embed.language': 'Default Language',
+      'embed.colorPrimary': 'Accent Color',
+      'embed.colorBackground': 'Background',
+      'embed.colorText': 'Text Color',
+      'embed.lock': 'Lock fields so visitors can\'t change them',
+      'embed.lockCurrency': 'Currency',
+      'embed.lockMultiplier': 'Multiplier',
+      'embed.lockJurisdiction': 'Overtime rules',
+      'embed.lockHourlyRate': 'Hourly rate',
+      'embed.lockOvertimeRate': 'Overtime rate',
+      'embed.lockRegularHours': 'Regular hours',
+      'embed.compact': 'Compact layout (hides the header, hourly-rate helper and notes)',
+      'embed.hint': 'The snippet resizes the frame to fit its content. Your page can also listen for {message} messages to read each result.',
+      'embed.copy': 'Copy Code'
+    },
+
+    es: {
+      'language.label': 'Idioma',
+      'calculator.title': 'Calculadora de pago de horas extra',
+      'calculator.subtitle': 'Calcula tus ingresos por horas extra de forma rápida y precisa.',
+      'calculator.embed': 'Insertar esta herramienta',
+      'calculator.calculate': 'Calcular pago de horas extra',
+      'calculator.callout': 'Introduce tu tarifa por hora y tus horas extra para ver el pago de horas extra, el pago normal y el total de la semana.',
+      'calculator.fullSite': 'Abrir la calculadora completa en CalculateOvertimePay.com',
+
+      'field.currency': 'Moneda',
+      'field.payBasis': 'Base de pago',
+      'payBasis.hourly': 'Por hora',
+      'payBasis.salary': 'Salario fijo (no exento)',
+      'payBasis.fluctuating': 'Semana laboral fluctuante (horas extra a media tarifa)',
+      'payBasis.hint': '¿Cobras un salario pero te corresponden horas extra? Elige cómo se define tu salario.',
+      'payBasis.hintSalary': 'Tu salario cubre un horario fijo. La tarifa por hora es el salario dividido entre esas horas programadas.',
+      'payBasis.hintFluctuating': 'Tu salario cubre todas las horas que trabajes, sean cuantas sean. Cada hora por encima del umbral añade la mitad de tu tarifa regular.',
+      'payBasis.explainSalary': 'Salario fijo: {salary} ÷ {hours} h programadas = {rate}/h. La tarifa es la misma cada semana y las horas extra se pagan a {multiplier}x esa tarifa.',
+      'payBasis.explainFluctuating': 'Semana laboral fluctuante: tu salario de {salary} ya cubre las {hours} h, así que la tarifa regular de esta semana es {rate}/h y cada hora extra añade solo el recargo. Cuantas más horas trabajes, menor es la tarifa; una semana más corta la sube.',
+      'field.weeklySalary': 'Salario semanal',
+      'field.salaryHours': 'Horas programadas que cubre el salario',
+      'field.hourlyRate': 'Tarifa por hora',
+
+      'helper.toggle': '¿No sabes tu tarifa por hora? Calcúlala aquí',
+      'helper.timeframe': 'Periodo de pago',
+      'timeframe.day': 'Día',
+      'timeframe.week': 'Semana',
+      'timeframe.2weeks': '2 semanas',
+      'timeframe.semimonthly': 'Quincenal (24 al año)',
+      'timeframe.month': 'Mes',
+      'timeframe.quarter': 'Trimestre',
+      'timeframe.annual': 'Anual',
+      'timeframe.custom': 'Personalizado',
+      'helper.customPeriods': 'Periodos de pago por año',
+      'helper.pay': 'Pago total del periodo seleccionado',
+      'helper.weeklyHours': 'Horas regulares semanales (opcional, 40 por defecto)',
+      'helper.workDays': 'Días laborables por semana (opcional, 5 por defecto)',
+      'helper.paidHolidays': 'Festivos pagados al año (opcional)',
+      'helper.ptoDays': 'Días de vacaciones pagadas al año (opcional)',
+      'helper.ptoHint': 'Los días libres pagados no son horas trabajadas, así que suben tu tarifa por hora trabajada.',
+      'helper.calculate': 'Calcular tarifa por hora',
+      'helper.result': 'Tu tarifa por hora:',
+      'helper.useRate': 'Usar esta tarifa',
+
+      'field.jurisdiction': 'Normativa de horas extra',
+      'jurisdiction.custom': 'Personalizada (multiplicador fijo)',
+      'jurisdiction.hint': 'Elige un estado, provincia o país para aplicar sus umbrales diarios y semanales de horas extra.',
+      'jurisdiction.hintWeekly': 'Elige un estado, provincia o país para aplicar su umbral semanal de horas extra.',
+      'jurisdiction.groupUs': 'Estados Unidos',
+      'jurisdiction.groupCanada': 'Canadá',
+      'jurisdiction.groupOther': 'Otros países',
+      'jurisdiction.usFlsa': 'EE. UU. federal (FLSA)',
+      'jurisdiction.usCa': 'California',
+      'jurisdiction.usAk': 'Alaska',
+      'jurisdiction.usNv': 'Nevada',
+      'jurisdiction.usCo': 'Colorado',
+      'jurisdiction.caFederal': 'Canadá (federal)',
+      'jurisdiction.caAb': 'Alberta',
+      'jurisdiction.caBc': 'Columbia Británica',
+      'jurisdiction.caMb': 'Manitoba',
+      'jurisdiction.caNb': 'Nuevo Brunswick',
+      'jurisdiction.caNs': 'Nueva Escocia',
+      'jurisdiction.caOn': 'Ontario',
+      'jurisdiction.caPe': 'Isla del Príncipe Eduardo',
+      'jurisdiction.caQc': 'Quebec',
+      'jurisdiction.caSk': 'Saskatchewan',
+      'jurisdiction.jp': 'Japón',
+      'jurisdiction.noteAk': 'Se aplica a empleadores con 4 o más empleados.',
+      'jurisdiction.noteNv': 'Las horas extra diarias solo se aplican si ganas menos de 1,5 veces el salario mínimo de Nevada.',
+      'jurisdiction.noteMinimumWage': 'El recargo legal es 1,5 veces el salario mínimo, no tu propia tarifa.',
+      'jurisdiction.noteJp': 'Las horas extra mensuales por encima de 60 horas y el trabajo nocturno tienen recargos más altos.',
+      'jurisdiction.bandDaily': 'Horas extra diarias, más de {over} h/día',
+      'jurisdiction.bandWeekly': 'Horas extra semanales, más de {over} h/semana',
+      'jurisdiction.bandSeventh': 'Séptimo día consecutivo',
+      'jurisdiction.bandSeventhOver': 'Séptimo día consecutivo, más de {over} h',
+      'jurisdiction.bandSeventhFirst': 'Séptimo día consecutivo, primeras {over} h',
+      'field.multiplier': 'Multiplicador de horas extra',
+      'multiplier.timeAndAHalf': '1.5x (tiempo y medio)',
+      'multiplier.doubleTime': '2x (tiempo doble)',
+      'multiplier.other': 'Otro (personalizado)',
+      'field.customMultiplier': 'Multiplicador personalizado',
+      'field.overtimeRate': 'Tarifa por hora extra (opcional)',
+      'overtimeRate.placeholder': 'Déjalo en blanco para calcularla',
+      'overtimeRate.hint': 'Si conoces tu tarifa exacta de horas extra, introdúcela aquí en lugar de usar el multiplicador.',
+      'field.overtimeHours': 'Horas extra trabajadas',
+      'field.regularHours': 'Horas regulares trabajadas (opcional, 40 por defecto)',
+      'regularHours.hint': 'Introduce tus horas regulares (sin horas extra) para ver tu pago total.',
+
+      'tier.add': '+ Añadir tramo de horas extra',
+      'tier.title': 'Tramo {number}',
+      'tier.hours': 'Horas',
+      'tier.multiplier': 'Multiplicador',
+      'tier.custom': 'Personalizado',
+      'tier.other': 'Otro',
+      'tier.rate': 'Tarifa (opcional)',
+      'tier.auto': 'Auto',
+      'row.remove': 'Eliminar {title}',
+
+      'extraPay.toggle': '¿Cobraste un bono, una comisión o un plus de turno esta semana?',
+      'extraPay.hint': 'Según la FLSA, los bonos no discrecionales, las comisiones y los pluses de turno cuentan para tu tarifa regular, lo que aumenta tu tarifa de horas extra.',
+      'extraPay.bonus': 'Bono no discrecional de esta semana',
+      'extraPay.commission': 'Comisiones de esta semana',
+      'extraPay.addDifferential': '+ Añadir plus de turno',
+      'extraPay.differential': 'Plus {number}',
+      'extraPay.differentialRate': 'Extra por hora',
+      'extraPay.explain': 'Un pago ordinario de {pay} ÷ {hours} h da una tarifa regular de {regularRate}/h en lugar de {hourlyRate}/h, lo que añade {adjustment} a tu recargo de horas extra.',
+      'extraPay.explainNoOvertime': 'Sin horas extra esta semana, el pago adicional se suma a tu total pero no cambia ningún recargo.',
+
+      'timesheet.toggle': '¿Trabajaste horas distintas cada día? Usa la hoja de horas semanal',
+      'timesheet.hint': 'Introduce la hora de inicio y de fin de cada día trabajado. Un turno que termina después de medianoche cuenta para el día en que empezó.',
+      'timesheet.day': 'Día',
+      'timesheet.start': 'Inicio',
+      'timesheet.end': 'Fin',
+      'timesheet.break': 'Pausa no pagada (min)',
+      'timesheet.hours': 'Horas',
+      'timesheet.total': 'Total',
+      'timesheet.startLabel': 'Hora de inicio del {day}',
+      'timesheet.endLabel': 'Hora de fin del {day}',
+      'timesheet.breakLabel': 'Pausa no pagada del {day} en minutos',
+      'timesheet.threshold': 'Horas extra a partir de (horas por semana)',
+      'timesheet.clear': 'Borrar hoja de horas',
+      'timesheet.summary': '{total} h trabajadas: {regular} regulares + {overtime} extra ({rules}).',
+      'timesheet.rulesJurisdiction': 'normativa de {name}',
+      'timesheet.rulesWeekly': 'más de {hours} h/semana',
+      'timesheet.errorSameTime': 'El inicio y el fin son la misma hora',
+      'timesheet.errorBreak': 'Introduce la pausa en minutos, 0 o más',
+      'timesheet.errorBreakLong': 'La pausa dura lo mismo que el turno o más',
+
+      'deductions.toggle': 'Estima tu pago neto tras impuestos y deducciones',
+      'deductions.method': 'Retención del impuesto sobre la renta',
+      'deductions.flat': 'Porcentaje fijo',
+      'deductions.taxRate': 'Tipo del impuesto sobre la renta (%)',
+      'deductions.pretax': 'Deducciones antes de impuestos, p. ej. 401(k) (% del bruto)',
+      'deductions.posttax': 'Deducciones fijas después de impuestos (por semana)',
+      'deductions.hint': 'Solo son estimaciones. Las horas extra no tributan a un tipo especial; pueden aumentar la retención porque aumentan tu pago del periodo.',
+      'deductions.supplementalNote': 'El tipo indicado arriba se aplica al pago regular.',
+      'deductions.postTaxUnapplied': 'Las deducciones después de impuestos superan el pago de este período; no se pudieron descontar {amount}.',
+
+      'conversion.toggle': 'Ver tus resultados en otra moneda',
+      'conversion.to': 'Convertir a',
+      'conversion.manualRate': 'Tipo de cambio manual: 1 {from} = ? {to} (opcional)',
+      'conversion.placeholder': 'Usar el tipo incluido',
+      'conversion.tableHint': 'Déjalo en blanco para usar {rate} de {source} ({date}).',
+      'conversion.loading': 'Los tipos de cambio aún se están cargando. Introduce un tipo para convertir ya.',
+      'conversion.failed': 'No se pudieron cargar los tipos de cambio. Introduce un tipo para convertir.',
+      'conversion.manual': 'tipo manual',
+
+      'results.title': 'Resultados del pago de horas extra',
+      'results.forHours': 'Por {hours} horas extra:',
+      'results.overtimePayUnit': 'pago de horas extra',
+      'results.overtimeRate': 'Tarifa de horas extra:',
+      'results.normalWeek': 'En una semana normal ganarías:',
+      'results.regularPayHours': 'Pago regular ({hours} h):',
+      'results.hourlyRate': 'Tarifa por hora:',
+      'results.bonus': 'Bonos y comisiones:',
+      'results.differential': 'Pago por plus de turno:',
+      'results.regularRate': 'Tarifa regular (combinada):',
+      'results.adjustment': 'Ajuste de horas extra por tarifa regular:',
+      'results.overtimePay': 'Pago de horas extra:',
+      'results.overtimePayLabel': 'Pago de horas extra',
+      'results.regularPay': 'Pago regular:',
+      'results.totalPay': 'Pago total:',
+      'results.totalWeek': 'Pago total esta semana:',
+      'results.totalIn': 'Total en {currency}:',
+      'results.netRegular': 'Pago regular neto:',
+      'results.netOvertime': 'Pago neto de horas extra:',
+      'results.otWithholding': 'Retención sobre horas extra:',
+      'results.takeHome': 'Pago neto estimado:',
+      'results.tier': '{label}: {hours} h × {rate}/h ({multiplier}x)',
+      'results.perHour': '{amount}/h',
+      'results.note': 'El pago de horas extra se calcula multiplicando tu tarifa por hora por el multiplicador de horas extra y luego por el número de horas extra trabajadas.',
+
+      'action.copy': 'Copiar',
+      'action.copyLabel': 'Copiar resultado',
+      'action.share': 'Compartir enlace',
+      'action.shareLabel': 'Copiar un enlace a este cálculo',
+      'action.save': 'Guardar esta semana',
+      'action.saveLabel': 'Guardar esta semana en tu historial',
+      'action.report': 'Generar informe',
+      'action.reportLabel': 'Abrir un informe imprimible de este cálculo',
+      'action.reset': 'Restablecer',
+      'action.resetLabel': 'Restablecer la calculadora',
+      'action.copied': '¡Copiado!',
+      'action.failed': 'Error',
+      'action.checkInputs': 'Revisa los datos',
+      'action.enterRate': 'Introduce antes una tarifa',
+
+      'error.positiveRate': 'Introduce una tarifa positiva',
+      'error.positiveHours': 'Introduce un número de horas positivo',
+      'error.notANumber': 'Introduce un número, p. ej. {example}',
+      'error.positiveAmount': 'Introduce un importe positivo',
+      'error.aboveZero': 'Introduce un número mayor que 0',
+      'error.atMost': 'Introduce {max} o menos',
+      'error.range': 'Introduce un número entre {min} y {max}',
+      'error.weekHours': 'Las horas regulares y extra suman más de las {max} horas de una semana',
+      'error.announce': '{field}: {message}',
+
+      'summary.title': '💰 Cálculo del pago de horas extra',
+      'summary.salaryFixed': 'Salario semanal: {salary} por {hours} h programadas',
+      'summary.salaryFluctuating': 'Salario semanal: {salary} (semana laboral fluctuante)',
+      'summary.hourlyRate': 'Tarifa por hora: {rate}',
+      'summary.averageOvertimeRate': 'Tarifa media de horas extra: {rate}/h',
+      'summary.multiplier': 'Multiplicador de horas extra: {multiplier}x',
+      'summary.overtimeRate': 'Tarifa de horas extra: {rate}/h',
+      'summary.overtimeHours': 'Horas extra: {hours}',
+      'summary.regularHours': 'Horas regulares: {hours}',
+      'summary.tier': '{label}: {hours} h × {rate}/h = {pay}',
+      'summary.bonus': 'Bonos y comisiones: {amount}',
+      'summary.differential': 'Pago por plus de turno: {amount}',
+      'summary.regularRate': 'Tarifa regular (combinada): {rate}/h',
+      'summary.adjustment': 'Ajuste de horas extra por tarifa regular: {amount}',
+      'summary.overtimePay': 'Pago de horas extra: {amount}',
+      'summary.regularPay': 'Pago regular: {amount}',
+      'summary.totalPay': 'Pago total: {amount}',
+      'summary.footer': '📱 Calcula tus horas extra en calculateovertimepay.com',
+
+      'history.notSaved': 'No guardado',
+      'history.storageFull': 'El almacenamiento de este navegador está lleno, así que la semana no se guardó. Elimina o exporta semanas anteriores e inténtalo de nuevo.',
+      'history.title': 'Semanas guardadas',
+      'history.intro': 'Tu historial se guarda solo en este navegador. No se envía nada a ningún servidor.',
+      'history.week': 'Semana que empieza el',
+      'history.totals': 'Totales',
+      'history.month': 'Mes hasta la fecha',
+      'history.quarter': 'Trimestre hasta la fecha',
+      'history.year': 'Año hasta la fecha',
+      'history.cancelEdit': 'Cancelar edición',
+      'history.empty': 'Aún no hay semanas guardadas. Usa «Guardar esta semana» en los resultados para empezar tu historial.',
+      'history.colWeek': 'Semana del',
+      'history.colHours': 'Horas (reg. / extra)',
+      'history.colOvertimePay': 'Pago de horas extra',
+      'history.colTotalPay': 'Pago total',
+      'history.colActions': 'Acciones',
+      'history.saved': '¡Guardada!',
+      'history.update': 'Actualizar semana guardada',
+      'history.edit': 'Editar',
+      'history.delete': 'Eliminar',
+      'history.confirmDelete': '¿Eliminar la semana guardada del {date}?',
+      'history.totalLabel': '{period} ({currency})',
+      'history.totalMeta': '{overtimePay} en horas extra · {hours} h extra · {weeks}',
+      'history.weeksOne': '1 semana',
+      'history.weeksOther': '{count} semanas',
+
+      'goal.title': 'Objetivo de pago',
+      'goal.intro': 'Parte del pago que quieres: las horas extra que necesitarías con tu tarifa o la tarifa que necesitarías con un horario fijo. Los campos vacíos usan los valores de la calculadora.',
+      'goal.target': 'Pago semanal objetivo',
+      'goal.basis': 'El objetivo es',
+      'goal.gross': 'Pago bruto',
+      'goal.net': 'Pago neto',
+      'goal.rate': 'Tarifa por hora',
+      'goal.multiplier': 'Multiplicador de horas extra',
+      'goal.regularHours': 'Horas regulares',
+      'goal.overtimeHours': 'Horas extra (horario fijo)',
+      'goal.scope': 'Las respuestas suponen pago por hora y un solo multiplicador de horas extra sobre las horas semanales. No se incluyen la base de pago de la calculadora, las reglas de horas extra del estado o país, los tramos adicionales, los bonos, las comisiones ni los diferenciales por turno.',
+      'goal.netHint': 'Usa los ajustes de impuestos y deducciones de «Estima tu pago neto tras impuestos y deducciones» en la calculadora.',
+      'goal.payGross': '{amount} brutos',
+      'goal.payNet': '{amount} netos',
+      'goal.hoursNeeded': 'Horas extra necesarias',
+      'goal.rateNeeded': 'Tarifa por hora necesaria',
+      'goal.notReachable': 'No alcanzable',
+      'goal.hours': '{hours} h',
+      'goal.hoursUnreachable': 'Incluso trabajando las {max} horas de la semana no llegas con {rate}',
+      'goal.alreadyMet': '{hours} horas regulares ya pagan {pay}',
+      'goal.hoursAnswer': '{hours} h a la semana a {rate} pagan {pay}',
+      'goal.needRate': 'Introduce una tarifa por hora aquí o en la calculadora',
+      'goal.rateAnswer': '{regular} horas regulares + {overtime} extra a {multiplier}x pagan {pay}',
+      'goal.deductionsTooHigh': 'Las deducciones superan lo que puede pagar este horario',
+      'goal.scheduleRange': 'Introduce entre 0 y {max} horas en el horario',
+      'goal.hoursGoal': 'Objetivo de horas extra',
+      'goal.fixedSchedule': 'Horario fijo',
+      'goal.warning': '{label}: {hours} horas a la semana.',
+      'goal.limitEuWtd': 'Más que el promedio de 48 horas semanales, horas extra incluidas, que permiten la Directiva europea de tiempo de trabajo y la normativa británica salvo renuncia expresa.',
+      'goal.limitWhoIlo': 'Trabajar más de 55 horas a la semana se asocia a un mayor riesgo de ictus y cardiopatía (OMS/OIT, 2021).',
+      'goal.limitEuRest': 'Más de 78 horas deja menos que las 11 horas de descanso diario y el día libre semanal que exige la UE.',
+
+      'premiums.errorIncomplete': 'Introduce una fecha, una hora de inicio y una hora de fin',
+      'premiums.title': 'Recargos por festivos, fines de semana y noches',
+      'premiums.intro': 'Introduce turnos con fecha para calcular los recargos por festivos, fines de semana y noches. Los festivos vienen del calendario incluido para cada país. Las horas de un turno nocturno después de medianoche reciben los recargos del día siguiente. Los importes usan la moneda seleccionada en la calculadora.',
+      'premiums.preset': 'Normas del país',
+      'premiums.calendar': 'Calendario de festivos',
+      'premiums.noCalendar': 'Sin festivos',
+      'premiums.rate': 'Tarifa por hora',
+      'premiums.holidayPercent': 'Recargo por festivo (%)',
+      'premiums.saturdayPercent': 'Recargo por sábado (%)',
+      'premiums.sundayPercent': 'Recargo por domingo (%)',
+      'premiums.nightPercent': 'Recargo nocturno (%)',
+      'premiums.nightStart': 'Noche desde',
+      'premiums.nightEnd': 'Noche hasta',
+      'premiums.note': '{law}. {note}',
+      'premiums.presetJp': 'Japón',
+      'premiums.presetJpLaw': 'Ley de Normas Laborales, artículo 37',
+      'premiums.presetJpNote': 'El trabajo nocturno de 22:00 a 05:00 se paga al menos un 25 % más, además de cualquier recargo por festivo. El recargo del 35 % se debe por el día de descanso semanal legal; muchos empleadores también lo pagan en los festivos nacionales.',
+      'premiums.presetAuRetail': 'Australia (General Retail Award)',
+      'premiums.presetAuRetailLaw': 'General Retail Industry Award 2020, cl. 22',
+      'premiums.presetAuRetailNote': 'Recargos para jornada completa y parcial. El trabajo de lunes a viernes después de las 18:00 se paga un 25 % más; introdúcelo como recargo nocturno si corresponde. Consulta tu propio convenio para otros sectores y recargos de trabajo eventual.',
+      'premiums.presetCaFederal': 'Canadá (federal)',
+      'premiums.presetCaFederalLaw': 'Código del Trabajo de Canadá, art. 198',
+      'premiums.presetCaFederalNote': 'El trabajo en un día festivo general se paga al menos a 1,5x, además del pago habitual por festivo.',
+      'premiums.presetUk': 'Reino Unido',
+      'premiums.presetUkLaw': 'Sin recargo legal',
+      'premiums.presetUkNote': 'Las tarifas mejoradas para festivos, domingos o noches vienen de tu contrato. Introdúcelas abajo.',
+      'premiums.presetUs': 'Estados Unidos',
+      'premiums.presetUsLaw': 'Sin obligación federal (FLSA)',
+      'premiums.presetUsNote': 'La FLSA no exige recargos por festivos, fines de semana o noches. Introduce lo que paga tu empleador; como diferenciales de turno cuentan para la tarifa regular de las horas extra.',
+      'premiums.kindHoliday': 'Festivo',
+      'premiums.kindSaturday': 'Sábado',
+      'premiums.kindSunday': 'Domingo',
+      'premiums.kindNight': 'Noche',
+      'premiums.premiumHours': '{label} +{percent} %: {hours} h',
+      'premiums.premiumPay': '{premium}, {amount}',
+      'premiums.hoursWithNight': '{hours} ({night} nocturnas)',
+      'premiums.colStart': 'Inicio',
+      'premiums.colEnd': 'Fin',
+      'premiums.colBreak': 'Descanso (min)',
+      'premiums.colDay': 'Día',
+      'premiums.colHours': 'Horas',
+      'premiums.colPremiums': 'Recargos',
+      'premiums.colTotal': 'Total',
+      'premiums.rowDate': 'Fecha del turno',
+      'premiums.rowStart': 'Hora de inicio',
+      'premiums.rowEnd': 'Hora de fin',
+      'premiums.rowBreak': 'Descanso no pagado en minutos',
+      'premiums.removeShift': 'Quitar turno',
+      'premiums.add': '+ Añadir turno',
+      'premiums.clear': 'Borrar turnos',
+      'premiums.apply': 'Añadir recargos a la calculadora',
+      'premiums.applyHint': 'Añade cada recargo a la calculadora como diferencial de turno, donde cuenta para la tarifa regular de las horas extra. Las horas de la calculadora no cambian.',
+      'premiums.noPremiums': 'No hay recargos que añadir',
+      'premiums.added': '¡Añadido!',
+      'premiums.warningRate': 'Introduce una tarifa por hora aquí o en la calculadora para calcular los turnos.',
+      'premiums.warningCalendar': 'El calendario {calendar} no tiene festivos para {years}, así que no se aplicaron recargos por festivo a esas fechas.',
+      'premiums.noPremiumHours': 'Sin horas con recargo',
+      'premiums.totalPay': 'Pago total ({currency})',
+      'premiums.totalMeta': '{hours} h · {base} base + {premiums} de recargos',
+      'premiums.premiumTotal': 'Pago por recargos ({currency})',
+
+      'import.title': 'Importar y exportar',
+      'import.intro': 'Descarga esta semana o tus semanas guardadas para una hoja de cálculo, o importa un CSV de horas para calcular muchas semanas a la vez.',
+      'import.thisWeek': 'Esta semana',
+      'import.savedWeeks': 'Semanas guardadas',
+      'import.downloadCsv': 'Descargar CSV',
+      'import.downloadJson': 'Descargar JSON',
+      'import.file': 'Importar CSV',
+      'import.fileHint': 'Columnas: fecha, horas regulares, horas extra, tarifa. Las filas usan el multiplicador y la moneda seleccionados en la calculadora.',
+      'import.errorsTitle': 'Algunas filas no se pudieron importar:',
+      'import.colLine': 'Línea',
+      'import.colDate': 'Fecha',
+      'import.colRegular': 'Horas reg.',
+      'import.colOvertime': 'Horas extra',
+      'import.colRate': 'Tarifa',
+      'import.downloadResults': 'Descargar CSV de resultados',
+      'import.save': 'Añadir a semanas guardadas',
+      'import.noSavedWeeks': 'No hay semanas guardadas',
+      'import.addedOne': '1 semana añadida',
+      'import.addedOther': '{count} semanas añadidas',
+      'import.totalOne': 'Total (1 fila)',
+      'import.totalOther': 'Total ({count} filas)',
+      'import.errorLine': 'Línea {line}: {message}',
+      'import.errorRead': 'No se pudo leer el archivo',
+      'import.errorColumns': 'Se esperaban {expected} columnas (fecha, horas regulares, horas extra, tarifa) y hay {found}',
+      'import.errorDate': 'fecha no válida «{value}»',
+      'import.errorRegularHours': 'horas regulares no válidas «{value}»',
+      'import.errorRegularWeek': 'las horas regulares «{value}» superan las {max} horas de una semana',
+      'import.errorOvertimeHours': 'horas extra no válidas «{value}»',
+      'import.errorOvertimeWeek': 'las horas extra «{value}» superan las {max} horas de una semana',
+      'import.errorWeekHours': 'las horas regulares y extra suman más de las {max} horas de una semana',
+      'import.errorRate': 'tarifa no válida «{value}»',
+
+      'backPay.errorColumns': 'Se esperaban {expected} columnas (semana del, horas regulares, horas extra, tarifa, pagado) y hay {found}',
+      'backPay.errorPaid': 'importe pagado no válido «{value}»',
+      'backPay.title': 'Reclamación de salarios atrasados',
+      'backPay.intro': 'Calcula los salarios que te deben de semanas anteriores. Introduce las horas y la tarifa de cada semana junto con el pago bruto que recibiste realmente, o impórtalos desde un CSV. Las semanas usan el multiplicador y la moneda seleccionados en la calculadora.',
+      'backPay.lookback': 'Periodo de reclamación',
+      'backPay.lookbackFlsa': '2 años (estándar de la FLSA)',
+      'backPay.lookbackWillful': '3 años (infracción intencionada de la FLSA)',
+      'backPay.lookbackCustom': 'Personalizado (p. ej., un límite estatal)',
+      'backPay.lookbackNone': 'Sin límite',
+      'backPay.years': 'Años',
+      'backPay.asOf': 'Fecha de la reclamación',
+      'backPay.liquidated': 'Añadir daños liquidados (duplica los salarios impagados)',
+      'backPay.colPaid': 'Pagado',
+      'backPay.colOwed': 'Adeudado',
+      'backPay.colShortfall': 'Diferencia',
+      'backPay.add': '+ Añadir semana',
+      'backPay.addCurrent': 'Añadir el cálculo actual',
+      'backPay.clear': 'Borrar semanas',
+      'backPay.fileHint': 'Columnas: semana del, horas regulares, horas extra, tarifa, pagado. «Pagado» es el pago bruto recibido esa semana.',
+      'backPay.download': 'Descargar CSV de la reclamación',
+      'backPay.note': 'Cada semana se compara por separado: pagar de más una semana no compensa lo que falta en otra. Las semanas anteriores al periodo de reclamación se quedan en la tabla, pero no se cuentan. Esto es una estimación, no asesoramiento legal.',
+      'backPay.rowWeek': 'Semana del',
+      'backPay.rowRegular': 'Horas regulares',
+      'backPay.rowOvertime': 'Horas extra',
+      'backPay.rowRate': 'Tarifa por hora',
+      'backPay.rowPaid': 'Pago bruto recibido',
+      'backPay.removeWeek': 'Quitar semana',
+      'backPay.noWeeks': 'No hay semanas',
+      'backPay.excludedTitle': 'Anterior al periodo de reclamación ({date})',
+      'backPay.unpaidWages': 'Salarios impagados',
+      'backPay.totalClaim': 'Reclamación total',
+      'backPay.cardLabel': '{label} ({currency})',
+      'backPay.weeksShortOne': '{short} de 1 semana con diferencia',
+      'backPay.weeksShortOther': '{short} de {count} semanas con diferencia',
+      'backPay.since': 'desde el {date}',
+      'backPay.excludedOne': '1 semana fuera del periodo',
+      'backPay.excludedOther': '{count} semanas fuera del periodo',
+      'backPay.includesDamages': 'Incluye {amount} de daños liquidados',
+      'backPay.wagesOnly': 'Solo salarios impagados',
+
+      'report.title': 'Informe de pago',
+      'report.intro': 'Un registro imprimible de este cálculo para llevar a nóminas o guardar con una reclamación salarial. Imprímelo o elige «Guardar como PDF» en el cuadro de impresión. No se envía nada a ningún servidor.',
+      'report.employeeName': 'Nombre del empleado',
+      'report.optional': 'Opcional',
+      'report.periodStart': 'Inicio del periodo de pago',
+      'report.periodEnd': 'Fin del periodo de pago',
+      'report.print': 'Imprimir o guardar como PDF',
+      'report.close': 'Cerrar',
+      'report.preview': 'Vista previa del informe',
+      'report.errorStart': 'Introduce el primer día del periodo de pago',
+      'report.errorEnd': 'Introduce el último día del periodo de pago',
+      'report.errorOrder': 'El periodo de pago termina antes de empezar',
+      'report.documentTitle': 'Informe de pago de horas extra',
+      'report.employee': 'Empleado',
+      'report.notGiven': 'No indicado',
+      'report.payPeriod': 'Periodo de pago',
+      'report.periodRange': '{start} – {end}',
+      'report.calculatedOn': 'Calculado el',
+      'report.currency': 'Moneda',
+      'report.payBasis': 'Base de pago',
+      'report.fixedSalary': 'Salario fijo',
+      'report.fluctuating': 'Semana laboral fluctuante',
+      'report.weeklySalary': 'Salario semanal',
+      'report.hourlyRate': 'Tarifa por hora',
+      'report.regularRate': 'Tarifa regular (con bonos y diferenciales)',
+      'report.multiplier': 'Multiplicador de horas extra',
+      'report.averageOvertimeRate': 'Tarifa media de horas extra',
+      'report.overtimeRate': 'Tarifa de horas extra',
+      'report.hoursWorked': 'Horas trabajadas',
+      'report.regularHours': 'Horas regulares',
+      'report.overtimeHours': 'Horas extra',
+      'report.day': 'Día',
+      'report.date': 'Fecha',
+      'report.hours': 'Horas',
+      'report.total': 'Total',
+      'report.weeklyTotals': 'Totales semanales introducidos directamente. Abre la hoja de horas semanal en la calculadora para listar las horas por día.',
+      'report.rate': 'Tarifa',
+      'report.breakdown': 'Desglose de horas extra',
+      'report.overtime': 'Horas extra',
+      'report.pay': 'Pago',
+      'report.regularPay': 'Pago regular',
+      'report.extraPay': 'Bonos, comisiones y diferenciales',
+      'report.adjustment': 'Ajuste por tarifa regular',
+      'report.overtimePay': 'Pago de horas extra',
+      'report.totalPay': 'Pago total',
+      'report.rules': 'Reglas de horas extra',
+      'report.rulesTiers': 'No se ha seleccionado ninguna jurisdicción: las horas extra usan los tramos personalizados introducidos.',
+      'report.rulesFlat': 'No se ha seleccionado ninguna jurisdicción: las horas extra usan un multiplicador fijo de {multiplier}x.',
+      'report.disclaimer': 'Estimación calculada en el navegador a partir de las cifras introducidas arriba. No es asesoramiento legal ni un registro oficial de nóminas.',
+
+      'scenario.title': 'Comparar escenarios',
+      'scenario.intro': 'Copia el cálculo actual en hasta cuatro columnas, cambia cualquiera de ellas y mira en qué se diferencia cada una de la columna de referencia. Los importes usan la moneda seleccionada en la calculadora.',
+      'scenario.add': '+ Añadir el cálculo actual',
+      'scenario.clear': 'Borrar escenarios',
+      'scenario.empty': 'Todavía no hay escenarios. Calcula una semana y añádela aquí para comparar, p. ej., una oferta de 1,5x frente a una de 2x.',
+      'scenario.defaultName': 'Escenario {number}',
+      'scenario.field': 'Campo',
+      'scenario.nameLabel': 'Nombre del escenario {number}',
+      'scenario.remove': 'Quitar el escenario {number}',
+      'scenario.fieldLabel': '{field}, escenario {number}',
+      'scenario.baseline': 'Referencia',
+      'scenario.hourlyRate': 'Tarifa por hora',
+      'scenario.multiplier': 'Multiplicador',
+      'scenario.overtimeRate': 'Tarifa de horas extra (opcional)',
+      'scenario.regularHours': 'Horas regulares',
+      'scenario.overtimeHours': 'Horas extra',
+      'scenario.otherPay': 'Bonificaciones y otros pagos',
+      'scenario.overtimePay': 'Pago de horas extra',
+      'scenario.regularPay': 'Pago regular',
+      'scenario.totalPay': 'Pago total',
+      'scenario.effectiveRate': 'Tarifa por hora efectiva',
+      'scenario.deltaOvertimePay': 'Δ Pago de horas extra',
+      'scenario.deltaTotalPay': 'Δ Pago total',
+      'scenario.deltaEffectiveRate': 'Δ Tarifa por hora efectiva',
+      'scenario.errorNegative': 'Las tarifas y las horas no pueden ser negativas',
+
+      'projection.title': 'Proyección de ingresos',
+      'projection.intro': 'Proyecta esta semana, o la media de tus semanas guardadas, a lo largo de un año natural para hacer un presupuesto. Un mes son 52/12 semanas. Los importes usan la moneda seleccionada en la calculadora.',
+      'projection.basis': 'Basado en',
+      'projection.basisCurrent': 'El cálculo de esta semana',
+      'projection.basisHistory': 'Media de las semanas guardadas',
+      'projection.season': 'Estacionalidad',
+      'projection.seasonNone': 'Ninguna (todos los meses iguales)',
+      'projection.seasonHoliday': 'Temporada navideña (nov.–dic.)',
+      'projection.seasonSummer': 'Verano (jun.–ago.)',
+      'projection.seasonTax': 'Temporada de impuestos (feb.–abr.)',
+      'projection.seasonQuarterEnd': 'Cierres de trimestre (mar., jun., sept., dic.)',
+      'projection.seasonCustom': 'Meses personalizados',
+      'projection.factor': 'Horas extra en meses punta',
+      'projection.factorHint': 'Veces las horas extra de una semana normal, p. ej., 2 para el doble',
+      'projection.errorFactor': 'Introduce 0 o más',
+      'projection.peakMonths': 'Meses punta',
+      'projection.empty': 'Introduce una tarifa en la calculadora para ver una proyección.',
+      'projection.noSavedWeeks': 'Todavía no hay semanas guardadas en {currency}. Usa «{save}» en los resultados para crear tu historial.',
+      'projection.averageOne': 'Media de 1 semana guardada en {currency}: {amount} a la semana',
+      'projection.averageOther': 'Media de {count} semanas guardadas en {currency}: {amount} a la semana',
+      'projection.annualTotal': 'Pago total anual ({currency})',
+      'projection.annualTotalMeta': '{regular} regular + {overtime} de horas extra',
+      'projection.annualOvertime': 'Pago anual de horas extra ({currency})',
+      'projection.annualOvertimeMeta': '{hours} h extra · {share} % del pago total',
+      'projection.monthlyAverage': 'Media mensual ({currency})',
+      'projection.monthlyAverageMeta': '{overtime} de horas extra · {hours} h extra',
+      'projection.monthlyCaption': 'Pago mensual: regular y horas extra',
+      'projection.cumulativeCaption': 'Ingresos acumulados a lo largo del año',
+      'projection.showTable': 'Mostrar tabla de datos',
+      'projection.hideTable': 'Ocultar tabla de datos',
+      'projection.colMonth': 'Mes',
+      'projection.colRegular': 'Pago regular',
+      'projection.colOvertime': 'Pago de horas extra',
+      'projection.colOvertimeHours': 'Horas extra',
+      'projection.colTotal': 'Pago total',
+      'projection.colEndOf': 'Final de',
+      'projection.colRegularToDate': 'Pago regular acumulado',
+      'projection.colOvertimeToDate': 'Horas extra acumuladas',
+      'projection.colTotalToDate': 'Total acumulado',
+      'projection.peak': '(punta)',
+      'projection.year': 'Año',
+      'projection.legendRegular': 'Pago regular',
+      'projection.legendOvertime': 'Pago de horas extra',
+      'projection.barTitle': '{month}: {regular} regular, {overtime} de horas extra',
+      'projection.pointTitle': 'Final de {month}: {amount}',
+      'projection.monthlyFlat': 'Gráfico de barras: {total} cada mes, {overtime} de ellos de horas extra.',
+      'projection.monthlyRange': 'Gráfico de barras: el pago mensual va de {low} en {lowMonth} a {high} en {highMonth}, cuando las horas extra son {overtime}.',
+      'projection.cumulativeDescription': 'Gráfico de líneas: a final de {month}, {regular} de pago regular y {overtime} de horas extra.',
+
+      'holidays.calendarUs': 'Estados Unidos (federal)',
+      'holidays.calendarCa': 'Canadá (federal)',
+      'holidays.calendarGb': 'Reino Unido (Inglaterra y Gales)',
+      'holidays.calendarAu': 'Australia (nacional)',
+      'holidays.calendarJp': 'Japón',
+
+      'crew.title': 'Plantilla del equipo',
+      'crew.intro': 'Calcula una semana para todo un equipo a la vez, con una fila por empleado. Cada fila se calcula como en la calculadora de arriba: un multiplicador en blanco usa el de la calculadora, las horas regulares en blanco cuentan como 40 y las horas extra en blanco como 0. Los importes usan la moneda seleccionada en la calculadora.',
+      'crew.colEmployee': 'Empleado',
+      'crew.colMultiplier': 'Multiplicador',
+      'crew.colOvertimePay': 'Pago extra',
+      'crew.colEmployerCost': 'Coste para la empresa',
+      'crew.add': '+ Añadir empleado',
+      'crew.clear': 'Borrar plantilla',
+      'crew.employerView': 'Mostrar el coste para la empresa con cargas sociales',
+      'crew.burdenTitle': 'Cargas sociales (% del pago bruto)',
+      'crew.addCost': '+ Añadir coste',
+      'crew.burdenHint': 'Los valores predeterminados son la parte que paga la empresa en EE. UU. de Social Security y Medicare. Añade tus tasas de seguro de desempleo, seguro de accidentes laborales y prestaciones. No se aplican topes de base salarial.',
+      'crew.rowName': 'Nombre del empleado',
+      'crew.rowRate': 'Tarifa por hora',
+      'crew.rowMultiplier': 'Multiplicador de horas extra',
+      'crew.rowRegular': 'Horas regulares',
+      'crew.rowOvertime': 'Horas extra',
+      'crew.removeEmployee': 'Quitar empleado',
+      'crew.cost': 'Coste',
+      'crew.costName': 'Nombre del coste',
+      'crew.costPercent': 'Porcentaje del pago bruto',
+      'crew.removeCost': 'Quitar coste',
+      'crew.burdenSocialSecurity': 'Social Security (parte de la empresa)',
+      'crew.burdenMedicare': 'Medicare (parte de la empresa)',
+      'crew.burdenUnemployment': 'Seguro de desempleo (FUTA/SUTA)',
+      'crew.burdenWorkersComp': 'Seguro de accidentes laborales',
+      'crew.noEmployees': 'No hay empleados que exportar',
+      'crew.errorRate': 'Introduce una tarifa',
+      'crew.errorMultiplier': 'El multiplicador debe ser 1 o más',
+      'crew.errorRateNumber': 'La tarifa debe ser un número',
+      'crew.errorRatePositive': 'La tarifa debe ser mayor que cero',
+      'crew.errorHoursNumber': 'Las horas deben ser un número',
+      'crew.errorHoursNegative': 'Las horas no pueden ser negativas',
+      'crew.errorWeekHours': 'Más de las {max} horas de una semana',
+      'crew.footTotal': 'Total del equipo ({count})',
+      'crew.overtimeCost': 'Coste de horas extra del equipo ({currency})',
+      'crew.overtimeHours': '{hours} h extra',
+      'crew.withOvertimeOne': '{count} de 1 empleado con horas extra',
+      'crew.withOvertimeOther': '{count} de {employees} empleados con horas extra',
+      'crew.skippedOne': '1 fila con errores no contada',
+      'crew.skippedOther': '{count} filas con errores no contadas',
+      'crew.grossPay': 'Pago bruto del equipo ({currency})',
+      'crew.grossPayMeta': '{regular} regular + {overtime} de horas extra',
+      'crew.employerCost': 'Coste para la empresa ({currency})',
+      'crew.burden': '+{amount} de cargas sociales ({percent} %)',
+      'crew.burdenItems': '+{amount} de cargas sociales ({percent} %): {items}',
+      'crew.overtimeWithBurden': 'las horas extra cuestan {amount} con cargas',
+
+      'exemption.title': '¿Estoy exento? Comprueba tu situación',
+      'exemption.intro': 'Responde a unas preguntas sobre tu salario y tus funciones para recorrer las pruebas de exención de la FLSA. Tus respuestas se quedan en tu navegador.',
+      'exemption.stepPay': '1. Cómo te pagan',
+      'exemption.payType': 'Tipo de pago',
+      'exemption.salary': 'Salario fijo',
+      'exemption.hourly': 'Por horas',
+      'exemption.weeklySalary': 'Salario semanal',
+      'exemption.hourlyRate': 'Tarifa por hora',
+      'exemption.salaryGuaranteed': 'Mi salario es una cantidad fija que no se reduce cuando trabajo menos horas o hay menos trabajo',
+      'exemption.annualPay': 'Remuneración anual total (opcional)',
+      'exemption.annualPayPlaceholder': 'Salario semanal × 52',
+      'exemption.annualPayHint': 'Incluye bonificaciones y comisiones. Se usa para la prueba de empleado con alta remuneración.',
+      'exemption.weeklyHours': 'Horas trabajadas en una semana normal',
+      'exemption.stepDuties': '2. En qué consiste tu trabajo',
+      'exemption.dutiesHint': 'Marca todo lo que describa tus funciones principales. Tu puesto no importa.',
+      'exemption.submit': 'Comprobar mi situación',
+      'exemption.prefill': 'Calcular mis horas extra',
+      'exemption.dutyGroup': '{name} ({law})',
+      'exemption.testExecutive': 'Ejecutivo',
+      'exemption.testAdministrative': 'Administrativo',
+      'exemption.testProfessional': 'Profesional',
+      'exemption.testComputer': 'Empleado informático',
+      'exemption.testOutsideSales': 'Ventas externas',
+      'exemption.testHighlyCompensated': 'Alta remuneración',
+      'exemption.reasonTest': '{test}:',
+      'exemption.reasonSalaryLevel': 'Nivel salarial',
+      'exemption.reasonSalaryBasis': 'Base salarial',
+      'exemption.reasonExecutive': 'Exención de ejecutivo',
+      'exemption.reasonAdministrative': 'Exención administrativa',
+      'exemption.reasonProfessional': 'Exención profesional',
+      'exemption.reasonComputer': 'Exención de empleado informático',
+      'exemption.reasonOutsideSales': 'Exención de ventas externas',
+      'exemption.reasonHighlyCompensated': 'Empleado con alta remuneración',
+      'exemption.questionManagesEnterprise': 'Mi función principal es dirigir la empresa o un departamento o subdivisión reconocidos de ella',
+      'exemption.questionDirectsTwo': 'Dirijo habitualmente el trabajo de al menos dos empleados a tiempo completo (o el equivalente)',
+      'exemption.questionHiringAuthority': 'Puedo contratar o despedir, o mis recomendaciones sobre contratación, despido y ascensos tienen un peso especial',
+      'exemption.questionOfficeWork': 'Mi función principal es trabajo de oficina o no manual directamente relacionado con la dirección o las operaciones generales de la empresa',
+      'exemption.questionIndependentJudgment': 'Ese trabajo incluye ejercer discreción y criterio propio en asuntos importantes',
+      'exemption.questionLearned': 'Mi trabajo requiere conocimientos avanzados en un campo científico o académico, normalmente adquiridos con un título especializado',
+      'exemption.questionCreative': 'Mi trabajo requiere inventiva, imaginación, originalidad o talento en un campo artístico o creativo reconocido',
+      'exemption.questionTeacherLawMedicine': 'Soy docente, o tengo licencia y ejerzo la abogacía o la medicina',
+      'exemption.questionComputerDuties': 'Soy analista de sistemas, programador o ingeniero de software y mi función principal es diseñar, desarrollar, probar o modificar sistemas o programas informáticos',
+      'exemption.questionMakesSales': 'Mi función principal es vender u obtener pedidos o contratos',
+      'exemption.questionAwayFromOffice': 'Trabajo habitual y regularmente fuera de las instalaciones de mi empleador',
+      'exemption.salaryLevelMet': 'Un salario semanal de {salary} alcanza o supera el mínimo de {minimum}.',
+      'exemption.salaryLevelBelow': 'Un salario semanal de {salary} está por debajo del mínimo de {minimum}.',
+      'exemption.salaryLevelHourly': 'El pago por horas no cumple el requisito de salario semanal de {minimum}.',
+      'exemption.salaryBasisMet': 'Tu salario es una cantidad predeterminada que no se reduce por la calidad o la cantidad de tu trabajo.',
+      'exemption.salaryBasisNotMet': 'Tu pago no es un salario garantizado, así que no se cumple la prueba de base salarial.',
+      'exemption.dutiesNotMet': 'Las funciones no coinciden ({law}).',
+      'exemption.dutiesMet': 'Las funciones coinciden y se cumplen los requisitos de pago ({law}).',
+      'exemption.dutiesSalaryNotMet': 'Las funciones coinciden, pero no se cumplen las pruebas salariales ({law}).',
+      'exemption.dutiesPayBelow': 'Las funciones coinciden, pero el pago está por debajo tanto de las pruebas salariales como de {rate}/h ({law}).',
+      'exemption.hceMet': 'Un pago anual de {annual} alcanza el umbral de {threshold} y realizas al menos una función exenta ({law}).',
+      'exemption.hceNoDuty': 'El pago anual alcanza el umbral de {threshold}, pero no se aplica ninguna de las funciones exentas ({law}).',
+      'exemption.hceNotMet': 'Se necesita un pago anual con base salarial de {threshold} o más; el tuyo es de {annual} ({law}).',
+      'exemption.verdictExemptOne': 'Probablemente exento (exención: {names})',
+      'exemption.verdictExemptOther': 'Probablemente exento (exenciones: {names})',
+      'exemption.verdictNonExempt': 'Probablemente no exento: es probable que te deban horas extra',
+      'exemption.met': 'Cumplido:',
+      'exemption.notMet': 'No cumplido:',
+      'exemption.thresholds': 'Umbrales vigentes desde el {date} ({source}).',
+      'exemption.vacatedLevel': '{amount}/semana desde el {date}',
+      'exemption.vacated': 'Un tribunal federal anuló los aumentos a {levels}, que no se aplican.',
+      'exemption.disclaimer': 'La ley estatal puede fijar umbrales más altos. Esto es información general, no asesoramiento legal.',
+
+      'update.available': 'Hay una nueva versión de la calculadora disponible.',
+      'update.reload': 'Recargar',
+      'update.later': 'Más tarde',
+
+      'link.invalid': 'Se ignoró un valor no válido del enlace ({label})',
+      'link.hourlyRate': 'tarifa por hora',
+      'link.customMultiplier': 'multiplicador personalizado',
+      'link.overtimeRate': 'tarifa de horas extra',
+      'link.weeklySalary': 'salario semanal',
+      'link.salaryHours': 'horas programadas',
+      'link.timeframePay': 'pago del período',
+      'link.bonusPay': 'bonificación',
+      'link.commissionPay': 'comisiones',
+      'link.weeklyHours': 'horas semanales',
+      'link.customPeriods': 'períodos de pago al año',
+      'link.workDays': 'días laborables por semana',
+      'link.paidHolidays': 'festivos pagados',
+      'link.ptoDays': 'días de permiso retribuido',
+      'link.overtimeHours': 'horas extra',
+      'link.regularHours': 'horas regulares',
+      'link.weeklyThreshold': 'umbral semanal',
+      'link.currency': 'moneda',
+      'link.payBasis': 'forma de pago',
+      'link.multiplier': 'multiplicador',
+      'link.timeframe': 'período de pago',
+      'link.jurisdiction': 'normas de horas extra',
+      'link.tiers': 'tramos de horas extra',
+      'link.differentials': 'pluses por turno',
+      'link.timesheet': 'hoja de horas',
+
+      'embed.close': 'Cerrar',
+      'embed.title': 'Inserta esta calculadora',
+      'embed.intro': 'Elige cómo se verá la calculadora en tu sitio y copia el código de abajo en el HTML de tu web. Es obligatorio incluir el enlace de atribución.',
+      'embed.currency': 'Moneda predeterminada',
+      'embed.multiplier': 'Multiplicador predeterminado',
+      'embed.language': 'Idioma predeterminado',
+      'embed.colorPrimary': 'Color de acento',
+      'embed.colorBackground': 'Fondo',
+      'embed.colorText': 'Color del texto',
+      'embed.lock': 'Bloquea campos para que los visitantes no puedan cambiarlos',
+      'embed.lockCurrency': 'Moneda',
+      'embed.lockMultiplier': 'Multiplicador',
+      'embed.lockJurisdiction': 'Reglas de horas extra',
+      'embed.lockHourlyRate': 'Tarifa por hora',
+      'embed.lockOvertimeRate': 'Tarifa de horas extra',
+      'embed.lockRegularHours': 'Horas normales',
+      'embed.compact': 'Diseño compacto (oculta el encabezado, la ayuda de tarifa por hora y las notas)',
+      'embed.hint': 'El código ajusta el tamaño del marco a su contenido. Tu página también puede escuchar los mensajes {message} para leer cada resultado.',
+      'embed.copy': 'Copiar código'
+    },
+
+    fr: {
+      'language.label': 'Langue',
+      'calculator.title': 'Calculateur de paie des heures supplémentaires',
+      'calculator.subtitle': 'Calculez vos gains en heures supplémentaires rapidement et avec précision.',
+      'calculator.embed': 'Intégrer cet outil',
+      'calculator.calculate': 'Calculer la paie des heures sup.',
+      'calculator.callout': 'Saisissez votre taux horaire et vos heures supplémentaires pour voir la paie des heures sup., la paie normale et le total de la semaine.',
+      'calculator.fullSite': 'Ouvrir le calculateur complet sur CalculateOvertimePay.com',
+
+      'field.currency': 'Devise',
+      'field.payBasis': 'Mode de rémunération',
+      'payBasis.hourly': 'À l\'heure',
+      'payBasis.salary': 'Salaire fixe (non exempté)',
+      'payBasis.fluctuating': 'Semaine de travail variable (heures sup. à demi-taux)',
+      'payBasis.hint': 'Salarié mais avec droit aux heures supplémentaires ? Choisissez comment votre salaire est défini.',
+      'payBasis.hintSalary': 'Votre salaire couvre un horaire fixe. Le taux horaire est le salaire divisé par ces heures prévues.',
+      'payBasis.hintFluctuating': 'Votre salaire couvre toutes les heures travaillées, quel qu\'en soit le nombre. Chaque heure au-delà du seuil ajoute la moitié de votre taux normal.',
+      'payBasis.explainSalary': 'Salaire fixe : {salary} ÷ {hours} h prévues = {rate}/h. Le taux reste le même chaque semaine et les heures sup. sont payées à {multiplier}x ce taux.',
+      'payBasis.explainFluctuating': 'Semaine variable : votre salaire de {salary} couvre déjà les {hours} h, donc le taux normal de cette semaine est de {rate}/h et chaque heure sup. n\'ajoute que la majoration. Plus vous travaillez, plus le taux baisse ; une semaine plus courte le fait monter.',
+      'field.weeklySalary': 'Salaire hebdomadaire',
+      'field.salaryHours': 'Heures prévues couvertes par le salaire',
+      'field.hourlyRate': 'Taux horaire',
+
+      'helper.toggle': 'Vous ne connaissez pas votre taux horaire ? Calculez-le ici',
+      'helper.timeframe': 'Période de paie',
+      'timeframe.day': 'Jour',
+      'timeframe.week': 'Semaine',
+      'timeframe.2weeks': '2 semaines',
+      'timeframe.semimonthly': 'Bimensuelle (24 par an)',
+      'timeframe.month': 'Mois',
+      'timeframe.quarter': 'Trimestre',
+      'timeframe.annual': 'Annuelle',
+      'timeframe.custom': 'Personnalisée',
+      'helper.customPeriods': 'Périodes de paie par an',
+      'helper.pay': 'Paie totale pour la période choisie',
+      'helper.weeklyHours': 'Heures normales par semaine (facultatif, 40 par défaut)',
+      'helper.workDays': 'Jours travaillés par semaine (facultatif, 5 par défaut)',
+      'helper.paidHolidays': 'Jours fériés payés par an (facultatif)',
+      'helper.ptoDays': 'Jours de congés payés par an (facultatif)',
+      'helper.ptoHint': 'Les jours de congé payés ne sont pas des heures travaillées ; ils augmentent donc votre taux par heure travaillée.',
+      'helper.calculate': 'Calculer le taux horaire',
+      'helper.result': 'Votre taux horaire :',
+      'helper.useRate': 'Utiliser ce taux',
+
+      'field.jurisdiction': 'Règles des heures sup.',
+      'jurisdiction.custom': 'Personnalisé (multiplicateur fixe)',
+      'jurisdiction.hint': 'Choisissez un État, une province ou un pays pour appliquer ses seuils quotidiens et hebdomadaires.',
+      'jurisdiction.hintWeekly': 'Choisissez un État, une province ou un pays pour appliquer son seuil hebdomadaire d\'heures sup.',
+      'jurisdiction.groupUs': 'États-Unis',
+      'jurisdiction.groupCanada': 'Canada',
+      'jurisdiction.groupOther': 'Autres pays',
+      'jurisdiction.usFlsa': 'Fédéral américain (FLSA)',
+      'jurisdiction.usCa': 'Californie',
+      'jurisdiction.usAk': 'Alaska',
+      'jurisdiction.usNv': 'Nevada',
+      'jurisdiction.usCo': 'Colorado',
+      'jurisdiction.caFederal': 'Canada (fédéral)',
+      'jurisdiction.caAb': 'Alberta',
+      'jurisdiction.caBc': 'Colombie-Britannique',
+      'jurisdiction.caMb': 'Manitoba',
+      'jurisdiction.caNb': 'Nouveau-Brunswick',
+      'jurisdiction.caNs': 'Nouvelle-Écosse',
+      'jurisdiction.caOn': 'Ontario',
+      'jurisdiction.caPe': 'Île-du-Prince-Édouard',
+      'jurisdiction.caQc': 'Québec',
+      'jurisdiction.caSk': 'Saskatchewan',
+      'jurisdiction.jp': 'Japon',
+      'jurisdiction.noteAk': 'S\'applique aux employeurs de 4 salariés ou plus.',
+      'jurisdiction.noteNv': 'Les heures supplémentaires quotidiennes ne s\'appliquent que si vous gagnez moins de 1,5 fois le salaire minimum du Nevada.',
+      'jurisdiction.noteMinimumWage': 'La majoration légale est de 1,5 fois le salaire minimum, et non votre propre taux.',
+      'jurisdiction.noteJp': 'Les heures supplémentaires au-delà de 60 heures par mois et le travail de nuit sont davantage majorés.',
+      'jurisdiction.bandDaily': 'Heures supplémentaires quotidiennes, au-delà de {over} h/jour',
+      'jurisdiction.bandWeekly': 'Heures supplémentaires hebdomadaires, au-delà de {over} h/semaine',
+      'jurisdiction.bandSeventh': '7e jour consécutif',
+      'jurisdiction.bandSeventhOver': '7e jour consécutif, au-delà de {over} h',
+      'jurisdiction.bandSeventhFirst': '7e jour consécutif, {over} premières heures',
+      'field.multiplier': 'Multiplicateur des heures sup.',
+      'multiplier.timeAndAHalf': '1.5x (taux majoré de 50 %)',
+      'multiplier.doubleTime': '2x (taux double)',
+      'multiplier.other': 'Autre (personnalisé)',
+      'field.customMultiplier': 'Multiplicateur personnalisé',
+      'field.overtimeRate': 'Taux horaire des heures sup. (facultatif)',
+      'overtimeRate.placeholder': 'Laisser vide pour le calcul automatique',
+      'overtimeRate.hint': 'Si vous connaissez votre taux exact d\'heures sup., saisissez-le ici au lieu d\'utiliser le multiplicateur.',
+      'field.overtimeHours': 'Heures supplémentaires travaillées',
+      'field.regularHours': 'Heures normales travaillées (facultatif, 40 par défaut)',
+      'regularHours.hint': 'Saisissez vos heures normales (hors heures sup.) pour voir votre paie totale.',
+
+      'tier.add': '+ Ajouter une tranche d\'heures sup.',
+      'tier.title': 'Tranche {number}',
+      'tier.hours': 'Heures',
+      'tier.multiplier': 'Multiplicateur',
+      'tier.custom': 'Personnalisé',
+      'tier.other': 'Autre',
+      'tier.rate': 'Taux (facultatif)',
+      'tier.auto': 'Auto',
+      'row.remove': 'Supprimer {title}',
+
+      'extraPay.toggle': 'Une prime, une commission ou une majoration de poste cette semaine ?',
+      'extraPay.hint': 'Selon la FLSA, les primes non discrétionnaires, les commissions et les majorations de poste comptent dans votre taux normal, ce qui augmente votre taux d\'heures sup.',
+      'extraPay.bonus': 'Prime non discrétionnaire de la semaine',
+      'extraPay.commission': 'Commissions de la semaine',
+      'extraPay.addDifferential': '+ Ajouter une majoration de poste',
+      'extraPay.differential': 'Majoration {number}',
+      'extraPay.differentialRate': 'Supplément par heure',
+      'extraPay.explain': 'Une paie de base de {pay} ÷ {hours} h donne un taux normal de {regularRate}/h au lieu de {hourlyRate}/h, ce qui ajoute {adjustment} à votre majoration d\'heures sup.',
+      'extraPay.explainNoOvertime': 'Sans heures sup. cette semaine, la paie supplémentaire s\'ajoute à votre total sans modifier aucune majoration.',
+
+      'timesheet.toggle': 'Des horaires différents chaque jour ? Utilisez la feuille de temps hebdomadaire',
+      'timesheet.hint': 'Saisissez l\'heure de début et de fin de chaque jour travaillé. Un poste qui finit après minuit compte pour le jour où il a commencé.',
+      'timesheet.day': 'Jour',
+      'timesheet.start': 'Début',
+      'timesheet.end': 'Fin',
+      'timesheet.break': 'Pause non payée (min)',
+      'timesheet.hours': 'Heures',
+      'timesheet.total': 'Total',
+      'timesheet.startLabel': 'Heure de début du {day}',
+      'timesheet.endLabel': 'Heure de fin du {day}',
+      'timesheet.breakLabel': 'Pause non payée du {day} en minutes',
+      'timesheet.threshold': 'Heures sup. au-delà de (heures par semaine)',
+      'timesheet.clear': 'Effacer la feuille de temps',
+      'timesheet.summary': '{total} h travaillées : {regular} normales + {overtime} sup. ({rules}).',
+      'timesheet.rulesJurisdiction': 'règles : {name}',
+      'timesheet.rulesWeekly': 'au-delà de {hours} h/semaine',
+      'timesheet.errorSameTime': 'Le début et la fin sont à la même heure',
+      'timesheet.errorBreak': 'Saisissez la pause en minutes, 0 ou plus',
+      'timesheet.errorBreakLong': 'La pause dure autant que le poste, voire plus',
+
+      'deductions.toggle': 'Estimer la paie nette après impôts et retenues',
+      'deductions.method': 'Retenue d\'impôt sur le revenu',
+      'deductions.flat': 'Pourcentage fixe',
+      'deductions.taxRate': 'Taux d\'impôt sur le revenu (%)',
+      'deductions.pretax': 'Retenues avant impôt, p. ex. 401(k) (% du brut)',
+      'deductions.posttax': 'Retenues fixes après impôt (par semaine)',
+      'deductions.hint': 'Estimations uniquement. Les heures sup. ne sont pas imposées à un taux spécial ; elles peuvent augmenter la retenue car elles augmentent votre paie de la période.',
+      'deductions.supplementalNote': 'Le taux ci-dessus s\'applique à la paie normale.',
+      'deductions.postTaxUnapplied': 'Les retenues après impôt dépassent la paie de cette période ; {amount} n\'ont pas pu être déduits.',
+
+      'conversion.toggle': 'Voir vos résultats dans une autre devise',
+      'conversion.to': 'Convertir en',
+      'conversion.manualRate': 'Taux de change manuel : 1 {from} = ? {to} (facultatif)',
+      'conversion.placeholder': 'Utiliser le taux fourni',
+      'conversion.tableHint': 'Laissez vide pour utiliser {rate} de {source} ({date}).',
+      'conversion.loading': 'Les taux sont en cours de chargement. Saisissez un taux pour convertir dès maintenant.',
+      'conversion.failed': 'Impossible de charger les taux. Saisissez un taux pour convertir.',
+      'conversion.manual': 'taux manuel',
+
+      'results.title': 'Résultats de la paie des heures sup.',
+      'results.forHours': 'Pour {hours} heures supplémentaires :',
+      'results.overtimePayUnit': 'de paie d\'heures sup.',
+      'results.overtimeRate': 'Taux des heures sup. :',
+      'results.normalWeek': 'Pour une semaine normale, vous gagneriez :',
+      'results.regularPayHours': 'Paie normale ({hours} h) :',
+      'results.hourlyRate': 'Taux horaire :',
+      'results.bonus': 'Primes et commissions :',
+      'results.differential': 'Majorations de poste :',
+      'results.regularRate': 'Taux normal (combiné) :',
+      'results.adjustment': 'Ajustement des heures sup. (taux normal) :',
+      'results.overtimePay': 'Paie des heures sup. :',
+      'results.overtimePayLabel': 'Paie des heures sup.',
+      'results.regularPay': 'Paie normale :',
+      'results.totalPay': 'Paie totale :',
+      'results.totalWeek': 'Paie totale de la semaine :',
+      'results.totalIn': 'Total en {currency} :',
+      'results.netRegular': 'Paie normale nette :',
+      'results.netOvertime': 'Paie nette des heures sup. :',
+      'results.otWithholding': 'Retenue sur les heures sup. :',
+      'results.takeHome': 'Paie nette estimée :',
+      'results.tier': '{label} : {hours} h × {rate}/h ({multiplier}x)',
+      'results.perHour': '{amount}/h',
+      'results.note': 'La paie des heures sup. se calcule en multipliant votre taux horaire par le multiplicateur, puis par le nombre d\'heures supplémentaires travaillées.',
+
+      'action.copy': 'Copier',
+      'action.copyLabel': 'Copier le résultat',
+      'action.share': 'Partager le lien',
+      'action.shareLabel': 'Copier un lien vers ce calcul',
+      'action.save': 'Enregistrer la semaine',
+      'action.saveLabel': 'Enregistrer cette semaine dans votre historique',
+      'action.report': 'Générer un rapport',
+      'action.reportLabel': 'Ouvrir un rapport imprimable de ce calcul',
+      'action.reset': 'Réinitialiser',
+      'action.resetLabel': 'Réinitialiser le calculateur',
+      'action.copied': 'Copié !',
+      'action.failed': 'Échec',
+      'action.checkInputs': 'Vérifiez les saisies',
+      'action.enterRate': 'Saisissez d\'abord un taux',
+
+      'error.positiveRate': 'Veuillez saisir un taux positif',
+      'error.positiveHours': 'Veuillez saisir un nombre d\'heures positif',
+      'error.notANumber': 'Saisissez un nombre, p. ex. {example}',
+      'error.positiveAmount': 'Veuillez saisir un montant positif',
+      'error.aboveZero': 'Saisissez un nombre supérieur à 0',
+      'error.atMost': 'Saisissez {max} ou moins',
+      'error.range': 'Saisissez un nombre entre {min} et {max}',
+      'error.weekHours': 'Les heures normales et supplémentaires dépassent les {max} heures d\'une semaine',
+      'error.announce': '{field} : {message}',
+
+      'summary.title': '💰 Calcul de la paie des heures supplémentaires',
+      'summary.salaryFixed': 'Salaire hebdomadaire : {salary} pour {hours} h prévues',
+      'summary.salaryFluctuating': 'Salaire hebdomadaire : {salary} (semaine variable)',
+      'summary.hourlyRate': 'Taux horaire : {rate}',
+      'summary.averageOvertimeRate': 'Taux moyen des heures sup. : {rate}/h',
+      'summary.multiplier': 'Multiplicateur des heures sup. : {multiplier}x',
+      'summary.overtimeRate': 'Taux des heures sup. : {rate}/h',
+      'summary.overtimeHours': 'Heures sup. : {hours}',
+      'summary.regularHours': 'Heures normales : {hours}',
+      'summary.tier': '{label} : {hours} h × {rate}/h = {pay}',
+      'summary.bonus': 'Primes et commissions : {amount}',
+      'summary.differential': 'Majorations de poste : {amount}',
+      'summary.regularRate': 'Taux normal (combiné) : {rate}/h',
+      'summary.adjustment': 'Ajustement des heures sup. (taux normal) : {amount}',
+      'summary.overtimePay': 'Paie des heures sup. : {amount}',
+      'summary.regularPay': 'Paie normale : {amount}',
+      'summary.totalPay': 'Paie totale : {amount}',
+      'summary.footer': '📱 Calculez vos heures sup. sur calculateovertimepay.com',
+
+      'history.notSaved': 'Non enregistré',
+      'history.storageFull': 'Le stockage de ce navigateur est plein : la semaine n\'a pas été enregistrée. Supprimez ou exportez des semaines plus anciennes, puis réessayez.',
+      'history.title': 'Semaines enregistrées',
+      'history.intro': 'Votre historique est enregistré uniquement dans ce navigateur. Rien n\'est envoyé à un serveur.',
+      'history.week': 'Semaine du',
+      'history.totals': 'Totaux',
+      'history.month': 'Mois en cours',
+      'history.quarter': 'Trimestre en cours',
+      'history.year': 'Année en cours',
+      'history.cancelEdit': 'Annuler la modification',
+      'history.empty': 'Aucune semaine enregistrée pour l\'instant. Utilisez « Enregistrer la semaine » dans les résultats pour commencer votre historique.',
+      'history.colWeek': 'Semaine du',
+      'history.colHours': 'Heures (norm. / sup.)',
+      'history.colOvertimePay': 'Paie des heures sup.',
+      'history.colTotalPay': 'Paie totale',
+      'history.colActions': 'Actions',
+      'history.saved': 'Enregistrée !',
+      'history.update': 'Mettre à jour la semaine',
+      'history.edit': 'Modifier',
+      'history.delete': 'Supprimer',
+      'history.confirmDelete': 'Supprimer la semaine enregistrée du {date} ?',
+      'history.totalLabel': '{period} ({currency})',
+      'history.totalMeta': '{overtimePay} d\'heures sup. · {hours} h sup. · {weeks}',
+      'history.weeksOne': '1 semaine',
+      'history.weeksOther': '{count} semaines',
+
+      'goal.title': 'Objectif de paie',
+      'goal.intro': 'Partez de la paie souhaitée : les heures supplémentaires nécessaires à votre taux, ou le taux nécessaire pour un horaire fixe. Les champs vides reprennent les valeurs du calculateur.',
+      'goal.target': 'Paie hebdomadaire visée',
+      'goal.basis': 'L\'objectif est',
+      'goal.gross': 'Paie brute',
+      'goal.net': 'Paie nette',
+      'goal.rate': 'Taux horaire',
+      'goal.multiplier': 'Coefficient des heures supplémentaires',
+      'goal.regularHours': 'Heures normales',
+      'goal.overtimeHours': 'Heures supplémentaires (horaire fixe)',
+      'goal.scope': 'Les réponses supposent une paie à l\'heure et un seul coefficient d\'heures supplémentaires sur les heures de la semaine. La base de paie du calculateur, les règles d\'heures supplémentaires de l\'État ou du pays, les paliers supplémentaires, les primes, les commissions et les majorations d\'équipe ne sont pas pris en compte.',
+      'goal.netHint': 'Utilise les réglages d\'impôts et de retenues de « Estimer la paie nette après impôts et retenues » dans le calculateur.',
+      'goal.payGross': '{amount} brut',
+      'goal.payNet': '{amount} net',
+      'goal.hoursNeeded': 'Heures supplémentaires nécessaires',
+      'goal.rateNeeded': 'Taux horaire nécessaire',
+      'goal.notReachable': 'Inatteignable',
+      'goal.hours': '{hours} h',
+      'goal.hoursUnreachable': 'Même en travaillant les {max} heures de la semaine, {rate} ne suffit pas',
+      'goal.alreadyMet': '{hours} heures normales rapportent déjà {pay}',
+      'goal.hoursAnswer': '{hours} h par semaine à {rate} rapportent {pay}',
+      'goal.needRate': 'Saisissez un taux horaire ici ou dans le calculateur',
+      'goal.rateAnswer': '{regular} h normales + {overtime} h supplémentaires à {multiplier}x rapportent {pay}',
+      'goal.deductionsTooHigh': 'Les retenues dépassent ce que cet horaire peut rapporter',
+      'goal.scheduleRange': 'Saisissez entre 0 et {max} heures dans l\'horaire',
+      'goal.hoursGoal': 'Objectif d\'heures supplémentaires',
+      'goal.fixedSchedule': 'Horaire fixe',
+      'goal.warning': '{label} : {hours} heures par semaine.',
+      'goal.limitEuWtd': 'Plus que la moyenne de 48 heures par semaine, heures supplémentaires comprises, autorisée par la directive européenne sur le temps de travail et la réglementation britannique, sauf dérogation.',
+      'goal.limitWhoIlo': 'Travailler plus de 55 heures par semaine est associé à un risque accru d\'AVC et de maladie cardiaque (OMS/OIT, 2021).',
+      'goal.limitEuRest': 'Au-delà de 78 heures, il reste moins que les 11 heures de repos quotidien et le jour de repos hebdomadaire exigés dans l\'UE.',
+
+      'premiums.errorIncomplete': 'Saisissez une date, une heure de début et une heure de fin',
+      'premiums.title': 'Majorations des jours fériés, du week-end et de nuit',
+      'premiums.intro': 'Saisissez des postes datés pour calculer les majorations des jours fériés, du week-end et de nuit. Les jours fériés proviennent du calendrier fourni pour chaque pays. Les heures d\'un poste de nuit après minuit prennent les majorations du jour suivant. Les montants utilisent la devise sélectionnée dans le calculateur.',
+      'premiums.preset': 'Règles du pays',
+      'premiums.calendar': 'Calendrier des jours fériés',
+      'premiums.noCalendar': 'Aucun jour férié',
+      'premiums.rate': 'Taux horaire',
+      'premiums.holidayPercent': 'Majoration jour férié (%)',
+      'premiums.saturdayPercent': 'Majoration du samedi (%)',
+      'premiums.sundayPercent': 'Majoration du dimanche (%)',
+      'premiums.nightPercent': 'Majoration de nuit (%)',
+      'premiums.nightStart': 'Nuit à partir de',
+      'premiums.nightEnd': 'Nuit jusqu\'à',
+      'premiums.note': '{law}. {note}',
+      'premiums.presetJp': 'Japon',
+      'premiums.presetJpLaw': 'Loi sur les normes du travail, article 37',
+      'premiums.presetJpNote': 'Le travail de nuit de 22:00 à 05:00 est payé au moins 25 % de plus, en plus de toute majoration de jour férié. La majoration de 35 % est due pour le jour de repos hebdomadaire légal ; de nombreux employeurs la versent aussi les jours fériés nationaux.',
+      'premiums.presetAuRetail': 'Australie (General Retail Award)',
+      'premiums.presetAuRetailLaw': 'General Retail Industry Award 2020, cl. 22',
+      'premiums.presetAuRetailNote': 'Majorations pour le temps plein et le temps partiel. Le travail du lundi au vendredi après 18 h est payé 25 % de plus ; saisissez-le comme majoration de nuit s\'il s\'applique. Consultez votre propre convention pour les autres secteurs et les majorations des occasionnels.',
+      'premiums.presetCaFederal': 'Canada (fédéral)',
+      'premiums.presetCaFederalLaw': 'Code canadien du travail, art. 198',
+      'premiums.presetCaFederalNote': 'Le travail un jour férié est payé au moins 1,5x, en plus de l\'indemnité de jour férié habituelle.',
+      'premiums.presetUk': 'Royaume-Uni',
+      'premiums.presetUkLaw': 'Aucune majoration légale',
+      'premiums.presetUkNote': 'Les taux majorés des jours fériés, dimanches ou nuits sont fixés par votre contrat. Saisissez-les ci-dessous.',
+      'premiums.presetUs': 'États-Unis',
+      'premiums.presetUsLaw': 'Aucune obligation fédérale (FLSA)',
+      'premiums.presetUsNote': 'La FLSA n\'exige aucune majoration pour les jours fériés, le week-end ou la nuit. Saisissez ce que verse votre employeur ; en tant que primes d\'équipe, elles comptent dans le taux normal des heures supplémentaires.',
+      'premiums.kindHoliday': 'Jour férié',
+      'premiums.kindSaturday': 'Samedi',
+      'premiums.kindSunday': 'Dimanche',
+      'premiums.kindNight': 'Nuit',
+      'premiums.premiumHours': '{label} +{percent} % : {hours} h',
+      'premiums.premiumPay': '{premium}, {amount}',
+      'premiums.hoursWithNight': '{hours} ({night} de nuit)',
+      'premiums.colStart': 'Début',
+      'premiums.colEnd': 'Fin',
+      'premiums.colBreak': 'Pause (min)',
+      'premiums.colDay': 'Jour',
+      'premiums.colHours': 'Heures',
+      'premiums.colPremiums': 'Majorations',
+      'premiums.colTotal': 'Total',
+      'premiums.rowDate': 'Date du poste',
+      'premiums.rowStart': 'Heure de début',
+      'premiums.rowEnd': 'Heure de fin',
+      'premiums.rowBreak': 'Pause non payée en minutes',
+      'premiums.removeShift': 'Supprimer le poste',
+      'premiums.add': '+ Ajouter un poste',
+      'premiums.clear': 'Effacer les postes',
+      'premiums.apply': 'Ajouter les majorations au calculateur',
+      'premiums.applyHint': 'Ajoute chaque majoration au calculateur comme prime d\'équipe, où elle compte dans le taux normal des heures supplémentaires. Les heures du calculateur ne changent pas.',
+      'premiums.noPremiums': 'Aucune majoration à ajouter',
+      'premiums.added': 'Ajouté !',
+      'premiums.warningRate': 'Saisissez un taux horaire ici ou dans le calculateur pour chiffrer les postes.',
+      'premiums.warningCalendar': 'Le calendrier {calendar} ne contient aucun jour férié pour {years} : aucune majoration de jour férié n\'a été appliquée à ces dates.',
+      'premiums.noPremiumHours': 'Aucune heure majorée',
+      'premiums.totalPay': 'Rémunération totale ({currency})',
+      'premiums.totalMeta': '{hours} h · {base} de base + {premiums} de majorations',
+      'premiums.premiumTotal': 'Majorations ({currency})',
+
+      'import.title': 'Import et export',
+      'import.intro': 'Téléchargez cette semaine ou vos semaines enregistrées pour un tableur, ou importez un CSV d\'heures pour calculer plusieurs semaines à la fois.',
+      'import.thisWeek': 'Cette semaine',
+      'import.savedWeeks': 'Semaines enregistrées',
+      'import.downloadCsv': 'Télécharger le CSV',
+      'import.downloadJson': 'Télécharger le JSON',
+      'import.file': 'Importer un CSV',
+      'import.fileHint': 'Colonnes : date, heures normales, heures sup., taux. Les lignes utilisent le multiplicateur et la devise choisis dans le calculateur.',
+      'import.errorsTitle': 'Certaines lignes n\'ont pas pu être importées :',
+      'import.colLine': 'Ligne',
+      'import.colDate': 'Date',
+      'import.colRegular': 'Heures norm.',
+      'import.colOvertime': 'Heures sup.',
+      'import.colRate': 'Taux',
+      'import.downloadResults': 'Télécharger les résultats (CSV)',
+      'import.save': 'Ajouter aux semaines enregistrées',
+      'import.noSavedWeeks': 'Aucune semaine enregistrée',
+      'import.addedOne': '1 semaine ajoutée',
+      'import.addedOther': '{count} semaines ajoutées',
+      'import.totalOne': 'Total (1 ligne)',
+      'import.totalOther': 'Total ({count} lignes)',
+      'import.errorLine': 'Ligne {line} : {message}',
+      'import.errorRead': 'Le fichier n\'a pas pu être lu',
+      'import.errorColumns': '{expected} colonnes attendues (date, heures normales, heures sup., taux), {found} trouvées',
+      'import.errorDate': 'date non valide « {value} »',
+      'import.errorRegularHours': 'heures normales non valides « {value} »',
+      'import.errorRegularWeek': 'les heures normales « {value} » dépassent les {max} heures d\'une semaine',
+      'import.errorOvertimeHours': 'heures sup. non valides « {value} »',
+      'import.errorOvertimeWeek': 'les heures sup. « {value} » dépassent les {max} heures d\'une semaine',
+      'import.errorWeekHours': 'les heures normales et sup. dépassent ensemble les {max} heures d\'une semaine',
+      'import.errorRate': 'taux non valide « {value} »',
+
+      'backPay.errorColumns': '{expected} colonnes attendues (semaine du, heures normales, heures sup., taux, payé), {found} trouvées',
+      'backPay.errorPaid': 'montant payé non valide « {value} »',
+      'backPay.title': 'Réclamation d\'arriérés de salaire',
+      'backPay.intro': 'Estimez les salaires qui vous sont dus sur les semaines passées. Saisissez les heures et le taux de chaque semaine avec la rémunération brute effectivement reçue, ou importez-les depuis un CSV. Les semaines utilisent le multiplicateur et la devise sélectionnés dans le calculateur.',
+      'backPay.lookback': 'Période de rappel',
+      'backPay.lookbackFlsa': '2 ans (norme FLSA)',
+      'backPay.lookbackWillful': '3 ans (violation délibérée de la FLSA)',
+      'backPay.lookbackCustom': 'Personnalisé (p. ex. une limite d\'État)',
+      'backPay.lookbackNone': 'Sans limite',
+      'backPay.years': 'Années',
+      'backPay.asOf': 'Date de la réclamation',
+      'backPay.liquidated': 'Ajouter des dommages-intérêts forfaitaires (double les salaires impayés)',
+      'backPay.colPaid': 'Payé',
+      'backPay.colOwed': 'Dû',
+      'backPay.colShortfall': 'Manque',
+      'backPay.add': '+ Ajouter une semaine',
+      'backPay.addCurrent': 'Ajouter le calcul actuel',
+      'backPay.clear': 'Effacer les semaines',
+      'backPay.fileHint': 'Colonnes : semaine du, heures normales, heures supplémentaires, taux, payé. « Payé » est la rémunération brute reçue pour cette semaine.',
+      'backPay.download': 'Télécharger le CSV de la réclamation',
+      'backPay.note': 'Chaque semaine est comparée séparément : un trop-payé une semaine ne compense pas un manque sur une autre. Les semaines antérieures à la période de rappel restent dans le tableau mais ne sont pas comptées. Il s\'agit d\'une estimation, pas d\'un conseil juridique.',
+      'backPay.rowWeek': 'Semaine du',
+      'backPay.rowRegular': 'Heures normales',
+      'backPay.rowOvertime': 'Heures supplémentaires',
+      'backPay.rowRate': 'Taux horaire',
+      'backPay.rowPaid': 'Rémunération brute reçue',
+      'backPay.removeWeek': 'Supprimer la semaine',
+      'backPay.noWeeks': 'Aucune semaine saisie',
+      'backPay.excludedTitle': 'Avant la période de rappel ({date})',
+      'backPay.unpaidWages': 'Salaires impayés',
+      'backPay.totalClaim': 'Réclamation totale',
+      'backPay.cardLabel': '{label} ({currency})',
+      'backPay.weeksShortOne': '{short} semaine sur 1 en manque',
+      'backPay.weeksShortOther': '{short} semaines sur {count} en manque',
+      'backPay.since': 'depuis le {date}',
+      'backPay.excludedOne': '1 semaine hors de la période',
+      'backPay.excludedOther': '{count} semaines hors de la période',
+      'backPay.includesDamages': 'Dont {amount} de dommages-intérêts forfaitaires',
+      'backPay.wagesOnly': 'Salaires impayés uniquement',
+
+      'report.title': 'Rapport de paie',
+      'report.intro': 'Une trace imprimable de ce calcul à présenter au service de paie ou à joindre à une réclamation salariale. Imprimez-la, ou choisissez « Enregistrer au format PDF » dans la boîte d\'impression. Rien n\'est envoyé à un serveur.',
+      'report.employeeName': 'Nom du salarié',
+      'report.optional': 'Facultatif',
+      'report.periodStart': 'Début de la période de paie',
+      'report.periodEnd': 'Fin de la période de paie',
+      'report.print': 'Imprimer ou enregistrer en PDF',
+      'report.close': 'Fermer',
+      'report.preview': 'Aperçu du rapport',
+      'report.errorStart': 'Saisissez le premier jour de la période de paie',
+      'report.errorEnd': 'Saisissez le dernier jour de la période de paie',
+      'report.errorOrder': 'La période de paie se termine avant de commencer',
+      'report.documentTitle': 'Rapport de paie des heures supplémentaires',
+      'report.employee': 'Salarié',
+      'report.notGiven': 'Non indiqué',
+      'report.payPeriod': 'Période de paie',
+      'report.periodRange': '{start} – {end}',
+      'report.calculatedOn': 'Calculé le',
+      'report.currency': 'Devise',
+      'report.payBasis': 'Base de rémunération',
+      'report.fixedSalary': 'Salaire fixe',
+      'report.fluctuating': 'Semaine de travail variable',
+      'report.weeklySalary': 'Salaire hebdomadaire',
+      'report.hourlyRate': 'Taux horaire',
+      'report.regularRate': 'Taux normal (avec primes et majorations)',
+      'report.multiplier': 'Multiplicateur des heures sup.',
+      'report.averageOvertimeRate': 'Taux moyen des heures sup.',
+      'report.overtimeRate': 'Taux des heures sup.',
+      'report.hoursWorked': 'Heures travaillées',
+      'report.regularHours': 'Heures normales',
+      'report.overtimeHours': 'Heures supplémentaires',
+      'report.day': 'Jour',
+      'report.date': 'Date',
+      'report.hours': 'Heures',
+      'report.total': 'Total',
+      'report.weeklyTotals': 'Totaux hebdomadaires saisis directement. Ouvrez la feuille de temps hebdomadaire du calculateur pour détailler les heures par jour.',
+      'report.rate': 'Taux',
+      'report.breakdown': 'Détail des heures supplémentaires',
+      'report.overtime': 'Heures sup.',
+      'report.pay': 'Paie',
+      'report.regularPay': 'Paie normale',
+      'report.extraPay': 'Primes, commissions et majorations',
+      'report.adjustment': 'Ajustement du taux normal',
+      'report.overtimePay': 'Paie des heures sup.',
+      'report.totalPay': 'Paie totale',
+      'report.rules': 'Règles des heures supplémentaires',
+      'report.rulesTiers': 'Aucune juridiction choisie : les heures sup. suivent les tranches saisies.',
+      'report.rulesFlat': 'Aucune juridiction choisie : les heures sup. utilisent un multiplicateur fixe de {multiplier}x.',
+      'report.disclaimer': 'Estimation calculée dans le navigateur à partir des chiffres saisis ci-dessus. Ce n\'est ni un avis juridique ni un document de paie officiel.',
+
+      'scenario.title': 'Comparer des scénarios',
+      'scenario.intro': 'Copiez le calcul actuel dans quatre colonnes au maximum, modifiez-les et voyez en quoi chacune diffère de la colonne de référence. Les montants utilisent la devise sélectionnée dans le calculateur.',
+      'scenario.add': '+ Ajouter le calcul actuel',
+      'scenario.clear': 'Effacer les scénarios',
+      'scenario.empty': 'Aucun scénario pour l\'instant. Calculez une semaine, puis ajoutez-la ici pour comparer, p. ex. une offre à 1,5x et une offre à 2x.',
+      'scenario.defaultName': 'Scénario {number}',
+      'scenario.field': 'Champ',
+      'scenario.nameLabel': 'Nom du scénario {number}',
+      'scenario.remove': 'Supprimer le scénario {number}',
+      'scenario.fieldLabel': '{field}, scénario {number}',
+      'scenario.baseline': 'Référence',
+      'scenario.hourlyRate': 'Taux horaire',
+      'scenario.multiplier': 'Multiplicateur',
+      'scenario.overtimeRate': 'Taux des heures supplémentaires (facultatif)',
+      'scenario.regularHours': 'Heures normales',
+      'scenario.overtimeHours': 'Heures supplémentaires',
+      'scenario.otherPay': 'Primes et autres rémunérations',
+      'scenario.overtimePay': 'Rémunération des heures supplémentaires',
+      'scenario.regularPay': 'Rémunération normale',
+      'scenario.totalPay': 'Rémunération totale',
+      'scenario.effectiveRate': 'Taux horaire effectif',
+      'scenario.deltaOvertimePay': 'Δ Rémunération des heures supplémentaires',
+      'scenario.deltaTotalPay': 'Δ Rémunération totale',
+      'scenario.deltaEffectiveRate': 'Δ Taux horaire effectif',
+      'scenario.errorNegative': 'Les taux et les heures ne peuvent pas être négatifs',
+
+      'projection.title': 'Projection des revenus',
+      'projection.intro': 'Projetez cette semaine, ou la moyenne de vos semaines enregistrées, sur une année civile pour établir un budget. Un mois compte 52/12 semaines. Les montants utilisent la devise sélectionnée dans le calculateur.',
+      'projection.basis': 'Basé sur',
+      'projection.basisCurrent': 'Le calcul de cette semaine',
+      'projection.basisHistory': 'Moyenne des semaines enregistrées',
+      'projection.season': 'Saisonnalité',
+      'projection.seasonNone': 'Aucune (tous les mois identiques)',
+      'projection.seasonHoliday': 'Fêtes de fin d\'année (nov.–déc.)',
+      'projection.seasonSummer': 'Été (juin–août)',
+      'projection.seasonTax': 'Saison fiscale (févr.–avr.)',
+      'projection.seasonQuarterEnd': 'Fins de trimestre (mars, juin, sept., déc.)',
+      'projection.seasonCustom': 'Mois personnalisés',
+      'projection.factor': 'Heures supplémentaires en période de pointe',
+      'projection.factorHint': 'Multiple des heures supplémentaires d\'une semaine type, p. ex. 2 pour le double',
+      'projection.errorFactor': 'Saisissez 0 ou plus',
+      'projection.peakMonths': 'Mois de pointe',
+      'projection.empty': 'Saisissez un taux dans le calculateur pour voir une projection.',
+      'projection.noSavedWeeks': 'Aucune semaine enregistrée en {currency} pour l\'instant. Utilisez « {save} » dans les résultats pour constituer votre historique.',
+      'projection.averageOne': 'Moyenne d\'1 semaine enregistrée en {currency} : {amount} par semaine',
+      'projection.averageOther': 'Moyenne de {count} semaines enregistrées en {currency} : {amount} par semaine',
+      'projection.annualTotal': 'Rémunération totale annuelle ({currency})',
+      'projection.annualTotalMeta': '{regular} normal + {overtime} d\'heures supplémentaires',
+      'projection.annualOvertime': 'Heures supplémentaires annuelles ({currency})',
+      'projection.annualOvertimeMeta': '{hours} h supp. · {share} % de la rémunération totale',
+      'projection.monthlyAverage': 'Moyenne mensuelle ({currency})',
+      'projection.monthlyAverageMeta': '{overtime} d\'heures supplémentaires · {hours} h supp.',
+      'projection.monthlyCaption': 'Rémunération mensuelle : normale et heures supplémentaires',
+      'projection.cumulativeCaption': 'Revenus cumulés sur l\'année',
+      'projection.showTable': 'Afficher le tableau de données',
+      'projection.hideTable': 'Masquer le tableau de données',
+      'projection.colMonth': 'Mois',
+      'projection.colRegular': 'Rémunération normale',
+      'projection.colOvertime': 'Heures supplémentaires',
+      'projection.colOvertimeHours': 'Heures supp.',
+      'projection.colTotal': 'Rémunération totale',
+      'projection.colEndOf': 'Fin de',
+      'projection.colRegularToDate': 'Rémunération normale cumulée',
+      'projection.colOvertimeToDate': 'Heures supplémentaires cumulées',
+      'projection.colTotalToDate': 'Total cumulé',
+      'projection.peak': '(pointe)',
+      'projection.year': 'Année',
+      'projection.legendRegular': 'Rémunération normale',
+      'projection.legendOvertime': 'Heures supplémentaires',
+      'projection.barTitle': '{month} : {regular} normal, {overtime} d\'heures supplémentaires',
+      'projection.pointTitle': 'Fin {month} : {amount}',
+      'projection.monthlyFlat': 'Graphique à barres : {total} chaque mois, dont {overtime} d\'heures supplémentaires.',
+      'projection.monthlyRange': 'Graphique à barres : la rémunération mensuelle va de {low} en {lowMonth} à {high} en {highMonth}, avec {overtime} d\'heures supplémentaires.',
+      'projection.cumulativeDescription': 'Graphique linéaire : à la fin {month}, {regular} de rémunération normale et {overtime} d\'heures supplémentaires.',
+
+      'holidays.calendarUs': 'États-Unis (fédéral)',
+      'holidays.calendarCa': 'Canada (fédéral)',
+      'holidays.calendarGb': 'Royaume-Uni (Angleterre et pays de Galles)',
+      'holidays.calendarAu': 'Australie (national)',
+      'holidays.calendarJp': 'Japon',
+
+      'crew.title': 'Effectif de l\'équipe',
+      'crew.intro': 'Calculez une semaine pour toute une équipe à la fois, une ligne par salarié. Chaque ligne est calculée comme dans le calculateur ci-dessus : un multiplicateur vide reprend celui du calculateur, des heures normales vides comptent pour 40 et des heures supplémentaires vides pour 0. Les montants utilisent la devise sélectionnée dans le calculateur.',
+      'crew.colEmployee': 'Salarié',
+      'crew.colMultiplier': 'Multiplicateur',
+      'crew.colOvertimePay': 'Heures supp.',
+      'crew.colEmployerCost': 'Coût employeur',
+      'crew.add': '+ Ajouter un salarié',
+      'crew.clear': 'Effacer l\'effectif',
+      'crew.employerView': 'Afficher le coût employeur avec les charges sociales',
+      'crew.burdenTitle': 'Charges sociales (% de la rémunération brute)',
+      'crew.addCost': '+ Ajouter un coût',
+      'crew.burdenHint': 'Les valeurs par défaut sont la part employeur américaine de la Social Security et de Medicare. Ajoutez vos taux d\'assurance chômage, d\'assurance accidents du travail et d\'avantages sociaux. Les plafonds de salaire ne sont pas appliqués.',
+      'crew.rowName': 'Nom du salarié',
+      'crew.rowRate': 'Taux horaire',
+      'crew.rowMultiplier': 'Multiplicateur des heures supplémentaires',
+      'crew.rowRegular': 'Heures normales',
+      'crew.rowOvertime': 'Heures supplémentaires',
+      'crew.removeEmployee': 'Supprimer le salarié',
+      'crew.cost': 'Coût',
+      'crew.costName': 'Nom du coût',
+      'crew.costPercent': 'Pourcentage de la rémunération brute',
+      'crew.removeCost': 'Supprimer le coût',
+      'crew.burdenSocialSecurity': 'Social Security (part employeur)',
+      'crew.burdenMedicare': 'Medicare (part employeur)',
+      'crew.burdenUnemployment': 'Assurance chômage (FUTA/SUTA)',
+      'crew.burdenWorkersComp': 'Assurance accidents du travail',
+      'crew.noEmployees': 'Aucun salarié à exporter',
+      'crew.errorRate': 'Saisissez un taux',
+      'crew.errorMultiplier': 'Le multiplicateur doit être d\'au moins 1',
+      'crew.errorRateNumber': 'Le taux doit être un nombre',
+      'crew.errorRatePositive': 'Le taux doit être supérieur à zéro',
+      'crew.errorHoursNumber': 'Les heures doivent être un nombre',
+      'crew.errorHoursNegative': 'Les heures ne peuvent pas être négatives',
+      'crew.errorWeekHours': 'Plus que les {max} heures d\'une semaine',
+      'crew.footTotal': 'Total de l\'équipe ({count})',
+      'crew.overtimeCost': 'Coût des heures supplémentaires de l\'équipe ({currency})',
+      'crew.overtimeHours': '{hours} h supp.',
+      'crew.withOvertimeOne': '{count} salarié sur 1 avec des heures supplémentaires',
+      'crew.withOvertimeOther': '{count} salariés sur {employees} avec des heures supplémentaires',
+      'crew.skippedOne': '1 ligne avec des erreurs non comptée',
+      'crew.skippedOther': '{count} lignes avec des erreurs non comptées',
+      'crew.grossPay': 'Rémunération brute de l\'équipe ({currency})',
+      'crew.grossPayMeta': '{regular} normal + {overtime} d\'heures supplémentaires',
+      'crew.employerCost': 'Coût employeur ({currency})',
+      'crew.burden': '+{amount} de charges sociales ({percent} %)',
+      'crew.burdenItems': '+{amount} de charges sociales ({percent} %) : {items}',
+      'crew.overtimeWithBurden': 'les heures supplémentaires coûtent {amount} avec les charges',
+
+      'exemption.title': 'Suis-je exempté ? Vérifiez votre situation',
+      'exemption.intro': 'Répondez à quelques questions sur votre rémunération et vos fonctions pour parcourir les critères d\'exemption de la FLSA. Vos réponses restent dans votre navigateur.',
+      'exemption.stepPay': '1. Votre mode de rémunération',
+      'exemption.payType': 'Type de rémunération',
+      'exemption.salary': 'Salaire fixe',
+      'exemption.hourly': 'À l\'heure',
+      'exemption.weeklySalary': 'Salaire hebdomadaire',
+      'exemption.hourlyRate': 'Taux horaire',
+      'exemption.salaryGuaranteed': 'Mon salaire est un montant fixe qui n\'est pas réduit lorsque je travaille moins d\'heures ou qu\'il y a moins de travail',
+      'exemption.annualPay': 'Rémunération annuelle totale (facultatif)',
+      'exemption.annualPayPlaceholder': 'Salaire hebdomadaire × 52',
+      'exemption.annualPayHint': 'Incluez les primes et les commissions. Utilisé pour le critère des salariés hautement rémunérés.',
+      'exemption.weeklyHours': 'Heures travaillées au cours d\'une semaine type',
+      'exemption.stepDuties': '2. En quoi consiste votre travail',
+      'exemption.dutiesHint': 'Cochez tout ce qui décrit vos fonctions principales. L\'intitulé de votre poste n\'a pas d\'importance.',
+      'exemption.submit': 'Vérifier ma situation',
+      'exemption.prefill': 'Calculer mes heures supplémentaires',
+      'exemption.dutyGroup': '{name} ({law})',
+      'exemption.testExecutive': 'Cadre dirigeant',
+      'exemption.testAdministrative': 'Administratif',
+      'exemption.testProfessional': 'Professionnel',
+      'exemption.testComputer': 'Salarié informatique',
+      'exemption.testOutsideSales': 'Vente extérieure',
+      'exemption.testHighlyCompensated': 'Hautement rémunéré',
+      'exemption.reasonTest': '{test} :',
+      'exemption.reasonSalaryLevel': 'Niveau de salaire',
+      'exemption.reasonSalaryBasis': 'Base salariale',
+      'exemption.reasonExecutive': 'Exemption des cadres dirigeants',
+      'exemption.reasonAdministrative': 'Exemption administrative',
+      'exemption.reasonProfessional': 'Exemption des professions qualifiées',
+      'exemption.reasonComputer': 'Exemption des salariés informatiques',
+      'exemption.reasonOutsideSales': 'Exemption de la vente extérieure',
+      'exemption.reasonHighlyCompensated': 'Salarié hautement rémunéré',
+      'exemption.questionManagesEnterprise': 'Ma fonction principale est de diriger l\'entreprise ou l\'un de ses services ou subdivisions reconnus',
+      'exemption.questionDirectsTwo': 'Je dirige régulièrement le travail d\'au moins deux salariés à temps plein (ou l\'équivalent)',
+      'exemption.questionHiringAuthority': 'Je peux embaucher ou licencier, ou mes recommandations sur l\'embauche, le licenciement et la promotion ont un poids particulier',
+      'exemption.questionOfficeWork': 'Ma fonction principale est un travail de bureau ou non manuel directement lié à la direction ou au fonctionnement général de l\'entreprise',
+      'exemption.questionIndependentJudgment': 'Ce travail implique d\'exercer un pouvoir d\'appréciation et un jugement indépendant sur des questions importantes',
+      'exemption.questionLearned': 'Mon travail exige des connaissances avancées dans un domaine scientifique ou savant, généralement acquises par un diplôme spécialisé',
+      'exemption.questionCreative': 'Mon travail exige de l\'invention, de l\'imagination, de l\'originalité ou du talent dans un domaine artistique ou créatif reconnu',
+      'exemption.questionTeacherLawMedicine': 'Je suis enseignant, ou je suis titulaire d\'une licence et j\'exerce le droit ou la médecine',
+      'exemption.questionComputerDuties': 'Je suis analyste système, programmeur ou ingénieur logiciel et ma fonction principale est de concevoir, développer, tester ou modifier des systèmes ou programmes informatiques',
+      'exemption.questionMakesSales': 'Ma fonction principale est de vendre ou d\'obtenir des commandes ou des contrats',
+      'exemption.questionAwayFromOffice': 'Je travaille habituellement et régulièrement hors des locaux de mon employeur',
+      'exemption.salaryLevelMet': 'Un salaire hebdomadaire de {salary} atteint ou dépasse le minimum de {minimum}.',
+      'exemption.salaryLevelBelow': 'Un salaire hebdomadaire de {salary} est inférieur au minimum de {minimum}.',
+      'exemption.salaryLevelHourly': 'Une rémunération horaire ne remplit pas l\'exigence d\'un salaire hebdomadaire de {minimum}.',
+      'exemption.salaryBasisMet': 'Votre salaire est un montant prédéterminé qui n\'est pas réduit en fonction de la qualité ou de la quantité de votre travail.',
+      'exemption.salaryBasisNotMet': 'Votre rémunération n\'est pas un salaire garanti : le critère de base salariale n\'est donc pas rempli.',
+      'exemption.dutiesNotMet': 'Les fonctions ne correspondent pas ({law}).',
+      'exemption.dutiesMet': 'Les fonctions correspondent et les exigences de rémunération sont remplies ({law}).',
+      'exemption.dutiesSalaryNotMet': 'Les fonctions correspondent, mais les critères de salaire ne sont pas remplis ({law}).',
+      'exemption.dutiesPayBelow': 'Les fonctions correspondent, mais la rémunération est inférieure à la fois aux critères de salaire et à {rate}/h ({law}).',
+      'exemption.hceMet': 'Une rémunération annuelle de {annual} atteint le seuil de {threshold} et vous exercez au moins une fonction exemptée ({law}).',
+      'exemption.hceNoDuty': 'La rémunération annuelle atteint le seuil de {threshold}, mais aucune des fonctions exemptées ne s\'applique ({law}).',
+      'exemption.hceNotMet': 'Une rémunération annuelle sur une base salariale d\'au moins {threshold} est requise ; la vôtre est de {annual} ({law}).',
+      'exemption.verdictExemptOne': 'Probablement exempté (exemption : {names})',
+      'exemption.verdictExemptOther': 'Probablement exempté (exemptions : {names})',
+      'exemption.verdictNonExempt': 'Probablement non exempté : des heures supplémentaires vous sont probablement dues',
+      'exemption.met': 'Rempli :',
+      'exemption.notMet': 'Non rempli :',
+      'exemption.thresholds': 'Seuils en vigueur depuis le {date} ({source}).',
+      'exemption.vacatedLevel': '{amount}/semaine à partir du {date}',
+      'exemption.vacated': 'Les hausses à {levels} ont été annulées par un tribunal fédéral et ne s\'appliquent pas.',
+      'exemption.disclaimer': 'La loi de l\'État peut fixer des seuils plus élevés. Il s\'agit d\'informations générales, pas d\'un conseil juridique.',
+
+      'update.available': 'Une nouvelle version du calculateur est disponible.',
+      'update.reload': 'Recharger',
+      'update.later': 'Plus tard',
+
+      'link.invalid': 'Valeur non valide ignorée dans le lien ({label})',
+      'link.hourlyRate': 'taux horaire',
+      'link.customMultiplier': 'multiplicateur personnalisé',
+      'link.overtimeRate': 'taux des heures supplémentaires',
+      'link.weeklySalary': 'salaire hebdomadaire',
+      'link.salaryHours': 'heures prévues',
+      'link.timeframePay': 'rémunération de la période',
+      'link.bonusPay': 'prime',
+      'link.commissionPay': 'commissions',
+      'link.weeklyHours': 'heures hebdomadaires',
+      'link.customPeriods': 'périodes de paie par an',
+      'link.workDays': 'jours travaillés par semaine',
+      'link.paidHolidays': 'jours fériés payés',
+      'link.ptoDays': 'jours de congés payés',
+      'link.overtimeHours': 'heures supplémentaires',
+      'link.regularHours': 'heures normales',
+      'link.weeklyThreshold': 'seuil hebdomadaire',
+      'link.currency': 'devise',
+      'link.payBasis': 'mode de rémunération',
+      'link.multiplier': 'multiplicateur',
+      'link.timeframe': 'période de paie',
+      'link.jurisdiction': 'règles des heures supplémentaires',
+      'link.tiers': 'paliers d\'heures supplémentaires',
+      'link.differentials': 'majorations de poste',
+      'link.timesheet': 'feuille de temps',
+
+      'embed.close': 'Fermer',
+      'embed.title': 'Intégrer ce calculateur',
+      'embed.intro': 'Choisissez l\'apparence du calculateur sur votre site, puis copiez le code ci-dessous dans le HTML de votre site. Le lien d\'attribution est obligatoire.',
+      'embed.currency': 'Devise par défaut',
+      'embed.multiplier': 'Multiplicateur par défaut',
+      'embed.language': 'Langue par défaut',
+      'embed.colorPrimary': 'Couleur d\'accent',
+      'embed.colorBackground': 'Arrière-plan',
+      'embed.colorText': 'Couleur du texte',
+      'embed.lock': 'Verrouillez des champs pour que les visiteurs ne puissent pas les modifier',
+      'embed.lockCurrency': 'Devise',
+      'embed.lockMultiplier': 'Multiplicateur',
+      'embed.lockJurisdiction': 'Règles des heures supplémentaires',
+      'embed.lockHourlyRate': 'Taux horaire',
+      'embed.lockOvertimeRate': 'Taux des heures supplémentaires',
+      'embed.lockRegularHours': 'Heures normales',
+      'embed.compact': 'Mise en page compacte (masque l\'en-tête, l\'aide au taux horaire et les notes)',
+      'embed.hint': 'Le code redimensionne le cadre selon son contenu. Votre page peut aussi écouter les messages {message} pour lire chaque résultat.',
+      'embed.copy': 'Copier le code'
+    },
+
+    de: {
+      'language.label': 'Sprache',
+      'calculator.title': 'Überstundenlohn-Rechner',
+      'calculator.subtitle': 'Berechnen Sie Ihren Überstundenverdienst schnell und genau.',
+      'calculator.embed': 'Dieses Tool einbetten',
+      'calculator.calculate': 'Überstundenlohn berechnen',
+      'calculator.callout': 'Geben Sie Ihren Stundenlohn und Ihre Überstunden ein, um Überstundenlohn, regulären Lohn und Gesamtverdienst der Woche zu sehen.',
+      'calculator.fullSite': 'Vollständigen Rechner auf CalculateOvertimePay.com öffnen',
+
+      'field.currency': 'Währung',
+      'field.payBasis': 'Vergütungsart',
+      'payBasis.hourly': 'Stundenlohn',
+      'payBasis.salary': 'Festgehalt (nicht befreit)',
+      'payBasis.fluctuating': 'Schwankende Arbeitswoche (Überstunden zum halben Satz)',
+      'payBasis.hint': 'Festgehalt, aber trotzdem Anspruch auf Überstunden? Wählen Sie, wie Ihr Gehalt festgelegt ist.',
+      'payBasis.hintSalary': 'Ihr Gehalt deckt einen festen Dienstplan ab. Der Stundenlohn ist das Gehalt geteilt durch diese geplanten Stunden.',
+      'payBasis.hintFluctuating': 'Ihr Gehalt deckt alle gearbeiteten Stunden ab, egal wie viele. Jede Stunde über der Schwelle bringt den halben regulären Satz dazu.',
+      'payBasis.explainSalary': 'Festgehalt: {salary} ÷ {hours} geplante Std. = {rate}/Std. Der Satz bleibt jede Woche gleich, Überstunden werden mit dem {multiplier}-Fachen bezahlt.',
+      'payBasis.explainFluctuating': 'Schwankende Arbeitswoche: Ihr Gehalt von {salary} deckt bereits alle {hours} Std. ab, daher beträgt der reguläre Satz diese Woche {rate}/Std. und jede Überstunde bringt nur den Zuschlag. Je mehr Sie arbeiten, desto niedriger der Satz; eine kürzere Woche erhöht ihn.',
+      'field.weeklySalary': 'Wochengehalt',
+      'field.salaryHours': 'Vom Gehalt abgedeckte Planstunden',
+      'field.hourlyRate': 'Stundenlohn',
+
+      'helper.toggle': 'Stundenlohn unbekannt? Hier berechnen',
+      'helper.timeframe': 'Abrechnungszeitraum',
+      'timeframe.day': 'Tag',
+      'timeframe.week': 'Woche',
+      'timeframe.2weeks': '2 Wochen',
+      'timeframe.semimonthly': 'Halbmonatlich (24 pro Jahr)',
+      'timeframe.month': 'Monat',
+      'timeframe.quarter': 'Quartal',
+      'timeframe.annual': 'Jahr',
+      'timeframe.custom': 'Benutzerdefiniert',
+      'helper.customPeriods': 'Abrechnungszeiträume pro Jahr',
+      'helper.pay': 'Gesamtlohn für den gewählten Zeitraum',
+      'helper.weeklyHours': 'Reguläre Wochenstunden (optional, Standard 40)',
+      'helper.workDays': 'Arbeitstage pro Woche (optional, Standard 5)',
+      'helper.paidHolidays': 'Bezahlte Feiertage pro Jahr (optional)',
+      'helper.ptoDays': 'Bezahlte Urlaubstage pro Jahr (optional)',
+      'helper.ptoHint': 'Bezahlte freie Tage sind keine Arbeitsstunden und erhöhen daher Ihren Lohn pro gearbeiteter Stunde.',
+      'helper.calculate': 'Stundenlohn berechnen',
+      'helper.result': 'Ihr Stundenlohn:',
+      'helper.useRate': 'Diesen Satz verwenden',
+
+      'field.jurisdiction': 'Überstundenregeln',
+      'jurisdiction.custom': 'Benutzerdefiniert (fester Multiplikator)',
+      'jurisdiction.hint': 'Wählen Sie einen Bundesstaat, eine Provinz oder ein Land, um dessen tägliche und wöchentliche Überstundengrenzen anzuwenden.',
+      'jurisdiction.hintWeekly': 'Wählen Sie einen Bundesstaat, eine Provinz oder ein Land, um dessen wöchentliche Überstundengrenze anzuwenden.',
+      'jurisdiction.groupUs': 'Vereinigte Staaten',
+      'jurisdiction.groupCanada': 'Kanada',
+      'jurisdiction.groupOther': 'Andere Länder',
+      'jurisdiction.usFlsa': 'USA Bund (FLSA)',
+      'jurisdiction.usCa': 'Kalifornien',
+      'jurisdiction.usAk': 'Alaska',
+      'jurisdiction.usNv': 'Nevada',
+      'jurisdiction.usCo': 'Colorado',
+      'jurisdiction.caFederal': 'Kanada (Bund)',
+      'jurisdiction.caAb': 'Alberta',
+      'jurisdiction.caBc': 'British Columbia',
+      'jurisdiction.caMb': 'Manitoba',
+      'jurisdiction.caNb': 'New Brunswick',
+      'jurisdiction.caNs': 'Nova Scotia',
+      'jurisdiction.caOn': 'Ontario',
+      'jurisdiction.caPe': 'Prince Edward Island',
+      'jurisdiction.caQc': 'Québec',
+      'jurisdiction.caSk': 'Saskatchewan',
+      'jurisdiction.jp': 'Japan',
+      'jurisdiction.noteAk': 'Gilt für Arbeitgeber mit 4 oder mehr Beschäftigten.',
+      'jurisdiction.noteNv': 'Tägliche Überstunden gelten nur, wenn Sie weniger als das 1,5-Fache des Mindestlohns in Nevada verdienen.',
+      'jurisdiction.noteMinimumWage': 'Der gesetzliche Zuschlag beträgt das 1,5-Fache des Mindestlohns, nicht Ihres eigenen Satzes.',
+      'jurisdiction.noteJp': 'Monatliche Überstunden über 60 Stunden und Nachtarbeit werden höher vergütet.',
+      'jurisdiction.bandDaily': 'Tägliche Überstunden, über {over} Std./Tag',
+      'jurisdiction.bandWeekly': 'Wöchentliche Überstunden, über {over} Std./Woche',
+      'jurisdiction.bandSeventh': '7. Tag in Folge',
+      'jurisdiction.bandSeventhOver': '7. Tag in Folge, über {over} Std.',
+      'jurisdiction.bandSeventhFirst': '7. Tag in Folge, erste {over} Std.',
+      'field.multiplier': 'Überstunden-Multiplikator',
+      'multiplier.timeAndAHalf': '1.5x (50 % Zuschlag)',
+      'multiplier.doubleTime': '2x (doppelter Satz)',
+      'multiplier.other': 'Andere (benutzerdefiniert)',
+      'field.customMultiplier': 'Eigener Multiplikator',
+      'field.overtimeRate': 'Überstundensatz pro Stunde (optional)',
+      'overtimeRate.placeholder': 'Leer lassen für automatische Berechnung',
+      'overtimeRate.hint': 'Wenn Sie Ihren genauen Überstundensatz kennen, geben Sie ihn hier statt des Multiplikators ein.',
+      'field.overtimeHours': 'Geleistete Überstunden',
+      'field.regularHours': 'Reguläre Arbeitsstunden (optional, Standard 40)',
+      'regularHours.hint': 'Geben Sie Ihre regulären Stunden (ohne Überstunden) ein, um Ihren Gesamtlohn zu sehen.',
+
+      'tier.add': '+ Überstundenstufe hinzufügen',
+      'tier.title': 'Stufe {number}',
+      'tier.hours': 'Stunden',
+      'tier.multiplier': 'Multiplikator',
+      'tier.custom': 'Eigener',
+      'tier.other': 'Andere',
+      'tier.rate': 'Satz (optional)',
+      'tier.auto': 'Auto',
+      'row.remove': '{title} entfernen',
+
+      'extraPay.toggle': 'Diese Woche einen Bonus, eine Provision oder eine Schichtzulage erhalten?',
+      'extraPay.hint': 'Nach dem FLSA zählen nicht freiwillige Boni, Provisionen und Schichtzulagen zu Ihrem regulären Satz und erhöhen so Ihren Überstundensatz.',
+      'extraPay.bonus': 'Nicht freiwilliger Bonus dieser Woche',
+      'extraPay.commission': 'Provisionen dieser Woche',
+      'extraPay.addDifferential': '+ Schichtzulage hinzufügen',
+      'extraPay.differential': 'Zulage {number}',
+      'extraPay.differentialRate': 'Zuschlag pro Stunde',
+      'extraPay.explain': 'Ein Grundlohn von {pay} ÷ {hours} Std. ergibt einen regulären Satz von {regularRate}/Std. statt {hourlyRate}/Std. und erhöht Ihren Überstundenzuschlag um {adjustment}.',
+      'extraPay.explainNoOvertime': 'Ohne Überstunden in dieser Woche kommt die Zusatzvergütung zum Gesamtlohn hinzu, ändert aber keinen Zuschlag.',
+
+      'timesheet.toggle': 'Jeden Tag andere Arbeitszeiten? Nutzen Sie den Wochenstundenzettel',
+      'timesheet.hint': 'Geben Sie für jeden Arbeitstag Beginn und Ende ein. Eine Schicht, die nach Mitternacht endet, zählt zum Tag, an dem sie begann.',
+      'timesheet.day': 'Tag',
+      'timesheet.start': 'Beginn',
+      'timesheet.end': 'Ende',
+      'timesheet.break': 'Unbezahlte Pause (Min.)',
+      'timesheet.hours': 'Stunden',
+      'timesheet.total': 'Summe',
+      'timesheet.startLabel': 'Beginn am {day}',
+      'timesheet.endLabel': 'Ende am {day}',
+      'timesheet.breakLabel': 'Unbezahlte Pause am {day} in Minuten',
+      'timesheet.threshold': 'Überstunden ab (Stunden pro Woche)',
+      'timesheet.clear': 'Stundenzettel leeren',
+      'timesheet.summary': '{total} Std. gearbeitet: {regular} regulär + {overtime} Überstunden ({rules}).',
+      'timesheet.rulesJurisdiction': 'Regeln für {name}',
+      'timesheet.rulesWeekly': 'über {hours} Std./Woche',
+      'timesheet.errorSameTime': 'Beginn und Ende sind dieselbe Uhrzeit',
+      'timesheet.errorBreak': 'Bitte die Pause in Minuten eingeben, 0 oder mehr',
+      'timesheet.errorBreakLong': 'Die Pause ist so lang wie die Schicht oder länger',
+
+      'deductions.toggle': 'Nettolohn nach Steuern und Abzügen schätzen',
+      'deductions.method': 'Lohnsteuerabzug',
+      'deductions.flat': 'Fester Prozentsatz',
+      'deductions.taxRate': 'Einkommensteuersatz (%)',
+      'deductions.pretax': 'Abzüge vor Steuern, z. B. 401(k) (% vom Brutto)',
+      'deductions.posttax': 'Feste Abzüge nach Steuern (pro Woche)',
+      'deductions.hint': 'Nur Schätzwerte. Überstunden werden nicht mit einem Sondersatz besteuert; sie können den Abzug erhöhen, weil sie Ihren Lohn im Zeitraum erhöhen.',
+      'deductions.supplementalNote': 'Der obige Satz gilt für den regulären Lohn.',
+      'deductions.postTaxUnapplied': 'Die Abzüge nach Steuern übersteigen den Lohn dieses Zeitraums; {amount} konnten nicht abgezogen werden.',
+
+      'conversion.toggle': 'Ergebnisse in einer anderen Währung anzeigen',
+      'conversion.to': 'Umrechnen in',
+      'conversion.manualRate': 'Manueller Wechselkurs: 1 {from} = ? {to} (optional)',
+      'conversion.placeholder': 'Mitgelieferten Kurs verwenden',
+      'conversion.tableHint': 'Leer lassen, um {rate} aus {source} ({date}) zu verwenden.',
+      'conversion.loading': 'Kurse werden noch geladen. Geben Sie einen Kurs ein, um sofort umzurechnen.',
+      'conversion.failed': 'Kurse konnten nicht geladen werden. Geben Sie einen Kurs zum Umrechnen ein.',
+      'conversion.manual': 'manueller Kurs',
+
+      'results.title': 'Ergebnis Überstundenlohn',
+      'results.forHours': 'Für {hours} Überstunden:',
+      'results.overtimePayUnit': 'Überstundenlohn',
+      'results.overtimeRate': 'Überstundensatz:',
+      'results.normalWeek': 'In einer normalen Woche würden Sie verdienen:',
+      'results.regularPayHours': 'Regulärer Lohn ({hours} Std.):',
+      'results.hourlyRate': 'Stundenlohn:',
+      'results.bonus': 'Boni & Provisionen:',
+      'results.differential': 'Schichtzulagen:',
+      'results.regularRate': 'Regulärer Satz (gemischt):',
+      'results.adjustment': 'Überstundenanpassung (regulärer Satz):',
+      'results.overtimePay': 'Überstundenlohn:',
+      'results.overtimePayLabel': 'Überstundenlohn',
+      'results.regularPay': 'Regulärer Lohn:',
+      'results.totalPay': 'Gesamtlohn:',
+      'results.totalWeek': 'Gesamtlohn diese Woche:',
+      'results.totalIn': 'Gesamt in {currency}:',
+      'results.netRegular': 'Regulärer Nettolohn:',
+      'results.netOvertime': 'Netto-Überstundenlohn:',
+      'results.otWithholding': 'Abzüge auf Überstunden:',
+      'results.takeHome': 'Geschätzter Nettolohn:',
+      'results.tier': '{label}: {hours} Std. × {rate}/Std. ({multiplier}x)',
+      'results.perHour': '{amount}/Std.',
+      'results.note': 'Der Überstundenlohn ist Ihr Stundenlohn mal Überstunden-Multiplikator mal Anzahl der geleisteten Überstunden.',
+
+      'action.copy': 'Kopieren',
+      'action.copyLabel': 'Ergebnis kopieren',
+      'action.share': 'Link teilen',
+      'action.shareLabel': 'Einen Link zu dieser Berechnung kopieren',
+      'action.save': 'Woche speichern',
+      'action.saveLabel': 'Diese Woche im Verlauf speichern',
+      'action.report': 'Bericht erstellen',
+      'action.reportLabel': 'Druckbaren Bericht dieser Berechnung öffnen',
+      'action.reset': 'Zurücksetzen',
+      'action.resetLabel': 'Rechner zurücksetzen',
+      'action.copied': 'Kopiert!',
+      'action.failed': 'Fehler',
+      'action.checkInputs': 'Eingaben prüfen',
+      'action.enterRate': 'Bitte zuerst einen Satz eingeben',
+
+      'error.positiveRate': 'Bitte einen positiven Satz eingeben',
+      'error.positiveHours': 'Bitte positive Stunden eingeben',
+      'error.notANumber': 'Bitte eine Zahl eingeben, z. B. {example}',
+      'error.positiveAmount': 'Bitte einen positiven Betrag eingeben',
+      'error.aboveZero': 'Bitte eine Zahl über 0 eingeben',
+      'error.atMost': 'Bitte {max} oder weniger eingeben',
+      'error.range': 'Bitte eine Zahl von {min} bis {max} eingeben',
+      'error.weekHours': 'Reguläre Stunden und Überstunden ergeben mehr als die {max} Stunden einer Woche',
+      'error.announce': '{field}: {message}',
+
+      'summary.title': '💰 Berechnung des Überstundenlohns',
+      'summary.salaryFixed': 'Wochengehalt: {salary} für {hours} geplante Std.',
+      'summary.salaryFluctuating': 'Wochengehalt: {salary} (schwankende Arbeitswoche)',
+      'summary.hourlyRate': 'Stundenlohn: {rate}',
+      'summary.averageOvertimeRate': 'Durchschnittlicher Überstundensatz: {rate}/Std.',
+      'summary.multiplier': 'Überstunden-Multiplikator: {multiplier}x',
+      'summary.overtimeRate': 'Überstundensatz: {rate}/Std.',
+      'summary.overtimeHours': 'Überstunden: {hours}',
+      'summary.regularHours': 'Reguläre Stunden: {hours}',
+      'summary.tier': '{label}: {hours} Std. × {rate}/Std. = {pay}',
+      'summary.bonus': 'Boni & Provisionen: {amount}',
+      'summary.differential': 'Schichtzulagen: {amount}',
+      'summary.regularRate': 'Regulärer Satz (gemischt): {rate}/Std.',
+      'summary.adjustment': 'Überstundenanpassung (regulärer Satz): {amount}',
+      'summary.overtimePay': 'Überstundenlohn: {amount}',
+      'summary.regularPay': 'Regulärer Lohn: {amount}',
+      'summary.totalPay': 'Gesamtlohn: {amount}',
+      'summary.footer': '📱 Überstunden berechnen auf calculateovertimepay.com',
+
+      'history.notSaved': 'Nicht gespeichert',
+      'history.storageFull': 'Der Speicher dieses Browsers ist voll, daher wurde die Woche nicht gespeichert. Löschen oder exportieren Sie ältere Wochen und versuchen Sie es erneut.',
+      'history.title': 'Gespeicherte Wochen',
+      'history.intro': 'Ihr Verlauf wird nur in diesem Browser gespeichert. Es wird nichts an einen Server gesendet.',
+      'history.week': 'Woche ab',
+      'history.totals': 'Summen',
+      'history.month': 'Monat bis heute',
+      'history.quarter': 'Quartal bis heute',
+      'history.year': 'Jahr bis heute',
+      'history.cancelEdit': 'Bearbeitung abbrechen',
+      'history.empty': 'Noch keine gespeicherten Wochen. Nutzen Sie „Woche speichern“ bei den Ergebnissen, um Ihren Verlauf zu beginnen.',
+      'history.colWeek': 'Woche vom',
+      'history.colHours': 'Stunden (regulär / Überstd.)',
+      'history.colOvertimePay': 'Überstundenlohn',
+      'history.colTotalPay': 'Gesamtlohn',
+      'history.colActions': 'Aktionen',
+      'history.saved': 'Gespeichert!',
+      'history.update': 'Gespeicherte Woche aktualisieren',
+      'history.edit': 'Bearbeiten',
+      'history.delete': 'Löschen',
+      'history.confirmDelete': 'Die gespeicherte Woche vom {date} löschen?',
+      'history.totalLabel': '{period} ({currency})',
+      'history.totalMeta': '{overtimePay} Überstundenlohn · {hours} Überstd. · {weeks}',
+      'history.weeksOne': '1 Woche',
+      'history.weeksOther': '{count} Wochen',
+
+      'goal.title': 'Lohnziel',
+      'goal.intro': 'Rechnen Sie vom gewünschten Lohn aus zurück: die Überstunden, die Sie bei Ihrem Satz bräuchten, oder den Satz, den Sie bei festem Stundenplan bräuchten. Leere Felder übernehmen die Werte aus dem Rechner.',
+      'goal.target': 'Wöchentlicher Ziellohn',
+      'goal.basis': 'Ziel ist',
+      'goal.gross': 'Bruttolohn',
+      'goal.net': 'Nettolohn',
+      'goal.rate': 'Stundensatz',
+      'goal.multiplier': 'Überstundenfaktor',
+      'goal.regularHours': 'Reguläre Stunden',
+      'goal.overtimeHours': 'Überstunden (fester Stundenplan)',
+      'goal.scope': 'Die Antworten gehen von Stundenlohn und einem einzigen Überstundenfaktor auf die Wochenstunden aus. Die Vergütungsart des Rechners, Überstundenregeln von Bundesstaat oder Land, zusätzliche Überstundenstufen, Boni, Provisionen und Schichtzulagen bleiben unberücksichtigt.',
+      'goal.netHint': 'Verwendet die Steuer- und Abzugseinstellungen unter „Nettolohn nach Steuern und Abzügen schätzen“ im Rechner.',
+      'goal.payGross': '{amount} brutto',
+      'goal.payNet': '{amount} netto',
+      'goal.hoursNeeded': 'Benötigte Überstunden',
+      'goal.rateNeeded': 'Benötigter Stundensatz',
+      'goal.notReachable': 'Nicht erreichbar',
+      'goal.hours': '{hours} Std.',
+      'goal.hoursUnreachable': 'Selbst mit allen {max} Stunden der Woche reicht {rate} nicht',
+      'goal.alreadyMet': '{hours} reguläre Stunden bringen bereits {pay}',
+      'goal.hoursAnswer': '{hours} Std. pro Woche zu {rate} bringen {pay}',
+      'goal.needRate': 'Geben Sie hier oder im Rechner einen Stundensatz ein',
+      'goal.rateAnswer': '{regular} reguläre + {overtime} Überstunden zu {multiplier}x bringen {pay}',
+      'goal.deductionsTooHigh': 'Die Abzüge übersteigen, was dieser Stundenplan einbringen kann',
+      'goal.scheduleRange': 'Geben Sie im Stundenplan zwischen 0 und {max} Stunden ein',
+      'goal.hoursGoal': 'Überstundenziel',
+      'goal.fixedSchedule': 'Fester Stundenplan',
+      'goal.warning': '{label}: {hours} Stunden pro Woche.',
+      'goal.limitEuWtd': 'Mehr als der Wochendurchschnitt von 48 Stunden einschließlich Überstunden, den die EU-Arbeitszeitrichtlinie und die britischen Working Time Regulations ohne Opt-out erlauben.',
+      'goal.limitWhoIlo': 'Mehr als 55 Wochenstunden sind mit einem höheren Risiko für Schlaganfall und Herzerkrankungen verbunden (WHO/ILO, 2021).',
+      'goal.limitEuRest': 'Mehr als 78 Stunden lassen weniger als die in der EU vorgeschriebenen 11 Stunden tägliche Ruhe und einen freien Tag pro Woche.',
+
+      'premiums.errorIncomplete': 'Geben Sie ein Datum, eine Beginn- und eine Endzeit ein',
+      'premiums.title': 'Feiertags-, Wochenend- und Nachtzuschläge',
+      'premiums.intro': 'Geben Sie datierte Schichten ein, um Feiertags-, Wochenend- und Nachtzuschläge zu berechnen. Feiertage stammen aus dem mitgelieferten Kalender des jeweiligen Landes. Stunden einer Nachtschicht nach Mitternacht erhalten die Zuschläge des nächsten Tages. Beträge verwenden die im Rechner gewählte Währung.',
+      'premiums.preset': 'Länderregeln',
+      'premiums.calendar': 'Feiertagskalender',
+      'premiums.noCalendar': 'Keine Feiertage',
+      'premiums.rate': 'Stundensatz',
+      'premiums.holidayPercent': 'Feiertagszuschlag (%)',
+      'premiums.saturdayPercent': 'Samstagszuschlag (%)',
+      'premiums.sundayPercent': 'Sonntagszuschlag (%)',
+      'premiums.nightPercent': 'Nachtzuschlag (%)',
+      'premiums.nightStart': 'Nacht ab',
+      'premiums.nightEnd': 'Nacht bis',
+      'premiums.note': '{law}. {note}',
+      'premiums.presetJp': 'Japan',
+      'premiums.presetJpLaw': 'Arbeitsstandardgesetz, Artikel 37',
+      'premiums.presetJpNote': 'Nachtarbeit von 22:00 bis 05:00 wird mit mindestens 25 % Aufschlag bezahlt, zusätzlich zu einem Feiertagszuschlag. Der Zuschlag von 35 % ist für den gesetzlichen wöchentlichen Ruhetag geschuldet; viele Arbeitgeber zahlen ihn auch an Nationalfeiertagen.',
+      'premiums.presetAuRetail': 'Australien (General Retail Award)',
+      'premiums.presetAuRetailLaw': 'General Retail Industry Award 2020, Ziff. 22',
+      'premiums.presetAuRetailNote': 'Zuschläge für Voll- und Teilzeit. Arbeit von Montag bis Freitag nach 18 Uhr wird mit 25 % Aufschlag bezahlt; geben Sie sie gegebenenfalls als Nachtzuschlag ein. Prüfen Sie Ihren eigenen Award für andere Branchen und Zuschläge für Gelegenheitsbeschäftigte.',
+      'premiums.presetCaFederal': 'Kanada (Bund)',
+      'premiums.presetCaFederalLaw': 'Canada Labour Code, Abschn. 198',
+      'premiums.presetCaFederalNote': 'Arbeit an einem allgemeinen Feiertag wird mit mindestens 1,5x bezahlt, zusätzlich zum regulären Feiertagsentgelt.',
+      'premiums.presetUk': 'Vereinigtes Königreich',
+      'premiums.presetUkLaw': 'Kein gesetzlicher Zuschlag',
+      'premiums.presetUkNote': 'Erhöhte Sätze für Bankfeiertage, Sonntage oder Nächte ergeben sich aus Ihrem Vertrag. Geben Sie sie unten ein.',
+      'premiums.presetUs': 'Vereinigte Staaten',
+      'premiums.presetUsLaw': 'Keine bundesrechtliche Pflicht (FLSA)',
+      'premiums.presetUsNote': 'Der FLSA schreibt keine Zuschläge für Feiertage, Wochenenden oder Nächte vor. Geben Sie ein, was Ihr Arbeitgeber zahlt; als Schichtzulagen zählen sie zum regulären Satz für Überstunden.',
+      'premiums.kindHoliday': 'Feiertag',
+      'premiums.kindSaturday': 'Samstag',
+      'premiums.kindSunday': 'Sonntag',
+      'premiums.kindNight': 'Nacht',
+      'premiums.premiumHours': '{label} +{percent} %: {hours} Std.',
+      'premiums.premiumPay': '{premium}, {amount}',
+      'premiums.hoursWithNight': '{hours} ({night} nachts)',
+      'premiums.colStart': 'Beginn',
+      'premiums.colEnd': 'Ende',
+      'premiums.colBreak': 'Pause (Min.)',
+      'premiums.colDay': 'Tag',
+      'premiums.colHours': 'Stunden',
+      'premiums.colPremiums': 'Zuschläge',
+      'premiums.colTotal': 'Gesamt',
+      'premiums.rowDate': 'Schichtdatum',
+      'premiums.rowStart': 'Beginn',
+      'premiums.rowEnd': 'Ende',
+      'premiums.rowBreak': 'Unbezahlte Pause in Minuten',
+      'premiums.removeShift': 'Schicht entfernen',
+      'premiums.add': '+ Schicht hinzufügen',
+      'premiums.clear': 'Schichten löschen',
+      'premiums.apply': 'Zuschläge zum Rechner hinzufügen',
+      'premiums.applyHint': 'Fügt jeden Zuschlag als Schichtzulage zum Rechner hinzu, wo er zum regulären Satz für Überstunden zählt. Die Stunden im Rechner werden nicht geändert.',
+      'premiums.noPremiums': 'Keine Zuschläge zum Hinzufügen',
+      'premiums.added': 'Hinzugefügt!',
+      'premiums.warningRate': 'Geben Sie hier oder im Rechner einen Stundensatz ein, um die Schichten zu berechnen.',
+      'premiums.warningCalendar': 'Der Kalender {calendar} enthält keine Feiertage für {years}, daher wurden für diese Daten keine Feiertagszuschläge angewendet.',
+      'premiums.noPremiumHours': 'Keine Stunden mit Zuschlag',
+      'premiums.totalPay': 'Gesamtvergütung ({currency})',
+      'premiums.totalMeta': '{hours} Std. · {base} Grundvergütung + {premiums} Zuschläge',
+      'premiums.premiumTotal': 'Zuschläge ({currency})',
+
+      'import.title': 'Import & Export',
+      'import.intro': 'Laden Sie diese Woche oder Ihre gespeicherten Wochen für eine Tabellenkalkulation herunter, oder importieren Sie eine CSV-Datei mit Stunden, um viele Wochen auf einmal zu berechnen.',
+      'import.thisWeek': 'Diese Woche',
+      'import.savedWeeks': 'Gespeicherte Wochen',
+      'import.downloadCsv': 'CSV herunterladen',
+      'import.downloadJson': 'JSON herunterladen',
+      'import.file': 'CSV importieren',
+      'import.fileHint': 'Spalten: Datum, reguläre Stunden, Überstunden, Satz. Die Zeilen verwenden den im Rechner gewählten Multiplikator und die Währung.',
+      'import.errorsTitle': 'Einige Zeilen konnten nicht importiert werden:',
+      'import.colLine': 'Zeile',
+      'import.colDate': 'Datum',
+      'import.colRegular': 'Reg. Std.',
+      'import.colOvertime': 'Überstd.',
+      'import.colRate': 'Satz',
+      'import.downloadResults': 'Ergebnisse als CSV herunterladen',
+      'import.save': 'Zu gespeicherten Wochen hinzufügen',
+      'import.noSavedWeeks': 'Keine gespeicherten Wochen',
+      'import.addedOne': '1 Woche hinzugefügt',
+      'import.addedOther': '{count} Wochen hinzugefügt',
+      'import.totalOne': 'Summe (1 Zeile)',
+      'import.totalOther': 'Summe ({count} Zeilen)',
+      'import.errorLine': 'Zeile {line}: {message}',
+      'import.errorRead': 'Die Datei konnte nicht gelesen werden',
+      'import.errorColumns': '{expected} Spalten erwartet (Datum, reguläre Stunden, Überstunden, Satz), {found} gefunden',
+      'import.errorDate': 'ungültiges Datum „{value}“',
+      'import.errorRegularHours': 'ungültige reguläre Stunden „{value}“',
+      'import.errorRegularWeek': 'die regulären Stunden „{value}“ übersteigen die {max} Stunden einer Woche',
+      'import.errorOvertimeHours': 'ungültige Überstunden „{value}“',
+      'import.errorOvertimeWeek': 'die Überstunden „{value}“ übersteigen die {max} Stunden einer Woche',
+      'import.errorWeekHours': 'reguläre Stunden und Überstunden ergeben mehr als die {max} Stunden einer Woche',
+      'import.errorRate': 'ungültiger Satz „{value}“',
+
+      'backPay.errorColumns': '{expected} Spalten erwartet (Woche vom, reguläre Stunden, Überstunden, Satz, gezahlt), {found} gefunden',
+      'backPay.errorPaid': 'ungültiger gezahlter Betrag „{value}“',
+      'backPay.title': 'Nachzahlungsanspruch',
+      'backPay.intro': 'Schätzen Sie den Lohn, der Ihnen für vergangene Wochen zusteht. Geben Sie für jede Woche Stunden und Satz mit dem tatsächlich erhaltenen Bruttolohn ein oder importieren Sie sie aus einer CSV-Datei. Die Wochen verwenden den im Rechner gewählten Multiplikator und die Währung.',
+      'backPay.lookback': 'Rückwirkender Zeitraum',
+      'backPay.lookbackFlsa': '2 Jahre (FLSA-Standard)',
+      'backPay.lookbackWillful': '3 Jahre (vorsätzlicher FLSA-Verstoß)',
+      'backPay.lookbackCustom': 'Benutzerdefiniert (z. B. eine bundesstaatliche Frist)',
+      'backPay.lookbackNone': 'Keine Begrenzung',
+      'backPay.years': 'Jahre',
+      'backPay.asOf': 'Anspruchsdatum',
+      'backPay.liquidated': 'Pauschalierten Schadensersatz hinzufügen (verdoppelt den ausstehenden Lohn)',
+      'backPay.colPaid': 'Gezahlt',
+      'backPay.colOwed': 'Geschuldet',
+      'backPay.colShortfall': 'Fehlbetrag',
+      'backPay.add': '+ Woche hinzufügen',
+      'backPay.addCurrent': 'Aktuelle Berechnung hinzufügen',
+      'backPay.clear': 'Wochen löschen',
+      'backPay.fileHint': 'Spalten: Woche ab, reguläre Stunden, Überstunden, Satz, gezahlt. „Gezahlt“ ist der für diese Woche erhaltene Bruttolohn.',
+      'backPay.download': 'Anspruch als CSV herunterladen',
+      'backPay.note': 'Jede Woche wird für sich verglichen: Eine Überzahlung in einer Woche gleicht keinen Fehlbetrag in einer anderen aus. Wochen vor dem rückwirkenden Zeitraum bleiben in der Tabelle, werden aber nicht gezählt. Dies ist eine Schätzung, keine Rechtsberatung.',
+      'backPay.rowWeek': 'Woche ab',
+      'backPay.rowRegular': 'Reguläre Stunden',
+      'backPay.rowOvertime': 'Überstunden',
+      'backPay.rowRate': 'Stundensatz',
+      'backPay.rowPaid': 'Erhaltener Bruttolohn',
+      'backPay.removeWeek': 'Woche entfernen',
+      'backPay.noWeeks': 'Keine Wochen eingegeben',
+      'backPay.excludedTitle': 'Vor dem rückwirkenden Zeitraum ({date})',
+      'backPay.unpaidWages': 'Ausstehender Lohn',
+      'backPay.totalClaim': 'Gesamtanspruch',
+      'backPay.cardLabel': '{label} ({currency})',
+      'backPay.weeksShortOne': '{short} von 1 Woche mit Fehlbetrag',
+      'backPay.weeksShortOther': '{short} von {count} Wochen mit Fehlbetrag',
+      'backPay.since': 'seit {date}',
+      'backPay.excludedOne': '1 Woche außerhalb des Zeitraums',
+      'backPay.excludedOther': '{count} Wochen außerhalb des Zeitraums',
+      'backPay.includesDamages': 'Enthält {amount} pauschalierten Schadensersatz',
+      'backPay.wagesOnly': 'Nur ausstehender Lohn',
+
+      'report.title': 'Lohnbericht',
+      'report.intro': 'Ein druckbarer Nachweis dieser Berechnung für die Lohnbuchhaltung oder eine Lohnforderung. Drucken Sie ihn oder wählen Sie im Druckdialog „Als PDF speichern“. Es wird nichts an einen Server gesendet.',
+      'report.employeeName': 'Name des Beschäftigten',
+      'report.optional': 'Optional',
+      'report.periodStart': 'Beginn des Abrechnungszeitraums',
+      'report.periodEnd': 'Ende des Abrechnungszeitraums',
+      'report.print': 'Drucken oder als PDF speichern',
+      'report.close': 'Schließen',
+      'report.preview': 'Berichtsvorschau',
+      'report.errorStart': 'Bitte den ersten Tag des Abrechnungszeitraums eingeben',
+      'report.errorEnd': 'Bitte den letzten Tag des Abrechnungszeitraums eingeben',
+      'report.errorOrder': 'Der Abrechnungszeitraum endet, bevor er beginnt',
+      'report.documentTitle': 'Überstundenlohn-Bericht',
+      'report.employee': 'Beschäftigte(r)',
+      'report.notGiven': 'Nicht angegeben',
+      'report.payPeriod': 'Abrechnungszeitraum',
+      'report.periodRange': '{start} – {end}',
+      'report.calculatedOn': 'Berechnet am',
+      'report.currency': 'Währung',
+      'report.payBasis': 'Vergütungsgrundlage',
+      'report.fixedSalary': 'Festes Gehalt',
+      'report.fluctuating': 'Schwankende Arbeitswoche',
+      'report.weeklySalary': 'Wochengehalt',
+      'report.hourlyRate': 'Stundensatz',
+      'report.regularRate': 'Regulärer Satz (mit Boni und Zuschlägen)',
+      'report.multiplier': 'Überstundenmultiplikator',
+      'report.averageOvertimeRate': 'Durchschnittlicher Überstundensatz',
+      'report.overtimeRate': 'Überstundensatz',
+      'report.hoursWorked': 'Gearbeitete Stunden',
+      'report.regularHours': 'Reguläre Stunden',
+      'report.overtimeHours': 'Überstunden',
+      'report.day': 'Tag',
+      'report.date': 'Datum',
+      'report.hours': 'Stunden',
+      'report.total': 'Summe',
+      'report.weeklyTotals': 'Wochensummen direkt eingegeben. Öffnen Sie den Wochen-Stundenzettel im Rechner, um die Stunden nach Tagen aufzulisten.',
+      'report.rate': 'Satz',
+      'report.breakdown': 'Aufschlüsselung der Überstunden',
+      'report.overtime': 'Überstunden',
+      'report.pay': 'Lohn',
+      'report.regularPay': 'Regulärer Lohn',
+      'report.extraPay': 'Boni, Provisionen und Zuschläge',
+      'report.adjustment': 'Anpassung an den regulären Satz',
+      'report.overtimePay': 'Überstundenlohn',
+      'report.totalPay': 'Gesamtlohn',
+      'report.rules': 'Überstundenregeln',
+      'report.rulesTiers': 'Keine Rechtsordnung gewählt – die Überstunden folgen den eingegebenen Stufen.',
+      'report.rulesFlat': 'Keine Rechtsordnung gewählt – für Überstunden gilt ein fester Multiplikator von {multiplier}x.',
+      'report.disclaimer': 'Schätzung, im Browser aus den oben eingegebenen Zahlen berechnet. Sie ist keine Rechtsberatung und kein offizieller Lohnnachweis.',
+
+      'scenario.title': 'Szenarien vergleichen',
+      'scenario.intro': 'Kopieren Sie die aktuelle Berechnung in bis zu vier Spalten, ändern Sie beliebige davon und sehen Sie, wie sich jede von der Referenzspalte unterscheidet. Beträge verwenden die im Rechner gewählte Währung.',
+      'scenario.add': '+ Aktuelle Berechnung hinzufügen',
+      'scenario.clear': 'Szenarien löschen',
+      'scenario.empty': 'Noch keine Szenarien. Berechnen Sie eine Woche und fügen Sie sie hier zum Vergleich hinzu, z. B. ein Angebot mit 1,5x gegenüber einem mit 2x.',
+      'scenario.defaultName': 'Szenario {number}',
+      'scenario.field': 'Feld',
+      'scenario.nameLabel': 'Name von Szenario {number}',
+      'scenario.remove': 'Szenario {number} entfernen',
+      'scenario.fieldLabel': '{field}, Szenario {number}',
+      'scenario.baseline': 'Referenz',
+      'scenario.hourlyRate': 'Stundensatz',
+      'scenario.multiplier': 'Multiplikator',
+      'scenario.overtimeRate': 'Überstundensatz (optional)',
+      'scenario.regularHours': 'Reguläre Stunden',
+      'scenario.overtimeHours': 'Überstunden',
+      'scenario.otherPay': 'Bonus und sonstige Vergütung',
+      'scenario.overtimePay': 'Überstundenvergütung',
+      'scenario.regularPay': 'Reguläre Vergütung',
+      'scenario.totalPay': 'Gesamtvergütung',
+      'scenario.effectiveRate': 'Effektiver Stundensatz',
+      'scenario.deltaOvertimePay': 'Δ Überstundenvergütung',
+      'scenario.deltaTotalPay': 'Δ Gesamtvergütung',
+      'scenario.deltaEffectiveRate': 'Δ Effektiver Stundensatz',
+      'scenario.errorNegative': 'Sätze und Stunden dürfen nicht negativ sein',
+
+      'projection.title': 'Verdienstprognose',
+      'projection.intro': 'Rechnen Sie diese Woche oder den Durchschnitt Ihrer gespeicherten Wochen für die Budgetplanung auf ein Kalenderjahr hoch. Ein Monat hat 52/12 Wochen. Beträge verwenden die im Rechner gewählte Währung.',
+      'projection.basis': 'Grundlage',
+      'projection.basisCurrent': 'Berechnung dieser Woche',
+      'projection.basisHistory': 'Durchschnitt der gespeicherten Wochen',
+      'projection.season': 'Saisonalität',
+      'projection.seasonNone': 'Keine (jeder Monat gleich)',
+      'projection.seasonHoliday': 'Feiertagssaison (Nov.–Dez.)',
+      'projection.seasonSummer': 'Sommer (Juni–Aug.)',
+      'projection.seasonTax': 'Steuersaison (Feb.–Apr.)',
+      'projection.seasonQuarterEnd': 'Quartalsenden (März, Juni, Sept., Dez.)',
+      'projection.seasonCustom': 'Eigene Monate',
+      'projection.factor': 'Überstunden in Spitzenmonaten',
+      'projection.factorHint': 'Vielfaches der Überstunden einer typischen Woche, z. B. 2 für das Doppelte',
+      'projection.errorFactor': 'Bitte 0 oder mehr eingeben',
+      'projection.peakMonths': 'Spitzenmonate',
+      'projection.empty': 'Geben Sie im Rechner einen Satz ein, um eine Prognose zu sehen.',
+      'projection.noSavedWeeks': 'Noch keine gespeicherten Wochen in {currency}. Verwenden Sie „{save}“ in den Ergebnissen, um Ihren Verlauf aufzubauen.',
+      'projection.averageOne': 'Durchschnitt aus 1 gespeicherten Woche in {currency}: {amount} pro Woche',
+      'projection.averageOther': 'Durchschnitt aus {count} gespeicherten Wochen in {currency}: {amount} pro Woche',
+      'projection.annualTotal': 'Jährliche Gesamtvergütung ({currency})',
+      'projection.annualTotalMeta': '{regular} regulär + {overtime} Überstunden',
+      'projection.annualOvertime': 'Jährliche Überstundenvergütung ({currency})',
+      'projection.annualOvertimeMeta': '{hours} Überstd. · {share} % der Gesamtvergütung',
+      'projection.monthlyAverage': 'Monatsdurchschnitt ({currency})',
+      'projection.monthlyAverageMeta': '{overtime} Überstundenvergütung · {hours} Überstd.',
+      'projection.monthlyCaption': 'Monatliche Vergütung: regulär und Überstunden',
+      'projection.cumulativeCaption': 'Bisheriger Verdienst im Jahresverlauf',
+      'projection.showTable': 'Datentabelle anzeigen',
+      'projection.hideTable': 'Datentabelle ausblenden',
+      'projection.colMonth': 'Monat',
+      'projection.colRegular': 'Reguläre Vergütung',
+      'projection.colOvertime': 'Überstundenvergütung',
+      'projection.colOvertimeHours': 'Überstunden',
+      'projection.colTotal': 'Gesamtvergütung',
+      'projection.colEndOf': 'Ende',
+      'projection.colRegularToDate': 'Reguläre Vergütung bisher',
+      'projection.colOvertimeToDate': 'Überstundenvergütung bisher',
+      'projection.colTotalToDate': 'Gesamt bisher',
+      'projection.peak': '(Spitze)',
+      'projection.year': 'Jahr',
+      'projection.legendRegular': 'Reguläre Vergütung',
+      'projection.legendOvertime': 'Überstundenvergütung',
+      'projection.barTitle': '{month}: {regular} regulär, {overtime} Überstunden',
+      'projection.pointTitle': 'Ende {month}: {amount}',
+      'projection.monthlyFlat': 'Balkendiagramm: {total} pro Monat, davon {overtime} Überstunden.',
+      'projection.monthlyRange': 'Balkendiagramm: Die monatliche Vergütung reicht von {low} im {lowMonth} bis {high} im {highMonth}, mit {overtime} Überstunden.',
+      'projection.cumulativeDescription': 'Liniendiagramm: bis Ende {month} {regular} reguläre Vergütung und {overtime} Überstundenvergütung.',
+
+      'holidays.calendarUs': 'Vereinigte Staaten (Bund)',
+      'holidays.calendarCa': 'Kanada (Bund)',
+      'holidays.calendarGb': 'Vereinigtes Königreich (England und Wales)',
+      'holidays.calendarAu': 'Australien (landesweit)',
+      'holidays.calendarJp': 'Japan',
+
+      'crew.title': 'Teamliste',
+      'crew.intro': 'Berechnen Sie eine Woche für ein ganzes Team auf einmal, eine Zeile pro Beschäftigtem. Jede Zeile wird wie im Rechner oben berechnet: Ein leerer Multiplikator übernimmt den des Rechners, leere reguläre Stunden zählen als 40 und leere Überstunden als 0. Beträge verwenden die im Rechner gewählte Währung.',
+      'crew.colEmployee': 'Beschäftigte(r)',
+      'crew.colMultiplier': 'Multiplikator',
+      'crew.colOvertimePay': 'Überstundenvergütung',
+      'crew.colEmployerCost': 'Arbeitgeberkosten',
+      'crew.add': '+ Beschäftigte(n) hinzufügen',
+      'crew.clear': 'Liste löschen',
+      'crew.employerView': 'Arbeitgeberkosten mit Lohnnebenkosten anzeigen',
+      'crew.burdenTitle': 'Lohnnebenkosten (% des Bruttolohns)',
+      'crew.addCost': '+ Kosten hinzufügen',
+      'crew.burdenHint': 'Voreingestellt ist der US-Arbeitgeberanteil an Social Security und Medicare. Fügen Sie Ihre Sätze für Arbeitslosenversicherung, Unfallversicherung und Zusatzleistungen hinzu. Beitragsbemessungsgrenzen werden nicht angewendet.',
+      'crew.rowName': 'Name',
+      'crew.rowRate': 'Stundensatz',
+      'crew.rowMultiplier': 'Überstundenmultiplikator',
+      'crew.rowRegular': 'Reguläre Stunden',
+      'crew.rowOvertime': 'Überstunden',
+      'crew.removeEmployee': 'Beschäftigte(n) entfernen',
+      'crew.cost': 'Kosten',
+      'crew.costName': 'Bezeichnung',
+      'crew.costPercent': 'Prozent des Bruttolohns',
+      'crew.removeCost': 'Kosten entfernen',
+      'crew.burdenSocialSecurity': 'Social Security (Arbeitgeberanteil)',
+      'crew.burdenMedicare': 'Medicare (Arbeitgeberanteil)',
+      'crew.burdenUnemployment': 'Arbeitslosenversicherung (FUTA/SUTA)',
+      'crew.burdenWorkersComp': 'Unfallversicherung',
+      'crew.noEmployees': 'Keine Beschäftigten zum Exportieren',
+      'crew.errorRate': 'Bitte einen Satz eingeben',
+      'crew.errorMultiplier': 'Der Multiplikator muss mindestens 1 sein',
+      'crew.errorRateNumber': 'Der Satz muss eine Zahl sein',
+      'crew.errorRatePositive': 'Der Satz muss größer als null sein',
+      'crew.errorHoursNumber': 'Die Stunden müssen eine Zahl sein',
+      'crew.errorHoursNegative': 'Die Stunden dürfen nicht negativ sein',
+      'crew.errorWeekHours': 'Mehr als die {max} Stunden einer Woche',
+      'crew.footTotal': 'Team gesamt ({count})',
+      'crew.overtimeCost': 'Überstundenkosten des Teams ({currency})',
+      'crew.overtimeHours': '{hours} Überstd.',
+      'crew.withOvertimeOne': '{count} von 1 Beschäftigten mit Überstunden',
+      'crew.withOvertimeOther': '{count} von {employees} Beschäftigten mit Überstunden',
+      'crew.skippedOne': '1 Zeile mit Fehlern nicht gezählt',
+      'crew.skippedOther': '{count} Zeilen mit Fehlern nicht gezählt',
+      'crew.grossPay': 'Bruttolohn des Teams ({currency})',
+      'crew.grossPayMeta': '{regular} regulär + {overtime} Überstunden',
+      'crew.employerCost': 'Arbeitgeberkosten ({currency})',
+      'crew.burden': '+{amount} Lohnnebenkosten ({percent} %)',
+      'crew.burdenItems': '+{amount} Lohnnebenkosten ({percent} %): {items}',
+      'crew.overtimeWithBurden': 'Überstunden kosten {amount} mit Lohnnebenkosten',
+
+      'exemption.title': 'Bin ich freigestellt? Prüfen Sie Ihren Status',
+      'exemption.intro': 'Beantworten Sie einige Fragen zu Vergütung und Aufgaben, um die Freistellungstests des FLSA durchzugehen. Ihre Antworten bleiben in Ihrem Browser.',
+      'exemption.stepPay': '1. Wie Sie bezahlt werden',
+      'exemption.payType': 'Vergütungsart',
+      'exemption.salary': 'Festgehalt',
+      'exemption.hourly': 'Stundenlohn',
+      'exemption.weeklySalary': 'Wochengehalt',
+      'exemption.hourlyRate': 'Stundensatz',
+      'exemption.salaryGuaranteed': 'Mein Gehalt ist ein fester Betrag, der nicht gekürzt wird, wenn ich weniger Stunden arbeite oder es weniger Arbeit gibt',
+      'exemption.annualPay': 'Jährliche Gesamtvergütung (optional)',
+      'exemption.annualPayPlaceholder': 'Wochengehalt × 52',
+      'exemption.annualPayHint': 'Einschließlich Boni und Provisionen. Wird für den Test für hochbezahlte Beschäftigte verwendet.',
+      'exemption.weeklyHours': 'Arbeitsstunden in einer typischen Woche',
+      'exemption.stepDuties': '2. Was Ihre Tätigkeit umfasst',
+      'exemption.dutiesHint': 'Kreuzen Sie alles an, was Ihre Hauptaufgaben beschreibt. Ihre Stellenbezeichnung spielt keine Rolle.',
+      'exemption.submit': 'Meinen Status prüfen',
+      'exemption.prefill': 'Meine Überstunden berechnen',
+      'exemption.dutyGroup': '{name} ({law})',
+      'exemption.testExecutive': 'Führungskraft',
+      'exemption.testAdministrative': 'Verwaltung',
+      'exemption.testProfessional': 'Freiberuflich-fachlich',
+      'exemption.testComputer': 'IT-Fachkraft',
+      'exemption.testOutsideSales': 'Außendienst',
+      'exemption.testHighlyCompensated': 'Hochbezahlt',
+      'exemption.reasonTest': '{test}:',
+      'exemption.reasonSalaryLevel': 'Gehaltshöhe',
+      'exemption.reasonSalaryBasis': 'Gehaltsbasis',
+      'exemption.reasonExecutive': 'Freistellung für Führungskräfte',
+      'exemption.reasonAdministrative': 'Freistellung für Verwaltungstätigkeiten',
+      'exemption.reasonProfessional': 'Freistellung für Fachkräfte',
+      'exemption.reasonComputer': 'Freistellung für IT-Fachkräfte',
+      'exemption.reasonOutsideSales': 'Freistellung für den Außendienst',
+      'exemption.reasonHighlyCompensated': 'Hochbezahlte Beschäftigte',
+      'exemption.questionManagesEnterprise': 'Meine Hauptaufgabe ist die Leitung des Unternehmens oder einer anerkannten Abteilung oder Untereinheit davon',
+      'exemption.questionDirectsTwo': 'Ich leite regelmäßig die Arbeit von mindestens zwei Vollzeitbeschäftigten (oder dem Gegenwert)',
+      'exemption.questionHiringAuthority': 'Ich kann einstellen oder entlassen, oder meine Empfehlungen zu Einstellung, Entlassung und Beförderung haben besonderes Gewicht',
+      'exemption.questionOfficeWork': 'Meine Hauptaufgabe ist Büro- oder nicht-manuelle Arbeit, die direkt mit der Leitung oder dem allgemeinen Geschäftsbetrieb zusammenhängt',
+      'exemption.questionIndependentJudgment': 'Diese Arbeit umfasst Ermessen und eigenständige Urteile in wichtigen Angelegenheiten',
+      'exemption.questionLearned': 'Meine Arbeit erfordert fortgeschrittenes Wissen in einem wissenschaftlichen Fachgebiet, meist durch einen Fachabschluss erworben',
+      'exemption.questionCreative': 'Meine Arbeit erfordert Erfindungsgabe, Vorstellungskraft, Originalität oder Talent in einem anerkannten künstlerischen oder kreativen Bereich',
+      'exemption.questionTeacherLawMedicine': 'Ich bin Lehrkraft oder habe eine Zulassung und übe Recht oder Medizin aus',
+      'exemption.questionComputerDuties': 'Ich bin Systemanalytiker, Programmierer oder Softwareingenieur, und meine Hauptaufgabe ist das Entwerfen, Entwickeln, Testen oder Ändern von Computersystemen oder Programmen',
+      'exemption.questionMakesSales': 'Meine Hauptaufgabe ist der Verkauf oder das Einholen von Aufträgen oder Verträgen',
+      'exemption.questionAwayFromOffice': 'Ich arbeite üblicherweise und regelmäßig außerhalb der Geschäftsräume meines Arbeitgebers',
+      'exemption.salaryLevelMet': 'Ein Wochengehalt von {salary} erreicht oder übersteigt das Minimum von {minimum}.',
+      'exemption.salaryLevelBelow': 'Ein Wochengehalt von {salary} liegt unter dem Minimum von {minimum}.',
+      'exemption.salaryLevelHourly': 'Stundenlohn erfüllt nicht die Anforderung eines Wochengehalts von {minimum}.',
+      'exemption.salaryBasisMet': 'Ihr Gehalt ist ein vorab festgelegter Betrag, der nicht wegen Qualität oder Menge Ihrer Arbeit gekürzt wird.',
+      'exemption.salaryBasisNotMet': 'Ihre Vergütung ist kein garantiertes Gehalt, daher ist der Gehaltsbasistest nicht erfüllt.',
+      'exemption.dutiesNotMet': 'Die Aufgaben passen nicht ({law}).',
+      'exemption.dutiesMet': 'Die Aufgaben passen und die Vergütungsanforderungen sind erfüllt ({law}).',
+      'exemption.dutiesSalaryNotMet': 'Die Aufgaben passen, aber die Gehaltstests sind nicht erfüllt ({law}).',
+      'exemption.dutiesPayBelow': 'Die Aufgaben passen, aber die Vergütung liegt sowohl unter den Gehaltstests als auch unter {rate}/Std. ({law}).',
+      'exemption.hceMet': 'Ein Jahresverdienst von {annual} erreicht die Schwelle von {threshold}, und Sie üben mindestens eine freigestellte Aufgabe aus ({law}).',
+      'exemption.hceNoDuty': 'Der Jahresverdienst erreicht die Schwelle von {threshold}, aber keine der freigestellten Aufgaben trifft zu ({law}).',
+      'exemption.hceNotMet': 'Erforderlich ist ein Jahresverdienst auf Gehaltsbasis von mindestens {threshold}; Ihrer beträgt {annual} ({law}).',
+      'exemption.verdictExemptOne': 'Wahrscheinlich freigestellt (Freistellung: {names})',
+      'exemption.verdictExemptOther': 'Wahrscheinlich freigestellt (Freistellungen: {names})',
+      'exemption.verdictNonExempt': 'Wahrscheinlich nicht freigestellt: Ihnen steht vermutlich Überstundenvergütung zu',
+      'exemption.met': 'Erfüllt:',
+      'exemption.notMet': 'Nicht erfüllt:',
+      'exemption.thresholds': 'Schwellenwerte gültig seit {date} ({source}).',
+      'exemption.vacatedLevel': '{amount}/Woche ab {date}',
+      'exemption.vacated': 'Die Erhöhungen auf {levels} wurden von einem Bundesgericht aufgehoben und gelten nicht.',
+      'exemption.disclaimer': 'Das Recht der Bundesstaaten kann höhere Schwellenwerte festlegen. Dies sind allgemeine Informationen, keine Rechtsberatung.',
+
+      'update.available': 'Eine neue Version des Rechners ist verfügbar.',
+      'update.reload': 'Neu laden',
+      'update.later': 'Später',
+
+      'link.invalid': 'Ungültige Angabe im Link ignoriert ({label})',
+      'link.hourlyRate': 'Stundensatz',
+      'link.customMultiplier': 'eigener Faktor',
+      'link.overtimeRate': 'Überstundensatz',
+      'link.weeklySalary': 'Wochengehalt',
+      'link.salaryHours': 'geplante Stunden',
+      'link.timeframePay': 'Vergütung für den Zeitraum',
+      'link.bonusPay': 'Bonus',
+      'link.commissionPay': 'Provisionen',
+      'link.weeklyHours': 'Wochenstunden',
+      'link.customPeriods': 'Abrechnungszeiträume pro Jahr',
+      'link.workDays': 'Arbeitstage pro Woche',
+      'link.paidHolidays': 'bezahlte Feiertage',
+      'link.ptoDays': 'bezahlte Urlaubstage',
+      'link.overtimeHours': 'Überstunden',
+      'link.regularHours': 'reguläre Stunden',
+      'link.weeklyThreshold': 'Wochenschwelle',
+      'link.currency': 'Währung',
+      'link.payBasis': 'Vergütungsart',
+      'link.multiplier': 'Faktor',
+      'link.timeframe': 'Abrechnungszeitraum',
+      'link.jurisdiction': 'Überstundenregeln',
+      'link.tiers': 'Überstundenstufen',
+      'link.differentials': 'Schichtzulagen',
+      'link.timesheet': 'Stundenzettel',
+
+      'embed.close': 'Schließen',
+      'embed.title': 'Diesen Rechner einbetten',
+      'embed.intro': 'Legen Sie fest, wie der Rechner auf Ihrer Website aussieht, und kopieren Sie dann den Code unten in das HTML Ihrer Website. Der Quellenlink ist erforderlich.',
+      'embed.currency': 'Standardwährung',
+      'embed.multiplier': 'Standardfaktor',
+      'embed.language': 'Standardsprache',
+      'embed.colorPrimary': 'Akzentfarbe',
+      'embed.colorBackground': 'Hintergrund',
+      'embed.colorText': 'Textfarbe',
+      'embed.lock': 'Felder sperren, damit Besucher sie nicht ändern können',
+      'embed.lockCurrency': 'Währung',
+      'embed.lockMultiplier': 'Faktor',
+      'embed.lockJurisdiction': 'Überstundenregeln',
+      'embed.lockHourlyRate': 'Stundenlohn',
+      'embed.lockOvertimeRate': 'Überstundensatz',
+      'embed.lockRegularHours': 'Reguläre Stunden',
+      'embed.compact': 'Kompaktes Layout (blendet Kopfzeile, Stundenlohn-Hilfe und Hinweise aus)',
+      'embed.hint': 'Der Code passt die Größe des Rahmens an seinen Inhalt an. Ihre Seite kann außerdem auf {message}-Nachrichten hören, um jedes Ergebnis auszulesen.',
+      'embed.copy': 'Code kopieren'
+    },
+
+    ja: {
+      'language.label': '言語',
+      'calculator.title': '残業代計算ツール',
+      'calculator.subtitle': '残業代をすばやく正確に計算できます。',
+      'calculator.embed': 'このツールを埋め込む',
+      'calculator.calculate': '残業代を計算',
+      'calculator.callout': '時給と残業時間を入力すると、その週の残業代、通常賃金、合計収入が表示されます。',
+      'calculator.fullSite': 'CalculateOvertimePay.com で完全版を開く',
+
+      'field.currency': '通貨',
+      'field.payBasis': '給与形態',
+      'payBasis.hourly': '時給',
+      'payBasis.salary': '固定給（適用除外外）',
+      'payBasis.fluctuating': '変動労働週（残業は半額割増）',
+      'payBasis.hint': '固定給でも残業代の対象ですか？給与の定め方を選んでください。',
+      'payBasis.hintSalary': '給与は決まった勤務予定に対して支払われます。時給は給与をその予定時間で割った額です。',
+      'payBasis.hintFluctuating': '給与は働いたすべての時間に対して支払われます。基準を超えた1時間ごとに通常賃金の半額が加算されます。',
+      'payBasis.explainSalary': '固定給：{salary} ÷ 予定 {hours} 時間 = {rate}/時。賃金は毎週同じで、残業はその {multiplier} 倍で支払われます。',
+      'payBasis.explainFluctuating': '変動労働週：{salary} の給与がすでに {hours} 時間すべてを賄っているため、今週の通常賃金は {rate}/時で、残業1時間ごとに割増分のみが加算されます。働く時間が長いほど賃金は下がり、短い週は上がります。',
+      'field.weeklySalary': '週給',
+      'field.salaryHours': '給与が対象とする予定労働時間',
+      'field.hourlyRate': '時給',
+
+      'helper.toggle': '時給がわからない場合はこちらで計算',
+      'helper.timeframe': '支払期間',
+      'timeframe.day': '日',
+      'timeframe.week': '週',
+      'timeframe.2weeks': '2週間',
+      'timeframe.semimonthly': '半月（年24回）',
+      'timeframe.month': '月',
+      'timeframe.quarter': '四半期',
+      'timeframe.annual': '年',
+      'timeframe.custom': 'カスタム',
+      'helper.customPeriods': '年間の支払回数',
+      'helper.pay': '選択した期間の支給総額',
+      'helper.weeklyHours': '週の所定労働時間（任意、既定 40）',
+      'helper.workDays': '週の勤務日数（任意、既定 5）',
+      'helper.paidHolidays': '年間の有給祝日数（任意）',
+      'helper.ptoDays': '年間の有給休暇日数（任意）',
+      'helper.ptoHint': '有給の休日は労働時間ではないため、実労働1時間あたりの賃金が上がります。',
+      'helper.calculate': '時給を計算',
+      'helper.result': 'あなたの時給：',
+      'helper.useRate': 'この時給を使う',
+
+      'field.jurisdiction': '残業ルール',
+      'jurisdiction.custom': 'カスタム（固定倍率）',
+      'jurisdiction.hint': '州・県・国を選ぶと、その日単位・週単位の残業基準が適用されます。',
+      'jurisdiction.hintWeekly': '州・県・国を選ぶと、その週単位の残業基準が適用されます。',
+      'jurisdiction.groupUs': 'アメリカ合衆国',
+      'jurisdiction.groupCanada': 'カナダ',
+      'jurisdiction.groupOther': 'その他の国',
+      'jurisdiction.usFlsa': '米国連邦（FLSA）',
+      'jurisdiction.usCa': 'カリフォルニア州',
+      'jurisdiction.usAk': 'アラスカ州',
+      'jurisdiction.usNv': 'ネバダ州',
+      'jurisdiction.usCo': 'コロラド州',
+      'jurisdiction.caFederal': 'カナダ（連邦）',
+      'jurisdiction.caAb': 'アルバータ州',
+      'jurisdiction.caBc': 'ブリティッシュコロンビア州',
+      'jurisdiction.caMb': 'マニトバ州',
+      'jurisdiction.caNb': 'ニューブランズウィック州',
+      'jurisdiction.caNs': 'ノバスコシア州',
+      'jurisdiction.caOn': 'オンタリオ州',
+      'jurisdiction.caPe': 'プリンスエドワードアイランド州',
+      'jurisdiction.caQc': 'ケベック州',
+      'jurisdiction.caSk': 'サスカチュワン州',
+      'jurisdiction.jp': '日本',
+      'jurisdiction.noteAk': '従業員4人以上の使用者に適用されます。',
+      'jurisdiction.noteNv': '日単位の残業は、ネバダ州の最低賃金の1.5倍未満の収入の場合にのみ適用されます。',
+      'jurisdiction.noteMinimumWage': '法定の割増は最低賃金の1.5倍で、あなた自身の時給ではありません。',
+      'jurisdiction.noteJp': '月60時間を超える残業と深夜労働には、より高い割増率が適用されます。',
+      'jurisdiction.bandDaily': '日単位の残業（1日{over}時間超）',
+      'jurisdiction.bandWeekly': '週単位の残業（週{over}時間超）',
+      'jurisdiction.bandSeventh': '連続7日目',
+      'jurisdiction.bandSeventhOver': '連続7日目（{over}時間超）',
+      'jurisdiction.bandSeventhFirst': '連続7日目（最初の{over}時間）',
+      'field.multiplier': '残業代の倍率',
+      'multiplier.timeAndAHalf': '1.5x（5割増）',
+      'multiplier.doubleTime': '2x（倍額）',
+      'multiplier.other': 'その他（カスタム）',
+      'field.customMultiplier': 'カスタム倍率',
+      'field.overtimeRate': '残業時給（任意）',
+      'overtimeRate.placeholder': '空欄なら自動計算',
+      'overtimeRate.hint': '正確な残業時給がわかる場合は、倍率の代わりにここへ入力してください。',
+      'field.overtimeHours': '残業時間',
+      'field.regularHours': '通常の労働時間（任意、既定 40）',
+      'regularHours.hint': '通常（残業以外）の労働時間を入力すると支給総額が表示されます。',
+
+      'tier.add': '+ 残業区分を追加',
+      'tier.title': '区分 {number}',
+      'tier.hours': '時間',
+      'tier.multiplier': '倍率',
+      'tier.custom': 'カスタム',
+      'tier.other': 'その他',
+      'tier.rate': '時給（任意）',
+      'tier.auto': '自動',
+      'row.remove': '{title} を削除',
+
+      'extraPay.toggle': '今週、賞与・歩合・シフト手当がありましたか？',
+      'extraPay.hint': 'FLSA では、裁量によらない賞与、歩合、シフト手当は通常賃金に含まれ、残業時給が上がります。',
+      'extraPay.bonus': '今週の裁量によらない賞与',
+      'extraPay.commission': '今週の歩合',
+      'extraPay.addDifferential': '+ シフト手当を追加',
+      'extraPay.differential': '手当 {number}',
+      'extraPay.differentialRate': '1時間あたりの加算',
+      'extraPay.explain': '基本給 {pay} ÷ {hours} 時間で通常賃金は {hourlyRate}/時ではなく {regularRate}/時となり、残業割増に {adjustment} が加算されます。',
+      'extraPay.explainNoOvertime': '今週は残業がないため、追加の支給は合計に加算されますが、残業割増は変わりません。',
+
+      'timesheet.toggle': '日によって勤務時間が違いますか？週間タイムシートを使う',
+      'timesheet.hint': '勤務した日ごとに開始・終了時刻を入力してください。深夜0時をまたぐ勤務は開始した日に計上されます。',
+      'timesheet.day': '曜日',
+      'timesheet.start': '開始',
+      'timesheet.end': '終了',
+      'timesheet.break': '無給休憩（分）',
+      'timesheet.hours': '時間',
+      'timesheet.total': '合計',
+      'timesheet.startLabel': '{day}の開始時刻',
+      'timesheet.endLabel': '{day}の終了時刻',
+      'timesheet.breakLabel': '{day}の無給休憩（分）',
+      'timesheet.threshold': '残業の基準（週あたりの時間）',
+      'timesheet.clear': 'タイムシートをクリア',
+      'timesheet.summary': '労働 {total} 時間：通常 {regular} + 残業 {overtime}（{rules}）。',
+      'timesheet.rulesJurisdiction': '{name}のルール',
+      'timesheet.rulesWeekly': '週 {hours} 時間超',
+      'timesheet.errorSameTime': '開始と終了が同じ時刻です',
+      'timesheet.errorBreak': '休憩は0以上の分数で入力してください',
+      'timesheet.errorBreakLong': '休憩が勤務時間と同じか、それより長くなっています',
+
+      'deductions.toggle': '税金・控除後の手取りを試算',
+      'deductions.method': '所得税の源泉徴収',
+      'deductions.flat': '一定税率',
+      'deductions.taxRate': '所得税率（%）',
+      'deductions.pretax': '税引前控除（例：401(k)、総支給額に対する%）',
+      'deductions.posttax': '税引後の固定控除（週あたり）',
+      'deductions.hint': 'あくまで試算です。残業代に特別な税率はありませんが、期間の支給額が増えるため源泉徴収額が増えることがあります。',
+      'deductions.supplementalNote': '上の税率は通常の賃金に適用されます。',
+      'deductions.postTaxUnapplied': '税引後の控除額がこの期間の給与を超えているため、{amount} を差し引けませんでした。',
+
+      'conversion.toggle': '結果を別の通貨で表示',
+      'conversion.to': '換算先',
+      'conversion.manualRate': '手動の為替レート：1 {from} = ? {to}（任意）',
+      'conversion.placeholder': '内蔵レートを使用',
+      'conversion.tableHint': '空欄なら {source}（{date}）の {rate} を使います。',
+      'conversion.loading': 'レートを読み込み中です。すぐに換算するにはレートを入力してください。',
+      'conversion.failed': 'レートを読み込めませんでした。換算するにはレートを入力してください。',
+      'conversion.manual': '手動レート',
+
+      'results.title': '残業代の計算結果',
+      'results.forHours': '残業 {hours} 時間分：',
+      'results.overtimePayUnit': '残業代',
+      'results.overtimeRate': '残業時給：',
+      'results.normalWeek': '通常の週なら、収入は：',
+      'results.regularPayHours': '通常賃金（{hours} 時間）：',
+      'results.hourlyRate': '時給：',
+      'results.bonus': '賞与・歩合：',
+      'results.differential': 'シフト手当：',
+      'results.regularRate': '通常賃金率（加重平均）：',
+      'results.adjustment': '通常賃金率による残業調整：',
+      'results.overtimePay': '残業代：',
+      'results.overtimePayLabel': '残業代',
+      'results.regularPay': '通常賃金：',
+      'results.totalPay': '支給総額：',
+      'results.totalWeek': '今週の支給総額：',
+      'results.totalIn': '{currency} での合計：',
+      'results.netRegular': '通常賃金（手取り）：',
+      'results.netOvertime': '残業代（手取り）：',
+      'results.otWithholding': '残業代からの控除：',
+      'results.takeHome': '手取り見込み：',
+      'results.tier': '{label}：{hours} 時間 × {rate}/時（{multiplier}x）',
+      'results.perHour': '{amount}/時',
+      'results.note': '残業代は、時給に残業倍率を掛け、さらに残業時間を掛けて計算します。',
+
+      'action.copy': 'コピー',
+      'action.copyLabel': '結果をコピー',
+      'action.share': 'リンクを共有',
+      'action.shareLabel': 'この計算へのリンクをコピー',
+      'action.save': '今週を保存',
+      'action.saveLabel': '今週を履歴に保存',
+      'action.report': 'レポートを作成',
+      'action.reportLabel': 'この計算の印刷用レポートを開く',
+      'action.reset': 'リセット',
+      'action.resetLabel': '計算ツールをリセット',
+      'action.copied': 'コピーしました',
+      'action.failed': '失敗しました',
+      'action.checkInputs': '入力を確認してください',
+      'action.enterRate': '先に時給を入力してください',
+
+      'error.positiveRate': '正の時給を入力してください',
+      'error.positiveHours': '正の時間を入力してください',
+      'error.notANumber': '数値を入力してください（例：{example}）',
+      'error.positiveAmount': '正の金額を入力してください',
+      'error.aboveZero': '0より大きい数値を入力してください',
+      'error.atMost': '{max}以下で入力してください',
+      'error.range': '{min}〜{max}の数値を入力してください',
+      'error.weekHours': '通常時間と残業時間の合計が1週間の{max}時間を超えています',
+      'error.announce': '{field}：{message}',
+
+      'summary.title': '💰 残業代の計算',
+      'summary.salaryFixed': '週給：{salary}（予定 {hours} 時間）',
+      'summary.salaryFluctuating': '週給：{salary}（変動労働週）',
+      'summary.hourlyRate': '時給：{rate}',
+      'summary.averageOvertimeRate': '平均残業時給：{rate}/時',
+      'summary.multiplier': '残業倍率：{multiplier}x',
+      'summary.overtimeRate': '残業時給：{rate}/時',
+      'summary.overtimeHours': '残業時間：{hours}',
+      'summary.regularHours': '通常の労働時間：{hours}',
+      'summary.tier': '{label}：{hours} 時間 × {rate}/時 = {pay}',
+      'summary.bonus': '賞与・歩合：{amount}',
+      'summary.differential': 'シフト手当：{amount}',
+      'summary.regularRate': '通常賃金率（加重平均）：{rate}/時',
+      'summary.adjustment': '通常賃金率による残業調整：{amount}',
+      'summary.overtimePay': '残業代：{amount}',
+      'summary.regularPay': '通常賃金：{amount}',
+      'summary.totalPay': '支給総額：{amount}',
+      'summary.footer': '📱 残業代の計算は calculateovertimepay.com で',
+
+      'history.notSaved': '保存されていません',
+      'history.storageFull': 'このブラウザーの保存容量がいっぱいのため、週を保存できませんでした。古い週を削除またはエクスポートしてから、もう一度お試しください。',
+      'history.title': '保存した週',
+      'history.intro': '履歴はこのブラウザーにのみ保存され、サーバーには送信されません。',
+      'history.week': '週の開始日',
+      'history.totals': '集計',
+      'history.month': '今月の累計',
+      'history.quarter': '今四半期の累計',
+      'history.year': '今年の累計',
+      'history.cancelEdit': '編集をキャンセル',
+      'history.empty': '保存した週はまだありません。結果の「今週を保存」で履歴を始められます。',
+      'history.colWeek': '週',
+      'history.colHours': '時間（通常／残業）',
+      'history.colOvertimePay': '残業代',
+      'history.colTotalPay': '支給総額',
+      'history.colActions': '操作',
+      'history.saved': '保存しました',
+      'history.update': '保存した週を更新',
+      'history.edit': '編集',
+      'history.delete': '削除',
+      'history.confirmDelete': '{date}の週を削除しますか？',
+      'history.totalLabel': '{period}（{currency}）',
+      'history.totalMeta': '残業代 {overtimePay}・残業 {hours} 時間・{weeks}',
+      'history.weeksOne': '1週',
+      'history.weeksOther': '{count}週',
+
+      'goal.title': '給与目標',
+      'goal.intro': '希望する給与から逆算します。現在の時給で必要な残業時間、または決まった勤務時間で必要な時給を求めます。空欄には計算機の値が使われます。',
+      'goal.target': '目標の週給',
+      'goal.basis': '目標の種類',
+      'goal.gross': '総支給額',
+      'goal.net': '手取り額',
+      'goal.rate': '時給',
+      'goal.multiplier': '残業倍率',
+      'goal.regularHours': '通常の労働時間',
+      'goal.overtimeHours': '残業時間（固定の勤務時間）',
+      'goal.scope': '回答は時給制で、週の労働時間に1つの残業倍率を適用すると仮定しています。計算機の給与形態、州や国の残業ルール、追加の残業段階、賞与、歩合、シフト手当は含まれません。',
+      'goal.netHint': '計算機の「税金・控除後の手取りを試算」にある税金と控除の設定を使います。',
+      'goal.payGross': '総支給 {amount}',
+      'goal.payNet': '手取り {amount}',
+      'goal.hoursNeeded': '必要な残業時間',
+      'goal.rateNeeded': '必要な時給',
+      'goal.notReachable': '達成できません',
+      'goal.hours': '{hours} 時間',
+      'goal.hoursUnreachable': '週の {max} 時間すべて働いても {rate} では届きません',
+      'goal.alreadyMet': '通常の {hours} 時間ですでに {pay} になります',
+      'goal.hoursAnswer': '週 {hours} 時間、{rate} で {pay} になります',
+      'goal.needRate': 'ここまたは計算機に時給を入力してください',
+      'goal.rateAnswer': '通常 {regular} 時間 + 残業 {overtime} 時間（{multiplier}倍）で {pay} になります',
+      'goal.deductionsTooHigh': '控除額がこの勤務時間で得られる額を上回っています',
+      'goal.scheduleRange': '勤務時間には 0〜{max} 時間を入力してください',
+      'goal.hoursGoal': '残業時間の目標',
+      'goal.fixedSchedule': '固定の勤務時間',
+      'goal.warning': '{label}：週 {hours} 時間。',
+      'goal.limitEuWtd': 'EU労働時間指令と英国の労働時間規則が（適用除外に同意しない限り）認める、残業を含む週平均48時間を超えています。',
+      'goal.limitWhoIlo': '週55時間を超える労働は、脳卒中や心疾患のリスク上昇と関連しています（WHO/ILO、2021年）。',
+      'goal.limitEuRest': '78時間を超えると、EUで義務付けられている1日11時間の休息と週1日の休日を確保できません。',
+
+      'premiums.errorIncomplete': '日付、開始時刻、終了時刻を入力してください',
+      'premiums.title': '休日・週末・深夜の割増',
+      'premiums.intro': '日付付きのシフトを入力して、祝日・週末・深夜の割増を計算します。祝日は各国の同梱カレンダーに基づきます。日付をまたぐシフトの午前0時以降の時間には翌日の割増が適用されます。金額には計算機で選択した通貨が使われます。',
+      'premiums.preset': '国別ルール',
+      'premiums.calendar': '祝日カレンダー',
+      'premiums.noCalendar': '祝日なし',
+      'premiums.rate': '時給',
+      'premiums.holidayPercent': '祝日割増（%）',
+      'premiums.saturdayPercent': '土曜割増（%）',
+      'premiums.sundayPercent': '日曜割増（%）',
+      'premiums.nightPercent': '深夜割増（%）',
+      'premiums.nightStart': '深夜の開始',
+      'premiums.nightEnd': '深夜の終了',
+      'premiums.note': '{law}。{note}',
+      'premiums.presetJp': '日本',
+      'premiums.presetJpLaw': '労働基準法第37条',
+      'premiums.presetJpNote': '22時から5時までの深夜労働は、休日割増に加えて25%以上の割増が必要です。35%の休日割増は法定休日の労働に対して必要で、国民の祝日にも支払う使用者が多くあります。',
+      'premiums.presetAuRetail': 'オーストラリア（General Retail Award）',
+      'premiums.presetAuRetailLaw': 'General Retail Industry Award 2020 第22条',
+      'premiums.presetAuRetailNote': 'フルタイムとパートタイムの割増率です。月曜から金曜の18時以降の労働は25%増しです。該当する場合は深夜割増として入力してください。他業種やカジュアル雇用の割増はご自身のアワードを確認してください。',
+      'premiums.presetCaFederal': 'カナダ（連邦）',
+      'premiums.presetCaFederalLaw': 'カナダ労働法典第198条',
+      'premiums.presetCaFederalNote': '一般休日の労働には、通常の休日手当に加えて1.5倍以上が支払われます。',
+      'premiums.presetUk': 'イギリス',
+      'premiums.presetUkLaw': '法定の割増なし',
+      'premiums.presetUkNote': '祝日・日曜・深夜の割増率は雇用契約で決まります。下に入力してください。',
+      'premiums.presetUs': 'アメリカ合衆国',
+      'premiums.presetUsLaw': '連邦法上の義務なし（FLSA）',
+      'premiums.presetUsNote': 'FLSAは祝日・週末・深夜の割増を義務づけていません。使用者が支払う割増を入力してください。シフト手当として残業の通常賃金率に算入されます。',
+      'premiums.kindHoliday': '祝日',
+      'premiums.kindSaturday': '土曜',
+      'premiums.kindSunday': '日曜',
+      'premiums.kindNight': '深夜',
+      'premiums.premiumHours': '{label} +{percent}%：{hours}時間',
+      'premiums.premiumPay': '{premium}、{amount}',
+      'premiums.hoursWithNight': '{hours}（深夜{night}）',
+      'premiums.colStart': '開始',
+      'premiums.colEnd': '終了',
+      'premiums.colBreak': '休憩（分）',
+      'premiums.colDay': '曜日',
+      'premiums.colHours': '時間',
+      'premiums.colPremiums': '割増',
+      'premiums.colTotal': '合計',
+      'premiums.rowDate': 'シフトの日付',
+      'premiums.rowStart': '開始時刻',
+      'premiums.rowEnd': '終了時刻',
+      'premiums.rowBreak': '無給休憩（分）',
+      'premiums.removeShift': 'シフトを削除',
+      'premiums.add': '+ シフトを追加',
+      'premiums.clear': 'シフトをクリア',
+      'premiums.apply': '割増を計算機に追加',
+      'premiums.applyHint': '各割増をシフト手当として計算機に追加し、残業の通常賃金率に算入します。計算機の時間は変わりません。',
+      'premiums.noPremiums': '追加する割増がありません',
+      'premiums.added': '追加しました',
+      'premiums.warningRate': 'シフトを計算するには、ここか計算機に時給を入力してください。',
+      'premiums.warningCalendar': '{calendar}のカレンダーには{years}年の祝日がないため、その日付には祝日割増を適用していません。',
+      'premiums.noPremiumHours': '割増の対象時間なし',
+      'premiums.totalPay': '総支給額（{currency}）',
+      'premiums.totalMeta': '{hours}時間・基本{base}＋割増{premiums}',
+      'premiums.premiumTotal': '割増賃金（{currency}）',
+
+      'import.title': 'インポートとエクスポート',
+      'import.intro': '今週または保存した週を表計算ソフト用にダウンロードするか、時間のCSVをインポートして複数の週をまとめて計算できます。',
+      'import.thisWeek': '今週',
+      'import.savedWeeks': '保存した週',
+      'import.downloadCsv': 'CSVをダウンロード',
+      'import.downloadJson': 'JSONをダウンロード',
+      'import.file': 'CSVをインポート',
+      'import.fileHint': '列：日付、通常時間、残業時間、時給。各行には計算機で選んだ倍率と通貨が使われます。',
+      'import.errorsTitle': 'インポートできなかった行があります：',
+      'import.colLine': '行',
+      'import.colDate': '日付',
+      'import.colRegular': '通常時間',
+      'import.colOvertime': '残業時間',
+      'import.colRate': '時給',
+      'import.downloadResults': '結果のCSVをダウンロード',
+      'import.save': '保存した週に追加',
+      'import.noSavedWeeks': '保存した週がありません',
+      'import.addedOne': '1週を追加しました',
+      'import.addedOther': '{count}週を追加しました',
+      'import.totalOne': '合計（1行）',
+      'import.totalOther': '合計（{count}行）',
+      'import.errorLine': '{line}行目：{message}',
+      'import.errorRead': 'ファイルを読み込めませんでした',
+      'import.errorColumns': '{expected}列（日付、通常時間、残業時間、時給）が必要ですが、{found}列しかありません',
+      'import.errorDate': '日付「{value}」が正しくありません',
+      'import.errorRegularHours': '通常時間「{value}」が正しくありません',
+      'import.errorRegularWeek': '通常時間「{value}」が1週間の{max}時間を超えています',
+      'import.errorOvertimeHours': '残業時間「{value}」が正しくありません',
+      'import.errorOvertimeWeek': '残業時間「{value}」が1週間の{max}時間を超えています',
+      'import.errorWeekHours': '通常時間と残業時間の合計が1週間の{max}時間を超えています',
+      'import.errorRate': '時給「{value}」が正しくありません',
+
+      'backPay.errorColumns': '{expected}列（週、通常時間、残業時間、時給、支払額）が必要ですが、{found}列しかありません',
+      'backPay.errorPaid': '支払額「{value}」が正しくありません',
+      'backPay.title': '未払い賃金の請求',
+      'backPay.intro': '過去の週に支払われるべき賃金を見積もります。各週の時間と時給に実際に受け取った総支給額を入力するか、CSVから取り込みます。各週には計算機で選択した倍率と通貨が使われます。',
+      'backPay.lookback': '遡及期間',
+      'backPay.lookbackFlsa': '2年（FLSAの標準）',
+      'backPay.lookbackWillful': '3年（FLSAの故意の違反）',
+      'backPay.lookbackCustom': 'カスタム（州の期限など）',
+      'backPay.lookbackNone': '制限なし',
+      'backPay.years': '年数',
+      'backPay.asOf': '請求日',
+      'backPay.liquidated': '付加金を加える（未払い賃金が2倍になります）',
+      'backPay.colPaid': '支給額',
+      'backPay.colOwed': '支払うべき額',
+      'backPay.colShortfall': '不足額',
+      'backPay.add': '+ 週を追加',
+      'backPay.addCurrent': '現在の計算を追加',
+      'backPay.clear': '週をクリア',
+      'backPay.fileHint': '列：週の開始日、通常時間、残業時間、時給、支給額。「支給額」はその週に受け取った総支給額です。',
+      'backPay.download': '請求CSVをダウンロード',
+      'backPay.note': '各週は個別に比較されます。ある週の過払いが別の週の不足を相殺することはありません。遡及期間より前の週は表に残りますが、計算には含まれません。これは概算であり、法的助言ではありません。',
+      'backPay.rowWeek': '週の開始日',
+      'backPay.rowRegular': '通常時間',
+      'backPay.rowOvertime': '残業時間',
+      'backPay.rowRate': '時給',
+      'backPay.rowPaid': '受け取った総支給額',
+      'backPay.removeWeek': '週を削除',
+      'backPay.noWeeks': '週が入力されていません',
+      'backPay.excludedTitle': '遡及期間より前（{date}）',
+      'backPay.unpaidWages': '未払い賃金',
+      'backPay.totalClaim': '請求総額',
+      'backPay.cardLabel': '{label}（{currency}）',
+      'backPay.weeksShortOne': '1週のうち{short}週が不足',
+      'backPay.weeksShortOther': '{count}週のうち{short}週が不足',
+      'backPay.since': '{date}以降',
+      'backPay.excludedOne': '期間外の週が1週',
+      'backPay.excludedOther': '期間外の週が{count}週',
+      'backPay.includesDamages': '付加金{amount}を含む',
+      'backPay.wagesOnly': '未払い賃金のみ',
+
+      'report.title': '給与レポート',
+      'report.intro': '給与担当者に渡したり、賃金請求の記録として保管したりできる、この計算の印刷用の記録です。印刷するか、印刷ダイアログで「PDFとして保存」を選んでください。サーバーには何も送信されません。',
+      'report.employeeName': '従業員名',
+      'report.optional': '任意',
+      'report.periodStart': '給与計算期間の開始日',
+      'report.periodEnd': '給与計算期間の終了日',
+      'report.print': '印刷またはPDFで保存',
+      'report.close': '閉じる',
+      'report.preview': 'レポートのプレビュー',
+      'report.errorStart': '給与計算期間の初日を入力してください',
+      'report.errorEnd': '給与計算期間の最終日を入力してください',
+      'report.errorOrder': '給与計算期間の終了日が開始日より前になっています',
+      'report.documentTitle': '残業代レポート',
+      'report.employee': '従業員',
+      'report.notGiven': '未入力',
+      'report.payPeriod': '給与計算期間',
+      'report.periodRange': '{start}～{end}',
+      'report.calculatedOn': '計算日',
+      'report.currency': '通貨',
+      'report.payBasis': '給与形態',
+      'report.fixedSalary': '固定給',
+      'report.fluctuating': '変動労働週',
+      'report.weeklySalary': '週給',
+      'report.hourlyRate': '時給',
+      'report.regularRate': '通常賃金率（賞与・手当込み）',
+      'report.multiplier': '残業の倍率',
+      'report.averageOvertimeRate': '平均残業単価',
+      'report.overtimeRate': '残業単価',
+      'report.hoursWorked': '労働時間',
+      'report.regularHours': '通常時間',
+      'report.overtimeHours': '残業時間',
+      'report.day': '曜日',
+      'report.date': '日付',
+      'report.hours': '時間',
+      'report.total': '合計',
+      'report.weeklyTotals': '週の合計を直接入力しています。日ごとの時間を載せるには、計算機の週間タイムシートを開いてください。',
+      'report.rate': '単価',
+      'report.breakdown': '残業代の内訳',
+      'report.overtime': '残業',
+      'report.pay': '支給額',
+      'report.regularPay': '通常の給与',
+      'report.extraPay': '賞与・歩合・手当',
+      'report.adjustment': '通常賃金率による調整',
+      'report.overtimePay': '残業代',
+      'report.totalPay': '支給総額',
+      'report.rules': '残業のルール',
+      'report.rulesTiers': '地域が選ばれていないため、入力した段階の設定で残業代を計算しています。',
+      'report.rulesFlat': '地域が選ばれていないため、一律{multiplier}倍で残業代を計算しています。',
+      'report.disclaimer': '上記の数値からブラウザー上で計算した概算です。法的助言や公式の給与記録ではありません。',
+
+      'scenario.title': 'シナリオを比較',
+      'scenario.intro': '現在の計算を最大4列にコピーし、いずれかを変更して、基準列との違いを確認できます。金額には計算機で選択した通貨が使われます。',
+      'scenario.add': '+ 現在の計算を追加',
+      'scenario.clear': 'シナリオをクリア',
+      'scenario.empty': 'シナリオはまだありません。週を計算してからここに追加し、1.5倍と2倍の条件などを比較できます。',
+      'scenario.defaultName': 'シナリオ{number}',
+      'scenario.field': '項目',
+      'scenario.nameLabel': 'シナリオ{number}の名前',
+      'scenario.remove': 'シナリオ{number}を削除',
+      'scenario.fieldLabel': '{field}、シナリオ{number}',
+      'scenario.baseline': '基準',
+      'scenario.hourlyRate': '時給',
+      'scenario.multiplier': '倍率',
+      'scenario.overtimeRate': '残業時給（任意）',
+      'scenario.regularHours': '通常時間',
+      'scenario.overtimeHours': '残業時間',
+      'scenario.otherPay': '賞与・その他の支給',
+      'scenario.overtimePay': '残業代',
+      'scenario.regularPay': '通常賃金',
+      'scenario.totalPay': '総支給額',
+      'scenario.effectiveRate': '実質時給',
+      'scenario.deltaOvertimePay': 'Δ 残業代',
+      'scenario.deltaTotalPay': 'Δ 総支給額',
+      'scenario.deltaEffectiveRate': 'Δ 実質時給',
+      'scenario.errorNegative': '時給と時間に負の値は使えません',
+
+      'projection.title': '収入の見通し',
+      'projection.intro': '予算づくりのために、今週または保存した週の平均を1年間に当てはめて見積もります。1か月は52/12週です。金額には計算機で選択した通貨が使われます。',
+      'projection.basis': '基準',
+      'projection.basisCurrent': '今週の計算',
+      'projection.basisHistory': '保存した週の平均',
+      'projection.season': '季節変動',
+      'projection.seasonNone': 'なし（毎月同じ）',
+      'projection.seasonHoliday': '年末商戦（11月〜12月）',
+      'projection.seasonSummer': '夏（6月〜8月）',
+      'projection.seasonTax': '確定申告期（2月〜4月）',
+      'projection.seasonQuarterEnd': '四半期末（3月・6月・9月・12月）',
+      'projection.seasonCustom': '月を指定',
+      'projection.factor': '繁忙月の残業',
+      'projection.factorHint': '通常の週の残業の何倍か（2倍なら2）',
+      'projection.errorFactor': '0以上を入力してください',
+      'projection.peakMonths': '繁忙月',
+      'projection.empty': '計算機に時給を入力すると見通しが表示されます。',
+      'projection.noSavedWeeks': '{currency}で保存した週はまだありません。結果の「{save}」で履歴を作成できます。',
+      'projection.averageOne': '{currency}で保存した1週の平均：週{amount}',
+      'projection.averageOther': '{currency}で保存した{count}週の平均：週{amount}',
+      'projection.annualTotal': '年間総支給額（{currency}）',
+      'projection.annualTotalMeta': '通常{regular}＋残業{overtime}',
+      'projection.annualOvertime': '年間残業代（{currency}）',
+      'projection.annualOvertimeMeta': '残業{hours}時間・総支給額の{share}%',
+      'projection.monthlyAverage': '月平均（{currency}）',
+      'projection.monthlyAverageMeta': '残業代{overtime}・残業{hours}時間',
+      'projection.monthlyCaption': '月ごとの支給額：通常と残業',
+      'projection.cumulativeCaption': '年間の累計収入',
+      'projection.showTable': 'データ表を表示',
+      'projection.hideTable': 'データ表を隠す',
+      'projection.colMonth': '月',
+      'projection.colRegular': '通常賃金',
+      'projection.colOvertime': '残業代',
+      'projection.colOvertimeHours': '残業時間',
+      'projection.colTotal': '総支給額',
+      'projection.colEndOf': '月末',
+      'projection.colRegularToDate': '通常賃金の累計',
+      'projection.colOvertimeToDate': '残業代の累計',
+      'projection.colTotalToDate': '累計',
+      'projection.peak': '（繁忙）',
+      'projection.year': '年間',
+      'projection.legendRegular': '通常賃金',
+      'projection.legendOvertime': '残業代',
+      'projection.barTitle': '{month}：通常{regular}、残業{overtime}',
+      'projection.pointTitle': '{month}末：{amount}',
+      'projection.monthlyFlat': '棒グラフ：毎月{total}、うち残業代{overtime}。',
+      'projection.monthlyRange': '棒グラフ：月の支給額は{lowMonth}の{low}から{highMonth}の{high}まで。{highMonth}の残業代は{overtime}。',
+      'projection.cumulativeDescription': '折れ線グラフ：{month}末までに通常賃金{regular}、残業代{overtime}。',
+
+      'holidays.calendarUs': 'アメリカ合衆国（連邦）',
+      'holidays.calendarCa': 'カナダ（連邦）',
+      'holidays.calendarGb': 'イギリス（イングランドとウェールズ）',
+      'holidays.calendarAu': 'オーストラリア（全国）',
+      'holidays.calendarJp': '日本',
+
+      'crew.title': 'チーム名簿',
+      'crew.intro': 'チーム全員の1週間をまとめて計算します。従業員ごとに1行です。各行は上の計算機と同じ方法で計算されます。倍率が空欄なら計算機の倍率、通常時間が空欄なら40、残業が空欄なら0として扱います。金額には計算機で選択した通貨が使われます。',
+      'crew.colEmployee': '従業員',
+      'crew.colMultiplier': '倍率',
+      'crew.colOvertimePay': '残業代',
+      'crew.colEmployerCost': '使用者負担',
+      'crew.add': '+ 従業員を追加',
+      'crew.clear': '名簿をクリア',
+      'crew.employerView': '社会保険料などを含む使用者負担を表示',
+      'crew.burdenTitle': '使用者負担分（総支給額に対する%）',
+      'crew.addCost': '+ 費用を追加',
+      'crew.burdenHint': '初期値は米国のSocial SecurityとMedicareの使用者負担分です。失業保険、労災保険、福利厚生の料率を追加してください。賃金上限は適用されません。',
+      'crew.rowName': '従業員名',
+      'crew.rowRate': '時給',
+      'crew.rowMultiplier': '残業倍率',
+      'crew.rowRegular': '通常時間',
+      'crew.rowOvertime': '残業時間',
+      'crew.removeEmployee': '従業員を削除',
+      'crew.cost': '費用',
+      'crew.costName': '費用の名前',
+      'crew.costPercent': '総支給額に対する割合',
+      'crew.removeCost': '費用を削除',
+      'crew.burdenSocialSecurity': 'Social Security（使用者負担分）',
+      'crew.burdenMedicare': 'Medicare（使用者負担分）',
+      'crew.burdenUnemployment': '失業保険（FUTA/SUTA）',
+      'crew.burdenWorkersComp': '労災保険',
+      'crew.noEmployees': '書き出す従業員がいません',
+      'crew.errorRate': '時給を入力してください',
+      'crew.errorMultiplier': '倍率は1以上にしてください',
+      'crew.errorRateNumber': '時給は数値で入力してください',
+      'crew.errorRatePositive': '時給は0より大きくしてください',
+      'crew.errorHoursNumber': '時間は数値で入力してください',
+      'crew.errorHoursNegative': '時間に負の値は使えません',
+      'crew.errorWeekHours': '1週間の{max}時間を超えています',
+      'crew.footTotal': 'チーム合計（{count}）',
+      'crew.overtimeCost': 'チームの残業代（{currency}）',
+      'crew.overtimeHours': '残業{hours}時間',
+      'crew.withOvertimeOne': '1人中{count}人が残業',
+      'crew.withOvertimeOther': '{employees}人中{count}人が残業',
+      'crew.skippedOne': 'エラーのある1行は含まれていません',
+      'crew.skippedOther': 'エラーのある{count}行は含まれていません',
+      'crew.grossPay': 'チームの総支給額（{currency}）',
+      'crew.grossPayMeta': '通常{regular}＋残業{overtime}',
+      'crew.employerCost': '使用者負担（{currency}）',
+      'crew.burden': '＋負担分{amount}（{percent}%）',
+      'crew.burdenItems': '＋負担分{amount}（{percent}%）：{items}',
+      'crew.overtimeWithBurden': '負担分を含む残業代は{amount}',
+
+      'exemption.title': '適用除外に当たる？ 資格をチェック',
+      'exemption.intro': '給与と職務についていくつかの質問に答えて、FLSAの適用除外テストを確認します。回答はブラウザの外に送信されません。',
+      'exemption.stepPay': '1. 給与の支払い方',
+      'exemption.payType': '給与の種類',
+      'exemption.salary': '固定給',
+      'exemption.hourly': '時給',
+      'exemption.weeklySalary': '週給',
+      'exemption.hourlyRate': '時給',
+      'exemption.salaryGuaranteed': '給与は固定額で、勤務時間や仕事量が減っても減額されない',
+      'exemption.annualPay': '年間総報酬（任意）',
+      'exemption.annualPayPlaceholder': '週給 × 52',
+      'exemption.annualPayHint': '賞与と歩合給を含めます。高報酬従業員テストに使います。',
+      'exemption.weeklyHours': '通常の週の労働時間',
+      'exemption.stepDuties': '2. 仕事の内容',
+      'exemption.dutiesHint': '主な職務に当てはまるものをすべてチェックしてください。役職名は関係ありません。',
+      'exemption.submit': '判定する',
+      'exemption.prefill': '残業代を計算する',
+      'exemption.dutyGroup': '{name}（{law}）',
+      'exemption.testExecutive': '管理職',
+      'exemption.testAdministrative': '事務職',
+      'exemption.testProfessional': '専門職',
+      'exemption.testComputer': 'コンピューター職',
+      'exemption.testOutsideSales': '外勤営業',
+      'exemption.testHighlyCompensated': '高報酬',
+      'exemption.reasonTest': '{test}：',
+      'exemption.reasonSalaryLevel': '給与水準',
+      'exemption.reasonSalaryBasis': '固定給要件',
+      'exemption.reasonExecutive': '管理職の適用除外',
+      'exemption.reasonAdministrative': '事務職の適用除外',
+      'exemption.reasonProfessional': '専門職の適用除外',
+      'exemption.reasonComputer': 'コンピューター職の適用除外',
+      'exemption.reasonOutsideSales': '外勤営業の適用除外',
+      'exemption.reasonHighlyCompensated': '高報酬従業員',
+      'exemption.questionManagesEnterprise': '主な職務は、事業またはその正式な部門・下部組織の管理である',
+      'exemption.questionDirectsTwo': '常勤従業員2人以上（またはそれに相当する人数）の業務を日常的に指揮している',
+      'exemption.questionHiringAuthority': '採用・解雇の権限がある、または採用・解雇・昇進に関する自分の意見が特に重視される',
+      'exemption.questionOfficeWork': '主な職務は、経営または一般的な事業運営に直接関わる事務的・非肉体的な業務である',
+      'exemption.questionIndependentJudgment': 'その業務には、重要な事項について裁量と独自の判断を行うことが含まれる',
+      'exemption.questionLearned': '仕事に、通常は専門学位で得られる科学・学術分野の高度な知識が必要である',
+      'exemption.questionCreative': '仕事に、確立された芸術・創作分野での創意、想像力、独創性または才能が必要である',
+      'exemption.questionTeacherLawMedicine': '教員である、または免許を持ち法律・医療に従事している',
+      'exemption.questionComputerDuties': 'システムアナリスト、プログラマーまたはソフトウェアエンジニアで、主な職務はコンピューターシステムやプログラムの設計・開発・テスト・改修である',
+      'exemption.questionMakesSales': '主な職務は、販売または注文・契約の獲得である',
+      'exemption.questionAwayFromOffice': '通常かつ日常的に、使用者の事業所の外で働いている',
+      'exemption.salaryLevelMet': '週給{salary}は最低額{minimum}以上です。',
+      'exemption.salaryLevelBelow': '週給{salary}は最低額{minimum}を下回っています。',
+      'exemption.salaryLevelHourly': '時給制では週給{minimum}の要件を満たしません。',
+      'exemption.salaryBasisMet': '給与は事前に決まった額で、仕事の質や量によって減額されません。',
+      'exemption.salaryBasisNotMet': '給与が保証された固定給ではないため、固定給要件を満たしません。',
+      'exemption.dutiesNotMet': '職務が該当しません（{law}）。',
+      'exemption.dutiesMet': '職務が該当し、給与要件も満たしています（{law}）。',
+      'exemption.dutiesSalaryNotMet': '職務は該当しますが、給与要件を満たしていません（{law}）。',
+      'exemption.dutiesPayBelow': '職務は該当しますが、給与要件と時給{rate}のいずれも下回っています（{law}）。',
+      'exemption.hceMet': '年収{annual}は基準額{threshold}を満たし、適用除外の職務を1つ以上行っています（{law}）。',
+      'exemption.hceNoDuty': '年収は基準額{threshold}を満たしますが、適用除外の職務に該当しません（{law}）。',
+      'exemption.hceNotMet': '固定給ベースで{threshold}以上の年収が必要です。現在は{annual}です（{law}）。',
+      'exemption.verdictExemptOne': '適用除外の可能性が高い（{names}）',
+      'exemption.verdictExemptOther': '適用除外の可能性が高い（{names}）',
+      'exemption.verdictNonExempt': '適用除外に当たらない可能性が高い：残業代が支払われるべきと考えられます',
+      'exemption.met': '該当：',
+      'exemption.notMet': '非該当：',
+      'exemption.thresholds': '{date}から適用されている基準額（{source}）。',
+      'exemption.vacatedLevel': '{date}からの週{amount}',
+      'exemption.vacated': '{levels}への引き上げは連邦裁判所により無効とされ、適用されません。',
+      'exemption.disclaimer': '州法でより高い基準額が定められている場合があります。これは一般的な情報であり、法的助言ではありません。',
+
+      'update.available': '計算ツールの新しいバージョンがあります。',
+      'update.reload': '再読み込み',
+      'update.later': '後で',
+
+      'link.invalid': 'リンク内の無効な{label}を無視しました',
+      'link.hourlyRate': '時給',
+      'link.customMultiplier': 'カスタム倍率',
+      'link.overtimeRate': '残業時給',
+      'link.weeklySalary': '週給',
+      'link.salaryHours': '所定労働時間',
+      'link.timeframePay': '期間の給与',
+      'link.bonusPay': '賞与',
+      'link.commissionPay': '歩合給',
+      'link.weeklyHours': '週の労働時間',
+      'link.customPeriods': '年間の給与支払回数',
+      'link.workDays': '週の勤務日数',
+      'link.paidHolidays': '有給の祝日',
+      'link.ptoDays': '有給休暇日数',
+      'link.overtimeHours': '残業時間',
+      'link.regularHours': '通常の労働時間',
+      'link.weeklyThreshold': '週の基準時間',
+      'link.currency': '通貨',
+      'link.payBasis': '給与形態',
+      'link.multiplier': '倍率',
+      'link.timeframe': '支払期間',
+      'link.jurisdiction': '残業ルール',
+      'link.tiers': '残業の段階',
+      'link.differentials': 'シフト手当',
+      'link.timesheet': 'タイムシート',
+
+      'embed.close': '閉じる',
+      'embed.title': 'この計算ツールを埋め込む',
+      'embed.intro': 'サイトでの計算ツールの見た目を選び、下のコードをウェブサイトのHTMLにコピーしてください。クレジットリンクは必須です。',
+      'embed.currency': '既定の通貨',
+      'embed.multiplier': '既定の倍率',
+      'embed.language': '既定の言語',
+      'embed.colorPrimary': 'アクセントカラー',
+      'embed.colorBackground': '背景',
+      'embed.colorText': '文字色',
+      'embed.lock': '訪問者が変更できないように項目をロック',
+      'embed.lockCurrency': '通貨',
+      'embed.lockMultiplier': '倍率',
+      'embed.lockJurisdiction': '残業のルール',
+      'embed.lockHourlyRate': '時給',
+      'embed.lockOvertimeRate': '残業代の単価',
+      'embed.lockRegularHours': '通常の労働時間',
+      'embed.compact': 'コンパクト表示(ヘッダー、時給の計算補助、注記を非表示)',
+      'embed.hint': 'このコードはフレームの高さを内容に合わせて調整します。ページで {message} メッセージを受け取れば、各結果を読み取ることもできます。',
+      'embed.copy': 'コードをコピー'
+    }
+  };
+
+  /**
+   * Add or extend a catalog, e.g. a new language or keys for a new panel
+   */
+  function registerMessages(code, messages) {
+    MESSAGES[code] = Object.assign(MESSAGES[code] || {}, messages);
+  }
+
+  function getLanguage(code) {
+    return LANGUAGES.find(language => language.code === code) || LANGUAGES[0];
+  }
+
+  /**
+   * First supported language from a list of preferences such as
+   * navigator.languages ('de-AT' matches 'de'), else English
+   */
+  function resolveLanguage(preferences) {
+    const codes = LANGUAGES.map(language => language.code);
+    const match = (preferences || [])
+      .map(preference => String(preference || '').toLowerCase().split('-')[0])
+      .find(code => codes.indexOf(code) !== -1);
+    return match || DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Message for a key, falling back to English and then to the key itself
+   *
+   * @param {string} code - Language code
+   * @param {string} key
+   * @param {Object} [params] - Values for {name} placeholders
+   */
+  function translate(code, key, params) {
+    const catalog = MESSAGES[code] || {};
+    const message = catalog[key] !== undefined ? catalog[key] : (MESSAGES[DEFAULT_LANGUAGE][key] !== undefined ? MESSAGES[DEFAULT_LANGUAGE][key] : key);
+    if (!params) return message;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] !== undefined ? String(params[name]) : placeholder);
+  }
+
+  // ============================================
+  // Numbers
+  // ============================================
+
+  const separatorCache = {};
+
+  /**
+   * Decimal and grouping characters for a locale, e.g. de-DE -> ',' and '.'
+   */
+  function getNumberSeparators(locale) {
+    const key = locale || '';
+    if (separatorCache[key]) return separatorCache[key];
+
+    let parts;
+    try {
+      parts = new Intl.NumberFormat(locale || undefined).formatToParts(1234567.5);
+    } catch (e) {
+      parts = [];
+    }
+
+    const find = type => (parts.find(part => part.type === type) || {}).value;
+    separatorCache[key] = { decimal: find('decimal') || '.', group: find('group') || ',' };
+    return separatorCache[key];
+  }
+
+  function isGrouped(text, separator) {
+    return new RegExp('^-?[1-9]\\d{0,2}(\\' + separator + '\\d{3})+$').test(text);
+  }
+
+  /**
+   * Parse a number typed by a person. With both '.' and ',' present, the
+   * last one is the decimal point ("1.234,50" and "1,234.50" are both
+   * 1234.5). A lone separator is read as the locale's grouping only when it
+   * splits off groups of three digits ("1.234" in German is 1234, "7.5" is
+   * 7.5); otherwise it is a decimal point. Spaces and apostrophes are
+   * ignored as grouping.
+   *
+   * @param {string|number} value
+   * @param {string} [locale]
+   * @returns {number} NaN when blank or not a number
+   */
+  function parseLocaleNumber(value, locale) {
+    if (typeof value === 'number') return value;
+
+    let text = String(value === null || value === undefined ? '' : value)
+      .trim()
+      .replace(/[\s  '’]/g, '')
+      .replace(/^−/, '-');
+    if (!text) return NaN;
+
+    const separators = getNumberSeparators(locale);
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    let decimal = null;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const repeated = text.indexOf(separator) !== text.lastIndexOf(separator);
+      const grouped = isGrouped(text, separator);
+
+      if (repeated && !grouped) return NaN;
+      decimal = repeated || (grouped && separator === separators.group) ? null : separator;
+    }
+
+    if (decimal) {
+      text = text.split(decimal === '.' ? ',' : '.').join('').replace(decimal, '.');
+    } else {
+      text = text.replace(/[.,]/g, '');
+    }
+
+    return /^-?(\d+(\.\d*)?|\.\d+)$/.test(text) ? Number(text) : NaN;
+  }
+
+  /**
+   * A number as it should appear in a text input for a locale: no grouping,
+   * the locale's decimal character. Plain number strings keep their digits
+   * ("25.50" stays two decimals).
+   */
+  function formatInputNumber(value, locale) {
+    if (value === '' || value === null || value === undefined) return '';
+
+    const text = typeof value === 'number' ? String(value) : String(value).trim();
+    if (!/^-?\d+(\.\d+)?$/.test(text)) return text;
+
+    return text.replace('.', getNumberSeparators(locale).decimal);
+  }
+
+  return {
+    LANGUAGES: LANGUAGES,
+    DEFAULT_LANGUAGE: DEFAULT_LANGUAGE,
+    MESSAGES: MESSAGES,
+    registerMessages: registerMessages,
+    getLanguage: getLanguage,
+    resolveLanguage: resolveLanguage,
+    translate: translate,
+    getNumberSeparators: getNumberSeparators,
+    parseLocaleNumber: parseLocaleNumber,
+    formatInputNumber: formatInputNumber
+  };
+});
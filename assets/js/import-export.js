@@ -0,0 +1,304 @@
+/**
+ * Overtime Pay Calculator - Import / Export
+ * CSV and JSON serialization of breakdowns, plus CSV import of weekly hours
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory(root.OvertimePay || (typeof require === 'function' ? require('./overtime-engine.js') : {}));
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function(engine) {
+  'use strict';
+
+  /*
+   * Columns shared by every export - the same figures the results panel shows
+   */
+  const BREAKDOWN_COLUMNS = [
+    { key: 'weekOf', header: 'week_of' },
+    { key: 'currency', header: 'currency' },
+    { key: 'hourlyRate', header: 'hourly_rate', money: true },
+    { key: 'multiplier', header: 'multiplier' },
+    { key: 'overtimeRate', header: 'overtime_rate', money: true },
+    { key: 'regularHours', header: 'regular_hours' },
+    { key: 'overtimeHours', header: 'overtime_hours' },
+    { key: 'regularPay', header: 'regular_pay', money: true },
+    { key: 'overtimePay', header: 'overtime_pay', money: true },
+    { key: 'totalPay', header: 'total_pay', money: true }
+  ];
+
+  const IMPORT_COLUMNS = ['date', 'regular hours', 'overtime hours', 'rate'];
+
+  const MAX_WEEK_HOURS = 168;
+
+  // The symbols the currency selector formats with: $ C$ A$ S$ MX$ NZ$ £ € ¥ ₹ CHF
+  const CURRENCY_SYMBOL = /^(?:MX\$|NZ\$|[ACS]?\$|CHF|[£€¥₹])\s*/;
+
+  // ============================================
+  // CSV
+  // ============================================
+
+  function escapeCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  /**
+   * Serialize objects to CSV using [{key, header}] column definitions
+   */
+  function toCsv(rows, columns) {
+    const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => escapeCell(row[column.key])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Parse CSV text into rows of cells. Handles quoted cells, escaped quotes
+   * and CRLF/LF line endings. Each row records the line it started on.
+   */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    text = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') line++;
+          cell += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        row.line = rowLine;
+        rows.push(row);
+        row = [];
+        cell = '';
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length) {
+      row.push(cell);
+      row.line = rowLine;
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  function round(value, places) {
+    const factor = Math.pow(10, places);
+    return Math.round((Number(value) || 0) * factor) / factor;
+  }
+
+  /**
+   * Flatten a computeOvertime() result or a saved week into an export record
+   */
+  function toExportRecord(source) {
+    const record = {};
+    BREAKDOWN_COLUMNS.forEach(column => {
+      const value = source[column.key];
+      if (value === undefined || value === null || value === '') {
+        record[column.key] = '';
+      } else {
+        record[column.key] = typeof value === 'number' ? round(value, column.money ? 2 : 4) : value;
+      }
+    });
+    return record;
+  }
+
+  function breakdownsToCsv(items) {
+    return toCsv(items.map(toExportRecord), BREAKDOWN_COLUMNS);
+  }
+
+  function breakdownsToJson(items, extra) {
+    return JSON.stringify(Object.assign({
+      exportedAt: new Date().toISOString(),
+      rows: items.map(toExportRecord)
+    }, extra || {}), null, 2);
+  }
+
+  // ============================================
+  // Import
+  // ============================================
+
+  /**
+   * Normalize YYYY-MM-DD or M/D/YYYY to YYYY-MM-DD, or null when invalid
+   */
+  function parseDate(value) {
+    const text = String(value || '').trim();
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+    let year, month, day;
+
+    if (match) {
+      year = +match[1]; month = +match[2]; day = +match[3];
+    } else {
+      match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+      if (!match) return null;
+      year = +match[3]; month = +match[1]; day = +match[2];
+    }
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Parse a plain decimal ("12", "12.5", ".5"), optionally after a currency
+   * symbol, or null for anything else
+   */
+  function parseAmount(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim().replace(CURRENCY_SYMBOL, '');
+    if (!/^-?(?:\d+(?:\.\d+)?|\.\d+)$/.test(text)) return null;
+    return parseFloat(text);
+  }
+
+  /**
+   * A row problem: an i18n message key and its params
+   */
+  function problem(key, params) {
+    return { key: key, params: params || {} };
+  }
+
+  /**
+   * Problems with one row's regular and overtime hours: each must be a
+   * number from 0 to MAX_WEEK_HOURS, and so must their sum
+   *
+   * @returns {Array<{key: string, params: Object}>}
+   */
+  function checkWeekHours(regularHours, overtimeHours, cells) {
+    const problems = [];
+    const week = { max: MAX_WEEK_HOURS };
+
+    if (regularHours === null || regularHours < 0) problems.push(problem('import.errorRegularHours', { value: cells[1].trim() }));
+    else if (regularHours > MAX_WEEK_HOURS) problems.push(problem('import.errorRegularWeek', Object.assign({ value: cells[1].trim() }, week)));
+
+    if (overtimeHours === null || overtimeHours < 0) problems.push(problem('import.errorOvertimeHours', { value: cells[2].trim() }));
+    else if (overtimeHours > MAX_WEEK_HOURS) problems.push(problem('import.errorOvertimeWeek', Object.assign({ value: cells[2].trim() }, week)));
+
+    if (!problems.length && regularHours + overtimeHours > MAX_WEEK_HOURS) {
+      problems.push(problem('import.errorWeekHours', week));
+    }
+
+    return problems;
+  }
+
+  /**
+   * Parse "date, regular hours, overtime hours, rate" rows. A header row is
+   * skipped when its first cell isn't a date. Bad rows are reported by line,
+   * with their problems as i18n message keys, and left out of rows.
+   *
+   * @returns {{rows: Array<{line: number, date: string, regularHours: number, overtimeHours: number, hourlyRate: number}>, errors: Array<{line: number, problems: Array<{key: string, params: Object}>}>}}
+   */
+  function parseHoursCsv(text) {
+    const rows = [];
+    const errors = [];
+
+    parseCsv(text).forEach((cells, index) => {
+      if (cells.every(cell => cell.trim() === '')) return;
+      if (index === 0 && !parseDate(cells[0])) return;
+
+      const line = cells.line;
+
+      if (cells.length < IMPORT_COLUMNS.length) {
+        errors.push({ line: line, problems: [problem('import.errorColumns', { expected: IMPORT_COLUMNS.length, found: cells.length })] });
+        return;
+      }
+
+      const date = parseDate(cells[0]);
+      const regularHours = parseAmount(cells[1]);
+      const overtimeHours = parseAmount(cells[2]);
+      const hourlyRate = parseAmount(cells[3]);
+      const problems = [];
+
+      if (!date) problems.push(problem('import.errorDate', { value: cells[0].trim() }));
+      problems.push(...checkWeekHours(regularHours, overtimeHours, cells));
+      if (hourlyRate === null || hourlyRate <= 0) problems.push(problem('import.errorRate', { value: cells[3].trim() }));
+
+      if (problems.length) {
+        errors.push({ line: line, problems: problems });
+        return;
+      }
+
+      rows.push({ line: line, date: date, regularHours: regularHours, overtimeHours: overtimeHours, hourlyRate: hourlyRate });
+    });
+
+    return { rows: rows, errors: errors };
+  }
+
+  /**
+   * Run imported rows through computeOvertime with shared settings
+   * (multiplier, currency) and total them
+   */
+  function calculateBatch(rows, settings) {
+    settings = settings || {};
+
+    const results = rows.map(row => Object.assign(engine.computeOvertime({
+      hourlyRate: row.hourlyRate,
+      regularHours: row.regularHours,
+      overtimeHours: row.overtimeHours,
+      multiplier: settings.multiplier,
+      currency: settings.currency
+    }), { weekOf: row.date, line: row.line }));
+
+    const totals = results.reduce((sum, result) => {
+      sum.regularHours += result.regularHours;
+      sum.overtimeHours += result.overtimeHours;
+      sum.regularPay += result.regularPay;
+      sum.overtimePay += result.overtimePay;
+      sum.totalPay += result.totalPay;
+      return sum;
+    }, { regularHours: 0, overtimeHours: 0, regularPay: 0, overtimePay: 0, totalPay: 0 });
+
+    return { results: results, totals: totals };
+  }
+
+  return {
+    BREAKDOWN_COLUMNS: BREAKDOWN_COLUMNS,
+    toCsv: toCsv,
+    parseCsv: parseCsv,
+    parseDate: parseDate,
+    parseAmount: parseAmount,
+    checkWeekHours: checkWeekHours,
+    breakdownsToCsv: breakdownsToCsv,
+    breakdownsToJson: breakdownsToJson,
+    parseHoursCsv: parseHoursCsv,
+    calculateBatch: calculateBatch
+  };
+});
@@ -0,0 +1,313 @@
+/**
+ * Overtime Pay Calculator - Jurisdiction Rules
+ * Data-driven overtime rules and the engine that turns hours into tiers
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // ============================================
+  // Rule Data
+  // ============================================
+
+  /*
+   * Each jurisdiction lists the thresholds that trigger overtime:
+   *   daily      - bands of hours per day, e.g. over 8 at 1.5x, over 12 at 2x
+   *   weekly     - straight-time hours per week before overtime applies
+   *   seventhDay - bands for the 7th consecutive day worked in the workweek
+   * Hours already paid as daily overtime never count again toward weekly
+   * overtime (no pyramiding). key, groupKey and noteKey are the i18n message
+   * keys of the name, group and note.
+   */
+  const JURISDICTIONS = [
+    {
+      id: 'us-flsa',
+      group: 'United States',
+      groupKey: 'jurisdiction.groupUs',
+      name: 'US Federal (FLSA)',
+      key: 'jurisdiction.usFlsa',
+      law: 'Fair Labor Standards Act, 29 U.S.C. § 207',
+      weekly: { over: 40, multiplier: 1.5 }
+    },
+    {
+      id: 'us-ca',
+      group: 'United States',
+      groupKey: 'jurisdiction.groupUs',
+      name: 'California',
+      key: 'jurisdiction.usCa',
+      law: 'California Labor Code § 510',
+      daily: [{ over: 8, multiplier: 1.5 }, { over: 12, multiplier: 2 }],
+      weekly: { over: 40, multiplier: 1.5 },
+      seventhDay: [{ over: 0, multiplier: 1.5 }, { over: 8, multiplier: 2 }]
+    },
+    {
+      id: 'us-ak',
+      group: 'United States',
+      groupKey: 'jurisdiction.groupUs',
+      name: 'Alaska',
+      key: 'jurisdiction.usAk',
+      law: 'Alaska Stat. § 23.10.060',
+      daily: [{ over: 8, multiplier: 1.5 }],
+      weekly: { over: 40, multiplier: 1.5 },
+      note: 'Applies to employers with 4 or more employees.',
+      noteKey: 'jurisdiction.noteAk'
+    },
+    {
+      id: 'us-nv',
+      group: 'United States',
+      groupKey: 'jurisdiction.groupUs',
+      name: 'Nevada',
+      key: 'jurisdiction.usNv',
+      law: 'Nevada Revised Statutes § 608.018',
+      daily: [{ over: 8, multiplier: 1.5 }],
+      weekly: { over: 40, multiplier: 1.5 },
+      note: 'Daily overtime only applies if you earn less than 1.5x the Nevada minimum wage.',
+      noteKey: 'jurisdiction.noteNv'
+    },
+    {
+      id: 'us-co',
+      group: 'United States',
+      groupKey: 'jurisdiction.groupUs',
+      name: 'Colorado',
+      key: 'jurisdiction.usCo',
+      law: 'Colorado COMPS Order #39, Rule 4',
+      daily: [{ over: 12, multiplier: 1.5 }],
+      weekly: { over: 40, multiplier: 1.5 }
+    },
+    {
+      id: 'ca-federal',
+      group: 'Canada',
+      groupKey: 'jurisdiction.groupCanada',
+      name: 'Canada (Federal)',
+      key: 'jurisdiction.caFederal',
+      law: 'Canada Labour Code, s. 174',
+      daily: [{ over: 8, multiplier: 1.5 }],
+      weekly: { over: 40, multiplier: 1.5 }
+    },
+    {
+      id: 'ca-ab',
+      group: 'Canada',
+      groupKey: 'jurisdiction.groupCanada',
+      name: 'Alberta',
+      key: 'jurisdiction.caAb',
+      law: 'Alberta Employment Standards Code, s. 21',
+      daily: [{ over: 8, multiplier: 1.5 }],
+      weekly: { over: 44, multiplier: 1.5 }
+    },
+    {
+      id: 'ca-bc',
+      group: 'Canada',
+      groupKey: 'jurisdiction.groupCanada',
+      name: 'British Columbia',
+      key: 'jurisdiction.caBc',
+      law: 'BC Employment Standards Act, s. 40',
+      daily: [{ over: 8, multiplier: 1.5 }, { over: 12, multiplier: 2 }],
+      weekly: { over: 40, multiplier: 1.5 }
+    },
+    {
+      id: 'ca-mb',
+      group: 'Canada',
+      groupKey: 'jurisdiction.groupCanada',
+      name: 'Manitoba',
+      key: 'jurisdiction.caMb',
+      law: 'Manitoba Employment Standards Code, s. 17',
+      daily: [{ over: 8, multiplier: 1.5 }],
+      weekly: { over: 40, multiplier: 1.5 }
+    },
+    {
+      id: 'ca-nb',
+      group: 'Canada',
+      groupKey: 'jurisdiction.groupCanada',
+      name: 'New Brunswick',
+      key: 'jurisdiction.caNb',
+      law: 'NB Minimum Wage Regulation 2011-56',
+      weekly: { over: 44, multiplier: 1.5 },
+      note: 'The statutory premium is 1.5x the minimum wage, not your own rate.',
+      noteKey: 'jurisdiction.noteMinimumWage'
+    },
+    {
+      id: 'ca-ns',
+      group: 'Canada',
+      groupKey: 'jurisdiction.groupCanada',
+      name: 'Nova Scotia',
+      key: 'jurisdiction.caNs',
+      law: 'NS Minimum Wage Order (General), s. 7',
+      weekly: { over: 48, multiplier: 1.5 },
+      note: 'The statutory premium is 1.5x the minimum wage, not your own rate.',
+      noteKey: 'jurisdiction.noteMinimumWage'
+    },
+    {
+      id: 'ca-on',
+      group: 'Canada',
+      groupKey: 'jurisdiction.groupCanada',
+      name: 'Ontario',
+      key: 'jurisdiction.caOn',
+      law: 'Ontario Employment Standards Act, s. 22',
+      weekly: { over: 44, multiplier: 1.5 }
+    },
+    {
+      id: 'ca-pe',
+      group: 'Canada',
+      groupKey: 'jurisdiction.groupCanada',
+      name: 'Prince Edward Island',
+      key: 'jurisdiction.caPe',
+      law: 'PEI Employment Standards Act, s. 16',
+      weekly: { over: 48, multiplier: 1.5 }
+    },
+    {
+      id: 'ca-qc',
+      group: 'Canada',
+      groupKey: 'jurisdiction.groupCanada',
+      name: 'Quebec',
+      key: 'jurisdiction.caQc',
+      law: 'Quebec Act respecting labour standards, s. 52',
+      weekly: { over: 40, multiplier: 1.5 }
+    },
+    {
+      id: 'ca-sk',
+      group: 'Canada',
+      groupKey: 'jurisdiction.groupCanada',
+      name: 'Saskatchewan',
+      key: 'jurisdiction.caSk',
+      law: 'Saskatchewan Employment Act, s. 2-18',
+      daily: [{ over: 8, multiplier: 1.5 }],
+      weekly: { over: 40, multiplier: 1.5 }
+    },
+    {
+      id: 'jp',
+      group: 'Other Countries',
+      groupKey: 'jurisdiction.groupOther',
+      name: 'Japan',
+      key: 'jurisdiction.jp',
+      law: 'Labor Standards Act, Article 37',
+      daily: [{ over: 8, multiplier: 1.25 }],
+      weekly: { over: 40, multiplier: 1.25 },
+      note: 'Monthly overtime beyond 60 hours and late-night work carry higher premiums.',
+      noteKey: 'jurisdiction.noteJp'
+    }
+  ];
+
+  // ============================================
+  // Rule Engine
+  // ============================================
+
+  function getJurisdiction(id) {
+    return JURISDICTIONS.find(jurisdiction => jurisdiction.id === id) || null;
+  }
+
+  /**
+   * A band's label in English, and as an i18n message key and params
+   */
+  function describeBand(kind, band, next) {
+    if (kind !== 'seventhDay') {
+      return { label: `Daily overtime, over ${band.over} hrs/day`, labelKey: 'jurisdiction.bandDaily', params: { over: band.over } };
+    }
+    if (band.over > 0) {
+      return { label: `7th consecutive day, over ${band.over} hrs`, labelKey: 'jurisdiction.bandSeventhOver', params: { over: band.over } };
+    }
+    return next
+      ? { label: `7th consecutive day, first ${next.over} hrs`, labelKey: 'jurisdiction.bandSeventhFirst', params: { over: next.over } }
+      : { label: '7th consecutive day', labelKey: 'jurisdiction.bandSeventh', params: {} };
+  }
+
+  /**
+   * Split one day's hours into straight time and overtime bands
+   */
+  function splitDay(hours, bands, kind, addTier) {
+    const sorted = bands.slice().sort((a, b) => a.over - b.over);
+    const straight = Math.min(hours, sorted[0].over);
+
+    sorted.forEach((band, index) => {
+      const next = sorted[index + 1];
+      const ceiling = next ? next.over : Infinity;
+      const inBand = Math.max(0, Math.min(hours, ceiling) - band.over);
+      if (inBand > 0) addTier(describeBand(kind, band, next), band.multiplier, inBand);
+    });
+
+    return straight;
+  }
+
+  /**
+   * Apply a jurisdiction's rules to a week of hours.
+   *
+   * Pass daily hours (Monday-first, one entry per day) for daily and 7th-day
+   * rules. With only a weekly total, just the weekly threshold can apply.
+   *
+   * @param {Object} jurisdiction - An entry from JURISDICTIONS
+   * @param {{days: number[]}|{totalHours: number}} hours
+   * @returns {{regularHours: number, overtimeHours: number, tiers: Array, dailyRulesApplied: boolean}}
+   *   each tier labelled in English, and as an i18n message key and params
+   */
+  function applyJurisdiction(jurisdiction, hours) {
+    const tiers = [];
+    const days = Array.isArray(hours.days) ? hours.days.map(day => Math.max(0, parseFloat(day) || 0)) : null;
+
+    function addTier(band, multiplier, amount) {
+      const existing = tiers.find(tier => tier.label === band.label && tier.multiplier === multiplier);
+      if (existing) {
+        existing.hours += amount;
+      } else {
+        tiers.push({
+          label: band.label,
+          labelKey: band.labelKey,
+          params: band.params,
+          multiplier: multiplier,
+          hours: amount,
+          source: jurisdiction.law
+        });
+      }
+    }
+
+    let straightHours;
+
+    if (days) {
+      const workedEveryDay = days.length === 7 && days.every(day => day > 0);
+
+      straightHours = days.reduce((sum, dayHours, index) => {
+        if (jurisdiction.seventhDay && workedEveryDay && index === 6) {
+          return sum + splitDay(dayHours, jurisdiction.seventhDay, 'seventhDay', addTier);
+        }
+        if (jurisdiction.daily) {
+          return sum + splitDay(dayHours, jurisdiction.daily, 'daily', addTier);
+        }
+        return sum + dayHours;
+      }, 0);
+    } else {
+      straightHours = Math.max(0, parseFloat(hours.totalHours) || 0);
+    }
+
+    let regularHours = straightHours;
+    const weekly = jurisdiction.weekly;
+    if (weekly && straightHours > weekly.over) {
+      regularHours = weekly.over;
+      addTier({
+        label: `Weekly overtime, over ${weekly.over} hrs/week`,
+        labelKey: 'jurisdiction.bandWeekly',
+        params: { over: weekly.over }
+      }, weekly.multiplier, straightHours - weekly.over);
+    }
+
+    return {
+      regularHours: regularHours,
+      overtimeHours: tiers.reduce((sum, tier) => sum + tier.hours, 0),
+      tiers: tiers,
+      dailyRulesApplied: Boolean(days)
+    };
+  }
+
+  return {
+    JURISDICTIONS: JURISDICTIONS,
+    getJurisdiction: getJurisdiction,
+    applyJurisdiction: applyJurisdiction
+  };
+});
@@ -0,0 +1,342 @@
+/**
+ * Overtime Pay Calculator - Web Component
+ * <overtime-calculator> custom element with its own shadow DOM, so any
+ * number of instances can share a page. Requires i18n.js,
+ * overtime-engine.js and validation.js.
+ *
+ *   <overtime-calculator currency="EUR" multiplier="2" locale="de-DE"></overtime-calculator>
+ *
+ * Attributes: currency, multiplier, locale, hourly-rate, overtime-hours, regular-hours
+ * Events:     change - an input was edited (detail: state)
+ *             result - a calculation finished (detail: computeOvertime result)
+ */
+
+(function() {
+  'use strict';
+
+  if (typeof window === 'undefined' || !window.customElements || window.customElements.get('overtime-calculator')) return;
+
+  // labelKey is the option's i18n message key
+  const MULTIPLIERS = [
+    { value: '1.5', label: '1.5x (Time and a Half)', labelKey: 'multiplier.timeAndAHalf' },
+    { value: '1.75', label: '1.75x' },
+    { value: '2', label: '2x (Double Time)', labelKey: 'multiplier.doubleTime' }
+  ];
+
+  // Attribute -> form field name
+  const FIELD_ATTRIBUTES = {
+    'hourly-rate': 'hourlyRate',
+    'overtime-hours': 'overtimeHours',
+    'regular-hours': 'regularHours',
+    'multiplier': 'multiplier'
+  };
+
+  // Form field -> its bounds key in OvertimePay.INPUT_BOUNDS
+  const FIELD_BOUNDS = {
+    hourlyRate: 'hourlyRate',
+    multiplier: 'customMultiplier',
+    overtimeHours: 'overtimeHours',
+    regularHours: 'regularHours'
+  };
+
+  // Fields typed as numbers in the locale
+  const NUMBER_FIELDS = ['hourlyRate', 'overtimeHours', 'regularHours'];
+
+  // Page styles don't reach the shadow root; the site's custom properties do
+  const STYLES = `
+    :host {
+      display: block;
+      font-family: inherit;
+      color: var(--color-text, #1f2937);
+    }
+    :host([hidden]) {
+      display: none;
+    }
+    form {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(11rem, 1fr));
+      gap: 0.75rem;
+      margin: 0;
+    }
+    label {
+      display: flex;
+      flex-direction: column;
+      gap: 0.25rem;
+      font-size: 0.875rem;
+      font-weight: 600;
+    }
+    input, select {
+      font: inherit;
+      font-weight: 400;
+      padding: 0.5rem 0.625rem;
+      border: 1px solid var(--color-border, #e5e7eb);
+      border-radius: 6px;
+      background: #fff;
+      color: inherit;
+    }
+    input:focus, select:focus {
+      outline: 2px solid var(--color-primary, #F54900);
+      outline-offset: 1px;
+    }
+    input[aria-invalid="true"] {
+      border-color: var(--color-error, #ef4444);
+    }
+    .error {
+      min-height: 1.25em;
+      margin: 0.5rem 0 0;
+      font-size: 0.8125rem;
+      color: var(--color-error, #ef4444);
+    }
+    .result {
+      margin-top: 0.5rem;
+      padding: 1rem;
+      border-radius: 8px;
+      background: var(--color-bg, #FFF7ED);
+    }
+    .result-value {
+      display: block;
+      font-size: 1.75rem;
+      font-weight: 700;
+      color: var(--color-primary, #F54900);
+    }
+    dl {
+      display: grid;
+      grid-template-columns: 1fr auto;
+      gap: 0.25rem 1rem;
+      margin: 0.75rem 0 0;
+      font-size: 0.875rem;
+    }
+    dt {
+      color: var(--color-text-light, #6b7280);
+    }
+    dd {
+      margin: 0;
+      font-weight: 600;
+      text-align: right;
+    }
+  `;
+
+  const TEMPLATE = `
+    <style>${STYLES}</style>
+    <form part="form" novalidate>
+      <label><span data-i18n="field.hourlyRate">Hourly Pay Rate</span>
+        <input name="hourlyRate" type="text" placeholder="0.00" inputmode="decimal" aria-describedby="error">
+      </label>
+      <label><span data-i18n="field.multiplier">Overtime Pay Multiplier</span>
+        <select name="multiplier" aria-describedby="error">
+          ${MULTIPLIERS.map(option => `<option value="${option.value}"${option.labelKey ? ` data-i18n="${option.labelKey}"` : ''}>${option.label}</option>`).join('')}
+        </select>
+      </label>
+      <label><span data-i18n="field.overtimeHours">Overtime Hours Worked</span>
+        <input name="overtimeHours" type="text" placeholder="0" inputmode="decimal" aria-describedby="error">
+      </label>
+      <label><span data-i18n="field.regularHours">Regular Hours Worked (optional, default 40)</span>
+        <input name="regularHours" type="text" placeholder="40" inputmode="decimal" aria-describedby="error">
+      </label>
+    </form>
+    <p class="error" id="error" part="error" role="alert"></p>
+    <div class="result" part="result" aria-live="polite">
+      <span data-i18n="results.overtimePayLabel">Overtime Pay</span>
+      <strong class="result-value" data-result="overtimePay"></strong>
+      <dl>
+        <dt data-i18n="results.overtimeRate">Overtime Rate:</dt><dd data-result="overtimeRate"></dd>
+        <dt data-i18n="results.regularPay">Regular Pay:</dt><dd data-result="regularPay"></dd>
+        <dt data-i18n="results.totalPay">Total Pay:</dt><dd data-result="totalPay"></dd>
+      </dl>
+    </div>
+  `;
+
+  class OvertimeCalculatorElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['currency', 'locale'].concat(Object.keys(FIELD_ATTRIBUTES));
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: 'open' });
+      this.shadowRoot.innerHTML = TEMPLATE;
+      this._form = this.shadowRoot.querySelector('form');
+      this._error = this.shadowRoot.querySelector('.error');
+      this._result = null;
+
+      // Locale the number fields are typed in; null until first labelled
+      this._inputLocale = null;
+
+      // Inner change events don't cross the shadow boundary; re-emit one for the element
+      this._form.addEventListener('input', () => this._update(true));
+      this._form.addEventListener('change', e => e.stopPropagation());
+    }
+
+    connectedCallback() {
+      this._localize();
+      Object.keys(FIELD_ATTRIBUTES).forEach(name => {
+        if (this.hasAttribute(name)) this._setField(FIELD_ATTRIBUTES[name], this.getAttribute(name));
+      });
+      this._update(false);
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue === newValue) return;
+      if (FIELD_ATTRIBUTES[name]) this._setField(FIELD_ATTRIBUTES[name], newValue || '');
+      if (!this.isConnected) return;
+      if (name === 'locale') this._localize();
+      this._update(false);
+    }
+
+    get currency() {
+      return (this.getAttribute('currency') || 'USD').toUpperCase();
+    }
+
+    set currency(value) {
+      this.setAttribute('currency', value);
+    }
+
+    get locale() {
+      return this.getAttribute('locale') || document.documentElement.lang || undefined;
+    }
+
+    set locale(value) {
+      this.setAttribute('locale', value);
+    }
+
+    /**
+     * Current inputs, in the shape computeOvertime accepts. Numbers are
+     * plain number strings ("1234.5") whatever the locale; text that
+     * isn't a number is passed through for validation to reject.
+     */
+    get state() {
+      return {
+        currency: this.currency,
+        hourlyRate: this._readNumber('hourlyRate'),
+        multiplier: this._form.elements.multiplier.value,
+        overtimeHours: this._readNumber('overtimeHours'),
+        regularHours: this._readNumber('regularHours')
+      };
+    }
+
+    /**
+     * Last calculation, or null before the rate and hours are filled in
+     * or while one is in error
+     */
+    get result() {
+      return this._result;
+    }
+
+    _t(key, params) {
+      return window.OvertimePay.translate(window.OvertimePay.resolveLanguage([this.locale]), key, params);
+    }
+
+    _readNumber(name) {
+      const value = this._form.elements[name].value.trim();
+      if (value === '') return '';
+      const number = window.OvertimePay.parseLocaleNumber(value, this._inputLocale || this.locale);
+      return Number.isNaN(number) ? value : String(number);
+    }
+
+    _setField(name, value) {
+      const field = this._form.elements[name];
+      if (!field) return;
+
+      if (NUMBER_FIELDS.indexOf(name) !== -1) {
+        field.value = window.OvertimePay.formatInputNumber(value, this._inputLocale || this.locale);
+        return;
+      }
+
+      // Any other multiplier attribute gets an option of its own, and validation its say
+      if (name === 'multiplier' && value && !Array.from(field.options).some(option => option.value === value)) {
+        const multiplier = parseFloat(value);
+        if (!Number.isFinite(multiplier)) return;
+        field.add(new Option(`${multiplier}x`, value));
+      }
+
+      field.value = value;
+    }
+
+    /**
+     * Label the form in the locale's language and retype the numbers and
+     * placeholders in its decimal character
+     */
+    _localize() {
+      const state = this.state;
+
+      this.shadowRoot.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = this._t(el.dataset.i18n);
+      });
+
+      this._inputLocale = this.locale;
+      NUMBER_FIELDS.forEach(name => {
+        const field = this._form.elements[name];
+        if (field.dataset.placeholder === undefined) field.dataset.placeholder = field.placeholder;
+        field.placeholder = window.OvertimePay.formatInputNumber(field.dataset.placeholder, this.locale);
+        this._setField(name, state[name]);
+      });
+    }
+
+    _format(amount) {
+      try {
+        return new Intl.NumberFormat(this.locale, { style: 'currency', currency: this.currency }).format(amount);
+      } catch (e) {
+        return `${this.currency} ${amount.toFixed(2)}`;
+      }
+    }
+
+    /**
+     * A validation error ({key, params}) in the locale's language
+     */
+    _message(error) {
+      const params = { example: window.OvertimePay.formatInputNumber('1234.50', this.locale) };
+      ['min', 'max'].forEach(key => {
+        if (error.params && error.params[key] !== undefined) params[key] = Number(error.params[key]).toLocaleString(this.locale);
+      });
+      return this._t(error.key, params);
+    }
+
+    _update(edited) {
+      const state = this.state;
+      const fields = this._form.elements;
+
+      if (edited) {
+        this.dispatchEvent(new CustomEvent('change', { detail: state, bubbles: true, composed: true }));
+      }
+
+      const values = {};
+      Object.keys(FIELD_BOUNDS).forEach(name => {
+        values[FIELD_BOUNDS[name]] = state[name];
+      });
+
+      const validation = window.OvertimePay.validateCalculatorInputs(values, { currency: this.currency });
+      const messages = [];
+
+      Object.keys(FIELD_BOUNDS).forEach(name => {
+        const error = validation.errors[FIELD_BOUNDS[name]];
+        const field = fields[name];
+        if (!error) {
+          field.removeAttribute('aria-invalid');
+          return;
+        }
+        field.setAttribute('aria-invalid', 'true');
+        messages.push(this._t('error.announce', { field: field.previousElementSibling.textContent, message: this._message(error) }));
+      });
+
+      let result = null;
+      if (validation.valid && state.hourlyRate !== '' && state.overtimeHours !== '') {
+        result = window.OvertimePay.computeOvertime(state);
+      }
+
+      this._error.textContent = messages.join('. ');
+      this._result = result;
+
+      const shown = result || { overtimePay: 0, overtimeRate: 0, regularPay: 0, totalPay: 0 };
+      this.shadowRoot.querySelectorAll('[data-result]').forEach(el => {
+        const amount = this._format(shown[el.dataset.result]);
+        el.textContent = el.dataset.result === 'overtimeRate' ? this._t('results.perHour', { amount: amount }) : amount;
+      });
+
+      if (result) {
+        this.dispatchEvent(new CustomEvent('result', { detail: result, bubbles: true, composed: true }));
+      }
+    }
+  }
+
+  window.customElements.define('overtime-calculator', OvertimeCalculatorElement);
+})();
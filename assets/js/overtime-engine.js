@@ -0,0 +1,242 @@
+/**
+ * Overtime Pay Calculator - Calculation Engine
+ * Pure functions with no DOM access, usable in the browser and under Node
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // ============================================
+  // Defaults
+  // ============================================
+
+  const DEFAULT_MULTIPLIER = 1.5;
+  const DEFAULT_REGULAR_HOURS = 40;
+  const DEFAULT_CURRENCY = 'USD';
+
+  /*
+   * How straight-time pay is earned:
+   *   hourly      - hourlyRate for every hour
+   *   salary      - a weekly salary for a fixed schedule (salaryHours);
+   *                 the regular rate is salary ÷ scheduled hours
+   *   fluctuating - a weekly salary for whatever hours are worked; the
+   *                 regular rate is salary ÷ hours actually worked and
+   *                 overtime adds only the premium (0.5x for time and a half)
+   */
+  const PAY_BASES = ['hourly', 'salary', 'fluctuating'];
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Coerce a value to a finite number, or return the fallback when it isn't one
+   */
+  function toNumber(value, fallback) {
+    if (value === null || value === undefined || value === '') return fallback;
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+
+  /**
+   * Throw a RangeError when a required amount is negative
+   */
+  function assertNonNegative(value, name) {
+    if (value < 0) {
+      throw new RangeError(name + ' must not be negative');
+    }
+  }
+
+  // ============================================
+  // Calculation
+  // ============================================
+
+  /**
+   * Resolve the overtime multiplier, falling back to time and a half
+   * when the value is missing or not a positive number
+   */
+  function resolveMultiplier(multiplier) {
+    const value = toNumber(multiplier, DEFAULT_MULTIPLIER);
+    return value > 0 ? value : DEFAULT_MULTIPLIER;
+  }
+
+  /**
+   * Price one overtime tier. A positive rate wins over hourlyRate × multiplier.
+   * With premiumOnly, straight time is already paid, so only the part above
+   * 1x is owed.
+   */
+  function priceTier(tier, hourlyRate, premiumOnly) {
+    const hours = toNumber(tier.hours, 0);
+    assertNonNegative(hours, 'tier hours');
+
+    const multiplier = resolveMultiplier(tier.multiplier);
+    const directRate = toNumber(tier.rate, 0);
+    const rate = directRate > 0 ? directRate : hourlyRate * (premiumOnly ? multiplier - 1 : multiplier);
+
+    return {
+      label: tier.label || 'Overtime',
+      source: tier.source || null,
+      hours: hours,
+      multiplier: multiplier,
+      rate: rate,
+      rateSource: directRate > 0 ? 'override' : 'multiplier',
+      pay: rate * hours
+    };
+  }
+
+  /**
+   * Total the week's straight-time extras: nondiscretionary bonuses,
+   * commissions and shift differentials (a premium per hour on top of
+   * the base rate for the hours it covers)
+   */
+  function sumExtraPay(extraPay) {
+    extraPay = extraPay || {};
+
+    const bonus = toNumber(extraPay.bonus, 0);
+    const commission = toNumber(extraPay.commission, 0);
+    const differentials = (extraPay.differentials || []).map(differential => {
+      const hours = toNumber(differential.hours, 0);
+      const rate = toNumber(differential.rate, 0);
+      assertNonNegative(hours, 'differential hours');
+      assertNonNegative(rate, 'differential rate');
+      return { label: differential.label || 'Shift differential', hours: hours, rate: rate, pay: hours * rate };
+    });
+
+    assertNonNegative(bonus, 'bonus');
+    assertNonNegative(commission, 'commission');
+
+    const differential = differentials.reduce((sum, item) => sum + item.pay, 0);
+
+    return {
+      bonus: bonus,
+      commission: commission,
+      differentials: differentials,
+      differential: differential,
+      total: bonus + commission + differential
+    };
+  }
+
+  function resolvePayBasis(payBasis) {
+    return PAY_BASES.indexOf(payBasis) !== -1 ? payBasis : 'hourly';
+  }
+
+  /**
+   * Calculate a week of overtime pay.
+   *
+   * A positive overtimeRateOverride replaces hourlyRate × multiplier; zero,
+   * blank or negative overrides are ignored. regularHours defaults to 40
+   * only when it is omitted.
+   *
+   * Passing tiers (e.g. 8 hrs at 1.5x then 4 hrs at 2x) replaces the single
+   * overtimeHours/multiplier pair; overtimeRate is then the blended rate.
+   *
+   * extraPay (bonuses, commissions, shift differentials) is folded into the
+   * FLSA regular rate: total straight-time pay ÷ total hours. Straight time
+   * for every hour is already covered by that pay, so each multiplier tier
+   * gets an extra (multiplier - 1) × (regularRate - hourlyRate) per hour,
+   * reported as regularRateAdjustment. Tiers with a direct rate are left alone.
+   *
+   * payBasis 'salary' derives hourlyRate from weeklySalary ÷ salaryHours
+   * (default 40). 'fluctuating' derives it from weeklySalary ÷ total hours,
+   * so it changes every week; regularPay is then the whole salary and
+   * overtime tiers pay only the premium above straight time.
+   *
+   * @param {Object} input
+   * @param {number} input.hourlyRate
+   * @param {number} [input.regularHours=40]
+   * @param {number} [input.overtimeHours=0]
+   * @param {number} [input.multiplier=1.5]
+   * @param {number} [input.overtimeRateOverride]
+   * @param {Array<{hours: number, multiplier: number, rate: number, label: string, source: string}>} [input.tiers]
+   * @param {{bonus: number, commission: number, differentials: Array<{hours: number, rate: number, label: string}>}} [input.extraPay]
+   * @param {string} [input.payBasis='hourly'] - One of PAY_BASES
+   * @param {number} [input.weeklySalary] - For the salary and fluctuating bases
+   * @param {number} [input.salaryHours=40] - Scheduled hours the salary covers (salary basis)
+   * @param {string} [input.currency='USD']
+   * @returns {Object} Breakdown of rates, hours and pay, with one entry in tiers per overtime band
+   */
+  function computeOvertime(input) {
+    input = input || {};
+
+    const payBasis = resolvePayBasis(input.payBasis);
+    const weeklySalary = payBasis === 'hourly' ? null : toNumber(input.weeklySalary, 0);
+    const salaryHours = payBasis === 'salary' ? toNumber(input.salaryHours, DEFAULT_REGULAR_HOURS) : null;
+    const regularHours = toNumber(input.regularHours, DEFAULT_REGULAR_HOURS);
+
+    assertNonNegative(regularHours, 'regularHours');
+    if (weeklySalary !== null) assertNonNegative(weeklySalary, 'weeklySalary');
+
+    const multiplier = resolveMultiplier(input.multiplier);
+    const tierInputs = Array.isArray(input.tiers) && input.tiers.length
+      ? input.tiers
+      : [{ hours: input.overtimeHours, multiplier: multiplier, rate: input.overtimeRateOverride }];
+
+    const overtimeHours = tierInputs.reduce((sum, tier) => sum + toNumber(tier.hours, 0), 0);
+    const totalHours = regularHours + overtimeHours;
+
+    let hourlyRate;
+    if (payBasis === 'salary') {
+      hourlyRate = salaryHours > 0 ? weeklySalary / salaryHours : 0;
+    } else if (payBasis === 'fluctuating') {
+      hourlyRate = totalHours > 0 ? weeklySalary / totalHours : 0;
+    } else {
+      hourlyRate = toNumber(input.hourlyRate, 0);
+    }
+    assertNonNegative(hourlyRate, 'hourlyRate');
+
+    const tiers = tierInputs.map(tier => priceTier(tier, hourlyRate, payBasis === 'fluctuating'));
+    const extraPay = sumExtraPay(input.extraPay);
+    const regularRate = totalHours > 0 ? (hourlyRate * totalHours + extraPay.total) / totalHours : hourlyRate;
+
+    tiers.forEach(tier => {
+      tier.adjustment = tier.rateSource === 'multiplier'
+        ? (tier.multiplier - 1) * (regularRate - hourlyRate) * tier.hours
+        : 0;
+    });
+
+    const regularRateAdjustment = tiers.reduce((sum, tier) => sum + tier.adjustment, 0);
+    const overtimePay = tiers.reduce((sum, tier) => sum + tier.pay, 0) + regularRateAdjustment;
+    const overtimeRate = overtimeHours > 0 ? overtimePay / overtimeHours : tiers[0].rate;
+    const regularPay = payBasis === 'fluctuating' ? weeklySalary : hourlyRate * regularHours;
+
+    return {
+      currency: input.currency || DEFAULT_CURRENCY,
+      payBasis: payBasis,
+      weeklySalary: weeklySalary,
+      salaryHours: salaryHours,
+      hourlyRate: hourlyRate,
+      multiplier: tiers.length === 1 ? tiers[0].multiplier : multiplier,
+      overtimeRate: overtimeRate,
+      overtimeRateSource: tiers.length === 1 ? tiers[0].rateSource : 'tiers',
+      regularHours: regularHours,
+      overtimeHours: overtimeHours,
+      totalHours: totalHours,
+      tiers: tiers,
+      extraPay: extraPay,
+      regularRate: regularRate,
+      regularRateAdjustment: regularRateAdjustment,
+      regularPay: regularPay,
+      overtimePay: overtimePay,
+      totalPay: regularPay + extraPay.total + overtimePay
+    };
+  }
+
+  return {
+    DEFAULT_MULTIPLIER: DEFAULT_MULTIPLIER,
+    DEFAULT_REGULAR_HOURS: DEFAULT_REGULAR_HOURS,
+    PAY_BASES: PAY_BASES,
+    toNumber: toNumber,
+    resolveMultiplier: resolveMultiplier,
+    computeOvertime: computeOvertime
+  };
+});
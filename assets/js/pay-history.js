@@ -0,0 +1,238 @@
+/**
+ * Overtime Pay Calculator - Pay History
+ * Saved weeks in localStorage, with a versioned schema and period totals
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const STORAGE_KEY = 'overtimepay.history';
+  const SCHEMA_VERSION = 1;
+
+  /*
+   * Each migration upgrades stored data from version N to N + 1. Add a new
+   * entry (and bump SCHEMA_VERSION) whenever the entry format changes.
+   */
+  const MIGRATIONS = {
+    // v0 was a bare array of entries without ids
+    0: function(data) {
+      const entries = Array.isArray(data) ? data : [];
+      return {
+        version: 1,
+        entries: entries.map((entry, index) => Object.assign({ id: 'legacy-' + index }, entry))
+      };
+    }
+  };
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  /**
+   * Local ISO date (YYYY-MM-DD) for a Date
+   */
+  function toIsoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Monday of the week containing date, as YYYY-MM-DD
+   */
+  function startOfWeek(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return toIsoDate(monday);
+  }
+
+  /**
+   * Bring stored data of any known version up to SCHEMA_VERSION
+   */
+  function migrate(data) {
+    let current = data;
+    let version = current && typeof current.version === 'number' ? current.version : 0;
+
+    while (version < SCHEMA_VERSION) {
+      const step = MIGRATIONS[version];
+      if (!step) break;
+      current = step(current);
+      version = current.version;
+    }
+
+    if (!current || version !== SCHEMA_VERSION || !Array.isArray(current.entries)) {
+      return { version: SCHEMA_VERSION, entries: [] };
+    }
+    return current;
+  }
+
+  /**
+   * In-memory stand-in when localStorage is unavailable (private mode, file://)
+   */
+  function createMemoryStorage() {
+    const items = {};
+    return {
+      getItem: key => (key in items ? items[key] : null),
+      setItem: (key, value) => { items[key] = String(value); },
+      removeItem: key => { delete items[key]; }
+    };
+  }
+
+  // ============================================
+  // Store
+  // ============================================
+
+  /**
+   * Create a history store on top of a Storage-like object. Writes that
+   * the browser refuses (usually a full storage quota) leave the stored
+   * data as it was: save and update return null, remove and replaceAll
+   * return false.
+   *
+   * @param {Storage} [storage] - Defaults to an in-memory store
+   */
+  function createHistoryStore(storage) {
+    storage = storage || createMemoryStorage();
+
+    function read() {
+      try {
+        const raw = storage.getItem(STORAGE_KEY);
+        return migrate(raw ? JSON.parse(raw) : { version: SCHEMA_VERSION, entries: [] });
+      } catch (e) {
+        return { version: SCHEMA_VERSION, entries: [] };
+      }
+    }
+
+    function write(data) {
+      try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(data));
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    function sortEntries(entries) {
+      return entries.slice().sort((a, b) => (a.weekOf < b.weekOf ? 1 : a.weekOf > b.weekOf ? -1 : 0));
+    }
+
+    return {
+      /**
+       * All saved weeks, newest first
+       */
+      list() {
+        return sortEntries(read().entries);
+      },
+
+      get(id) {
+        return read().entries.find(entry => entry.id === id) || null;
+      },
+
+      save(entry) {
+        const data = read();
+        const saved = Object.assign({}, entry, { id: createId(), savedAt: new Date().toISOString() });
+        data.entries.push(saved);
+        return write(data) ? saved : null;
+      },
+
+      update(id, changes) {
+        const data = read();
+        const index = data.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return null;
+
+        data.entries[index] = Object.assign({}, data.entries[index], changes, { id: id, savedAt: new Date().toISOString() });
+        return write(data) ? data.entries[index] : null;
+      },
+
+      remove(id) {
+        const data = read();
+        data.entries = data.entries.filter(entry => entry.id !== id);
+        return write(data);
+      },
+
+      /**
+       * Replace every entry at once, e.g. from an import
+       */
+      replaceAll(entries) {
+        return write({ version: SCHEMA_VERSION, entries: entries.slice() });
+      }
+    };
+  }
+
+  // ============================================
+  // Totals
+  // ============================================
+
+  function emptyTotals() {
+    return { weeks: 0, overtimeHours: 0, overtimePay: 0, totalPay: 0 };
+  }
+
+  function addToTotals(totals, entry) {
+    totals.weeks += 1;
+    totals.overtimeHours += entry.overtimeHours || 0;
+    totals.overtimePay += entry.overtimePay || 0;
+    totals.totalPay += entry.totalPay || 0;
+  }
+
+  /**
+   * First day of the period containing date: its month or calendar quarter
+   */
+  function periodStart(date, period) {
+    const month = period === 'quarter' ? date.getMonth() - (date.getMonth() % 3) : date.getMonth();
+    return toIsoDate(new Date(date.getFullYear(), month, 1));
+  }
+
+  /**
+   * Period-to-date and year-to-date totals for one currency.
+   * A week counts toward a period when its start date falls inside it.
+   *
+   * @param {Array} entries
+   * @param {Object} [options]
+   * @param {string} [options.period='month'] - 'month' or 'quarter'
+   * @param {string} [options.currency] - Only entries in this currency
+   * @param {Date} [options.today]
+   */
+  function summarizeHistory(entries, options) {
+    options = options || {};
+    const today = options.today || new Date();
+    const todayIso = toIsoDate(today);
+    const yearStart = today.getFullYear() + '-01-01';
+    const start = periodStart(today, options.period);
+
+    const periodToDate = emptyTotals();
+    const yearToDate = emptyTotals();
+
+    entries.forEach(entry => {
+      if (options.currency && entry.currency !== options.currency) return;
+      if (!entry.weekOf || entry.weekOf > todayIso) return;
+
+      if (entry.weekOf >= yearStart) addToTotals(yearToDate, entry);
+      if (entry.weekOf >= start) addToTotals(periodToDate, entry);
+    });
+
+    return { periodStart: start, periodToDate: periodToDate, yearToDate: yearToDate };
+  }
+
+  return {
+    HISTORY_STORAGE_KEY: STORAGE_KEY,
+    HISTORY_SCHEMA_VERSION: SCHEMA_VERSION,
+    toIsoDate: toIsoDate,
+    startOfWeek: startOfWeek,
+    migrateHistory: migrate,
+    createHistoryStore: createHistoryStore,
+    summarizeHistory: summarizeHistory
+  };
+});
@@ -0,0 +1,125 @@
+/**
+ * Overtime Pay Calculator - Pay Periods
+ * Converts pay for a day, week, month, year or custom period into an hourly rate
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const WEEKS_PER_YEAR = 52;
+  const DEFAULT_WEEKLY_HOURS = 40;
+  const DEFAULT_WORK_DAYS = 5;
+
+  /*
+   * Pay frequencies by how many periods fall in a year. A month is 52/12
+   * weeks (about 4.33), not 4. 'day' depends on the days worked per week
+   * and 'custom' on the periods per year entered.
+   */
+  const PAY_FREQUENCIES = [
+    { id: 'day', name: 'Day', unit: 'work days', periodsPerYear: null },
+    { id: 'week', name: 'Week', unit: 'weeks', periodsPerYear: 52 },
+    { id: '2weeks', name: '2 Weeks', unit: 'biweekly periods', periodsPerYear: 26 },
+    { id: 'semimonthly', name: 'Semi-Monthly', unit: 'semi-monthly periods', periodsPerYear: 24 },
+    { id: 'month', name: 'Month', unit: 'months', periodsPerYear: 12 },
+    { id: 'quarter', name: 'Quarter', unit: 'quarters', periodsPerYear: 4 },
+    { id: 'annual', name: 'Annual', unit: 'year', periodsPerYear: 1 },
+    { id: 'custom', name: 'Custom', unit: 'pay periods', periodsPerYear: null }
+  ];
+
+  function positive(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+  }
+
+  function getPayFrequency(id) {
+    return PAY_FREQUENCIES.find(frequency => frequency.id === id) || PAY_FREQUENCIES[1];
+  }
+
+  /**
+   * Convert pay for one period into an hourly rate by annualizing both the
+   * pay and the hours. Paid holidays and PTO days are paid but not worked,
+   * so they come off the hours and raise the rate per hour worked.
+   *
+   * @param {Object} input
+   * @param {number} input.pay - Pay for one period
+   * @param {string} [input.frequency='week'] - A PAY_FREQUENCIES id
+   * @param {number} [input.weeklyHours=40]
+   * @param {number} [input.workDays=5] - Days worked per week
+   * @param {number} [input.periodsPerYear] - For the custom frequency
+   * @param {number} [input.paidHolidays=0] - Days per year
+   * @param {number} [input.ptoDays=0] - Days per year
+   * @returns {{frequency: Object, periodsPerYear: number, pay: number, annualPay: number, weeklyHours: number, hoursPerDay: number, daysOff: number, annualHours: number, hourlyRate: number}|null}
+   *   null when the pay, the periods or the hours left to work aren't positive
+   */
+  function payToHourly(input) {
+    input = input || {};
+
+    const frequency = getPayFrequency(input.frequency);
+    const pay = positive(input.pay, 0);
+    const weeklyHours = positive(input.weeklyHours, DEFAULT_WEEKLY_HOURS);
+    const workDays = Math.min(7, positive(input.workDays, DEFAULT_WORK_DAYS));
+    const hoursPerDay = weeklyHours / workDays;
+    const daysOff = positive(input.paidHolidays, 0) + positive(input.ptoDays, 0);
+
+    let periodsPerYear = frequency.periodsPerYear;
+    if (frequency.id === 'day') periodsPerYear = WEEKS_PER_YEAR * workDays;
+    if (frequency.id === 'custom') periodsPerYear = positive(input.periodsPerYear, 0);
+
+    const annualPay = pay * periodsPerYear;
+    const annualHours = WEEKS_PER_YEAR * weeklyHours - daysOff * hoursPerDay;
+
+    if (annualPay <= 0 || annualHours <= 0) return null;
+
+    return {
+      frequency: frequency,
+      periodsPerYear: periodsPerYear,
+      pay: pay,
+      annualPay: annualPay,
+      weeklyHours: weeklyHours,
+      hoursPerDay: hoursPerDay,
+      daysOff: daysOff,
+      annualHours: annualHours,
+      hourlyRate: annualPay / annualHours
+    };
+  }
+
+  /**
+   * The formula behind a payToHourly() result, e.g.
+   * "$5,000.00 × 12 months = $60,000.00 a year ÷ (52 weeks × 40 hrs = 2080 hrs) = $28.85/hr"
+   *
+   * @param {Object} conversion - A payToHourly() result
+   * @param {Function} [formatMoney] - Defaults to two decimals
+   */
+  function describeConversion(conversion, formatMoney) {
+    const money = formatMoney || (amount => amount.toFixed(2));
+    const round = value => String(Math.round(value * 100) / 100);
+
+    let hours = `${WEEKS_PER_YEAR} weeks × ${round(conversion.weeklyHours)} hrs`;
+    if (conversion.daysOff > 0) {
+      hours += ` − ${round(conversion.daysOff)} paid days off × ${round(conversion.hoursPerDay)} hrs`;
+    }
+
+    const annual = conversion.periodsPerYear === 1
+      ? `${money(conversion.annualPay)} a year`
+      : `${money(conversion.pay)} × ${round(conversion.periodsPerYear)} ${conversion.frequency.unit} = ${money(conversion.annualPay)} a year`;
+
+    return `${annual} ÷ (${hours} = ${round(conversion.annualHours)} hrs) = ${money(conversion.hourlyRate)}/hr`;
+  }
+
+  return {
+    PAY_FREQUENCIES: PAY_FREQUENCIES,
+    getPayFrequency: getPayFrequency,
+    payToHourly: payToHourly,
+    describeConversion: describeConversion
+  };
+});
@@ -0,0 +1,148 @@
+/**
+ * Overtime Pay Calculator - Pay Report
+ * Printable record of one calculation, for payroll questions and wage disputes
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory(root.OvertimePay || (typeof require === 'function' ? require('./pay-history.js') : {}));
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function(history) {
+  'use strict';
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // ============================================
+  // Dates
+  // ============================================
+
+  function parseIsoDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    if (!match) return null;
+
+    const date = new Date(+match[1], +match[2] - 1, +match[3]);
+    return date.getMonth() === +match[2] - 1 ? date : null;
+  }
+
+  function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  /**
+   * Monday-to-Sunday week containing date, as YYYY-MM-DD bounds
+   */
+  function defaultReportPeriod(date) {
+    const start = history.startOfWeek(date || new Date());
+    return { start: start, end: history.toIsoDate(addDays(parseIsoDate(start), 6)) };
+  }
+
+  /**
+   * Problems with a pay period, as i18n message keys for the report form
+   */
+  function validateReportPeriod(start, end) {
+    const errors = [];
+    const startDate = parseIsoDate(start);
+    const endDate = parseIsoDate(end);
+
+    if (!startDate) errors.push('report.errorStart');
+    if (!endDate) errors.push('report.errorEnd');
+    if (startDate && endDate && endDate < startDate) errors.push('report.errorOrder');
+
+    return errors;
+  }
+
+  // ============================================
+  // Report
+  // ============================================
+
+  /**
+   * Daily hours from a Monday-first timesheet week. Dates are filled in when
+   * the pay period is exactly one week, so each weekday has one date.
+   */
+  function reportDays(dailyHours, periodStart, periodEnd) {
+    if (!dailyHours || !dailyHours.length) return [];
+
+    const start = parseIsoDate(periodStart);
+    const end = parseIsoDate(periodEnd);
+    const oneWeek = Boolean(start && end) && Math.round((end - start) / DAY_MS) === 6;
+
+    return dailyHours.map((hours, weekday) => {
+      let date = null;
+      if (oneWeek) {
+        const offset = (weekday - (start.getDay() + 6) % 7 + 7) % 7;
+        date = history.toIsoDate(addDays(start, offset));
+      }
+      return { weekday: weekday, date: date, hours: hours || 0 };
+    }).sort((a, b) => (a.date && b.date ? a.date.localeCompare(b.date) : 0));
+  }
+
+  /**
+   * Law and note of the selected jurisdiction, or null when there is none
+   * and the page describes the custom multiplier or tiers instead
+   */
+  function jurisdictionNote(jurisdiction) {
+    if (!jurisdiction) return null;
+    return [jurisdiction.name, jurisdiction.law, jurisdiction.note].filter(Boolean).join(' - ');
+  }
+
+  /**
+   * Everything a printed report shows, from a computeOvertime() result and
+   * the details entered for the report. Amounts stay numbers; formatting is
+   * up to the page.
+   *
+   * @param {Object} result - computeOvertime() result
+   * @param {Object} details
+   * @param {string} [details.employeeName]
+   * @param {string} details.periodStart - YYYY-MM-DD
+   * @param {string} details.periodEnd - YYYY-MM-DD
+   * @param {number[]} [details.dailyHours] - Monday-first hours from the timesheet
+   * @param {Object} [details.jurisdiction] - jurisdictions.js entry
+   * @param {Date} [details.generatedAt]
+   */
+  function buildPayReport(result, details) {
+    details = details || {};
+
+    return {
+      employeeName: String(details.employeeName || '').trim(),
+      periodStart: details.periodStart,
+      periodEnd: details.periodEnd,
+      calculatedOn: history.toIsoDate(details.generatedAt || new Date()),
+      currency: result.currency,
+      days: reportDays(details.dailyHours, details.periodStart, details.periodEnd),
+      payBasis: result.payBasis,
+      weeklySalary: result.weeklySalary,
+      hourlyRate: result.hourlyRate,
+      regularRate: result.regularRate,
+      multiplier: result.multiplier,
+      overtimeRate: result.overtimeRate,
+      regularHours: result.regularHours,
+      overtimeHours: result.overtimeHours,
+      tiers: result.tiers.map(tier => ({
+        label: tier.label,
+        hours: tier.hours,
+        multiplier: tier.multiplier,
+        rate: tier.rate,
+        pay: tier.pay,
+        source: tier.source || ''
+      })),
+      regularPay: result.regularPay,
+      extraPay: result.extraPay.total,
+      regularRateAdjustment: result.regularRateAdjustment,
+      overtimePay: result.overtimePay,
+      totalPay: result.totalPay,
+      jurisdictionNote: jurisdictionNote(details.jurisdiction)
+    };
+  }
+
+  return {
+    defaultReportPeriod: defaultReportPeriod,
+    validateReportPeriod: validateReportPeriod,
+    buildPayReport: buildPayReport
+  };
+});
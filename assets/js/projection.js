@@ -0,0 +1,217 @@
+/**
+ * Overtime Pay Calculator - Projection
+ * Monthly and annual earnings projected from a typical week, with seasonal
+ * overtime peaks
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // A month is 52/12 weeks, as in pay-periods.js
+  const WEEKS_PER_YEAR = 52;
+  const WEEKS_PER_MONTH = WEEKS_PER_YEAR / 12;
+
+  const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  /*
+   * Months (0 = January) when overtime runs above a typical week. In a peak
+   * month the week's overtime is multiplied by the peak factor; other months
+   * keep the typical week. 'custom' takes its months from the form. key is
+   * the label's i18n message key.
+   */
+  const SEASONALITY_PATTERNS = [
+    { id: 'none', label: 'None (every month the same)', key: 'projection.seasonNone', peakMonths: [] },
+    { id: 'holiday', label: 'Holiday season (Nov–Dec)', key: 'projection.seasonHoliday', peakMonths: [10, 11] },
+    { id: 'summer', label: 'Summer (Jun–Aug)', key: 'projection.seasonSummer', peakMonths: [5, 6, 7] },
+    { id: 'tax-season', label: 'Tax season (Feb–Apr)', key: 'projection.seasonTax', peakMonths: [1, 2, 3] },
+    { id: 'quarter-end', label: 'Quarter ends (Mar, Jun, Sep, Dec)', key: 'projection.seasonQuarterEnd', peakMonths: [2, 5, 8, 11] },
+    { id: 'custom', label: 'Custom months', key: 'projection.seasonCustom', peakMonths: null }
+  ];
+
+  const DEFAULT_SEASONALITY = 'none';
+  const DEFAULT_PEAK_FACTOR = 2;
+
+  function round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  function getSeasonalityPattern(id) {
+    return SEASONALITY_PATTERNS.find(pattern => pattern.id === id) || null;
+  }
+
+  /**
+   * Add or replace a seasonal pattern, e.g. an industry's busy months.
+   * Patterns are listed before 'custom'.
+   *
+   * @param {{id: string, label: string, peakMonths: Array<number>}} pattern
+   */
+  function registerSeasonalityPattern(pattern) {
+    const index = SEASONALITY_PATTERNS.findIndex(existing => existing.id === pattern.id);
+    if (index !== -1) {
+      SEASONALITY_PATTERNS[index] = pattern;
+      return;
+    }
+
+    const customIndex = SEASONALITY_PATTERNS.findIndex(existing => existing.id === 'custom');
+    SEASONALITY_PATTERNS.splice(customIndex === -1 ? SEASONALITY_PATTERNS.length : customIndex, 0, pattern);
+  }
+
+  // ============================================
+  // Typical Week
+  // ============================================
+
+  /**
+   * The week a projection repeats, from a computeOvertime() result. Bonuses
+   * and other straight-time pay count as regular pay.
+   */
+  function weekFromResult(result) {
+    return {
+      weeks: 1,
+      regularPay: result.totalPay - result.overtimePay,
+      overtimePay: result.overtimePay,
+      overtimeHours: result.overtimeHours,
+      totalPay: result.totalPay
+    };
+  }
+
+  /**
+   * Average of saved weeks in one currency, or null when there are none
+   *
+   * @param {Array} entries - Pay history entries
+   * @param {Object} [options]
+   * @param {string} [options.currency] - Only entries in this currency
+   */
+  function averageWeek(entries, options) {
+    options = options || {};
+    const matching = (entries || []).filter(entry => !options.currency || entry.currency === options.currency);
+    if (!matching.length) return null;
+
+    const sum = key => matching.reduce((total, entry) => total + (Number(entry[key]) || 0), 0);
+    const totalPay = sum('totalPay');
+    const overtimePay = sum('overtimePay');
+
+    return {
+      weeks: matching.length,
+      regularPay: (totalPay - overtimePay) / matching.length,
+      overtimePay: overtimePay / matching.length,
+      overtimeHours: sum('overtimeHours') / matching.length,
+      totalPay: totalPay / matching.length
+    };
+  }
+
+  // ============================================
+  // Projection
+  // ============================================
+
+  /**
+   * Project a typical week over a calendar year, month by month
+   *
+   * @param {{regularPay: number, overtimePay: number, overtimeHours: number}} week
+   * @param {Object} [options]
+   * @param {Array<number>} [options.peakMonths] - Months (0-11) with more overtime
+   * @param {number} [options.peakFactor=2] - Overtime in a peak month relative to a typical week
+   * @returns {{months: Array<{month: number, label: string, regularPay: number, overtimePay: number, overtimeHours: number, totalPay: number, cumulativeRegularPay: number, cumulativeOvertimePay: number, cumulativeTotalPay: number, peak: boolean}>, annual: Object, monthlyAverage: Object}}
+   */
+  function projectEarnings(week, options) {
+    options = options || {};
+    const peakMonths = options.peakMonths || [];
+    // parseFloat, not Number, so null and '' mean "not set" rather than 0
+    const requestedFactor = parseFloat(options.peakFactor);
+    const peakFactor = Number.isFinite(requestedFactor) && requestedFactor >= 0 ? requestedFactor : DEFAULT_PEAK_FACTOR;
+
+    const annual = { regularPay: 0, overtimePay: 0, overtimeHours: 0, totalPay: 0 };
+
+    const months = MONTH_LABELS.map((label, month) => {
+      const peak = peakMonths.indexOf(month) !== -1;
+      const factor = peak ? peakFactor : 1;
+      const regularPay = (week.regularPay || 0) * WEEKS_PER_MONTH;
+      const overtimePay = (week.overtimePay || 0) * WEEKS_PER_MONTH * factor;
+      const overtimeHours = (week.overtimeHours || 0) * WEEKS_PER_MONTH * factor;
+
+      annual.regularPay += regularPay;
+      annual.overtimePay += overtimePay;
+      annual.overtimeHours += overtimeHours;
+      annual.totalPay += regularPay + overtimePay;
+
+      return {
+        month: month,
+        label: label,
+        peak: peak,
+        regularPay: round(regularPay),
+        overtimePay: round(overtimePay),
+        overtimeHours: round(overtimeHours),
+        totalPay: round(regularPay + overtimePay),
+        cumulativeRegularPay: round(annual.regularPay),
+        cumulativeOvertimePay: round(annual.overtimePay),
+        cumulativeTotalPay: round(annual.totalPay)
+      };
+    });
+
+    const totals = {
+      regularPay: round(annual.regularPay),
+      overtimePay: round(annual.overtimePay),
+      overtimeHours: round(annual.overtimeHours),
+      totalPay: round(annual.totalPay),
+      overtimeShare: annual.totalPay > 0 ? annual.overtimePay / annual.totalPay : 0
+    };
+
+    return {
+      months: months,
+      annual: totals,
+      monthlyAverage: {
+        regularPay: round(annual.regularPay / 12),
+        overtimePay: round(annual.overtimePay / 12),
+        overtimeHours: round(annual.overtimeHours / 12),
+        totalPay: round(annual.totalPay / 12)
+      }
+    };
+  }
+
+  /**
+   * Evenly spaced round axis values from 0 to at least max, e.g. 0, 2500,
+   * 5000, 7500 for 7000
+   *
+   * @param {number} max
+   * @param {number} [count=4] - Roughly how many steps
+   * @returns {Array<number>}
+   */
+  function chartTicks(max, count) {
+    count = count || 4;
+    if (!(max > 0)) return [0, 1];
+
+    const rough = max / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 2.5, 5, 10].map(base => base * magnitude).find(candidate => candidate >= rough);
+
+    const ticks = [];
+    for (let value = 0; value < max + step; value += step) {
+      ticks.push(Math.round(value * 100) / 100);
+      if (value >= max) break;
+    }
+    return ticks;
+  }
+
+  return {
+    WEEKS_PER_MONTH: WEEKS_PER_MONTH,
+    MONTH_LABELS: MONTH_LABELS,
+    SEASONALITY_PATTERNS: SEASONALITY_PATTERNS,
+    DEFAULT_SEASONALITY: DEFAULT_SEASONALITY,
+    DEFAULT_PEAK_FACTOR: DEFAULT_PEAK_FACTOR,
+    getSeasonalityPattern: getSeasonalityPattern,
+    registerSeasonalityPattern: registerSeasonalityPattern,
+    weekFromResult: weekFromResult,
+    averageWeek: averageWeek,
+    projectEarnings: projectEarnings,
+    chartTicks: chartTicks
+  };
+});
@@ -0,0 +1,114 @@
+/**
+ * Overtime Pay Calculator - Scenarios
+ * Side-by-side what-if columns compared against a baseline
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory(root.OvertimePay || (typeof require === 'function' ? require('./overtime-engine.js') : {}));
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function(engine) {
+  'use strict';
+
+  const MAX_SCENARIOS = 4;
+
+  /*
+   * Editable fields of a scenario column. A scenario is a flat copy of a
+   * result, so jurisdiction tiers and regular-rate extras are carried as an
+   * average overtime rate and other pay. labelKey is the label's i18n
+   * message key.
+   */
+  const SCENARIO_FIELDS = [
+    { key: 'hourlyRate', label: 'Hourly rate', labelKey: 'scenario.hourlyRate' },
+    { key: 'multiplier', label: 'Multiplier', labelKey: 'scenario.multiplier' },
+    { key: 'overtimeRate', label: 'Overtime rate (optional)', labelKey: 'scenario.overtimeRate' },
+    { key: 'regularHours', label: 'Regular hours', labelKey: 'scenario.regularHours' },
+    { key: 'overtimeHours', label: 'Overtime hours', labelKey: 'scenario.overtimeHours' },
+    { key: 'otherPay', label: 'Bonus and other pay', labelKey: 'scenario.otherPay' }
+  ];
+
+  function round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  /**
+   * Scenario inputs that reproduce a computeOvertime() result. A direct
+   * overtime rate is kept when the result used one, or when several tiers
+   * were blended into an average rate.
+   */
+  function scenarioFromResult(result, name) {
+    const keepRate = result.overtimeRateSource !== 'multiplier' && result.overtimeHours > 0;
+
+    return {
+      name: name || '',
+      hourlyRate: round(result.hourlyRate),
+      multiplier: result.multiplier,
+      overtimeRate: keepRate ? Math.round(result.overtimeRate * 10000) / 10000 : '',
+      regularHours: result.regularHours,
+      overtimeHours: result.overtimeHours,
+      otherPay: round(result.extraPay ? result.extraPay.total : 0)
+    };
+  }
+
+  function computeScenario(scenario, currency) {
+    const result = engine.computeOvertime({
+      hourlyRate: scenario.hourlyRate,
+      multiplier: scenario.multiplier,
+      overtimeRateOverride: scenario.overtimeRate,
+      regularHours: scenario.regularHours,
+      overtimeHours: scenario.overtimeHours,
+      extraPay: { bonus: scenario.otherPay },
+      currency: currency
+    });
+
+    result.effectiveRate = result.totalHours > 0 ? result.totalPay / result.totalHours : 0;
+    return result;
+  }
+
+  /**
+   * Compute every scenario and its difference from the baseline column
+   *
+   * @param {Array<Object>} scenarios - SCENARIO_FIELDS values plus name
+   * @param {number} [baselineIndex=0]
+   * @param {string} [currency]
+   * @returns {Array<{scenario: Object, result: Object|null, error: string|null, delta: {overtimePay: number, totalPay: number, effectiveRate: number}|null}>}
+   *   delta is null for the baseline and when either side couldn't be computed
+   */
+  function compareScenarios(scenarios, baselineIndex, currency) {
+    const rows = (scenarios || []).map(scenario => {
+      try {
+        return { scenario: scenario, result: computeScenario(scenario, currency), error: null, delta: null };
+      } catch (error) {
+        return { scenario: scenario, result: null, error: error.message, delta: null };
+      }
+    });
+
+    const baseline = rows[baselineIndex] || rows[0];
+    if (!baseline || !baseline.result) return rows;
+
+    rows.forEach(row => {
+      if (row === baseline || !row.result) return;
+      row.delta = {
+        overtimePay: row.result.overtimePay - baseline.result.overtimePay,
+        totalPay: row.result.totalPay - baseline.result.totalPay,
+        effectiveRate: row.result.effectiveRate - baseline.result.effectiveRate
+      };
+    });
+
+    return rows;
+  }
+
+  return {
+    MAX_SCENARIOS: MAX_SCENARIOS,
+    SCENARIO_FIELDS: SCENARIO_FIELDS,
+    scenarioFromResult: scenarioFromResult,
+    computeScenario: computeScenario,
+    compareScenarios: compareScenarios
+  };
+});
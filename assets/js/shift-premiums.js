@@ -0,0 +1,349 @@
+/**
+ * Overtime Pay Calculator - Shift Premiums
+ * Dated shifts priced with public holiday, weekend and night premiums
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory(root.OvertimePay || (typeof require === 'function'
+    ? Object.assign({}, require('./timesheet.js'), require('./holidays.js'), require('./pay-history.js'))
+    : {}));
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function(deps) {
+  'use strict';
+
+  const MINUTES_PER_DAY = 24 * 60;
+
+  /*
+   * Premium settings by country, as a percentage added to the hourly rate.
+   * A holiday premium replaces a weekend premium when both apply (the
+   * larger wins); the night premium is added on top of either. Presets only
+   * fill the form, so contract or award rates can be entered over them.
+   * nameKey, lawKey and noteKey are i18n message keys.
+   */
+  const PREMIUM_PRESETS = [
+    {
+      id: 'jp',
+      name: 'Japan',
+      nameKey: 'premiums.presetJp',
+      calendar: 'JP',
+      law: 'Labor Standards Act, Article 37',
+      lawKey: 'premiums.presetJpLaw',
+      holiday: 35,
+      saturday: 0,
+      sunday: 0,
+      night: 25,
+      nightStart: '22:00',
+      nightEnd: '05:00',
+      note: 'Late-night work from 22:00 to 05:00 is paid at least 25% more, on top of any holiday premium. The 35% holiday premium is owed for the statutory weekly day off; many employers also pay it on national holidays.',
+      noteKey: 'premiums.presetJpNote'
+    },
+    {
+      id: 'au-retail',
+      name: 'Australia (General Retail Award)',
+      nameKey: 'premiums.presetAuRetail',
+      calendar: 'AU',
+      law: 'General Retail Industry Award 2020, cl. 22',
+      lawKey: 'premiums.presetAuRetailLaw',
+      holiday: 125,
+      saturday: 25,
+      sunday: 50,
+      night: 0,
+      nightStart: '18:00',
+      nightEnd: '06:00',
+      note: 'Full-time and part-time penalty rates. Monday to Friday work after 6 pm is paid 25% more; enter it as a night premium if it applies. Check your own award for other industries and casual loadings.',
+      noteKey: 'premiums.presetAuRetailNote'
+    },
+    {
+      id: 'ca-federal',
+      name: 'Canada (Federal)',
+      nameKey: 'premiums.presetCaFederal',
+      calendar: 'CA',
+      law: 'Canada Labour Code, s. 198',
+      lawKey: 'premiums.presetCaFederalLaw',
+      holiday: 50,
+      saturday: 0,
+      sunday: 0,
+      night: 0,
+      nightStart: '22:00',
+      nightEnd: '06:00',
+      note: 'Work on a general holiday is paid at least 1.5x, in addition to the regular holiday pay.',
+      noteKey: 'premiums.presetCaFederalNote'
+    },
+    {
+      id: 'uk',
+      name: 'United Kingdom',
+      nameKey: 'premiums.presetUk',
+      calendar: 'GB',
+      law: 'No statutory premium',
+      lawKey: 'premiums.presetUkLaw',
+      holiday: 0,
+      saturday: 0,
+      sunday: 0,
+      night: 0,
+      nightStart: '23:00',
+      nightEnd: '06:00',
+      note: 'Enhanced rates for bank holidays, Sundays or nights come from your contract. Enter them below.',
+      noteKey: 'premiums.presetUkNote'
+    },
+    {
+      id: 'us',
+      name: 'United States',
+      nameKey: 'premiums.presetUs',
+      calendar: 'US',
+      law: 'No federal requirement (FLSA)',
+      lawKey: 'premiums.presetUsLaw',
+      holiday: 0,
+      saturday: 0,
+      sunday: 0,
+      night: 0,
+      nightStart: '22:00',
+      nightEnd: '06:00',
+      note: 'The FLSA requires no premium for holidays, weekends or nights. Enter what your employer pays; as shift differentials they count toward the regular rate for overtime.',
+      noteKey: 'premiums.presetUsNote'
+    }
+  ];
+
+  const DEFAULT_PREMIUM_PRESET = 'us';
+
+  const PREMIUM_LABELS = {
+    holiday: 'Public holiday',
+    saturday: 'Saturday',
+    sunday: 'Sunday',
+    night: 'Night'
+  };
+
+  function round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  function getPremiumPreset(id) {
+    return PREMIUM_PRESETS.find(preset => preset.id === id) || null;
+  }
+
+  /**
+   * Add or replace a preset, e.g. another award or collective agreement
+   */
+  function registerPremiumPreset(preset) {
+    const index = PREMIUM_PRESETS.findIndex(existing => existing.id === preset.id);
+    if (index === -1) {
+      PREMIUM_PRESETS.push(preset);
+    } else {
+      PREMIUM_PRESETS[index] = preset;
+    }
+  }
+
+  function percent(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  }
+
+  function addDays(isoDate, days) {
+    const date = new Date(isoDate + 'T00:00:00');
+    date.setDate(date.getDate() + days);
+    return deps.toIsoDate(date);
+  }
+
+  /**
+   * Minutes two [start, end) spans have in common
+   */
+  function overlap(start, end, otherStart, otherEnd) {
+    return Math.max(0, Math.min(end, otherEnd) - Math.max(start, otherStart));
+  }
+
+  /**
+   * The night window's [start, end) spans within the day starting at
+   * minute dayStart. A window that wraps past midnight (22:00-05:00) is
+   * that day's early morning and late evening.
+   */
+  function nightSpans(dayStart, nightStart, nightEnd) {
+    if (nightStart === null || nightEnd === null || nightStart === nightEnd) return [];
+    if (nightStart < nightEnd) return [[dayStart + nightStart, dayStart + nightEnd]];
+    return [[dayStart, dayStart + nightEnd], [dayStart + nightStart, dayStart + MINUTES_PER_DAY]];
+  }
+
+  /**
+   * The day premium for a calendar date: holiday, Saturday or Sunday,
+   * whichever is larger, or null on an ordinary day
+   */
+  function dayPremium(isoDate, settings, calendar) {
+    const holiday = deps.findHoliday(calendar, isoDate);
+    const weekday = new Date(isoDate + 'T00:00:00').getDay();
+    const options = [];
+
+    if (holiday && percent(settings.holiday) > 0) options.push({ kind: 'holiday', percent: percent(settings.holiday) });
+    if (weekday === 6 && percent(settings.saturday) > 0) options.push({ kind: 'saturday', percent: percent(settings.saturday) });
+    if (weekday === 0 && percent(settings.sunday) > 0) options.push({ kind: 'sunday', percent: percent(settings.sunday) });
+
+    return options.sort((a, b) => b.percent - a.percent)[0] || null;
+  }
+
+  // ============================================
+  // Shifts
+  // ============================================
+
+  /**
+   * Price one dated shift. The shift is split at midnight, so the hours of
+   * an overnight shift after 00:00 take the next day's premiums. An unpaid
+   * break is spread evenly over the shift. A shift that can't be priced
+   * gets an i18n message key as its error.
+   */
+  function priceShift(shift, settings, calendar) {
+    const start = deps.parseTime(shift.start);
+    const end = deps.parseTime(shift.end);
+    const validDate = /^\d{4}-\d{2}-\d{2}$/.test(String(shift.date || '')) && addDays(shift.date, 0) === shift.date;
+
+    if (!validDate || start === null || end === null) {
+      return { shift: shift, error: 'premiums.errorIncomplete' };
+    }
+
+    const timeError = deps.shiftError(shift.start, shift.end, shift.breakMinutes);
+    if (timeError) return { shift: shift, error: timeError };
+
+    let duration = end - start;
+    if (duration < 0) duration += MINUTES_PER_DAY;
+    const breakMinutes = Number(shift.breakMinutes) || 0;
+    const paidShare = (duration - breakMinutes) / duration;
+    const hourlyRate = Math.max(0, parseFloat(settings.hourlyRate) || 0);
+
+    const nightStart = deps.parseTime(settings.nightStart);
+    const nightEnd = deps.parseTime(settings.nightEnd);
+    const nightPercent = percent(settings.night);
+
+    // Minutes worked on each calendar day, and how many of them at night,
+    // counted from the start of the shift's date
+    const shiftEnd = start + duration;
+    const days = [];
+    for (let dayStart = 0; dayStart < shiftEnd; dayStart += MINUTES_PER_DAY) {
+      days.push({
+        date: addDays(shift.date, dayStart / MINUTES_PER_DAY),
+        minutes: overlap(start, shiftEnd, dayStart, dayStart + MINUTES_PER_DAY),
+        nightMinutes: nightSpans(dayStart, nightStart, nightEnd)
+          .reduce((sum, span) => sum + overlap(start, shiftEnd, span[0], span[1]), 0)
+      });
+    }
+
+    const premiums = [];
+    function addPremium(kind, premiumPercent, hours) {
+      if (!(hours > 0) || !(premiumPercent > 0)) return;
+      const existing = premiums.find(item => item.kind === kind && item.percent === premiumPercent);
+      if (existing) {
+        existing.hours += hours;
+      } else {
+        premiums.push({ kind: kind, label: PREMIUM_LABELS[kind], percent: premiumPercent, hours: hours });
+      }
+    }
+
+    const dayInfo = days.map(day => {
+      const hours = day.minutes * paidShare / 60;
+      const nightHours = day.nightMinutes * paidShare / 60;
+      const holiday = deps.findHoliday(calendar, day.date);
+      const premium = dayPremium(day.date, settings, calendar);
+
+      if (premium) addPremium(premium.kind, premium.percent, hours);
+      if (nightPercent > 0) addPremium('night', nightPercent, nightHours);
+
+      return {
+        date: day.date,
+        weekday: new Date(day.date + 'T00:00:00').getDay(),
+        holiday: holiday ? holiday.name : null,
+        holidayDataMissing: Boolean(calendar) && !deps.holidayDataCovers(calendar, day.date),
+        hours: hours,
+        nightHours: nightHours
+      };
+    });
+
+    premiums.forEach(item => {
+      item.rate = hourlyRate * item.percent / 100;
+      item.pay = round(item.hours * item.rate);
+      item.hours = round(item.hours);
+    });
+
+    const hours = dayInfo.reduce((sum, day) => sum + day.hours, 0);
+    const basePay = round(hours * hourlyRate);
+    const premiumPay = round(premiums.reduce((sum, item) => sum + item.pay, 0));
+
+    return {
+      shift: shift,
+      error: null,
+      days: dayInfo,
+      hours: round(hours),
+      nightHours: round(dayInfo.reduce((sum, day) => sum + day.nightHours, 0)),
+      premiums: premiums,
+      basePay: basePay,
+      premiumPay: premiumPay,
+      totalPay: round(basePay + premiumPay)
+    };
+  }
+
+  /**
+   * Price dated shifts with holiday, weekend and night premiums
+   *
+   * @param {Array<{date: string, start: string, end: string, breakMinutes: number}>} shifts
+   * @param {Object} settings
+   * @param {number} settings.hourlyRate
+   * @param {string} [settings.calendar] - HOLIDAY_CALENDARS id; none means no holidays
+   * @param {number} [settings.holiday] - Premium percentages
+   * @param {number} [settings.saturday]
+   * @param {number} [settings.sunday]
+   * @param {number} [settings.night]
+   * @param {string} [settings.nightStart] - "HH:MM"
+   * @param {string} [settings.nightEnd] - "HH:MM", may be before nightStart
+   * @returns {{shifts: Array, hours: number, nightHours: number, basePay: number, premiumPay: number, totalPay: number, premiums: Array<{kind: string, label: string, percent: number, rate: number, hours: number, pay: number}>, missingHolidayYears: Array<number>}}
+   *   premiums totals each premium across shifts; rate is the extra per hour
+   */
+  function calculateShiftPremiums(shifts, settings) {
+    settings = settings || {};
+    const calendar = settings.calendar ? deps.getHolidayCalendar(settings.calendar) : null;
+    const priced = (shifts || []).map(shift => priceShift(shift, settings, calendar));
+    const valid = priced.filter(item => !item.error);
+
+    const premiums = [];
+    valid.forEach(item => item.premiums.forEach(premium => {
+      const existing = premiums.find(total => total.kind === premium.kind && total.percent === premium.percent);
+      if (existing) {
+        existing.hours = round(existing.hours + premium.hours);
+        existing.pay = round(existing.pay + premium.pay);
+      } else {
+        premiums.push(Object.assign({}, premium));
+      }
+    }));
+
+    // Holidays can only be found in the years the calendar lists
+    const missingHolidayYears = [];
+    if (percent(settings.holiday) > 0) {
+      valid.forEach(item => item.days.forEach(day => {
+        const year = Number(day.date.slice(0, 4));
+        if (day.holidayDataMissing && missingHolidayYears.indexOf(year) === -1) missingHolidayYears.push(year);
+      }));
+    }
+
+    const sum = key => round(valid.reduce((total, item) => total + item[key], 0));
+
+    return {
+      shifts: priced,
+      hours: sum('hours'),
+      nightHours: sum('nightHours'),
+      basePay: sum('basePay'),
+      premiumPay: sum('premiumPay'),
+      totalPay: sum('totalPay'),
+      premiums: premiums,
+      missingHolidayYears: missingHolidayYears.sort()
+    };
+  }
+
+  return {
+    PREMIUM_PRESETS: PREMIUM_PRESETS,
+    DEFAULT_PREMIUM_PRESET: DEFAULT_PREMIUM_PRESET,
+    PREMIUM_LABELS: PREMIUM_LABELS,
+    getPremiumPreset: getPremiumPreset,
+    registerPremiumPreset: registerPremiumPreset,
+    calculateShiftPremiums: calculateShiftPremiums
+  };
+});
@@ -0,0 +1,115 @@
+/**
+ * Overtime Pay Calculator - Timesheet
+ * Turns daily start/end times into a regular vs overtime split
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+  const DEFAULT_WEEKLY_THRESHOLD = 40;
+  const MINUTES_PER_DAY = 24 * 60;
+
+  /**
+   * Parse "HH:MM" (24-hour, as produced by <input type="time">) into minutes
+   * after midnight. Returns null for blank or malformed values.
+   */
+  function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Minutes from start to end. An end time before the start time is
+   * treated as the next day, so 22:00-06:00 is 480 minutes.
+   */
+  function shiftMinutes(startMinutes, endMinutes) {
+    const minutes = endMinutes - startMinutes;
+    return minutes <= 0 ? minutes + MINUTES_PER_DAY : minutes;
+  }
+
+  /**
+   * What is wrong with a shift, as an i18n message key, or null. The same
+   * start and end time is more likely a typo than a 24 hour shift. A
+   * break must be a number of minutes shorter than the shift; a blank
+   * break is none.
+   */
+  function shiftError(start, end, breakMinutes) {
+    const startMinutes = parseTime(start);
+    const endMinutes = parseTime(end);
+    if (startMinutes !== null && startMinutes === endMinutes) return 'timesheet.errorSameTime';
+
+    if (breakMinutes === null || breakMinutes === undefined || String(breakMinutes).trim() === '') return null;
+    const unpaid = Number(String(breakMinutes).trim());
+    if (!Number.isFinite(unpaid) || unpaid < 0) return 'timesheet.errorBreak';
+    if (startMinutes !== null && endMinutes !== null && unpaid >= shiftMinutes(startMinutes, endMinutes)) {
+      return 'timesheet.errorBreakLong';
+    }
+    return null;
+  }
+
+  /**
+   * Paid hours for one shift, less its unpaid break. A shift with an
+   * error (see shiftError) has no hours.
+   */
+  function shiftHours(start, end, breakMinutes) {
+    const startMinutes = parseTime(start);
+    const endMinutes = parseTime(end);
+    if (startMinutes === null || endMinutes === null || shiftError(start, end, breakMinutes)) return 0;
+
+    const unpaid = Number(breakMinutes) || 0;
+    return (shiftMinutes(startMinutes, endMinutes) - unpaid) / 60;
+  }
+
+  /**
+   * Split a week of shifts into regular and overtime hours.
+   *
+   * @param {Array<{start: string, end: string, breakMinutes: number}>} days
+   * @param {number} [weeklyThreshold=40]
+   * @returns {{days: number[], errors: Array<string|null>, totalHours: number, regularHours: number, overtimeHours: number, weeklyThreshold: number}}
+   *   errors holds each day's shiftError
+   */
+  function summarizeWeek(days, weeklyThreshold) {
+    const threshold = parseFloat(weeklyThreshold);
+    const limit = Number.isFinite(threshold) && threshold >= 0 ? threshold : DEFAULT_WEEKLY_THRESHOLD;
+
+    const dailyHours = (days || []).map(day => shiftHours(day.start, day.end, day.breakMinutes));
+    const errors = (days || []).map(day => shiftError(day.start, day.end, day.breakMinutes));
+    const totalHours = dailyHours.reduce((sum, hours) => sum + hours, 0);
+    const regularHours = Math.min(totalHours, limit);
+
+    return {
+      days: dailyHours,
+      errors: errors,
+      totalHours: totalHours,
+      regularHours: regularHours,
+      overtimeHours: totalHours - regularHours,
+      weeklyThreshold: limit
+    };
+  }
+
+  return {
+    WEEKDAYS: WEEKDAYS,
+    DEFAULT_WEEKLY_THRESHOLD: DEFAULT_WEEKLY_THRESHOLD,
+    parseTime: parseTime,
+    shiftError: shiftError,
+    shiftHours: shiftHours,
+    summarizeWeek: summarizeWeek
+  };
+});
@@ -0,0 +1,260 @@
+/**
+ * Overtime Pay Calculator - URL State
+ * Serializes calculator state to a query string and validates it on the way back
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const MAX_WEEK_HOURS = 168;
+
+  /*
+   * Query parameter -> state key. `group` decides which form error a bad
+   * value is reported under: 'hourlyRate' for money, 'overtimeHours' for time.
+   * labelKey is the label's i18n message key.
+   */
+  const NUMBER_PARAMS = {
+    rate: { key: 'hourlyRate', group: 'hourlyRate', label: 'hourly rate', labelKey: 'link.hourlyRate' },
+    cm: { key: 'customMultiplier', group: 'hourlyRate', label: 'custom multiplier', labelKey: 'link.customMultiplier', min: 1 },
+    otr: { key: 'overtimeRate', group: 'hourlyRate', label: 'overtime rate', labelKey: 'link.overtimeRate' },
+    sal: { key: 'weeklySalary', group: 'hourlyRate', label: 'weekly salary', labelKey: 'link.weeklySalary' },
+    sh: { key: 'salaryHours', group: 'hourlyRate', label: 'scheduled hours', labelKey: 'link.salaryHours', min: 1, max: MAX_WEEK_HOURS },
+    tp: { key: 'timeframePay', group: 'hourlyRate', label: 'pay for timeframe', labelKey: 'link.timeframePay' },
+    bon: { key: 'bonusPay', group: 'hourlyRate', label: 'bonus', labelKey: 'link.bonusPay' },
+    com: { key: 'commissionPay', group: 'hourlyRate', label: 'commissions', labelKey: 'link.commissionPay' },
+    wh: { key: 'weeklyHours', group: 'hourlyRate', label: 'weekly hours', labelKey: 'link.weeklyHours', max: MAX_WEEK_HOURS },
+    pp: { key: 'customPeriods', group: 'hourlyRate', label: 'pay periods per year', labelKey: 'link.customPeriods', min: 1, max: 365 },
+    wd: { key: 'workDays', group: 'hourlyRate', label: 'work days per week', labelKey: 'link.workDays', min: 1, max: 7 },
+    hol: { key: 'paidHolidays', group: 'hourlyRate', label: 'paid holidays', labelKey: 'link.paidHolidays', max: 365 },
+    pto: { key: 'ptoDays', group: 'hourlyRate', label: 'paid time off days', labelKey: 'link.ptoDays', max: 365 },
+    ot: { key: 'overtimeHours', group: 'overtimeHours', label: 'overtime hours', labelKey: 'link.overtimeHours', max: MAX_WEEK_HOURS },
+    reg: { key: 'regularHours', group: 'overtimeHours', label: 'regular hours', labelKey: 'link.regularHours', max: MAX_WEEK_HOURS },
+    th: { key: 'weeklyThreshold', group: 'overtimeHours', label: 'weekly threshold', labelKey: 'link.weeklyThreshold', max: MAX_WEEK_HOURS }
+  };
+
+  // Values restricted to a list the page supplies (its <select> options)
+  const CHOICE_PARAMS = {
+    cur: { key: 'currency', group: 'hourlyRate', label: 'currency', labelKey: 'link.currency' },
+    basis: { key: 'payBasis', group: 'hourlyRate', label: 'pay basis', labelKey: 'link.payBasis' },
+    mult: { key: 'multiplier', group: 'hourlyRate', label: 'multiplier', labelKey: 'link.multiplier' },
+    tf: { key: 'timeframe', group: 'hourlyRate', label: 'pay timeframe', labelKey: 'link.timeframe' },
+    jur: { key: 'jurisdiction', group: 'overtimeHours', label: 'overtime rules', labelKey: 'link.jurisdiction' }
+  };
+
+  const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  function isValidNumber(value, spec) {
+    if (!/^\d+(\.\d+)?$/.test(value)) return false;
+    const number = parseFloat(value);
+    if (spec.min !== undefined && number < spec.min) return false;
+    if (spec.max !== undefined && number > spec.max) return false;
+    return true;
+  }
+
+  function encodeTiers(tiers) {
+    return tiers.map(tier => [tier.hours, tier.multiplier, tier.rate || ''].join(':')).join(',');
+  }
+
+  function decodeTiers(value) {
+    return value.split(',').map(part => {
+      const fields = part.split(':');
+      const tier = { hours: fields[0], multiplier: fields[1], rate: fields[2] || '' };
+
+      const valid = fields.length === 3 &&
+        isValidNumber(tier.hours, { max: MAX_WEEK_HOURS }) &&
+        isValidNumber(tier.multiplier, { min: 1 }) &&
+        (tier.rate === '' || isValidNumber(tier.rate, {}));
+
+      return valid ? tier : null;
+    });
+  }
+
+  function encodeDifferentials(differentials) {
+    return differentials.map(item => [item.hours, item.rate].join(':')).join(',');
+  }
+
+  function decodeDifferentials(value) {
+    return value.split(',').map(part => {
+      const fields = part.split(':');
+      const item = { hours: fields[0], rate: fields[1] };
+
+      const valid = fields.length === 2 &&
+        isValidNumber(item.hours, { max: MAX_WEEK_HOURS }) &&
+        isValidNumber(item.rate, {});
+
+      return valid ? item : null;
+    });
+  }
+
+  function encodeTimesheet(days) {
+    return days.map(day => (day.start && day.end) ? [day.start, day.end, day.breakMinutes || 0].join('-') : '').join(',');
+  }
+
+  function decodeTimesheet(value) {
+    const slots = value.split(',');
+    if (slots.length !== 7) return null;
+
+    const days = slots.map(slot => {
+      if (slot === '') return { start: '', end: '', breakMinutes: '' };
+
+      const fields = slot.split('-');
+      const day = { start: fields[0], end: fields[1], breakMinutes: fields[2] };
+      const valid = fields.length === 3 &&
+        TIME_PATTERN.test(day.start) &&
+        TIME_PATTERN.test(day.end) &&
+        isValidNumber(day.breakMinutes, { max: 24 * 60 });
+
+      return valid ? day : null;
+    });
+
+    return days.every(Boolean) ? days : null;
+  }
+
+  // ============================================
+  // Serialize / Parse
+  // ============================================
+
+  /**
+   * Write calculator state into a query string. Parameters this module
+   * doesn't own (utm_source, embed options, ...) in baseQuery are kept.
+   *
+   * @param {Object} state - Raw form values, keyed like NUMBER_PARAMS/CHOICE_PARAMS keys
+   * @param {string} [baseQuery] - Existing location.search
+   * @returns {string} Query string without the leading "?"
+   */
+  function serializeState(state, baseQuery) {
+    const params = new URLSearchParams(baseQuery || '');
+    const owned = Object.keys(NUMBER_PARAMS).concat(Object.keys(CHOICE_PARAMS), ['tiers', 'diff', 'ts']);
+    owned.forEach(param => params.delete(param));
+
+    Object.keys(CHOICE_PARAMS).concat(Object.keys(NUMBER_PARAMS)).forEach(param => {
+      const spec = CHOICE_PARAMS[param] || NUMBER_PARAMS[param];
+      const value = state[spec.key];
+      if (!isBlank(value)) params.set(param, String(value).trim());
+    });
+
+    if (state.tiers && state.tiers.length) {
+      params.set('tiers', encodeTiers(state.tiers));
+    }
+
+    if (state.differentials && state.differentials.length) {
+      params.set('diff', encodeDifferentials(state.differentials));
+    }
+
+    if (state.timesheet && state.timesheet.some(day => day.start && day.end)) {
+      params.set('ts', encodeTimesheet(state.timesheet));
+    }
+
+    return params.toString();
+  }
+
+  /**
+   * Read calculator state from a query string. Anything malformed, out of
+   * range or not in the allowed choices is dropped and reported.
+   *
+   * @param {string} query - location.search (with or without "?")
+   * @param {Object} [choices] - Allowed values per choice key, e.g. { currency: ['USD', 'GBP'] }
+   * @returns {{state: Object, errors: Array<{group: string, param: string, key: string|null, message: string, messageKey: string, params: Object}>, found: boolean}}
+   *   key is the state key of a rejected number or choice, null for lists;
+   *   message is in English, and messageKey is its i18n message key with
+   *   params.label the message key of the value's name
+   */
+  function parseState(query, choices) {
+    const params = new URLSearchParams(query || '');
+    const state = {};
+    const errors = [];
+    let found = false;
+    choices = choices || {};
+
+    function reject(param, group, label, labelKey, key) {
+      errors.push({
+        group: group,
+        param: param,
+        key: key || null,
+        message: `Ignored invalid ${label} in link`,
+        messageKey: 'link.invalid',
+        params: { label: labelKey }
+      });
+    }
+
+    Object.keys(NUMBER_PARAMS).forEach(param => {
+      if (!params.has(param)) return;
+      found = true;
+      const spec = NUMBER_PARAMS[param];
+      const value = params.get(param).trim();
+      if (isValidNumber(value, spec)) {
+        state[spec.key] = value;
+      } else {
+        reject(param, spec.group, spec.label, spec.labelKey, spec.key);
+      }
+    });
+
+    Object.keys(CHOICE_PARAMS).forEach(param => {
+      if (!params.has(param)) return;
+      found = true;
+      const spec = CHOICE_PARAMS[param];
+      const value = params.get(param).trim();
+      const allowed = choices[spec.key];
+      if (!allowed || allowed.indexOf(value) !== -1) {
+        state[spec.key] = value;
+      } else {
+        reject(param, spec.group, spec.label, spec.labelKey, spec.key);
+      }
+    });
+
+    if (params.has('tiers')) {
+      found = true;
+      const tiers = decodeTiers(params.get('tiers'));
+      if (tiers.every(Boolean)) {
+        state.tiers = tiers;
+      } else {
+        reject('tiers', 'overtimeHours', 'overtime tiers', 'link.tiers');
+      }
+    }
+
+    if (params.has('diff')) {
+      found = true;
+      const differentials = decodeDifferentials(params.get('diff'));
+      if (differentials.every(Boolean)) {
+        state.differentials = differentials;
+      } else {
+        reject('diff', 'hourlyRate', 'shift differentials', 'link.differentials');
+      }
+    }
+
+    if (params.has('ts')) {
+      found = true;
+      const timesheet = decodeTimesheet(params.get('ts'));
+      if (timesheet) {
+        state.timesheet = timesheet;
+      } else {
+        reject('ts', 'overtimeHours', 'timesheet', 'link.timesheet');
+      }
+    }
+
+    return { state: state, errors: errors, found: found };
+  }
+
+  return {
+    serializeState: serializeState,
+    parseState: parseState
+  };
+});
@@ -0,0 +1,204 @@
+/**
+ * Overtime Pay Calculator - Validation
+ * Bounds for the calculator's typed inputs, checked before a week is priced
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory(root.OvertimePay || (typeof require === 'function' ? require('./overtime-engine.js') : {}));
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function(deps) {
+  'use strict';
+
+  const HOURS_PER_WEEK = 168;
+
+  /*
+   * Accepted range of each calculator input. The number fields are
+   * type="text" so decimals can follow the page language, which leaves
+   * min/max to this table. Money ceilings are in US dollars and scaled by
+   * CURRENCY_SCALE; they catch a slipped key (an extra zero or two), not
+   * unusual pay.
+   *   min          - lowest accepted value
+   *   aboveMin     - the value must be greater than min, not equal to it
+   *   max          - highest accepted value
+   *   money        - max is scaled to the selected currency
+   *   belowMin     - message key below min (default 'error.range')
+   */
+  const INPUT_BOUNDS = {
+    hourlyRate: { min: 0, max: 10000, money: true, belowMin: 'error.positiveRate' },
+    weeklySalary: { min: 0, max: 1000000, money: true, belowMin: 'error.positiveAmount' },
+    salaryHours: { min: 0, aboveMin: true, max: HOURS_PER_WEEK, belowMin: 'error.aboveZero' },
+    customMultiplier: { min: 1, max: 10 },
+    overtimeRate: { min: 0, aboveMin: true, max: 100000, money: true, belowMin: 'error.aboveZero' },
+    overtimeHours: { min: 0, max: HOURS_PER_WEEK, belowMin: 'error.positiveHours' },
+    regularHours: { min: 0, max: HOURS_PER_WEEK, belowMin: 'error.positiveHours' },
+    // The paycheck goal's target weekly pay
+    targetPay: { min: 0, aboveMin: true, max: 1000000, money: true, belowMin: 'error.aboveZero' },
+    bonusPay: { min: 0, max: 1000000, money: true, belowMin: 'error.positiveAmount' },
+    commissionPay: { min: 0, max: 1000000, money: true, belowMin: 'error.positiveAmount' },
+    // Rows: overtime tiers after the first, and shift differentials
+    tierHours: { min: 0, max: HOURS_PER_WEEK, belowMin: 'error.positiveHours' },
+    tierMultiplier: { min: 1, max: 10 },
+    tierRate: { min: 0, aboveMin: true, max: 100000, money: true, belowMin: 'error.aboveZero' },
+    differentialHours: { min: 0, max: HOURS_PER_WEEK, belowMin: 'error.positiveHours' },
+    differentialRate: { min: 0, max: 10000, money: true, belowMin: 'error.positiveRate' },
+    // The hourly rate helper: pay for a timeframe and the schedule behind it
+    timeframePay: { min: 0, max: 10000000, money: true, belowMin: 'error.positiveAmount' },
+    weeklyHours: { min: 0, aboveMin: true, max: HOURS_PER_WEEK, belowMin: 'error.aboveZero' },
+    customPeriods: { min: 1, max: 365 },
+    workDays: { min: 1, max: 7 },
+    paidHolidays: { min: 0, max: 365 },
+    ptoDays: { min: 0, max: 365 },
+    // Deductions: percentages of gross pay and a weekly amount
+    taxRate: { min: 0, max: 100 },
+    pretaxPercent: { min: 0, max: 100 },
+    postTaxDeductions: { min: 0, max: 1000000, money: true, belowMin: 'error.positiveAmount' }
+  };
+
+  // The bounds key of each field in a row, by row list
+  const ROW_FIELDS = {
+    tiers: { hours: 'tierHours', multiplier: 'tierMultiplier', rate: 'tierRate' },
+    differentials: { hours: 'differentialHours', rate: 'differentialRate' }
+  };
+
+  // Rough units per US dollar, rounded up, for currencies far from 1:1
+  const CURRENCY_SCALE = {
+    JPY: 200,
+    INR: 100,
+    MXN: 25
+  };
+
+  /**
+   * The bounds for one input, with money ceilings in the given currency
+   */
+  function getInputBounds(field, currency) {
+    const bounds = INPUT_BOUNDS[field];
+    if (!bounds) return null;
+    if (!bounds.money) return bounds;
+    return Object.assign({}, bounds, { max: bounds.max * (CURRENCY_SCALE[currency] || 1) });
+  }
+
+  /**
+   * Check one plain number string ("1234.5") against its bounds. Blank
+   * values are left to the caller's defaults.
+   *
+   * @returns {{key: string, params: Object}|null} an i18n message key and its params
+   */
+  function checkInput(field, value, currency) {
+    const bounds = getInputBounds(field, currency);
+    if (!bounds || value === null || value === undefined || String(value).trim() === '') return null;
+
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(number)) return { key: 'error.notANumber', params: {} };
+
+    const range = { min: bounds.min, max: bounds.max };
+
+    if (number < bounds.min || (bounds.aboveMin && number === bounds.min)) {
+      return { key: bounds.belowMin || 'error.range', params: range };
+    }
+
+    if (number > bounds.max) {
+      return { key: bounds.min > 0 ? 'error.range' : 'error.atMost', params: range };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check each row of a list: an array with an object of errors keyed by
+   * row field for each row in error, null for the rest
+   */
+  function checkRows(list, rows, currency) {
+    const fields = ROW_FIELDS[list];
+
+    return rows.map(row => {
+      const errors = {};
+      Object.keys(fields).forEach(field => {
+        const error = checkInput(fields[field], row[field], currency);
+        if (error) errors[field] = error;
+      });
+      return Object.keys(errors).length ? errors : null;
+    });
+  }
+
+  /**
+   * Check the calculator's inputs for one week. Pass only the fields in
+   * play: the salary fields on the salaried bases, the hourly rate on the
+   * hourly basis, the custom multiplier while it is selected, the rows
+   * while they count.
+   *
+   * Extra tier hours are worked on top of the regular and overtime hours,
+   * so they count toward the week's 168 hours too. While a timesheet
+   * supplies the week, pass its total as options.timesheetHours.
+   *
+   * @param {Object} values - Plain number strings keyed like INPUT_BOUNDS; omit a field to skip it
+   * @param {Array<{hours: string, multiplier: string, rate: string}>} [values.tiers] - Overtime tiers after the first
+   * @param {Array<{hours: string, rate: string}>} [values.differentials] - Shift differentials
+   * @param {Object} [options]
+   * @param {string} [options.currency]
+   * @param {number} [options.timesheetHours]
+   * @returns {{valid: boolean, errors: Object<string, {key: string, params: Object}>, rowErrors: Object<string, Array<Object|null>>}}
+   *   errors keyed by field, and rowErrors by row list (see checkRows)
+   */
+  function validateCalculatorInputs(values, options) {
+    options = options || {};
+    const errors = {};
+    const rowErrors = {};
+
+    Object.keys(INPUT_BOUNDS).forEach(field => {
+      if (!(field in values)) return;
+      const error = checkInput(field, values[field], options.currency);
+      if (error) errors[field] = error;
+    });
+
+    Object.keys(ROW_FIELDS).forEach(list => {
+      if (Array.isArray(values[list])) rowErrors[list] = checkRows(list, values[list], options.currency);
+    });
+
+    const tiers = values.tiers || [];
+    const tierErrors = rowErrors.tiers || [];
+    const weekError = { key: 'error.weekHours', params: { max: HOURS_PER_WEEK } };
+
+    // Blank regular hours count as the default 40
+    if (!errors.regularHours && !errors.overtimeHours && !tierErrors.some(Boolean)) {
+      const tierHours = tiers.map(tier => deps.toNumber(tier.hours, 0));
+      const worked = options.timesheetHours !== undefined
+        ? deps.toNumber(options.timesheetHours, 0)
+        : deps.toNumber(values.regularHours, deps.DEFAULT_REGULAR_HOURS) + deps.toNumber(values.overtimeHours, 0);
+
+      if (worked + tierHours.reduce((sum, hours) => sum + hours, 0) > HOURS_PER_WEEK) {
+        // On the last tier with hours, which pushed the week over, else on the overtime hours
+        const last = tierHours.map(hours => hours > 0).lastIndexOf(true);
+        if (last !== -1) {
+          tierErrors[last] = Object.assign({}, tierErrors[last], { hours: weekError });
+        } else if ('overtimeHours' in values) {
+          errors.overtimeHours = weekError;
+        }
+      }
+    }
+
+    const rowsValid = Object.keys(rowErrors).every(list => !rowErrors[list].some(Boolean));
+
+    return {
+      valid: Object.keys(errors).length === 0 && rowsValid,
+      errors: errors,
+      rowErrors: rowErrors
+    };
+  }
+
+  return {
+    HOURS_PER_WEEK: HOURS_PER_WEEK,
+    INPUT_BOUNDS: INPUT_BOUNDS,
+    ROW_FIELDS: ROW_FIELDS,
+    CURRENCY_SCALE: CURRENCY_SCALE,
+    getInputBounds: getInputBounds,
+    checkInput: checkInput,
+    validateCalculatorInputs: validateCalculatorInputs
+  };
+});
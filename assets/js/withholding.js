@@ -0,0 +1,201 @@
+/**
+ * Overtime Pay Calculator - Withholding
+ * Gross-to-net estimates with pluggable income tax tables
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.OvertimePay = Object.assign(root.OvertimePay || {}, api);
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const WEEKS_PER_YEAR = 52;
+
+  // ============================================
+  // Tax Tables
+  // ============================================
+
+  /*
+   * type 'brackets'     - annual brackets; pay is annualized, taxed, then
+   *                       divided back down to the pay period
+   * type 'supplemental' - flat rate(s) on overtime paid as supplemental
+   *                       wages; regular pay uses the flat rate entered
+   * Brackets are marginal: `rate` applies to income above `over`.
+   */
+  const WITHHOLDING_TABLES = [
+    {
+      id: 'us-federal-supplemental',
+      name: 'US federal supplemental (22% on overtime)',
+      effective: '2025-01-01',
+      source: 'IRS Publication 15 (2025), section 7',
+      type: 'supplemental',
+      brackets: [
+        { over: 0, rate: 0.22 },
+        { over: 1000000, rate: 0.37 }
+      ]
+    },
+    {
+      id: 'us-federal-2025-single',
+      name: 'US federal 2025 - single',
+      effective: '2025-01-01',
+      source: 'IRS Publication 15-T (2025), annual percentage method, standard withholding',
+      type: 'brackets',
+      brackets: [
+        { over: 0, rate: 0 },
+        { over: 6400, rate: 0.10 },
+        { over: 18325, rate: 0.12 },
+        { over: 54875, rate: 0.22 },
+        { over: 109750, rate: 0.24 },
+        { over: 203700, rate: 0.32 },
+        { over: 256925, rate: 0.35 },
+        { over: 632750, rate: 0.37 }
+      ]
+    },
+    {
+      id: 'us-federal-2025-married',
+      name: 'US federal 2025 - married filing jointly',
+      effective: '2025-01-01',
+      source: 'IRS Publication 15-T (2025), annual percentage method, standard withholding',
+      type: 'brackets',
+      brackets: [
+        { over: 0, rate: 0 },
+        { over: 17100, rate: 0.10 },
+        { over: 40950, rate: 0.12 },
+        { over: 114050, rate: 0.22 },
+        { over: 223800, rate: 0.24 },
+        { over: 411700, rate: 0.32 },
+        { over: 518150, rate: 0.35 },
+        { over: 768700, rate: 0.37 }
+      ]
+    }
+  ];
+
+  /**
+   * Add or replace a table, e.g. a state or another country's brackets
+   */
+  function registerWithholdingTable(table) {
+    const index = WITHHOLDING_TABLES.findIndex(existing => existing.id === table.id);
+    if (index === -1) {
+      WITHHOLDING_TABLES.push(table);
+    } else {
+      WITHHOLDING_TABLES[index] = table;
+    }
+  }
+
+  function getWithholdingTable(id) {
+    return WITHHOLDING_TABLES.find(table => table.id === id) || null;
+  }
+
+  /**
+   * Marginal tax on an amount for a bracket list
+   */
+  function taxFromBrackets(amount, brackets) {
+    const sorted = brackets.slice().sort((a, b) => a.over - b.over);
+
+    return sorted.reduce((tax, bracket, index) => {
+      const next = sorted[index + 1];
+      const top = next ? Math.min(amount, next.over) : amount;
+      return tax + Math.max(0, top - bracket.over) * bracket.rate;
+    }, 0);
+  }
+
+  function percent(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? Math.min(number, 100) / 100 : 0;
+  }
+
+  function amount(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  }
+
+  // ============================================
+  // Estimate
+  // ============================================
+
+  /**
+   * Estimate take-home pay for one pay period, splitting every deduction
+   * between the regular and overtime portions.
+   *
+   * Pre-tax deductions are a percentage of gross pay; fixed post-tax
+   * deductions come out of regular pay, since they don't depend on overtime,
+   * and only spill into overtime pay when regular pay runs out. Whatever is
+   * left over once both are gone is reported as postTax.unapplied.
+   * With a bracket table, overtime is taxed at the margin: the tax on
+   * regular + overtime pay minus the tax on regular pay alone.
+   *
+   * @param {Object} input
+   * @param {number} input.regularPay
+   * @param {number} input.overtimePay
+   * @param {string} [input.method='flat'] - 'flat' or a WITHHOLDING_TABLES id
+   * @param {number} [input.flatRate] - Income tax percent for the flat method
+   * @param {number} [input.pretaxPercent] - e.g. 401(k) percent of gross
+   * @param {number} [input.postTaxFixed] - Fixed amount per pay period
+   * @param {number} [input.periodsPerYear=52]
+   */
+  function estimateNetPay(input) {
+    const regularPay = amount(input.regularPay);
+    const overtimePay = amount(input.overtimePay);
+    const periodsPerYear = amount(input.periodsPerYear) || WEEKS_PER_YEAR;
+    const flatRate = percent(input.flatRate);
+    const pretaxRate = percent(input.pretaxPercent);
+    const table = input.method && input.method !== 'flat' ? getWithholdingTable(input.method) : null;
+
+    const pretax = {
+      regular: regularPay * pretaxRate,
+      overtime: overtimePay * pretaxRate
+    };
+    const taxableRegular = regularPay - pretax.regular;
+    const taxableOvertime = overtimePay - pretax.overtime;
+
+    const tax = { regular: 0, overtime: 0 };
+
+    if (!table) {
+      tax.regular = taxableRegular * flatRate;
+      tax.overtime = taxableOvertime * flatRate;
+    } else if (table.type === 'supplemental') {
+      tax.regular = taxableRegular * flatRate;
+      tax.overtime = taxFromBrackets(taxableOvertime, table.brackets);
+    } else {
+      const annualTax = taxable => taxFromBrackets(taxable * periodsPerYear, table.brackets) / periodsPerYear;
+      tax.regular = annualTax(taxableRegular);
+      tax.overtime = annualTax(taxableRegular + taxableOvertime) - tax.regular;
+    }
+
+    const postTaxFixed = amount(input.postTaxFixed);
+    const postTax = { regular: Math.min(postTaxFixed, Math.max(0, taxableRegular - tax.regular)) };
+    postTax.overtime = Math.min(postTaxFixed - postTax.regular, Math.max(0, taxableOvertime - tax.overtime));
+    postTax.unapplied = postTaxFixed - postTax.regular - postTax.overtime;
+
+    const netRegular = taxableRegular - tax.regular - postTax.regular;
+    const netOvertime = taxableOvertime - tax.overtime - postTax.overtime;
+
+    return {
+      table: table,
+      pretax: pretax,
+      tax: tax,
+      postTax: postTax,
+      netRegular: netRegular,
+      netOvertime: netOvertime,
+      netTotal: netRegular + netOvertime,
+      totalWithheld: (regularPay + overtimePay) - (netRegular + netOvertime),
+      overtimeWithholdingRate: overtimePay > 0 ? (pretax.overtime + tax.overtime) / overtimePay : 0,
+      overtimeTaxRate: overtimePay > 0 ? tax.overtime / overtimePay : 0
+    };
+  }
+
+  return {
+    WITHHOLDING_TABLES: WITHHOLDING_TABLES,
+    registerWithholdingTable: registerWithholdingTable,
+    getWithholdingTable: getWithholdingTable,
+    taxFromBrackets: taxFromBrackets,
+    estimateNetPay: estimateNetPay
+  };
+});
@@ -0,0 +1,92 @@
+/**
+ * Overtime Pay Calculator - Service Worker
+ * Precaches the site so it can be installed and used offline
+ */
+
+'use strict';
+
+/*
+ * Bump CACHE_VERSION with every deploy that changes a file below. The new
+ * worker then installs alongside the old one and open pages offer to reload.
+ */
+const CACHE_VERSION = 'v31';
+const CACHE_PREFIX = 'overtimepay-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// Sent by app.js when the visitor accepts the update
+const SKIP_WAITING_MESSAGE = 'overtime:skip-waiting';
+
+// Relative to this file, so the site also works from a subdirectory
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './embed/',
+  './about/',
+  './manifest.webmanifest',
+  './assets/favicon.svg',
+  './assets/icon-maskable.svg',
+  './assets/css/styles.css',
+  './assets/js/overtime-engine.js',
+  './assets/js/validation.js',
+  './assets/js/pay-periods.js',
+  './assets/js/timesheet.js',
+  './assets/js/jurisdictions.js',
+  './assets/js/url-state.js',
+  './assets/js/pay-history.js',
+  './assets/js/import-export.js',
+  './assets/js/pay-report.js',
+  './assets/js/back-pay.js',
+  './assets/js/holidays.js',
+  './assets/js/shift-premiums.js',
+  './assets/js/withholding.js',
+  './assets/js/goal-seek.js',
+  './assets/js/scenarios.js',
+  './assets/js/crew.js',
+  './assets/js/projection.js',
+  './assets/js/exemptions.js',
+  './assets/js/exchange-rates.js',
+  './assets/js/embed-options.js',
+  './assets/js/i18n.js',
+  './assets/js/overtime-calculator-element.js',
+  './assets/js/app.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+// Drop caches from earlier versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.indexOf(CACHE_PREFIX) === 0 && key !== CACHE_NAME)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === SKIP_WAITING_MESSAGE) self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Pages: shared links and embed options live in the query string, so
+  // match without it, and fall back to the calculator when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.match(request, { ignoreSearch: true })
+      .then(cached => cached || fetch(request))
+      .catch(() => caches.match('./')));
+    return;
+  }
+
+  // Assets: cache first, keeping a copy of anything else fetched from the site
+  event.respondWith(caches.match(request).then(cached => cached || fetch(request).then(response => {
+    if (response.ok && response.type === 'basic') {
+      const copy = response.clone();
+      caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+  })));
+});
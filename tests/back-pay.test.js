@@ -0,0 +1,81 @@
+/**
+ * Tests for assets/js/back-pay.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getLookbackWindow, lookbackCutoff, parseBackPayCsv, calculateBackPay, backPayToCsv
+} = require('../assets/js/back-pay.js');
+
+// 40 + 10 hours at $20 is owed $1,100; paid straight time is $1,000
+const week = (weekOf, paid) => ({ weekOf: weekOf, regularHours: 40, overtimeHours: 10, hourlyRate: 20, paid: paid });
+
+test('the look-back window counts back whole years from the claim date', () => {
+  assert.strictEqual(lookbackCutoff('2025-06-15', 2), '2023-06-15');
+  assert.strictEqual(lookbackCutoff('2025-06-15', getLookbackWindow('flsa-willful').years), '2022-06-15');
+  assert.strictEqual(lookbackCutoff('2025-06-15', 1.5), '2023-12-15');
+  assert.strictEqual(lookbackCutoff('2025-06-15', null), null);
+  assert.strictEqual(getLookbackWindow('none').years, null);
+});
+
+test('each week owes its shortfall, and overpaid weeks offset nothing', () => {
+  const claim = calculateBackPay([week('2025-01-06', 1000), week('2025-01-13', 1200)], { asOf: '2025-06-01' });
+
+  assert.deepStrictEqual(claim.weeks.map(item => [item.owed, item.paid, item.shortfall]), [[1100, 1000, 100], [1100, 1200, 0]]);
+  assert.strictEqual(claim.weeksShort, 1);
+  assert.strictEqual(claim.unpaidWages, 100);
+  assert.strictEqual(claim.totalClaim, 100);
+});
+
+test('weeks before the look-back cutoff are listed but not claimed', () => {
+  const claim = calculateBackPay(
+    [week('2023-06-05', 1000), week('2022-01-03', 1000), week('2024-03-04', 1000)],
+    { asOf: '2025-06-01', lookbackYears: 2 }
+  );
+
+  assert.strictEqual(claim.cutoff, '2023-06-01');
+  assert.deepStrictEqual(claim.weeks.map(item => [item.weekOf, item.included]), [
+    ['2022-01-03', false],
+    ['2023-06-05', true],
+    ['2024-03-04', true]
+  ]);
+  assert.strictEqual(claim.weeksIncluded, 2);
+  assert.strictEqual(claim.unpaidWages, 200);
+});
+
+test('with no limit every week is claimed', () => {
+  const claim = calculateBackPay([week('2010-01-04', 1000)], { asOf: '2025-06-01', lookbackYears: null });
+  assert.strictEqual(claim.cutoff, null);
+  assert.strictEqual(claim.unpaidWages, 100);
+});
+
+test('liquidated damages double the unpaid wages in the window', () => {
+  const claim = calculateBackPay(
+    [week('2025-01-06', 1000), week('2020-01-06', 0)],
+    { asOf: '2025-06-01', lookbackYears: 2, liquidatedDamages: true, multiplier: 2 }
+  );
+
+  assert.strictEqual(claim.weeks[1].owed, 1200);
+  assert.strictEqual(claim.unpaidWages, 200);
+  assert.strictEqual(claim.liquidatedDamages, 200);
+  assert.strictEqual(claim.totalClaim, 400);
+});
+
+test('imported rows skip the header and report bad cells', () => {
+  const parsed = parseBackPayCsv('Week of,Regular hours,Overtime hours,Rate,Paid\n2025-01-06,40,10,20,1000\n2025-01-13,40,5,0,-5\n2025-01-20,40');
+
+  assert.deepStrictEqual(parsed.rows, [{ line: 2, weekOf: '2025-01-06', regularHours: 40, overtimeHours: 10, hourlyRate: 20, paid: 1000 }]);
+  assert.deepStrictEqual(parsed.errors.map(error => [error.line, error.problems.map(problem => problem.key)]), [
+    [3, ['import.errorRate', 'backPay.errorPaid']],
+    [4, ['backPay.errorColumns']]
+  ]);
+});
+
+test('the claim exports one row per week with its window flag', () => {
+  const csv = backPayToCsv(calculateBackPay([week('2020-01-06', 1000)], { asOf: '2025-06-01', lookbackYears: 2 }));
+  assert.strictEqual(csv.split(/\r?\n/)[0], 'week_of,regular_hours,overtime_hours,hourly_rate,owed,paid,shortfall,in_lookback_window');
+  assert.match(csv, /2020-01-06,40,10,20,1100,1000,100,no/);
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for assets/js/crew.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_PAYROLL_BURDEN, validateCrewMember, calculateCrew, crewToCsv } = require('../assets/js/crew.js');
+
+const roster = [
+  { name: 'Ana', hourlyRate: '20', multiplier: '', regularHours: '40', overtimeHours: '10' },
+  { name: 'Ben', hourlyRate: '30', multiplier: '2', regularHours: '', overtimeHours: '' },
+  { name: '', hourlyRate: '', multiplier: '', regularHours: '', overtimeHours: '' }
+];
+
+test('employer cost adds the payroll burden to gross pay', () => {
+  const crew = calculateCrew(roster, { burden: DEFAULT_PAYROLL_BURDEN });
+
+  assert.strictEqual(crew.burdenPercent, 7.65);
+  assert.deepStrictEqual(crew.members.map(row => row.employerCost), [1184.15, 1291.8, null]);
+  assert.strictEqual(crew.totals.totalPay, 2300);
+  assert.strictEqual(crew.totals.burden, 175.95);
+  assert.strictEqual(crew.totals.employerCost, 2475.95);
+  assert.strictEqual(crew.totals.overtimeEmployerCost, 322.95);
+  assert.deepStrictEqual(crew.burden.map(item => item.amount), [142.6, 33.35, 0, 0]);
+});
+
+test('without a burden employer cost is gross pay', () => {
+  const crew = calculateCrew(roster);
+  assert.strictEqual(crew.burdenPercent, 0);
+  assert.strictEqual(crew.totals.employerCost, crew.totals.totalPay);
+});
+
+test('negative burden rates count as 0', () => {
+  const crew = calculateCrew(roster, { burden: [{ label: 'Rebate', percent: -5 }, { label: 'Benefits', percent: '10' }] });
+  assert.strictEqual(crew.burdenPercent, 10);
+  assert.strictEqual(crew.totals.employerCost, 2530);
+});
+
+test('blank rows are skipped and rows in error are counted but not priced', () => {
+  const crew = calculateCrew(roster.concat({ name: 'Cy', hourlyRate: '0', multiplier: '', regularHours: '', overtimeHours: '5' }));
+
+  assert.strictEqual(crew.members[2].blank, true);
+  assert.strictEqual(crew.members[3].result, null);
+  assert.strictEqual(crew.totals.employees, 2);
+  assert.strictEqual(crew.totals.withOvertime, 1);
+  assert.strictEqual(crew.totals.invalid, 1);
+});
+
+test('rows take the crew multiplier and the default hours', () => {
+  const checked = validateCrewMember({ hourlyRate: '25' }, { multiplier: 2 });
+  assert.deepStrictEqual(checked.values, { hourlyRate: 25, multiplier: 2, regularHours: 40, overtimeHours: 0 });
+});
+
+test('each field reports its own error', () => {
+  const checked = validateCrewMember({ hourlyRate: 'abc', multiplier: '0.5', regularHours: '-1', overtimeHours: '10' });
+
+  assert.strictEqual(checked.values, null);
+  assert.deepStrictEqual(Object.keys(checked.errors).map(field => [field, checked.errors[field].key]), [
+    ['hourlyRate', 'crew.errorRateNumber'],
+    ['multiplier', 'crew.errorMultiplier'],
+    ['regularHours', 'crew.errorHoursNegative']
+  ]);
+  assert.strictEqual(validateCrewMember({ hourlyRate: '20', regularHours: '100', overtimeHours: '80' }).errors.overtimeHours.key, 'crew.errorWeekHours');
+});
+
+test('the CSV lists priced rows and a crew total', () => {
+  const lines = crewToCsv(calculateCrew(roster, { burden: DEFAULT_PAYROLL_BURDEN })).trim().split('\r\n');
+
+  assert.strictEqual(lines[0], 'employee,hourly_rate,multiplier,regular_hours,overtime_hours,regular_pay,overtime_pay,total_pay,employer_cost');
+  assert.strictEqual(lines.length, 4);
+  assert.strictEqual(lines[3], 'Crew total,,,80,10,2000,300,2300,2475.95');
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for assets/js/embed-options.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EMBED_LOCKABLE_FIELDS, parseEmbedOptions, buildEmbedUrl } = require('../assets/js/embed-options.js');
+const { MESSAGES } = require('../assets/js/i18n.js');
+
+test('no options gives the default frame id and nothing locked or themed', () => {
+  assert.deepStrictEqual(parseEmbedOptions(''), { id: 'overtime-calculator', lock: [], theme: {}, compact: false });
+  assert.strictEqual(parseEmbedOptions(undefined).id, 'overtime-calculator');
+});
+
+test('hex colors with or without # become theme properties', () => {
+  const options = parseEmbedOptions('?primary=%230A7&bg=ffffff&text=1F2937');
+  assert.deepStrictEqual(options.theme, {
+    '--color-primary': '#0A7',
+    '--color-primary-dark': '#0A7',
+    '--color-primary-light': '#0A7',
+    '--embed-background': '#ffffff',
+    '--color-text': '#1F2937'
+  });
+});
+
+test('colors that are not 3 or 6 hex digits are ignored', () => {
+  const options = parseEmbedOptions('primary=red&bg=ffff&text=fff;background:url(x)');
+  assert.deepStrictEqual(options.theme, {});
+});
+
+test('a frame id must start with a letter and use only word characters and dashes', () => {
+  assert.strictEqual(parseEmbedOptions('id=pay-calc_2').id, 'pay-calc_2');
+  assert.strictEqual(parseEmbedOptions('id=2calc').id, 'overtime-calculator');
+  assert.strictEqual(parseEmbedOptions('id=calc%22%3E%3Cscript%3E').id, 'overtime-calculator');
+  assert.strictEqual(parseEmbedOptions('id=' + 'a'.repeat(65)).id, 'overtime-calculator');
+});
+
+test('only lockable fields are locked', () => {
+  const options = parseEmbedOptions('lock=currency,salary,,hourlyRate,__proto__');
+  assert.deepStrictEqual(options.lock, ['currency', 'hourlyRate']);
+});
+
+test('compact is only on for 1', () => {
+  assert.strictEqual(parseEmbedOptions('compact=1').compact, true);
+  assert.strictEqual(parseEmbedOptions('compact=true').compact, false);
+});
+
+test('a built URL parses back to the same options', () => {
+  const url = buildEmbedUrl({
+    id: 'widget', lock: ['multiplier', 'jurisdiction'], colors: { primary: '#FF0000' }, compact: true
+  });
+  const options = parseEmbedOptions(new URL(url).search);
+
+  assert.strictEqual(options.id, 'widget');
+  assert.deepStrictEqual(options.lock, ['multiplier', 'jurisdiction']);
+  assert.strictEqual(options.theme['--color-primary'], '#ff0000');
+  assert.strictEqual(options.compact, true);
+});
+
+test('lockable field labels are in the English catalog', () => {
+  EMBED_LOCKABLE_FIELDS.forEach(field => {
+    assert.ok(field.labelKey in MESSAGES.en, field.labelKey);
+  });
+});
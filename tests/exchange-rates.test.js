@@ -0,0 +1,57 @@
+/**
+ * Tests for assets/js/exchange-rates.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  STATIC_RATES, createStaticRateProvider, registerRateProvider, getRateProvider, crossRate, convertAmount
+} = require('../assets/js/exchange-rates.js');
+
+const table = { base: 'USD', date: '2025-01-31', source: 'Test rates', rates: { USD: 1, EUR: 0.8, JPY: 150 } };
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('cross rates go through the table base', () => {
+  assert.strictEqual(crossRate(table, 'USD', 'EUR'), 0.8);
+  assert.strictEqual(crossRate(table, 'EUR', 'USD'), 1.25);
+  assert.strictEqual(crossRate(table, 'EUR', 'JPY'), 187.5);
+  assert.strictEqual(crossRate(table, 'JPY', 'JPY'), 1);
+});
+
+test('a currency missing from the table has no rate', () => {
+  assert.strictEqual(crossRate(table, 'USD', 'GBP'), null);
+  assert.strictEqual(convertAmount(100, 'GBP', 'USD', table), null);
+  assert.strictEqual(convertAmount(100, 'USD', 'EUR', null), null);
+});
+
+test('amounts convert at the table rate and carry its date and source', () => {
+  const converted = convertAmount(1100, 'USD', 'EUR', table);
+  assert.deepStrictEqual(converted, { amount: 880, rate: 0.8, date: '2025-01-31', source: 'Test rates', manual: false });
+  near(convertAmount(1100, 'EUR', 'JPY', table).amount, 206250);
+});
+
+test('a positive manual rate replaces the table rate', () => {
+  assert.deepStrictEqual(convertAmount(100, 'USD', 'EUR', table, '0.9'), {
+    amount: 90, rate: 0.9, date: null, source: 'Manual rate', manual: true
+  });
+  assert.strictEqual(convertAmount(100, 'USD', 'EUR', table, '0').manual, false);
+  assert.strictEqual(convertAmount(100, 'USD', 'EUR', table, 'abc').rate, 0.8);
+});
+
+test('the bundled rates are the default provider', async () => {
+  const provider = getRateProvider('no-such-provider');
+  assert.strictEqual(provider.id, 'static');
+  assert.strictEqual(await provider.getRates(), STATIC_RATES);
+  assert.strictEqual(STATIC_RATES.rates[STATIC_RATES.base], 1);
+});
+
+test('registering a provider with a used id replaces it', async () => {
+  registerRateProvider({ id: 'sheet', name: 'Rate sheet', getRates: () => Promise.resolve(table) });
+  registerRateProvider(Object.assign(createStaticRateProvider(table), { id: 'sheet' }));
+
+  const provider = getRateProvider('sheet');
+  assert.strictEqual(provider.name, 'Test rates');
+  assert.strictEqual((await provider.getRates()).date, '2025-01-31');
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for assets/js/exemptions.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateExemption } = require('../assets/js/exemptions.js');
+
+const options = { date: '2025-06-01' };
+const reason = (evaluation, testKey) => evaluation.reasons.find(item => item.testKey === testKey);
+
+test('a salaried professional above the salary level is exempt', () => {
+  const evaluation = evaluateExemption({
+    payType: 'salary', weeklySalary: '1200', salaryGuaranteed: true, duties: { learned: true }
+  }, options);
+
+  assert.strictEqual(evaluation.verdict, 'exempt');
+  assert.deepStrictEqual(evaluation.exemptions, ['professional']);
+  assert.strictEqual(reason(evaluation, 'exemption.reasonSalaryLevel').params.minimum, 684);
+});
+
+test('a salary typed in German is read for the locale', () => {
+  const evaluation = evaluateExemption({
+    payType: 'salary', weeklySalary: '1.234,50', salaryGuaranteed: true, duties: { learned: true }
+  }, Object.assign({ locale: 'de-DE' }, options));
+
+  assert.strictEqual(evaluation.verdict, 'exempt');
+  assert.strictEqual(reason(evaluation, 'exemption.reasonSalaryLevel').params.salary, 1234.5);
+});
+
+test('without a locale, amounts are plain number strings', () => {
+  const evaluation = evaluateExemption({ payType: 'salary', weeklySalary: '683.5', salaryGuaranteed: true }, options);
+  assert.strictEqual(reason(evaluation, 'exemption.reasonSalaryLevel').params.salary, 683.5);
+  assert.strictEqual(reason(evaluation, 'exemption.reasonSalaryLevel').passed, false);
+});
+
+test('text that is not a number counts as no pay, not its leading digits', () => {
+  const evaluation = evaluateExemption({ payType: 'salary', weeklySalary: '1200abc', salaryGuaranteed: true }, options);
+  assert.strictEqual(reason(evaluation, 'exemption.reasonSalaryLevel').params.salary, 0);
+});
+
+test('hourly pay fails the salary tests but computer employees can pass on the hourly rate', () => {
+  const evaluation = evaluateExemption({
+    payType: 'hourly', hourlyRate: '27,63', duties: { computerDuties: true }
+  }, Object.assign({ locale: 'fr-FR' }, options));
+
+  assert.strictEqual(reason(evaluation, 'exemption.reasonSalaryLevel').key, 'exemption.salaryLevelHourly');
+  assert.deepStrictEqual(evaluation.exemptions, ['computer']);
+});
+
+test('duties alone are not enough below the salary level', () => {
+  const evaluation = evaluateExemption({
+    payType: 'salary', weeklySalary: '600', salaryGuaranteed: true, duties: { officeWork: true, independentJudgment: true }
+  }, options);
+
+  assert.strictEqual(evaluation.verdict, 'non-exempt');
+  assert.strictEqual(reason(evaluation, 'exemption.reasonAdministrative').key, 'exemption.dutiesSalaryNotMet');
+});
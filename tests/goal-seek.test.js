@@ -0,0 +1,41 @@
+/**
+ * Tests for assets/js/goal-seek.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { solveOvertimeHours, solveHourlyRate } = require('../assets/js/goal-seek.js');
+
+test('overtime hours to reach a gross target', () => {
+  const hours = solveOvertimeHours({ targetPay: 1100, hourlyRate: 20, regularHours: 40 });
+  assert.strictEqual(hours.reachable, true);
+  assert.strictEqual(hours.overtimeHours, 10);
+});
+
+test('a target regular hours already meet needs no overtime', () => {
+  const hours = solveOvertimeHours({ targetPay: 500, hourlyRate: 20, regularHours: 40 });
+  assert.strictEqual(hours.alreadyMet, true);
+  assert.strictEqual(hours.overtimeHours, 0);
+});
+
+test('negative regular hours or rate are unreachable, not a thrown error', () => {
+  assert.strictEqual(solveOvertimeHours({ targetPay: 1000, hourlyRate: 20, regularHours: -5 }).reachable, false);
+  assert.strictEqual(solveOvertimeHours({ targetPay: 1000, hourlyRate: -20, regularHours: 40 }).reachable, false);
+});
+
+test('hourly rate for a fixed schedule', () => {
+  const rate = solveHourlyRate({ targetPay: 1100, regularHours: 40, overtimeHours: 10 });
+  assert.strictEqual(rate.reachable, true);
+  assert.strictEqual(rate.hourlyRate, 20);
+});
+
+test('negative schedule hours are unreachable, not a thrown error', () => {
+  assert.strictEqual(solveHourlyRate({ targetPay: 1000, regularHours: 40, overtimeHours: -5 }).reachable, false);
+  assert.strictEqual(solveHourlyRate({ targetPay: 1000, regularHours: -10, overtimeHours: 20 }).reachable, false);
+});
+
+test('a schedule longer than a week is unreachable', () => {
+  assert.strictEqual(solveHourlyRate({ targetPay: 1000, regularHours: 100, overtimeHours: 80 }).reachable, false);
+});
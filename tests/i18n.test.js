@@ -0,0 +1,97 @@
+/**
+ * Tests for assets/js/i18n.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MESSAGES, resolveLanguage, translate, getNumberSeparators, parseLocaleNumber, formatInputNumber
+} = require('../assets/js/i18n.js');
+
+test('plain numbers parse the same in every locale', () => {
+  ['en-US', 'de-DE', 'fr-FR', 'ja-JP'].forEach(locale => {
+    assert.strictEqual(parseLocaleNumber('1234.5', locale), 1234.5);
+    assert.strictEqual(parseLocaleNumber('40', locale), 40);
+    assert.strictEqual(parseLocaleNumber(7.5, locale), 7.5);
+  });
+});
+
+test('with both separators the last one is the decimal point', () => {
+  assert.strictEqual(parseLocaleNumber('1.234,50', 'de-DE'), 1234.5);
+  assert.strictEqual(parseLocaleNumber('1,234.50', 'de-DE'), 1234.5);
+  assert.strictEqual(parseLocaleNumber('1,234.50', 'en-US'), 1234.5);
+});
+
+test('a lone separator is grouping only when it splits off thousands in the locale', () => {
+  assert.strictEqual(parseLocaleNumber('1.234', 'de-DE'), 1234);
+  assert.strictEqual(parseLocaleNumber('1.234', 'en-US'), 1.234);
+  assert.strictEqual(parseLocaleNumber('1,234', 'en-US'), 1234);
+  assert.strictEqual(parseLocaleNumber('7,5', 'de-DE'), 7.5);
+  assert.strictEqual(parseLocaleNumber('7,5', 'en-US'), 7.5);
+  assert.strictEqual(parseLocaleNumber('1.234.567', 'de-DE'), 1234567);
+});
+
+test('spaces and apostrophes are ignored as grouping', () => {
+  assert.strictEqual(parseLocaleNumber('1 234,5', 'fr-FR'), 1234.5);
+  assert.strictEqual(parseLocaleNumber('1\u202f234,5', 'fr-FR'), 1234.5);
+  assert.strictEqual(parseLocaleNumber('1\'234.5', 'en-US'), 1234.5);
+});
+
+test('negative, blank and malformed input', () => {
+  assert.strictEqual(parseLocaleNumber('-12,5', 'de-DE'), -12.5);
+  assert.strictEqual(parseLocaleNumber('−12.5', 'en-US'), -12.5);
+  assert.ok(Number.isNaN(parseLocaleNumber('', 'en-US')));
+  assert.ok(Number.isNaN(parseLocaleNumber(null, 'en-US')));
+  assert.ok(Number.isNaN(parseLocaleNumber('abc', 'en-US')));
+  assert.ok(Number.isNaN(parseLocaleNumber('1.2.3', 'en-US')));
+  assert.ok(Number.isNaN(parseLocaleNumber('12a', 'de-DE')));
+});
+
+test('input numbers take the locale decimal without grouping', () => {
+  assert.strictEqual(getNumberSeparators('de-DE').decimal, ',');
+  assert.strictEqual(formatInputNumber('1234.50', 'de-DE'), '1234,50');
+  assert.strictEqual(formatInputNumber('1234.50', 'en-US'), '1234.50');
+  assert.strictEqual(formatInputNumber(7.5, 'fr-FR'), '7,5');
+  assert.strictEqual(formatInputNumber('40', 'de-DE'), '40');
+});
+
+test('blank and non-numeric text pass through formatting unchanged', () => {
+  assert.strictEqual(formatInputNumber('', 'de-DE'), '');
+  assert.strictEqual(formatInputNumber(null, 'de-DE'), '');
+  assert.strictEqual(formatInputNumber('abc', 'de-DE'), 'abc');
+});
+
+test('formatting then parsing round-trips in each locale', () => {
+  ['en-US', 'es-ES', 'fr-FR', 'de-DE', 'ja-JP'].forEach(locale => {
+    assert.strictEqual(parseLocaleNumber(formatInputNumber('1234.5', locale), locale), 1234.5);
+    assert.strictEqual(parseLocaleNumber(formatInputNumber('0.25', locale), locale), 0.25);
+  });
+});
+
+test('languages resolve from browser preferences', () => {
+  assert.strictEqual(resolveLanguage(['de-AT', 'en']), 'de');
+  assert.strictEqual(resolveLanguage(['it-IT', 'fr']), 'fr');
+  assert.strictEqual(resolveLanguage(['it-IT']), 'en');
+  assert.strictEqual(resolveLanguage(null), 'en');
+});
+
+test('messages fill placeholders and fall back to English, then the key', () => {
+  assert.strictEqual(translate('de', 'update.reload'), 'Neu laden');
+  assert.strictEqual(translate('xx', 'update.reload'), 'Reload');
+  assert.strictEqual(translate('de', 'no.such.key'), 'no.such.key');
+  assert.strictEqual(translate('en', 'exemption.dutyGroup', { name: 'Executive', law: '29 CFR 541.100' }), 'Executive (29 CFR 541.100)');
+  assert.strictEqual(translate('en', 'exemption.dutyGroup', { name: 'Executive' }), 'Executive ({law})');
+});
+
+test('every catalog has the English keys and the same placeholders', () => {
+  const placeholders = message => Array.from(new Set(message.match(/\{\w+\}/g) || [])).sort().join();
+
+  Object.keys(MESSAGES).filter(code => code !== 'en').forEach(code => {
+    Object.keys(MESSAGES.en).forEach(key => {
+      assert.ok(key in MESSAGES[code], `${code} is missing ${key}`);
+      assert.strictEqual(placeholders(MESSAGES[code][key]), placeholders(MESSAGES.en[key]), `${code} ${key}`);
+    });
+  });
+});
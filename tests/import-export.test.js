@@ -0,0 +1,54 @@
+/**
+ * Tests for assets/js/import-export.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAmount, parseHoursCsv } = require('../assets/js/import-export.js');
+const { parseBackPayCsv } = require('../assets/js/back-pay.js');
+
+test('plain and leading-point decimals', () => {
+  assert.strictEqual(parseAmount('12'), 12);
+  assert.strictEqual(parseAmount(' 12.5 '), 12.5);
+  assert.strictEqual(parseAmount('.5'), 0.5);
+  assert.strictEqual(parseAmount('-3'), -3);
+});
+
+test('a known currency symbol is stripped', () => {
+  assert.strictEqual(parseAmount('$20'), 20);
+  assert.strictEqual(parseAmount('MX$ 150.25'), 150.25);
+  assert.strictEqual(parseAmount('CHF 40'), 40);
+  assert.strictEqual(parseAmount('€.75'), 0.75);
+});
+
+test('other leading text is not a number', () => {
+  assert.strictEqual(parseAmount('abc12'), null);
+  assert.strictEqual(parseAmount('approx 40'), null);
+  assert.strictEqual(parseAmount('12abc'), null);
+  assert.strictEqual(parseAmount(''), null);
+});
+
+test('hours outside a week are row errors', () => {
+  const parsed = parseHoursCsv('date,regular,overtime,rate\n2024-03-04,40,5,20\n2024-03-11,400,0,20\n2024-03-18,100,100,20\n');
+  assert.deepStrictEqual(parsed.rows.map(row => row.line), [2]);
+  assert.deepStrictEqual(parsed.errors.map(error => error.line), [3, 4]);
+});
+
+test('row problems are message keys with the cell that caused them', () => {
+  const parsed = parseHoursCsv('2024-03-04,40,-5,abc\n2024-03-11,40\n');
+  assert.deepStrictEqual(parsed.errors[0].problems, [
+    { key: 'import.errorOvertimeHours', params: { value: '-5' } },
+    { key: 'import.errorRate', params: { value: 'abc' } }
+  ]);
+  assert.deepStrictEqual(parsed.errors[1].problems, [{ key: 'import.errorColumns', params: { expected: 4, found: 2 } }]);
+});
+
+test('back pay rows use the same amount and hour checks', () => {
+  const parsed = parseBackPayCsv('2024-03-04,40,.5,$20,800\n2024-03-11,40,200,20,800\n2024-03-18,40,5,rate 20,800\n');
+  assert.strictEqual(parsed.rows.length, 1);
+  assert.strictEqual(parsed.rows[0].overtimeHours, 0.5);
+  assert.strictEqual(parsed.rows[0].hourlyRate, 20);
+  assert.deepStrictEqual(parsed.errors.map(error => error.line), [2, 3]);
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for assets/js/jurisdictions.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JURISDICTIONS, getJurisdiction, applyJurisdiction } = require('../assets/js/jurisdictions.js');
+const { MESSAGES } = require('../assets/js/i18n.js');
+
+const california = getJurisdiction('us-ca');
+const tierHours = split => split.tiers.map(tier => [tier.labelKey, tier.params.over, tier.multiplier, tier.hours]);
+
+test('a weekly total only meets the weekly threshold', () => {
+  const split = applyJurisdiction(getJurisdiction('us-flsa'), { totalHours: 45 });
+  assert.strictEqual(split.regularHours, 40);
+  assert.strictEqual(split.overtimeHours, 5);
+  assert.strictEqual(split.dailyRulesApplied, false);
+  assert.deepStrictEqual(tierHours(split), [['jurisdiction.bandWeekly', 40, 1.5, 5]]);
+  assert.strictEqual(split.tiers[0].label, 'Weekly overtime, over 40 hrs/week');
+});
+
+test('daily bands split a long day into time and a half and double time', () => {
+  const split = applyJurisdiction(california, { days: [13, 8, 8, 0, 0, 0, 0] });
+  assert.strictEqual(split.regularHours, 24);
+  assert.deepStrictEqual(tierHours(split), [
+    ['jurisdiction.bandDaily', 8, 1.5, 4],
+    ['jurisdiction.bandDaily', 12, 2, 1]
+  ]);
+  assert.strictEqual(split.tiers[1].label, 'Daily overtime, over 12 hrs/day');
+});
+
+test('the same band on several days is one tier', () => {
+  const split = applyJurisdiction(getJurisdiction('us-ak'), { days: [10, 10, 10, 10, 10, 0, 0] });
+  assert.strictEqual(split.regularHours, 40);
+  assert.deepStrictEqual(tierHours(split), [['jurisdiction.bandDaily', 8, 1.5, 10]]);
+});
+
+test('daily overtime hours do not count again toward the weekly threshold', () => {
+  const split = applyJurisdiction(california, { days: [12, 12, 12, 12, 0, 0, 0] });
+  assert.strictEqual(split.regularHours, 32);
+  assert.strictEqual(split.overtimeHours, 16);
+  assert.deepStrictEqual(tierHours(split), [['jurisdiction.bandDaily', 8, 1.5, 16]]);
+});
+
+test('straight time over the weekly threshold is weekly overtime alongside daily bands', () => {
+  const split = applyJurisdiction(california, { days: [9, 9, 9, 9, 9, 9, 0] });
+  assert.strictEqual(split.regularHours, 40);
+  assert.deepStrictEqual(tierHours(split), [
+    ['jurisdiction.bandDaily', 8, 1.5, 6],
+    ['jurisdiction.bandWeekly', 40, 1.5, 8]
+  ]);
+});
+
+test('the 7th consecutive day uses its own bands', () => {
+  const split = applyJurisdiction(california, { days: [8, 8, 8, 8, 8, 8, 10] });
+  assert.strictEqual(split.regularHours, 40);
+  assert.strictEqual(split.overtimeHours, 18);
+  assert.deepStrictEqual(tierHours(split), [
+    ['jurisdiction.bandSeventhFirst', 8, 1.5, 8],
+    ['jurisdiction.bandSeventhOver', 8, 2, 2],
+    ['jurisdiction.bandWeekly', 40, 1.5, 8]
+  ]);
+  assert.strictEqual(split.tiers[0].label, '7th consecutive day, first 8 hrs');
+});
+
+test('a day off breaks the 7th-day rule', () => {
+  const split = applyJurisdiction(california, { days: [8, 8, 8, 8, 8, 0, 10] });
+  assert.deepStrictEqual(tierHours(split), [
+    ['jurisdiction.bandDaily', 8, 1.5, 2],
+    ['jurisdiction.bandWeekly', 40, 1.5, 8]
+  ]);
+});
+
+test('tiers carry the jurisdiction\'s law as their source', () => {
+  const split = applyJurisdiction(getJurisdiction('jp'), { days: [10, 8, 8, 8, 8, 0, 0] });
+  assert.deepStrictEqual(tierHours(split), [['jurisdiction.bandDaily', 8, 1.25, 2]]);
+  assert.strictEqual(split.tiers[0].source, 'Labor Standards Act, Article 37');
+});
+
+test('names, groups, notes and band labels are in the English catalog', () => {
+  JURISDICTIONS.forEach(jurisdiction => {
+    [jurisdiction.key, jurisdiction.groupKey, jurisdiction.noteKey].filter(Boolean).forEach(key => {
+      assert.ok(key in MESSAGES.en, key);
+    });
+    if (jurisdiction.noteKey) assert.strictEqual(MESSAGES.en[jurisdiction.noteKey], jurisdiction.note);
+    assert.strictEqual(MESSAGES.en[jurisdiction.key], jurisdiction.name);
+  });
+
+  ['bandDaily', 'bandWeekly', 'bandSeventh', 'bandSeventhOver', 'bandSeventhFirst'].forEach(name => {
+    assert.ok(`jurisdiction.${name}` in MESSAGES.en, name);
+  });
+});
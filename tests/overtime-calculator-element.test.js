@@ -0,0 +1,82 @@
+/**
+ * Tests for assets/js/overtime-calculator-element.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const SCRIPTS = ['i18n.js', 'overtime-engine.js', 'validation.js', 'overtime-calculator-element.js']
+  .map(name => fs.readFileSync(path.join(__dirname, '../assets/js', name), 'utf8'));
+
+/**
+ * A page with the element's scripts loaded and the given markup in its body
+ */
+function loadPage(body) {
+  const dom = new JSDOM('<!DOCTYPE html><html lang="en"><body></body></html>', { runScripts: 'outside-only' });
+  SCRIPTS.forEach(script => dom.window.eval(script));
+  dom.window.document.body.innerHTML = body;
+  return dom.window;
+}
+
+function type(window, element, name, value) {
+  const input = element.shadowRoot.querySelector(`[name="${name}"]`);
+  input.value = value;
+  input.dispatchEvent(new window.Event('input', { bubbles: true }));
+  return input;
+}
+
+test('two instances on one page calculate and fire result independently', () => {
+  const window = loadPage(`
+    <overtime-calculator id="first" hourly-rate="20"></overtime-calculator>
+    <overtime-calculator id="second" hourly-rate="30" multiplier="2"></overtime-calculator>
+  `);
+  const first = window.document.getElementById('first');
+  const second = window.document.getElementById('second');
+  const results = [];
+  window.document.addEventListener('result', event => results.push([event.target.id, event.detail.overtimePay]));
+
+  type(window, first, 'overtimeHours', '5');
+  type(window, second, 'overtimeHours', '2');
+
+  assert.deepStrictEqual(results, [['first', 150], ['second', 120]]);
+  assert.strictEqual(first.result.overtimePay, 150);
+  assert.strictEqual(second.result.overtimePay, 120);
+  assert.strictEqual(first.shadowRoot.querySelector('.error').textContent, '');
+});
+
+test('inputs out of bounds are marked and not priced', () => {
+  const window = loadPage('<overtime-calculator hourly-rate="20" multiplier="0.5"></overtime-calculator>');
+  const element = window.document.querySelector('overtime-calculator');
+  const results = [];
+  element.addEventListener('result', event => results.push(event.detail));
+
+  const hours = type(window, element, 'overtimeHours', '500');
+
+  assert.deepStrictEqual(results, []);
+  assert.strictEqual(element.result, null);
+  assert.strictEqual(hours.getAttribute('aria-invalid'), 'true');
+  assert.strictEqual(element.shadowRoot.querySelector('[name="multiplier"]').getAttribute('aria-invalid'), 'true');
+  assert.match(element.shadowRoot.querySelector('.error').textContent, /Overtime Hours Worked: Enter 168 or less/);
+});
+
+test('the locale sets the labels and the decimal character', () => {
+  const window = loadPage('<overtime-calculator locale="de-DE" currency="EUR" hourly-rate="20.5"></overtime-calculator>');
+  const element = window.document.querySelector('overtime-calculator');
+
+  assert.strictEqual(element.shadowRoot.querySelector('[name="hourlyRate"]').value, '20,5');
+  assert.strictEqual(element.shadowRoot.querySelector('[name="hourlyRate"]').placeholder, '0,00');
+  assert.strictEqual(element.shadowRoot.querySelector('[data-i18n="field.hourlyRate"]').textContent, 'Stundenlohn');
+
+  type(window, element, 'overtimeHours', '2,5');
+  assert.strictEqual(element.state.overtimeHours, '2.5');
+  assert.strictEqual(element.result.overtimePay, 76.875);
+
+  element.locale = 'en-US';
+  assert.strictEqual(element.shadowRoot.querySelector('[name="overtimeHours"]').value, '2.5');
+  assert.strictEqual(element.shadowRoot.querySelector('[data-i18n="field.hourlyRate"]').textContent, 'Hourly Pay Rate');
+});
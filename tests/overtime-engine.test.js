@@ -0,0 +1,113 @@
+/**
+ * Tests for assets/js/overtime-engine.js, loaded through its module.exports branch
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeOvertime, resolveMultiplier, DEFAULT_MULTIPLIER, DEFAULT_REGULAR_HOURS } = require('../assets/js/overtime-engine.js');
+
+test('time and a half by default', () => {
+  const result = computeOvertime({ hourlyRate: 20, overtimeHours: 5 });
+
+  assert.strictEqual(result.multiplier, DEFAULT_MULTIPLIER);
+  assert.strictEqual(result.regularHours, DEFAULT_REGULAR_HOURS);
+  assert.strictEqual(result.overtimeRate, 30);
+  assert.strictEqual(result.overtimePay, 150);
+  assert.strictEqual(result.regularPay, 800);
+  assert.strictEqual(result.totalPay, 950);
+});
+
+test('custom multiplier prices overtime', () => {
+  const result = computeOvertime({ hourlyRate: 20, overtimeHours: 4, multiplier: 1.75 });
+
+  assert.strictEqual(result.multiplier, 1.75);
+  assert.strictEqual(result.overtimeRate, 35);
+  assert.strictEqual(result.overtimePay, 140);
+  assert.strictEqual(result.overtimeRateSource, 'multiplier');
+});
+
+test('custom multiplier as a string', () => {
+  assert.strictEqual(computeOvertime({ hourlyRate: 10, overtimeHours: 1, multiplier: '2.5' }).overtimePay, 25);
+});
+
+test('zero, negative, blank or non-numeric multipliers fall back to time and a half', () => {
+  [0, -2, '', null, undefined, 'abc'].forEach(multiplier => {
+    assert.strictEqual(resolveMultiplier(multiplier), DEFAULT_MULTIPLIER, `multiplier ${multiplier}`);
+    assert.strictEqual(computeOvertime({ hourlyRate: 20, overtimeHours: 2, multiplier: multiplier }).overtimePay, 60);
+  });
+});
+
+test('a positive override replaces rate × multiplier', () => {
+  const result = computeOvertime({ hourlyRate: 20, overtimeHours: 5, multiplier: 2, overtimeRateOverride: 33 });
+
+  assert.strictEqual(result.overtimeRate, 33);
+  assert.strictEqual(result.overtimePay, 165);
+  assert.strictEqual(result.overtimeRateSource, 'override');
+});
+
+test('an override applies even with no hourly rate', () => {
+  const result = computeOvertime({ hourlyRate: 0, overtimeHours: 2, overtimeRateOverride: '45.5' });
+
+  assert.strictEqual(result.overtimePay, 91);
+  assert.strictEqual(result.regularPay, 0);
+});
+
+test('zero, negative or blank overrides are ignored', () => {
+  [0, -10, '', null, 'abc'].forEach(override => {
+    const result = computeOvertime({ hourlyRate: 20, overtimeHours: 5, overtimeRateOverride: override });
+    assert.strictEqual(result.overtimeRate, 30, `override ${override}`);
+    assert.strictEqual(result.overtimeRateSource, 'multiplier');
+  });
+});
+
+test('a zero rate pays nothing', () => {
+  const result = computeOvertime({ hourlyRate: 0, overtimeHours: 10 });
+
+  assert.strictEqual(result.overtimeRate, 0);
+  assert.strictEqual(result.overtimePay, 0);
+  assert.strictEqual(result.totalPay, 0);
+});
+
+test('a blank or missing rate counts as zero', () => {
+  ['', null, undefined, 'abc'].forEach(hourlyRate => {
+    const result = computeOvertime({ hourlyRate: hourlyRate, overtimeHours: 3 });
+    assert.strictEqual(result.hourlyRate, 0, `rate ${hourlyRate}`);
+    assert.strictEqual(result.totalPay, 0);
+  });
+});
+
+test('an empty input returns a zero breakdown', () => {
+  const result = computeOvertime();
+
+  assert.strictEqual(result.overtimeHours, 0);
+  assert.strictEqual(result.totalPay, 0);
+  assert.strictEqual(result.currency, 'USD');
+});
+
+test('zero regular hours stay zero', () => {
+  const result = computeOvertime({ hourlyRate: 20, regularHours: 0, overtimeHours: 5 });
+
+  assert.strictEqual(result.regularHours, 0);
+  assert.strictEqual(result.regularPay, 0);
+  assert.strictEqual(result.totalPay, 150);
+});
+
+test('negative rates and hours throw a RangeError', () => {
+  assert.throws(() => computeOvertime({ hourlyRate: -1, overtimeHours: 1 }), RangeError);
+  assert.throws(() => computeOvertime({ hourlyRate: 20, regularHours: -1 }), RangeError);
+  assert.throws(() => computeOvertime({ hourlyRate: 20, overtimeHours: -1 }), RangeError);
+});
+
+test('tiers replace the single multiplier and blend the overtime rate', () => {
+  const result = computeOvertime({
+    hourlyRate: 20,
+    tiers: [{ hours: 8, multiplier: 1.5 }, { hours: 4, multiplier: 2 }, { hours: 1, rate: 50 }]
+  });
+
+  assert.strictEqual(result.overtimeHours, 13);
+  assert.strictEqual(result.overtimePay, 240 + 160 + 50);
+  assert.strictEqual(result.overtimeRateSource, 'tiers');
+  assert.strictEqual(result.tiers[2].rateSource, 'override');
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for assets/js/pay-history.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHistoryStore, HISTORY_STORAGE_KEY } = require('../assets/js/pay-history.js');
+
+// Storage that holds what it has and refuses anything new, like a full quota
+function fullStorage(initial) {
+  const items = Object.assign({}, initial);
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: () => {
+      const error = new Error('The quota has been exceeded.');
+      error.name = 'QuotaExceededError';
+      throw error;
+    },
+    removeItem: key => { delete items[key]; }
+  };
+}
+
+const week = { weekOf: '2024-03-04', currency: 'USD', overtimePay: 90, totalPay: 690 };
+
+test('save returns the stored entry', () => {
+  const store = createHistoryStore();
+  const saved = store.save(week);
+  assert.ok(saved.id);
+  assert.deepStrictEqual(store.list().map(entry => entry.id), [saved.id]);
+});
+
+test('a full storage quota returns null from save instead of throwing', () => {
+  const store = createHistoryStore(fullStorage());
+  assert.strictEqual(store.save(week), null);
+  assert.deepStrictEqual(store.list(), []);
+});
+
+test('a full storage quota keeps the stored entries as they were', () => {
+  const stored = JSON.stringify({ version: 1, entries: [Object.assign({ id: 'a' }, week)] });
+  const store = createHistoryStore(fullStorage({ [HISTORY_STORAGE_KEY]: stored }));
+
+  assert.strictEqual(store.update('a', { totalPay: 1 }), null);
+  assert.strictEqual(store.remove('a'), false);
+  assert.strictEqual(store.replaceAll([]), false);
+  assert.strictEqual(store.get('a').totalPay, 690);
+});
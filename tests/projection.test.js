@@ -0,0 +1,32 @@
+/**
+ * Tests for assets/js/projection.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { projectEarnings, DEFAULT_PEAK_FACTOR } = require('../assets/js/projection.js');
+
+const week = { regularPay: 800, overtimePay: 150, overtimeHours: 5 };
+const peakOvertime = options => projectEarnings(week, Object.assign({ peakMonths: [11] }, options)).months[11].overtimeHours;
+const typicalOvertime = projectEarnings(week).months[0].overtimeHours;
+
+// Monthly figures are rounded to the cent or hundredth of an hour
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.05, `${actual} is not about ${expected}`);
+
+test('a peak month multiplies overtime by the peak factor', () => {
+  near(peakOvertime({ peakFactor: 3 }), typicalOvertime * 3);
+  near(peakOvertime({ peakFactor: '1.5' }), typicalOvertime * 1.5);
+});
+
+test('a peak factor of 0 means no overtime that month', () => {
+  assert.strictEqual(peakOvertime({ peakFactor: 0 }), 0);
+});
+
+test('a missing, null, blank or invalid peak factor uses the default', () => {
+  const expected = peakOvertime({ peakFactor: DEFAULT_PEAK_FACTOR });
+  [undefined, null, '', 'abc', -1, [], false].forEach(peakFactor => {
+    assert.strictEqual(peakOvertime({ peakFactor: peakFactor }), expected, String(peakFactor));
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for assets/js/scenarios.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeOvertime } = require('../assets/js/overtime-engine.js');
+const { scenarioFromResult, computeScenario, compareScenarios } = require('../assets/js/scenarios.js');
+
+const base = { name: 'Now', hourlyRate: 20, multiplier: 1.5, overtimeRate: '', regularHours: 40, overtimeHours: 10, otherPay: 0 };
+const withChanges = changes => Object.assign({}, base, changes);
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('each column is compared with the baseline', () => {
+  const rows = compareScenarios([base, withChanges({ name: 'Raise', hourlyRate: 22 }), withChanges({ name: 'Fewer hours', overtimeHours: 0 })]);
+
+  assert.strictEqual(rows[0].delta, null);
+  assert.strictEqual(rows[1].delta.overtimePay, 30);
+  assert.strictEqual(rows[1].delta.totalPay, 110);
+  near(rows[1].delta.effectiveRate, 2.2);
+
+  // 40 hrs at $20 against 50 hrs for $1,100
+  assert.strictEqual(rows[2].delta.overtimePay, -300);
+  assert.strictEqual(rows[2].delta.totalPay, -300);
+  near(rows[2].delta.effectiveRate, -2);
+});
+
+test('any column can be the baseline', () => {
+  const rows = compareScenarios([base, withChanges({ multiplier: 2 })], 1);
+
+  assert.strictEqual(rows[1].delta, null);
+  assert.strictEqual(rows[0].delta.overtimePay, -100);
+  assert.strictEqual(rows[0].delta.totalPay, -100);
+  near(rows[0].delta.effectiveRate, -2);
+});
+
+test('a column that can\'t be computed has an error and no delta', () => {
+  const rows = compareScenarios([base, withChanges({ overtimeHours: -5 })]);
+  assert.strictEqual(rows[1].result, null);
+  assert.ok(rows[1].error);
+  assert.strictEqual(rows[1].delta, null);
+});
+
+test('without a baseline result nothing has a delta', () => {
+  const rows = compareScenarios([withChanges({ hourlyRate: -1 }), base]);
+  assert.strictEqual(rows[1].delta, null);
+});
+
+test('a direct overtime rate and other pay count toward the effective rate', () => {
+  const result = computeScenario(withChanges({ overtimeRate: 35, otherPay: 50 }));
+  assert.strictEqual(result.overtimePay, 350);
+  assert.strictEqual(result.effectiveRate, result.totalPay / 50);
+});
+
+test('a scenario built from a result prices the same', () => {
+  const result = computeOvertime({ hourlyRate: 18.5, multiplier: 2, regularHours: 38, overtimeHours: 6 });
+  const scenario = scenarioFromResult(result, 'Current');
+
+  assert.strictEqual(scenario.name, 'Current');
+  assert.strictEqual(scenario.overtimeRate, '');
+  assert.strictEqual(computeScenario(scenario).totalPay, result.totalPay);
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for assets/js/shift-premiums.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateShiftPremiums } = require('../assets/js/shift-premiums.js');
+
+const night = { hourlyRate: 20, night: 25, nightStart: '22:00', nightEnd: '05:00' };
+
+test('night hours of a shift inside the night window', () => {
+  const summary = calculateShiftPremiums([{ date: '2024-03-05', start: '18:00', end: '23:30' }], night);
+  assert.strictEqual(summary.hours, 5.5);
+  assert.strictEqual(summary.nightHours, 1.5);
+  assert.strictEqual(summary.premiumPay, 7.5);
+});
+
+test('an overnight shift is split at midnight and takes the next day\'s premiums', () => {
+  const summary = calculateShiftPremiums([{ date: '2024-03-09', start: '20:00', end: '06:00' }], Object.assign({ sunday: 50 }, night));
+  const shift = summary.shifts[0];
+  assert.deepStrictEqual(shift.days.map(day => [day.date, day.hours, day.nightHours]), [
+    ['2024-03-09', 4, 2],
+    ['2024-03-10', 6, 5]
+  ]);
+  assert.deepStrictEqual(shift.premiums.map(premium => [premium.kind, premium.hours]), [['night', 7], ['sunday', 6]]);
+});
+
+test('a shift ending at midnight stays on its own day', () => {
+  const shift = calculateShiftPremiums([{ date: '2024-03-05', start: '16:00', end: '00:00' }], night).shifts[0];
+  assert.strictEqual(shift.days.length, 1);
+  assert.strictEqual(shift.hours, 8);
+  assert.strictEqual(shift.nightHours, 2);
+});
+
+test('an unpaid break is spread over the shift', () => {
+  const summary = calculateShiftPremiums([{ date: '2024-03-05', start: '21:00', end: '01:00', breakMinutes: 60 }], night);
+  assert.strictEqual(summary.hours, 3);
+  assert.strictEqual(summary.nightHours, 2.25);
+});
+
+test('the same start and end time is a row error, not 24 hours', () => {
+  const summary = calculateShiftPremiums([{ date: '2024-03-05', start: '09:00', end: '09:00' }], night);
+  assert.strictEqual(summary.shifts[0].error, 'timesheet.errorSameTime');
+  assert.strictEqual(summary.hours, 0);
+});
+
+test('a negative break is a row error, not no break', () => {
+  const summary = calculateShiftPremiums([{ date: '2024-03-05', start: '09:00', end: '17:00', breakMinutes: -30 }], night);
+  assert.strictEqual(summary.shifts[0].error, 'timesheet.errorBreak');
+  assert.strictEqual(summary.hours, 0);
+});
+
+test('a shift without a date or times is a row error', () => {
+  const summary = calculateShiftPremiums([{ date: '', start: '09:00', end: '17:00' }], night);
+  assert.strictEqual(summary.shifts[0].error, 'premiums.errorIncomplete');
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for assets/js/timesheet.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { shiftHours, shiftError, summarizeWeek } = require('../assets/js/timesheet.js');
+
+test('a day shift less its break', () => {
+  assert.strictEqual(shiftHours('09:00', '17:30', 30), 8);
+});
+
+test('an overnight shift ends the next day', () => {
+  assert.strictEqual(shiftHours('22:00', '06:00', 0), 8);
+});
+
+test('the same start and end time is an error, not 24 hours', () => {
+  assert.strictEqual(shiftError('09:00', '09:00'), 'timesheet.errorSameTime');
+  assert.strictEqual(shiftHours('09:00', '09:00', 0), 0);
+
+  const week = summarizeWeek([{ start: '08:00', end: '08:00' }, { start: '08:00', end: '16:00' }]);
+  assert.deepStrictEqual(week.errors, ['timesheet.errorSameTime', null]);
+  assert.strictEqual(week.totalHours, 8);
+});
+
+test('hours over the weekly threshold are overtime', () => {
+  const days = Array.from({ length: 5 }, () => ({ start: '08:00', end: '18:00', breakMinutes: 0 }));
+  const week = summarizeWeek(days, 40);
+
+  assert.strictEqual(week.totalHours, 50);
+  assert.strictEqual(week.regularHours, 40);
+  assert.strictEqual(week.overtimeHours, 10);
+});
+
+test('a negative or unreadable break is an error, not no break', () => {
+  assert.strictEqual(shiftError('09:00', '17:00', -30), 'timesheet.errorBreak');
+  assert.strictEqual(shiftError('09:00', '17:00', 'half an hour'), 'timesheet.errorBreak');
+  assert.strictEqual(shiftHours('09:00', '17:00', -30), 0);
+  assert.strictEqual(shiftError('09:00', '17:00', ''), null);
+});
+
+test('a break as long as the shift is an error', () => {
+  assert.strictEqual(shiftError('22:00', '02:00', 240), 'timesheet.errorBreakLong');
+  assert.strictEqual(shiftError('22:00', '02:00', 239), null);
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for assets/js/url-state.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { serializeState, parseState } = require('../assets/js/url-state.js');
+const { MESSAGES } = require('../assets/js/i18n.js');
+
+const emptyDay = { start: '', end: '', breakMinutes: '' };
+
+test('state round-trips through the query string', () => {
+  const state = {
+    currency: 'GBP',
+    payBasis: 'hourly',
+    hourlyRate: '18.50',
+    regularHours: '40',
+    overtimeHours: '7.5',
+    jurisdiction: 'US-CA',
+    tiers: [{ hours: '4', multiplier: '2', rate: '' }],
+    differentials: [{ hours: '8', rate: '1.25' }],
+    timesheet: [{ start: '09:00', end: '19:30', breakMinutes: '30' }, emptyDay, emptyDay, emptyDay, emptyDay, emptyDay, emptyDay]
+  };
+
+  const parsed = parseState(serializeState(state));
+  assert.strictEqual(parsed.found, true);
+  assert.deepStrictEqual(parsed.errors, []);
+  assert.deepStrictEqual(parsed.state, state);
+});
+
+test('blank values are left out and foreign parameters are kept', () => {
+  const query = serializeState({ hourlyRate: '20', overtimeHours: ' ', tiers: [] }, '?utm_source=mail&rate=15&ot=3');
+  assert.strictEqual(query, 'utm_source=mail&rate=20');
+});
+
+test('a query without calculator parameters is not found', () => {
+  const parsed = parseState('?utm_source=mail');
+  assert.strictEqual(parsed.found, false);
+  assert.deepStrictEqual(parsed.state, {});
+});
+
+test('malformed and out-of-range numbers are dropped with a message key', () => {
+  const parsed = parseState('rate=abc&ot=200&reg=40&wd=0');
+
+  assert.deepStrictEqual(parsed.state, { regularHours: '40' });
+  assert.deepStrictEqual(parsed.errors.map(error => error.key), ['hourlyRate', 'workDays', 'overtimeHours']);
+
+  const rate = parsed.errors[0];
+  assert.strictEqual(rate.group, 'hourlyRate');
+  assert.strictEqual(rate.message, 'Ignored invalid hourly rate in link');
+  assert.strictEqual(rate.messageKey, 'link.invalid');
+  assert.deepStrictEqual(rate.params, { label: 'link.hourlyRate' });
+});
+
+test('choices outside the page\'s options are rejected', () => {
+  const parsed = parseState('cur=XYZ&mult=1.5', { currency: ['USD', 'GBP'], multiplier: ['1.5', '2'] });
+  assert.deepStrictEqual(parsed.state, { multiplier: '1.5' });
+  assert.strictEqual(parsed.errors[0].key, 'currency');
+  assert.strictEqual(parsed.errors[0].params.label, 'link.currency');
+});
+
+test('a bad row rejects the whole list', () => {
+  const parsed = parseState('tiers=4:2:,3:0.5:&diff=8&ts=09:00-17:00-0');
+  assert.deepStrictEqual(parsed.state, {});
+  assert.deepStrictEqual(parsed.errors.map(error => [error.param, error.key, error.params.label]), [
+    ['tiers', null, 'link.tiers'],
+    ['diff', null, 'link.differentials'],
+    ['ts', null, 'link.timesheet']
+  ]);
+});
+
+test('every rejection message and label is in the English catalog', () => {
+  const query = 'rate=x&cm=x&otr=x&sal=x&sh=x&tp=x&bon=x&com=x&wh=x&pp=x&wd=x&hol=x&pto=x&ot=x&reg=x&th=x' +
+    '&cur=x&basis=x&mult=x&tf=x&jur=x&tiers=x&diff=x&ts=x';
+  const choices = { currency: [], payBasis: [], multiplier: [], timeframe: [], jurisdiction: [] };
+
+  parseState(query, choices).errors.forEach(error => {
+    assert.ok(error.messageKey in MESSAGES.en, error.messageKey);
+    assert.ok(error.params.label in MESSAGES.en, error.params.label);
+  });
+});
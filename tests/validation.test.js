@@ -0,0 +1,72 @@
+/**
+ * Tests for assets/js/validation.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateCalculatorInputs } = require('../assets/js/validation.js');
+
+test('a week in bounds is valid', () => {
+  const result = validateCalculatorInputs({ hourlyRate: '20', regularHours: '40', overtimeHours: '10' });
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.errors, {});
+});
+
+test('negative bonus and commission are errors, not zero', () => {
+  const result = validateCalculatorInputs({ hourlyRate: '20', bonusPay: '-100', commissionPay: '50' });
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.errors.bonusPay.key, 'error.positiveAmount');
+  assert.strictEqual(result.errors.commissionPay, undefined);
+});
+
+test('a tier multiplier of 0 is an error, not time and a half', () => {
+  const result = validateCalculatorInputs({ tiers: [{ hours: '4', multiplier: '0', rate: '' }] });
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.rowErrors.tiers[0].multiplier.key, 'error.range');
+});
+
+test('negative tier and differential hours and rates are row errors', () => {
+  const result = validateCalculatorInputs({
+    tiers: [{ hours: '2', multiplier: '2', rate: '' }, { hours: '-4', multiplier: '2', rate: '-30' }],
+    differentials: [{ hours: '8', rate: '-1.5' }]
+  });
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.rowErrors.tiers[0], null);
+  assert.deepStrictEqual(Object.keys(result.rowErrors.tiers[1]), ['hours', 'rate']);
+  assert.strictEqual(result.rowErrors.differentials[0].rate.key, 'error.positiveRate');
+});
+
+test('tier hours count toward the hours in a week', () => {
+  const result = validateCalculatorInputs({
+    regularHours: '40',
+    overtimeHours: '60',
+    tiers: [{ hours: '50', multiplier: '2', rate: '' }, { hours: '20', multiplier: '2.5', rate: '' }]
+  });
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.errors.overtimeHours, undefined);
+  assert.strictEqual(result.rowErrors.tiers[1].hours.key, 'error.weekHours');
+});
+
+test('tier hours count on top of a timesheet week', () => {
+  const tiers = [{ hours: '20', multiplier: '2', rate: '' }];
+  assert.strictEqual(validateCalculatorInputs({ tiers: tiers }, { timesheetHours: 140 }).valid, true);
+  assert.strictEqual(validateCalculatorInputs({ tiers: tiers }, { timesheetHours: 150 }).valid, false);
+});
+
+test('deduction percentages above 100 or not numbers are errors, not clamped or zeroed', () => {
+  const result = validateCalculatorInputs({ taxRate: '150', pretaxPercent: 'abc', postTaxDeductions: '-5' });
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.errors.taxRate.key, 'error.atMost');
+  assert.strictEqual(result.errors.pretaxPercent.key, 'error.notANumber');
+  assert.strictEqual(result.errors.postTaxDeductions.key, 'error.positiveAmount');
+});
+
+test('the hourly rate helper\'s schedule is bounded', () => {
+  const result = validateCalculatorInputs({ weeklyHours: '0', customPeriods: '400', workDays: '8', paidHolidays: '10', ptoDays: '366' });
+  assert.deepStrictEqual(Object.keys(result.errors), ['weeklyHours', 'customPeriods', 'workDays', 'ptoDays']);
+  assert.deepStrictEqual(result.errors.workDays.params, { min: 1, max: 7 });
+});
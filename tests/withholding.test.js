@@ -0,0 +1,29 @@
+/**
+ * Tests for assets/js/withholding.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { estimateNetPay } = require('../assets/js/withholding.js');
+
+test('post-tax deductions come out of regular pay first', () => {
+  const net = estimateNetPay({ regularPay: 800, overtimePay: 300, flatRate: 10, postTaxFixed: 100 });
+  assert.deepStrictEqual(net.postTax, { regular: 100, overtime: 0, unapplied: 0 });
+  assert.strictEqual(net.netRegular, 620);
+  assert.strictEqual(net.netOvertime, 270);
+});
+
+test('post-tax deductions spill into overtime pay when regular pay runs out', () => {
+  const net = estimateNetPay({ regularPay: 100, overtimePay: 300, postTaxFixed: 250 });
+  assert.deepStrictEqual(net.postTax, { regular: 100, overtime: 150, unapplied: 0 });
+  assert.strictEqual(net.netTotal, 150);
+  assert.strictEqual(net.overtimeWithholdingRate, 0);
+});
+
+test('post-tax deductions beyond gross pay are reported as unapplied', () => {
+  const net = estimateNetPay({ regularPay: 100, overtimePay: 50, postTaxFixed: 200 });
+  assert.deepStrictEqual(net.postTax, { regular: 100, overtime: 50, unapplied: 50 });
+  assert.strictEqual(net.netTotal, 0);
+});